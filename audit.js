@@ -0,0 +1,165 @@
+import fs from 'fs';
+import path from 'path';
+
+// Claves cuyos valores no se guardan en la auditoría (en argumentos y en registros a insertar)
+const SENSITIVE_KEY = /pass|contrase|secret|token|api_?key|clave_api|authorization|credencial/i;
+const REDACTED = '[REDACTADO]';
+
+// Límites para que una importación masiva no genere entradas enormes
+const MAX_STRING = 500;
+const MAX_ITEMS = 50;
+const MAX_STATEMENTS = 200;
+
+// Sentencias que no cambian nada (vistas previas, conteos, lectura del esquema)
+const READ_STATEMENT = /^\s*(SELECT|SHOW|PRAGMA|EXPLAIN|DESCRIBE|VALUES)\b/i;
+// Funciones que cambian secuencias aunque se llamen desde un SELECT
+const SEQUENCE_WRITE = /\b(setval|nextval)\s*\(/i;
+
+// Recorta cadenas y listas largas indicando cuánto se omitió
+function truncate(value, depth = 0) {
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}… (${value.length} caracteres)` : value;
+  }
+  if (typeof value === 'bigint') return value.toString();
+  if (Buffer.isBuffer(value)) return `[binario, ${value.length} bytes]`;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ITEMS).map(v => truncate(v, depth + 1));
+    if (value.length > MAX_ITEMS) items.push(`… (${value.length - MAX_ITEMS} elemento(s) más)`);
+    return items;
+  }
+  if (value !== null && typeof value === 'object') {
+    if (depth > 5) return '[…]';
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, truncate(v, depth + 1)]));
+  }
+  return value;
+}
+
+/**
+ * Sustituye los valores de las claves sensibles (password, token, api_key...) a cualquier
+ * profundidad. Devuelve la copia y los valores ocultados, para ocultarlos también en los
+ * parámetros SQL, que no llevan nombre de columna.
+ */
+export function redact(value, ocultos = new Set()) {
+  if (Array.isArray(value)) return { value: value.map(v => redact(v, ocultos).value), ocultos };
+  if (value !== null && typeof value === 'object' && !Buffer.isBuffer(value) && !(value instanceof Date)) {
+    const copia = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (SENSITIVE_KEY.test(k) && v !== null && v !== undefined && typeof v !== 'object') {
+        ocultos.add(String(v));
+        copia[k] = REDACTED;
+      } else {
+        copia[k] = redact(v, ocultos).value;
+      }
+    }
+    return { value: copia, ocultos };
+  }
+  return { value, ocultos };
+}
+
+// Tablas que nombra una sentencia de escritura o de estructura
+export function tablesInStatement(sql) {
+  const tablas = [];
+  const regex = /\b(?:INTO|UPDATE|FROM|TABLE|ON|REFERENCES)\s+(?:IF\s+(?:NOT\s+)?EXISTS\s+)?(?:ONLY\s+)?([`"]?)([\w.]+)\1/gi;
+  for (const match of sql.matchAll(regex)) {
+    tablas.push(match[2].split('.').pop());
+  }
+  return tablas;
+}
+
+export function isWriteStatement(sql) {
+  return !READ_STATEMENT.test(sql) || SEQUENCE_WRITE.test(sql);
+}
+
+/**
+ * AuditLog: registro de solo anexado (JSONL, una línea por llamada) de las herramientas que
+ * cambian datos o estructura. Cada entrada guarda los argumentos sin valores sensibles, las
+ * sentencias SQL ejecutadas con sus parámetros y filas afectadas, la duración, el resultado
+ * y la identidad del cliente MCP.
+ */
+export default class AuditLog {
+  constructor(file) {
+    this.file = file;
+  }
+
+  /**
+   * Construye y anexa una entrada. `sentencias` son las que informó el QueryRunner durante la
+   * llamada ({ sql, params, affectedRows } o { sql, params, error }); se guardan las de escritura.
+   * Si la llamada falló, su transacción se revirtió: las sentencias se marcan como revertidas
+   * y el total de filas es 0.
+   */
+  record({ herramienta, conexion, motor, cliente, argumentos, tablas = [], sentencias = [], inicio, error }) {
+    const { value: args, ocultos } = redact(argumentos || {});
+    const escrituras = sentencias.filter(st => isWriteStatement(st.sql));
+    const ocultar = p => (p !== null && p !== undefined && ocultos.has(String(p)) ? REDACTED : p);
+    const entrada = {
+      fecha: new Date().toISOString(),
+      herramienta,
+      conexion: conexion ?? null,
+      motor: motor ?? null,
+      cliente: cliente ?? null,
+      argumentos: truncate(args),
+      tablas: [...new Set([...tablas, ...escrituras.flatMap(st => tablesInStatement(st.sql))])],
+      sentencias: escrituras.slice(0, MAX_STATEMENTS).map(st => ({
+        sql: truncate(st.sql),
+        params: truncate((st.params || []).map(ocultar)),
+        ...(st.error ? { error: st.error } : { filas: st.affectedRows ?? null, ...(error ? { revertida: true } : {}) }),
+      })),
+      sentenciasOmitidas: Math.max(0, escrituras.length - MAX_STATEMENTS),
+      filas: error ? 0 : escrituras.reduce((total, st) => total + (Number(st.affectedRows) || 0), 0),
+      duracionMs: inicio ? Date.now() - inicio : null,
+      resultado: error ? 'error' : 'ok',
+      ...(error ? { error: truncate(String(error)) } : {}),
+    };
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    // Escritura síncrona: cada entrada es una línea completa y en el orden en que terminan las llamadas
+    fs.appendFileSync(this.file, JSON.stringify(entrada) + '\n');
+    return entrada;
+  }
+
+  /**
+   * Busca en el registro, de la entrada más reciente a la más antigua.
+   * Filtros: { tabla, herramienta, desde, hasta (Date), soloErrores, limite, incluir(entrada) }.
+   * Devuelve { entradas, total } con el total de coincidencias antes de aplicar el límite.
+   */
+  search({ tabla, herramienta, desde, hasta, soloErrores = false, limite = 50, incluir = () => true } = {}) {
+    if (!fs.existsSync(this.file)) return { entradas: [], total: 0 };
+    const lineas = fs.readFileSync(this.file, 'utf8').split('\n');
+    const entradas = [];
+    let total = 0;
+    for (let i = lineas.length - 1; i >= 0; i--) {
+      if (!lineas[i].trim()) continue;
+      let entrada;
+      try {
+        entrada = JSON.parse(lineas[i]);
+      } catch (e) {
+        // Línea incompleta (el proceso terminó mientras escribía): se ignora
+        continue;
+      }
+      const fecha = new Date(entrada.fecha);
+      if (desde && fecha < desde) continue;
+      if (hasta && fecha > hasta) continue;
+      if (herramienta && entrada.herramienta !== herramienta) continue;
+      if (tabla && !(entrada.tablas || []).some(t => t.toLowerCase() === tabla.toLowerCase())) continue;
+      if (soloErrores && entrada.resultado !== 'error') continue;
+      if (!incluir(entrada)) continue;
+      total++;
+      if (entradas.length < limite) entradas.push(entrada);
+    }
+    return { entradas, total };
+  }
+}
+
+/**
+ * Convierte el filtro de fecha de consultarAuditoria en Date. Una fecha sin hora en `hasta`
+ * incluye el día entero. Lanza un error si el texto no es una fecha.
+ */
+export function parseDateFilter(texto, { finDelDia = false } = {}) {
+  if (!texto) return null;
+  const soloFecha = /^\d{4}-\d{2}-\d{2}$/.test(texto);
+  const fecha = new Date(soloFecha && finDelDia ? `${texto}T23:59:59.999Z` : texto);
+  if (Number.isNaN(fecha.getTime())) {
+    throw new Error(`'${texto}' no es una fecha válida (usa el formato 2024-05-02 o 2024-05-02T10:00:00Z).`);
+  }
+  return fecha;
+}
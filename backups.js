@@ -0,0 +1,142 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { normalizeEngine } from './db_runners/ConnectionRegistry.js';
+
+// Qué guarda cada tipo de respaldo y qué hace restaurarRespaldo con él
+export const BACKUP_KINDS = {
+  tabla: 'tabla completa (estructura y filas)',
+  columna: 'columna eliminada con la clave primaria de cada fila',
+  tipoColumna: 'valores de la columna antes del cambio de tipo, con la clave primaria de cada fila',
+  filasBorradas: 'filas eliminadas',
+  filasActualizadas: 'filas antes de la actualización',
+};
+
+// Los valores que JSON no representa se guardan etiquetados para recuperarlos tal cual
+function encodeValue(value) {
+  if (Buffer.isBuffer(value)) return { $binario: value.toString('base64') };
+  if (value instanceof Date) return { $fecha: value.toISOString() };
+  if (typeof value === 'bigint') return { $entero: value.toString() };
+  return value;
+}
+
+function decodeValue(value) {
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    if ('$binario' in value) return Buffer.from(value.$binario, 'base64');
+    if ('$fecha' in value) return new Date(value.$fecha);
+    if ('$entero' in value) return BigInt(value.$entero);
+  }
+  return value;
+}
+
+function encodeRow(row) {
+  return JSON.stringify(Object.fromEntries(Object.entries(row).map(([k, v]) => [k, encodeValue(v)])));
+}
+
+function decodeRow(linea) {
+  return Object.fromEntries(Object.entries(JSON.parse(linea)).map(([k, v]) => [k, decodeValue(v)]));
+}
+
+/**
+ * BackupStore: respaldos tomados antes de las acciones destructivas, en un directorio.
+ * Cada respaldo son dos archivos: `<id>.json` con sus datos (herramienta, tabla, clave primaria,
+ * estructura para recrearla) y `<id>.ndjson` con una fila por línea.
+ */
+export default class BackupStore {
+  constructor(dir, { retentionDays = 7, maxCount = 100 } = {}) {
+    this.dir = dir;
+    this.retentionDays = retentionDays;
+    this.maxCount = maxCount;
+  }
+
+  metaFile(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  rowsFile(id) {
+    return path.join(this.dir, `${id}.ndjson`);
+  }
+
+  // Respaldos del más reciente al más antiguo
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .filter(archivo => archivo.endsWith('.json'))
+      .map(archivo => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(this.dir, archivo), 'utf8'));
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.fecha.localeCompare(a.fecha));
+  }
+
+  read(id) {
+    if (!/^[\w-]+$/.test(id) || !fs.existsSync(this.metaFile(id))) {
+      throw new Error(`No existe el respaldo '${id}'.`);
+    }
+    const meta = JSON.parse(fs.readFileSync(this.metaFile(id), 'utf8'));
+    return { ...meta, motor: normalizeEngine(meta.motor) };
+  }
+
+  // Filas del respaldo, en el orden en que se guardaron
+  readRows(id) {
+    const texto = fs.existsSync(this.rowsFile(id)) ? fs.readFileSync(this.rowsFile(id), 'utf8') : '';
+    return texto.split('\n').filter(Boolean).map(decodeRow);
+  }
+
+  /**
+   * Guarda un respaldo. `batches` es un iterable (o iterable asíncrono) de lotes de filas.
+   * Las escrituras son síncronas para poder guardar dentro de una transacción de SQLite.
+   * Aplica la política de retención después de guardar. Devuelve los datos del respaldo.
+   */
+  async save(meta, batches) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const fecha = new Date();
+    const id = `${fecha.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, '')}-${crypto.randomBytes(3).toString('hex')}`;
+    const rowsFile = this.rowsFile(id);
+    let filas = 0;
+    try {
+      fs.writeFileSync(rowsFile, '');
+      for await (const rows of batches) {
+        if (rows.length === 0) continue;
+        fs.appendFileSync(rowsFile, rows.map(encodeRow).join('\n') + '\n');
+        filas += rows.length;
+      }
+      const respaldo = { id, fecha: fecha.toISOString(), ...meta, filas };
+      fs.writeFileSync(this.metaFile(id), JSON.stringify(respaldo, null, 2) + '\n');
+      this.purge();
+      return respaldo;
+    } catch (e) {
+      fs.rmSync(rowsFile, { force: true });
+      throw e;
+    }
+  }
+
+  // Anota en el respaldo cuándo se restauró (se conserva por si hay que volver a usarlo)
+  markRestored(id) {
+    const meta = this.read(id);
+    meta.restaurado = new Date().toISOString();
+    fs.writeFileSync(this.metaFile(id), JSON.stringify(meta, null, 2) + '\n');
+  }
+
+  remove(id) {
+    fs.rmSync(this.metaFile(id), { force: true });
+    fs.rmSync(this.rowsFile(id), { force: true });
+  }
+
+  // Retención: borra los respaldos más antiguos que retentionDays y los que pasan de maxCount
+  purge() {
+    const limite = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const borrados = [];
+    this.list().forEach((respaldo, i) => {
+      if (i >= this.maxCount || new Date(respaldo.fecha).getTime() < limite) {
+        this.remove(respaldo.id);
+        borrados.push(respaldo.id);
+      }
+    });
+    return borrados;
+  }
+}
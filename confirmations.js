@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+
+// Serializa con las claves ordenadas para que el mismo conjunto de argumentos dé la misma huella
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function fingerprint(tool, args) {
+  return crypto.createHash('sha256').update(`${tool}:${stableStringify(args)}`).digest('hex');
+}
+
+/**
+ * ConfirmationStore: tokens de un solo uso para las herramientas destructivas.
+ * La primera llamada emite un token ligado a la herramienta y a sus argumentos exactos;
+ * la acción solo se ejecuta cuando una segunda llamada lo presenta antes de que expire.
+ * `scope` (la sesión del cliente) limita dónde sirve el token.
+ */
+export default class ConfirmationStore {
+  constructor(ttlMs = 120000) {
+    this.ttlMs = ttlMs;
+    this.pending = new Map();
+  }
+
+  issue(tool, args, scope = null) {
+    this.purge();
+    const token = crypto.randomBytes(4).toString('hex');
+    const expiresAt = Date.now() + this.ttlMs;
+    this.pending.set(token, { tool, hash: fingerprint(tool, args), scope: scope ?? null, expiresAt });
+    return { token, expiresAt };
+  }
+
+  // Lanza un error si el token no existe, expiró o se emitió para otros argumentos
+  consume(tool, args, token, scope = null) {
+    this.purge();
+    const entry = this.pending.get(token);
+    // Un token de otra sesión se trata como inexistente
+    if (!entry || entry.scope !== (scope ?? null)) {
+      throw new Error('El token de confirmación no es válido o ya expiró. Vuelve a llamar sin "confirmacion" para obtener uno nuevo.');
+    }
+    if (entry.tool !== tool || entry.hash !== fingerprint(tool, args)) {
+      throw new Error('El token de confirmación se emitió para otra operación o con otros argumentos.');
+    }
+    this.pending.delete(token);
+  }
+
+  purge() {
+    const now = Date.now();
+    for (const [token, entry] of this.pending) {
+      if (entry.expiresAt <= now) this.pending.delete(token);
+    }
+  }
+}
@@ -0,0 +1,216 @@
+// Lectura de CSV (RFC 4180) y conversión de los valores al tipo de cada columna destino
+
+const DELIMITADORES = [',', ';', '\t', '|'];
+
+// Pasa los bytes recibidos en base64 a texto con la codificación indicada
+export function decodeData(base64, codificacion = 'utf-8') {
+  return new TextDecoder(codificacion).decode(Buffer.from(base64, 'base64'));
+}
+
+// Elige el delimitador más frecuente fuera de comillas en la primera línea
+export function detectDelimiter(texto, comillas = '"') {
+  const conteo = Object.fromEntries(DELIMITADORES.map(d => [d, 0]));
+  let entreComillas = false;
+  for (const c of texto) {
+    if (c === comillas) entreComillas = !entreComillas;
+    else if (!entreComillas && (c === '\n' || c === '\r')) break;
+    else if (!entreComillas && c in conteo) conteo[c]++;
+  }
+  const [mejor, veces] = Object.entries(conteo).sort((a, b) => b[1] - a[1])[0];
+  return veces > 0 ? mejor : ',';
+}
+
+/**
+ * Analiza un CSV según RFC 4180: campos entre comillas con delimitadores, saltos de línea y
+ * comillas dobladas dentro. Acepta finales de línea \n, \r\n y \r, quita el BOM y omite líneas vacías.
+ * Devuelve [{ linea, campos: [{ valor, entrecomillado }] }] con la línea en la que empieza cada registro.
+ */
+export function parseCsv(texto, { delimitador, comillas = '"' } = {}) {
+  if (texto.charCodeAt(0) === 0xFEFF) texto = texto.slice(1);
+  const delim = delimitador || detectDelimiter(texto, comillas);
+  const registros = [];
+  let campos = [];
+  let valor = '';
+  let entrecomillado = false;
+  let dentro = false;
+  let linea = 1;
+  let inicio = 1;
+
+  const cerrarCampo = () => {
+    campos.push({ valor, entrecomillado });
+    valor = '';
+    entrecomillado = false;
+  };
+  const cerrarRegistro = () => {
+    cerrarCampo();
+    if (campos.length > 1 || campos[0].valor !== '' || campos[0].entrecomillado) {
+      registros.push({ linea: inicio, campos });
+    }
+    campos = [];
+  };
+
+  for (let i = 0; i < texto.length; i++) {
+    const c = texto[i];
+    if (dentro) {
+      if (c === comillas) {
+        if (texto[i + 1] === comillas) {
+          valor += comillas;
+          i++;
+        } else {
+          dentro = false;
+        }
+      } else {
+        if (c === '\n' || (c === '\r' && texto[i + 1] !== '\n')) linea++;
+        valor += c;
+      }
+    } else if (c === comillas && valor === '' && !entrecomillado) {
+      dentro = true;
+      entrecomillado = true;
+    } else if (c === delim) {
+      cerrarCampo();
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && texto[i + 1] === '\n') i++;
+      cerrarRegistro();
+      linea++;
+      inicio = linea;
+    } else {
+      valor += c;
+    }
+  }
+  if (dentro) {
+    throw new Error(`Comillas sin cerrar en el registro que empieza en la línea ${inicio}.`);
+  }
+  if (valor !== '' || entrecomillado || campos.length > 0) cerrarRegistro();
+  return registros;
+}
+
+// Clasifica el tipo SQL de una columna para saber cómo convertir el texto
+export function columnKind(type) {
+  const t = String(type || '').toLowerCase();
+  if (/^(tinyint\(1\)|bit\(1\)|bool|boolean)\b/.test(t)) return 'boolean';
+  if (/^((tiny|small|medium|big)?int(eger)?|int\d)\b|serial/.test(t)) return 'integer';
+  if (/^(dec|numeric|real|float|double|money|number)/.test(t)) return 'decimal';
+  if (/^date$/.test(t)) return 'date';
+  if (/timestamp|datetime/.test(t)) return 'datetime';
+  if (/^time\b/.test(t)) return 'time';
+  return 'text';
+}
+
+const VERDADEROS = new Set(['true', 't', '1', 'si', 'sí', 's', 'yes', 'y', 'verdadero', 'v', 'x']);
+const FALSOS = new Set(['false', 'f', '0', 'no', 'n', 'falso']);
+
+/**
+ * Normaliza un número escrito con coma o punto decimal ("1.234,56", "1,234.56", "1,5").
+ * Si aparecen ambos, el último es el decimal; un separador repetido es de miles.
+ */
+function parseNumber(texto) {
+  let s = texto.replace(/[\s ]/g, '');
+  const comas = (s.match(/,/g) || []).length;
+  const puntos = (s.match(/\./g) || []).length;
+  if (comas && puntos) {
+    const decimal = s.lastIndexOf(',') > s.lastIndexOf('.') ? ',' : '.';
+    s = s.split(decimal === ',' ? '.' : ',').join('').replace(',', '.');
+  } else if (comas > 1) {
+    s = s.replace(/,/g, '');
+  } else if (puntos > 1) {
+    s = s.replace(/\./g, '');
+  } else if (comas === 1) {
+    s = s.replace(',', '.');
+  }
+  return /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(s) ? s : null;
+}
+
+// Fecha en ISO (2024-01-31) o con el día primero (31/01/2024, 31-01-2024, 31.01.2024), con hora opcional
+function parseDateTime(texto) {
+  const m = texto.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?$/)
+    || texto.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!m) return null;
+  const [anio, mes, dia] = m[1].length === 4 ? [m[1], m[2], m[3]] : [m[3], m[2], m[1]];
+  const fecha = new Date(Date.UTC(+anio, +mes - 1, +dia));
+  if (fecha.getUTCFullYear() !== +anio || fecha.getUTCMonth() !== +mes - 1 || fecha.getUTCDate() !== +dia) return null;
+  const pad = n => String(n).padStart(2, '0');
+  const iso = `${anio}-${pad(mes)}-${pad(dia)}`;
+  if (m[4] === undefined) return { fecha: iso };
+  if (+m[4] > 23 || +m[5] > 59 || +(m[6] || 0) > 59) return null;
+  return { fecha: iso, hora: `${pad(m[4])}:${m[5]}:${m[6] || '00'}` };
+}
+
+/**
+ * Convierte el texto de una celda al tipo de la columna. Devuelve el valor listo para el
+ * INSERT o lanza un error con el motivo del rechazo.
+ */
+export function coerceValue(texto, kind) {
+  const s = texto.trim();
+  switch (kind) {
+    case 'boolean': {
+      const v = s.toLowerCase();
+      if (VERDADEROS.has(v)) return true;
+      if (FALSOS.has(v)) return false;
+      throw new Error(`'${texto}' no es un valor booleano`);
+    }
+    case 'integer': {
+      // En una columna entera "1.000" o "1,000" son separadores de miles
+      const n = /^[+-]?\d{1,3}([.,]\d{3})+$/.test(s) ? s.replace(/[.,]/g, '') : parseNumber(s);
+      if (n === null || !/^[+-]?\d+(\.0*)?$/.test(n)) throw new Error(`'${texto}' no es un número entero`);
+      const entero = n.replace(/\.0*$/, '');
+      return Number.isSafeInteger(Number(entero)) ? Number(entero) : entero;
+    }
+    case 'decimal': {
+      const n = parseNumber(s);
+      if (n === null) throw new Error(`'${texto}' no es un número`);
+      return n;
+    }
+    case 'date':
+    case 'datetime': {
+      const f = parseDateTime(s);
+      if (!f) throw new Error(`'${texto}' no es una fecha válida`);
+      return kind === 'date' || !f.hora ? f.fecha : `${f.fecha} ${f.hora}`;
+    }
+    case 'time': {
+      const m = s.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+      if (!m || +m[1] > 23 || +m[2] > 59 || +(m[3] || 0) > 59) throw new Error(`'${texto}' no es una hora válida`);
+      return `${m[1].padStart(2, '0')}:${m[2]}:${m[3] || '00'}`;
+    }
+    default:
+      return texto;
+  }
+}
+
+/**
+ * Convierte los registros del CSV en objetos para insertar. `columnas` son los nombres de los
+ * campos en orden y `tipos` el tipo de cada columna de la tabla. Una celda vacía sin comillas,
+ * o igual a `nulo`, es NULL. Devuelve { registros, lineas, rechazados: [{ linea, error }] }.
+ */
+export function csvToRecords(filas, columnas, tipos, { nulo } = {}) {
+  const kinds = new Map(tipos.map(t => [t.name, columnKind(t.type)]));
+  const registros = [];
+  const lineas = [];
+  const rechazados = [];
+  for (const { linea, campos } of filas) {
+    if (campos.length !== columnas.length) {
+      rechazados.push({ linea, error: `tiene ${campos.length} campo(s) y se esperaban ${columnas.length}` });
+      continue;
+    }
+    const registro = {};
+    const errores = [];
+    columnas.forEach((col, i) => {
+      const { valor, entrecomillado } = campos[i];
+      if ((!entrecomillado && valor.trim() === '') || (nulo !== undefined && nulo !== '' && !entrecomillado && valor === nulo)) {
+        registro[col] = null;
+        return;
+      }
+      try {
+        registro[col] = coerceValue(valor, kinds.get(col));
+      } catch (e) {
+        errores.push(`columna '${col}': ${e.message}`);
+      }
+    });
+    if (errores.length > 0) {
+      rechazados.push({ linea, error: errores.join('; ') });
+    } else {
+      registros.push(registro);
+      lineas.push(linea);
+    }
+  }
+  return { registros, lineas, rechazados };
+}
@@ -0,0 +1,99 @@
+import fs from 'fs';
+import path from 'path';
+import QueryRunner from './QueryRunner.js';
+
+// Sustituye ${VARIABLE} por su valor de entorno para no guardar contraseñas en el archivo
+function expandEnv(value) {
+  if (typeof value !== 'string') return value;
+  return value.replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] ?? '');
+}
+
+// 'postgresql' es otro nombre de 'pg': el resto del servidor solo distingue mysql, pg y sqlite
+export function normalizeEngine(tipo) {
+  return tipo === 'postgresql' ? 'pg' : tipo;
+}
+
+/**
+ * Convierte la entrada de una conexión (tipo, host, port, user, password, database)
+ * en la configuración que espera QueryRunner. En SQLite `database` es la ruta del archivo.
+ */
+export function buildRunnerConfig(entry, baseDir) {
+  const { tipo, ...rest } = entry;
+  const config = Object.fromEntries(Object.entries(rest).map(([k, v]) => [k, expandEnv(v)]));
+  if (tipo === 'sqlite') {
+    const archivo = config.database || 'mypos.db';
+    return { filename: archivo === ':memory:' ? archivo : path.resolve(baseDir, archivo) };
+  }
+  if (config.port !== undefined) {
+    config.port = parseInt(config.port);
+  }
+  if (!config.port) {
+    throw new Error('Debes definir el puerto de la base de datos (ej. 3306 para MySQL)');
+  }
+  return config;
+}
+
+/**
+ * Lee el archivo de conexiones:
+ * { "predeterminada": "ventas_mysql", "conexiones": { "ventas_mysql": { "tipo": "mysql", ... } } }
+ * Devuelve null si el archivo no existe.
+ */
+export function loadConnectionsFile(file) {
+  if (!fs.existsSync(file)) return null;
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!parsed.conexiones || Object.keys(parsed.conexiones).length === 0) {
+    throw new Error(`El archivo de conexiones '${file}' no declara ninguna conexión.`);
+  }
+  return parsed;
+}
+
+/**
+ * ConnectionRegistry: mantiene un QueryRunner por cada conexión con nombre.
+ */
+export default class ConnectionRegistry {
+  constructor(conexiones, predeterminada, baseDir) {
+    this.connections = new Map();
+    for (const [name, entry] of Object.entries(conexiones)) {
+      if (!entry.tipo) {
+        throw new Error(`La conexión '${name}' no indica su tipo (mysql, pg o sqlite).`);
+      }
+      const db_type = normalizeEngine(entry.tipo);
+      const runner = new QueryRunner(db_type, buildRunnerConfig(entry, baseDir));
+      this.connections.set(name, { name, db_type, runner });
+    }
+    this.defaultName = predeterminada || this.connections.keys().next().value;
+    if (!this.connections.has(this.defaultName)) {
+      throw new Error(`La conexión predeterminada '${this.defaultName}' no está declarada.`);
+    }
+  }
+
+  get(name) {
+    const key = name || this.defaultName;
+    const conn = this.connections.get(key);
+    if (!conn) {
+      throw new Error(`Conexión desconocida: '${key}'. Disponibles: ${this.names().join(', ')}`);
+    }
+    return conn;
+  }
+
+  names() {
+    return [...this.connections.keys()];
+  }
+
+  // Prueba cada conexión y devuelve su estado y latencia
+  async health() {
+    return await Promise.all([...this.connections.values()].map(async conn => {
+      const start = Date.now();
+      try {
+        await conn.runner.testConnection();
+        return { name: conn.name, db_type: conn.db_type, ok: true, ms: Date.now() - start };
+      } catch (e) {
+        return { name: conn.name, db_type: conn.db_type, ok: false, error: e.message || String(e) };
+      }
+    }));
+  }
+
+  async closeAll() {
+    await Promise.all([...this.connections.values()].map(conn => conn.runner.closePool()));
+  }
+}
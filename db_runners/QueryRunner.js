@@ -1,21 +1,179 @@
 import mysql from 'mysql2/promise';
 import pg from 'pg';
+import Database from 'better-sqlite3';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { from as copyFrom } from 'pg-copy-streams';
 
 const { Pool } = pg;
 
+// SQLite solo acepta números, cadenas, bigints, buffers y null como parámetros
+function toSqliteValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  if (value !== null && typeof value === 'object' && !Buffer.isBuffer(value)) return JSON.stringify(value);
+  return value;
+}
+
+// Campo para COPY ... (FORMAT csv): NULL sin comillas, el resto entre comillas dobles
+function toPgCopyField(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) value = value.toISOString();
+  else if (typeof value === 'object' && !Buffer.isBuffer(value)) value = JSON.stringify(value);
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+// Campo para LOAD DATA con ESCAPED BY '\\': NULL es \N y se escapan barras, comillas y saltos de línea
+function toMysqlLoadField(value) {
+  if (value === null || value === undefined) return '\\N';
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (value instanceof Date) value = value.toISOString().slice(0, 19).replace('T', ' ');
+  else if (typeof value === 'object' && !Buffer.isBuffer(value)) value = JSON.stringify(value);
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r')}"`;
+}
+
+function quoteSqlite(ident) {
+  return `"${String(ident).replace(/"/g, '""')}"`;
+}
+
+// Restricciones CHECK de un CREATE TABLE de SQLite (con su nombre si lo tienen); respeta paréntesis anidados
+function sqliteChecks(createSql) {
+  const checks = [];
+  const regex = /(?:CONSTRAINT\s+["`]?(\w+)["`]?\s+)?CHECK\s*\(/gi;
+  let match;
+  while ((match = regex.exec(createSql))) {
+    let nivel = 1;
+    let i = regex.lastIndex;
+    for (; i < createSql.length && nivel > 0; i++) {
+      if (createSql[i] === '(') nivel++;
+      else if (createSql[i] === ')') nivel--;
+    }
+    checks.push({ name: match[1] || null, expression: createSql.slice(regex.lastIndex, i - 1).trim() });
+    regex.lastIndex = i;
+  }
+  return checks;
+}
+
+// Copia de `texto` del mismo largo con espacios en lugar del contenido de comillas y de paréntesis
+// anidados: lo que queda visible es el primer nivel de la definición
+function maskSqlite(texto) {
+  let out = '';
+  let nivel = 0;
+  let comilla = null;
+  for (let i = 0; i < texto.length; i++) {
+    const ch = texto[i];
+    if (comilla) {
+      if (ch === comilla) comilla = null;
+      out += ' ';
+    } else if (ch === '"' || ch === "'" || ch === '`' || ch === '[') {
+      comilla = ch === '[' ? ']' : ch;
+      out += ' ';
+    } else if (ch === '(') {
+      out += nivel === 0 ? ch : ' ';
+      nivel++;
+    } else if (ch === ')') {
+      nivel--;
+      out += nivel === 0 ? ch : ' ';
+    } else {
+      out += nivel > 0 ? ' ' : ch;
+    }
+  }
+  return out;
+}
+
+function unquoteSqlite(ident) {
+  const m = /^(["`])(.*)\1$/s.exec(ident) || /^\[(.*)\]$/s.exec(ident);
+  if (!m) return ident;
+  return m.length === 3 ? m[2].replaceAll(m[1] + m[1], m[1]) : m[1];
+}
+
+// Contenido del paréntesis que abre en `inicio` (posición de un '(' visible en `mascara`)
+function parenContent(texto, mascara, inicio) {
+  return texto.slice(inicio + 1, mascara.indexOf(')', inicio)).trim();
+}
+
+// Restricciones CHECK visibles en una definición: [{ name, expression }]
+function checksIn(texto, mascara) {
+  return [...mascara.matchAll(/(?:\bCONSTRAINT\s+(\S+)\s+)?\bCHECK\s*\(/gi)].map(m => ({
+    name: m[1] ? unquoteSqlite(texto.substr(m.index + m[0].indexOf(m[1]), m[1].length)) : null,
+    expression: parenContent(texto, mascara, m.index + m[0].length - 1),
+  }));
+}
+
 /**
- * QueryRunner: universal para MySQL y PostgreSQL usando pools de conexiones.
+ * Cláusulas de un CREATE TABLE de SQLite que PRAGMA table_xinfo no devuelve: por columna, su
+ * COLLATE, la expresión si es generada y sus CHECK; y los CHECK de la tabla.
+ * Devuelve { columnas: Map(nombre -> { collate, generated, checks }), checks }.
+ */
+function sqliteTableClauses(createSql) {
+  const mascara = maskSqlite(createSql);
+  const apertura = mascara.indexOf('(');
+  const resultado = { columnas: new Map(), checks: [] };
+  if (apertura < 0) return resultado;
+  const cuerpo = createSql.slice(apertura + 1, mascara.indexOf(')', apertura));
+  const mascaraCuerpo = maskSqlite(cuerpo);
+  let desde = 0;
+  for (const trozo of `${mascaraCuerpo},`.matchAll(/,/g)) {
+    const texto = cuerpo.slice(desde, trozo.index);
+    const mascaraTexto = mascaraCuerpo.slice(desde, trozo.index);
+    desde = trozo.index + 1;
+    const sangria = texto.length - texto.trimStart().length;
+    const definicion = texto.trim();
+    const mascaraDef = mascaraTexto.slice(sangria, sangria + definicion.length);
+    if (!definicion) continue;
+    if (/^(CONSTRAINT|PRIMARY|UNIQUE|FOREIGN|CHECK)\b/i.test(mascaraDef)) {
+      resultado.checks.push(...checksIn(definicion, mascaraDef));
+      continue;
+    }
+    const nombre = /^("(?:[^"]|"")*"|`(?:[^`]|``)*`|\[[^\]]*\]|[^\s(]+)/.exec(definicion)[0];
+    const collate = /\bCOLLATE\s+/i.exec(mascaraDef);
+    const generada = /(?:\bGENERATED\s+ALWAYS\s+)?\bAS\s*\(/i.exec(mascaraDef);
+    const inicioGenerada = generada && generada.index + generada[0].length - 1;
+    resultado.columnas.set(unquoteSqlite(nombre), {
+      collate: collate ? /^("[^"]*"|\w+)/.exec(definicion.slice(collate.index + collate[0].length))[0] : null,
+      generated: generada ? {
+        expression: parenContent(definicion, mascaraDef, inicioGenerada),
+        stored: /^\s*STORED\b/i.test(mascaraDef.slice(mascaraDef.indexOf(')', inicioGenerada) + 1)),
+      } : null,
+      checks: checksIn(definicion, mascaraDef),
+    });
+  }
+  return resultado;
+}
+
+// Indica si el SQL de una vista o un trigger nombra el objeto `nombre`
+function mentionsSqlite(sql, nombre) {
+  const escapado = nombre.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\w$])["\`\\[]?${escapado}["\`\\]]?($|[^\\w$])`, 'i').test(sql);
+}
+
+/**
+ * QueryRunner: universal para MySQL, PostgreSQL y SQLite usando pools de conexiones.
+ * En SQLite el "pool" es la conexión embebida de better-sqlite3 (archivo o :memory:).
  */
 export default class QueryRunner {
   constructor(db_type, configuration) {
     this.db_type = db_type;
     this.config = configuration;
     this.pool = null;
+    // Recibe cada sentencia ejecutada ({ sql, params, affectedRows } o { sql, params, error }); lo usa la auditoría
+    this.onStatement = null;
+    // Si devuelve true para una sentencia, no se ejecuta: se informa a onStatement como { sql, params, simulated }
+    this.simulate = null;
+    // Cola de SQLite: las transacciones y los cambios de pragma sobre la conexión única se ejecutan de uno en uno
+    this.sqliteQueue = Promise.resolve();
 
     if (this.db_type === 'mysql') {
       this.pool = mysql.createPool(this.config);
-    } else if (this.db_type === 'pg' || this.db_type === 'postgresql') {
+    } else if (this.db_type === 'pg') {
       this.pool = new Pool(this.config);
+    } else if (this.db_type === 'sqlite') {
+      if (!this.config.filename) {
+        throw new Error('Debes indicar el archivo de la base SQLite (o :memory:).');
+      }
+      this.pool = new Database(this.config.filename);
+      this.pool.pragma('foreign_keys = ON');
     } else {
       throw new Error('Tipo de base de datos no soportado: ' + this.db_type);
     }
@@ -26,6 +184,8 @@ export default class QueryRunner {
       const conn = await this.pool.getConnection();
       await conn.ping();
       conn.release();
+    } else if (this.db_type === 'sqlite') {
+      this.pool.prepare('SELECT 1').get();
     } else {
       const client = await this.pool.connect();
       await client.query('SELECT 1');
@@ -33,15 +193,74 @@ export default class QueryRunner {
     }
   }
 
+  /**
+   * Ejecuta `exec()` e informa de la sentencia a onStatement, también si falla. `affected`
+   * extrae las filas afectadas del resultado del driver. Si `exec` es síncrono (SQLite) el
+   * aviso también lo es, para no ceder el turno dentro de una transacción.
+   * Si `simulate` descarta la sentencia se devuelve `simulated` en lugar del resultado del driver.
+   */
+  traced(sql, params, exec, affected, simulated = this.simulatedResult()) {
+    if (this.simulate?.(sql)) {
+      this.onStatement?.({ sql, params, simulated: true });
+      return simulated;
+    }
+    if (!this.onStatement) return exec();
+    const fail = e => {
+      this.onStatement({ sql, params, error: e.message || String(e) });
+      throw e;
+    };
+    const done = result => {
+      this.onStatement({ sql, params, affectedRows: affected(result) ?? null });
+      return result;
+    };
+    let result;
+    try {
+      result = exec();
+    } catch (e) {
+      fail(e);
+    }
+    return result instanceof Promise ? result.then(done, fail) : done(result);
+  }
+
+  // Resultado vacío (0 filas afectadas) con la forma del driver, para las sentencias simuladas
+  simulatedResult() {
+    if (this.db_type === 'mysql') return [{ affectedRows: 0, insertId: 0, warningStatus: 0 }, undefined];
+    if (this.db_type === 'sqlite') return { columns: [], rows: { affectedRows: 0, insertId: 0 } };
+    return { rowCount: 0, rows: [], fields: [] };
+  }
+
+  // Ejecuta una sentencia en SQLite con la misma forma de resultado que mysql2
+  runSqlite(sql, params = []) {
+    const stmt = this.pool.prepare(sql);
+    const values = params.map(toSqliteValue);
+    if (stmt.reader) {
+      return {
+        columns: stmt.columns().map(c => ({ name: c.name })),
+        rows: stmt.all(values)
+      };
+    }
+    const info = stmt.run(values);
+    return {
+      columns: [],
+      rows: { affectedRows: info.changes, insertId: info.lastInsertRowid }
+    };
+  }
+
   async runQuery(sql) {
     if (this.db_type === 'mysql') {
-      const [rows, fields] = await this.pool.execute(sql);
+      const [rows, fields] = await this.traced(sql, [], () => this.pool.execute(sql), ([r]) => r.affectedRows);
       return {
         columns: fields ? fields.map(f => ({ name: f.name })) : [],
         rows: Array.isArray(rows) ? rows : []
       };
+    } else if (this.db_type === 'sqlite') {
+      const result = this.traced(sql, [], () => this.runSqlite(sql), r => r.rows.affectedRows);
+      return {
+        columns: result.columns,
+        rows: Array.isArray(result.rows) ? result.rows : []
+      };
     } else { // pg
-      const res = await this.pool.query(sql);
+      const res = await this.traced(sql, [], () => this.pool.query(sql), r => r.rowCount);
       return {
         columns: res.fields ? res.fields.map(f => ({ name: f.name })) : [],
         rows: res.rows || []
@@ -51,13 +270,15 @@ export default class QueryRunner {
 
   async runQueryWithParams(sql, params) {
     if (this.db_type === 'mysql') {
-      const [rows, fields] = await this.pool.execute(sql, params);
+      const [rows, fields] = await this.traced(sql, params, () => this.pool.execute(sql, params), ([r]) => r.affectedRows);
       return {
         columns: fields ? fields.map(f => ({ name: f.name })) : [],
         rows: rows
       };
+    } else if (this.db_type === 'sqlite') {
+      return this.traced(sql, params, () => this.runSqlite(sql, params), r => r.rows.affectedRows);
     } else { // pg
-      const res = await this.pool.query(sql, params);
+      const res = await this.traced(sql, params, () => this.pool.query(sql, params), r => r.rowCount);
       return {
         columns: res.fields ? res.fields.map(f => ({ name: f.name })) : [],
         rows: res.rows
@@ -65,9 +286,307 @@ export default class QueryRunner {
     }
   }
 
+  // Indica si el motor puede revertir DDL dentro de una transacción (MySQL hace COMMIT implícito)
+  supportsTransactionalDDL() {
+    return this.db_type !== 'mysql';
+  }
+
+  /**
+   * Ejecuta `work()` cuando terminan las llamadas exclusivas anteriores sobre la conexión SQLite.
+   * `work` no debe volver a pedir la exclusiva (withTransaction, runReadOnlyQuery...): esperaría a sí mismo.
+   */
+  exclusiveSqlite(work) {
+    const result = this.sqliteQueue.then(() => work());
+    this.sqliteQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Ejecuta `work(tx)` en una única conexión entre BEGIN y COMMIT; si lanza, hace ROLLBACK.
+   * `tx.run(sql, params)` devuelve { columns, rows, affectedRows }. En MySQL y PostgreSQL
+   * `tx.bulkLoad(tabla, columnas, filas)` carga filas con LOAD DATA / COPY y devuelve cuántas insertó.
+   * En SQLite la conexión es única: las transacciones esperan su turno en exclusiveSqlite.
+   */
+  async withTransaction(work) {
+    if (this.db_type === 'mysql') {
+      const conn = await this.pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        const tx = {
+          run: async (sql, params = []) => {
+            const [rows, fields] = await this.traced(sql, params, () => conn.execute(sql, params), ([r]) => r.affectedRows);
+            return {
+              columns: fields ? fields.map(f => ({ name: f.name })) : [],
+              rows: Array.isArray(rows) ? rows : [],
+              affectedRows: Array.isArray(rows) ? rows.length : rows.affectedRows
+            };
+          },
+          // LOAD DATA LOCAL INFILE desde memoria; falla si el servidor tiene local_infile desactivado
+          bulkLoad: async (table, columns, rows) => {
+            const csv = rows.map(r => columns.map(c => toMysqlLoadField(r[c])).join(',')).join('\n') + '\n';
+            const sql = `LOAD DATA LOCAL INFILE 'datos.csv' INTO TABLE \`${table}\` CHARACTER SET utf8mb4 `
+              + `FIELDS TERMINATED BY ',' OPTIONALLY ENCLOSED BY '"' ESCAPED BY '\\\\' LINES TERMINATED BY '\\n' `
+              + `(${columns.map(c => `\`${c}\``).join(', ')})`;
+            const [result] = await this.traced(sql, [`(${rows.length} fila(s) en CSV)`],
+              () => conn.query({ sql, infileStreamFactory: () => Readable.from([csv]) }), ([r]) => r.affectedRows);
+            // Con LOCAL los errores de datos y las claves duplicadas solo generan avisos: se tratan como error
+            if (result.warningStatus > 0) {
+              const [avisos] = await conn.query('SHOW WARNINGS LIMIT 3');
+              throw new Error(`LOAD DATA generó ${result.warningStatus} aviso(s): ${avisos.map(a => a.Message).join('; ')}`);
+            }
+            return result.affectedRows;
+          }
+        };
+        const result = await work(tx);
+        await conn.commit();
+        return result;
+      } catch (e) {
+        await conn.rollback().catch(() => {});
+        throw e;
+      } finally {
+        conn.release();
+      }
+    } else if (this.db_type === 'sqlite') {
+      return this.exclusiveSqlite(() => this.sqliteTransaction(work));
+    } else { // pg
+      const client = await this.pool.connect();
+      try {
+        await client.query('BEGIN');
+        const tx = {
+          run: async (sql, params = []) => {
+            const res = await this.traced(sql, params, () => client.query(sql, params), r => r.rowCount);
+            return {
+              columns: res.fields ? res.fields.map(f => ({ name: f.name })) : [],
+              rows: res.rows || [],
+              affectedRows: res.rowCount
+            };
+          },
+          // COPY ... FROM STDIN en formato CSV
+          bulkLoad: async (table, columns, rows) => {
+            const csv = rows.map(r => columns.map(c => toPgCopyField(r[c])).join(',')).join('\n') + '\n';
+            const sql = `COPY "${table}" (${columns.map(c => `"${c}"`).join(', ')}) FROM STDIN WITH (FORMAT csv)`;
+            return this.traced(sql, [`(${rows.length} fila(s) en CSV)`], async () => {
+              const stream = client.query(copyFrom(sql));
+              await pipeline(Readable.from([csv]), stream);
+              return stream.rowCount;
+            }, count => count, 0);
+          }
+        };
+        const result = await work(tx);
+        await client.query('COMMIT');
+        return result;
+      } catch (e) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw e;
+      } finally {
+        client.release();
+      }
+    }
+  }
+
+  // Cuerpo de withTransaction en SQLite; quien lo llama ya tiene la exclusiva de la conexión
+  async sqliteTransaction(work) {
+    this.pool.exec('BEGIN');
+    try {
+      const tx = {
+        run: async (sql, params = []) => {
+          const result = this.traced(sql, params, () => this.runSqlite(sql, params), r => r.rows.affectedRows);
+          return Array.isArray(result.rows)
+            ? { ...result, affectedRows: result.rows.length }
+            : { columns: [], rows: [], affectedRows: result.rows.affectedRows };
+        }
+      };
+      const result = await work(tx);
+      this.pool.exec('COMMIT');
+      return result;
+    } catch (e) {
+      if (this.pool.inTransaction) this.pool.exec('ROLLBACK');
+      throw e;
+    }
+  }
+
+  /**
+   * Ejecuta las sentencias de una migración y después `record(tx)` (su anotación en
+   * schema_migrations) en una misma transacción. En SQLite las claves foráneas se desactivan
+   * mientras dura, como en rebuildSqliteTable, y se comprueban antes del COMMIT. MySQL confirma
+   * cada sentencia DDL de forma implícita, así que un error deja aplicadas las anteriores.
+   */
+  async runMigration(statements, record) {
+    const work = async tx => {
+      for (const sql of statements) {
+        await tx.run(sql);
+      }
+      if (this.db_type === 'sqlite') {
+        const violations = this.pool.pragma('foreign_key_check');
+        if (violations.length > 0) {
+          throw new Error(`La migración dejaría ${violations.length} fila(s) violando claves foráneas (tabla ${violations[0].table}).`);
+        }
+      }
+      await record(tx);
+    };
+    if (this.db_type !== 'sqlite') return this.withTransaction(work);
+    return this.exclusiveSqlite(async () => {
+      this.pool.pragma('foreign_keys = OFF');
+      try {
+        return await this.sqliteTransaction(work);
+      } finally {
+        this.pool.pragma('foreign_keys = ON');
+      }
+    });
+  }
+
+  // Ejecuta una consulta dentro de una transacción de solo lectura que siempre se revierte
+  async runReadOnlyQuery(sql, params = []) {
+    if (this.db_type === 'mysql') {
+      const conn = await this.pool.getConnection();
+      try {
+        await conn.query('START TRANSACTION READ ONLY');
+        const [rows, fields] = await conn.query(sql, params);
+        return {
+          columns: fields ? fields.map(f => ({ name: f.name })) : [],
+          rows: Array.isArray(rows) ? rows : []
+        };
+      } finally {
+        await conn.query('ROLLBACK').catch(() => {});
+        conn.release();
+      }
+    } else if (this.db_type === 'sqlite') {
+      return this.exclusiveSqlite(() => {
+        this.pool.pragma('query_only = ON');
+        try {
+          const result = this.runSqlite(sql, params);
+          return {
+            columns: result.columns,
+            rows: Array.isArray(result.rows) ? result.rows : []
+          };
+        } finally {
+          this.pool.pragma('query_only = OFF');
+        }
+      });
+    } else { // pg
+      const client = await this.pool.connect();
+      try {
+        await client.query('BEGIN READ ONLY');
+        const res = await client.query(sql, params);
+        return {
+          columns: res.fields ? res.fields.map(f => ({ name: f.name })) : [],
+          rows: res.rows || []
+        };
+      } finally {
+        await client.query('ROLLBACK').catch(() => {});
+        client.release();
+      }
+    }
+  }
+
+  /**
+   * Recorre el resultado de una consulta por lotes sin cargarlo entero en memoria.
+   * Genera { columns, rows } con como máximo `batchSize` filas; el primer lote se genera
+   * aunque no haya filas para conocer las columnas.
+   * MySQL lee en streaming y PostgreSQL con un cursor de servidor (DECLARE/FETCH). En SQLite
+   * cada lote es una consulta con LIMIT/OFFSET: un iterador abierto bloquearía la conexión
+   * única para las demás herramientas mientras se escribe el lote.
+   */
+  async *streamRows(sql, params = [], batchSize = 1000) {
+    if (this.db_type === 'mysql') {
+      const conn = await this.pool.getConnection();
+      let completo = false;
+      try {
+        let columns = [];
+        const query = conn.connection.query(sql, params);
+        query.on('fields', fields => { columns = fields.map(f => ({ name: f.name })); });
+        let rows = [];
+        let generados = 0;
+        for await (const row of query.stream({ highWaterMark: batchSize })) {
+          rows.push(row);
+          if (rows.length >= batchSize) {
+            yield { columns, rows };
+            generados++;
+            rows = [];
+          }
+        }
+        completo = true;
+        if (rows.length > 0 || generados === 0) yield { columns, rows };
+      } finally {
+        // Una conexión con un resultado a medio leer no puede volver al pool
+        if (completo) conn.release();
+        else conn.destroy();
+      }
+    } else if (this.db_type === 'sqlite') {
+      const columns = this.pool.prepare(sql).columns().map(c => ({ name: c.name }));
+      for (let offset = 0; ; offset += batchSize) {
+        const rows = this.pool.prepare(`SELECT * FROM (${sql}) LIMIT ? OFFSET ?`)
+          .all([...params.map(toSqliteValue), batchSize, offset]);
+        if (rows.length > 0 || offset === 0) yield { columns, rows };
+        if (rows.length < batchSize) return;
+      }
+    } else { // pg
+      const client = await this.pool.connect();
+      try {
+        await client.query('BEGIN READ ONLY');
+        await client.query(`DECLARE _exportacion NO SCROLL CURSOR FOR ${sql}`, params);
+        for (let primero = true; ; primero = false) {
+          const res = await client.query(`FETCH ${batchSize} FROM _exportacion`);
+          if (res.rows.length > 0 || primero) {
+            yield { columns: res.fields.map(f => ({ name: f.name })), rows: res.rows };
+          }
+          if (res.rows.length < batchSize) break;
+        }
+      } finally {
+        await client.query('ROLLBACK').catch(() => {});
+        client.release();
+      }
+    }
+  }
+
+  /**
+   * Plan de ejecución de una consulta de lectura ya validada, en la forma de cada motor:
+   * PostgreSQL { plan } (EXPLAIN en JSON), MySQL { rows, tree } (EXPLAIN tabular y, con analyze,
+   * el árbol de EXPLAIN ANALYZE) y SQLite { rows, run } (EXPLAIN QUERY PLAN y, con analyze, las
+   * filas devueltas y los milisegundos de ejecutarla). Con analyze la consulta se ejecuta de verdad,
+   * dentro de una transacción de solo lectura.
+   */
+  async explainQuery(sql, { analyze = false } = {}) {
+    if (this.db_type === 'mysql') {
+      const { rows } = await this.runReadOnlyQuery(`EXPLAIN ${sql}`);
+      let tree = null;
+      if (analyze) {
+        const res = await this.runReadOnlyQuery(`EXPLAIN ANALYZE ${sql}`);
+        tree = res.rows[0] ? Object.values(res.rows[0])[0] : null;
+      }
+      return { rows, tree };
+    } else if (this.db_type === 'sqlite') {
+      const { rows } = await this.runReadOnlyQuery(`EXPLAIN QUERY PLAN ${sql}`);
+      let run = null;
+      if (analyze) {
+        run = await this.exclusiveSqlite(() => {
+          this.pool.pragma('query_only = ON');
+          try {
+            // Se recorren las filas sin guardarlas: solo interesan cuántas son y el tiempo
+            const inicio = process.hrtime.bigint();
+            let filas = 0;
+            for (const _ of this.pool.prepare(sql).iterate()) filas++;
+            return { rows: filas, ms: Number(process.hrtime.bigint() - inicio) / 1e6 };
+          } finally {
+            this.pool.pragma('query_only = OFF');
+          }
+        });
+      }
+      return { rows, run };
+    } else { // pg
+      const { rows: [fila] } = await this.runReadOnlyQuery(
+        `EXPLAIN (FORMAT JSON${analyze ? ', ANALYZE, BUFFERS' : ''}) ${sql}`
+      );
+      const plan = fila['QUERY PLAN'];
+      return { plan: (typeof plan === 'string' ? JSON.parse(plan) : plan)[0] };
+    }
+  }
+
   async getSchema() {
     if (this.db_type === 'mysql') {
-      const [tables] = await this.pool.execute("SHOW TABLES");
+      // Solo tablas: las vistas se consultan con listViews
+      const [tables] = await this.pool.execute("SHOW FULL TABLES WHERE Table_type = 'BASE TABLE'");
+      if (tables.length === 0) return [];
       const tableKey = Object.keys(tables[0])[0];
       return await Promise.all(tables.map(async tbl => {
         const tableName = tbl[tableKey];
@@ -77,6 +596,17 @@ export default class QueryRunner {
           columns: cols.map(c => ({ name: c.Field, type: c.Type }))
         };
       }));
+    } else if (this.db_type === 'sqlite') {
+      const tables = this.pool.prepare(`
+        SELECT name FROM sqlite_master
+        WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+        ORDER BY name
+      `).all();
+      return tables.map(tbl => ({
+        name: tbl.name,
+        columns: this.pool.pragma(`table_info(${quoteSqlite(tbl.name)})`)
+          .map(c => ({ name: c.name, type: c.type }))
+      }));
     } else { // pg
       const res = await this.pool.query(`
         SELECT table_name
@@ -101,8 +631,10 @@ export default class QueryRunner {
   async getTableColumns(table) {
     try {
       if (this.db_type === 'mysql') {
-        const [cols] = await this.pool.execute(`SHOW COLUMNS FROM \`${table}\``);
+        const [cols] = await this.pool.execute(`SHOW COLUMNS FROM \`${table.replace(/`/g, '``')}\``);
         return cols.map(c => c.Field);
+      } else if (this.db_type === 'sqlite') {
+        return this.pool.pragma(`table_info(${quoteSqlite(table)})`).map(c => c.name);
       } else { // pg
         const res = await this.pool.query(`
           SELECT column_name FROM information_schema.columns
@@ -116,9 +648,943 @@ export default class QueryRunner {
     }
   }
 
+  // Columnas con su tipo en el orden de la tabla: [{ name, type }]; [] si la tabla no existe
+  async getColumnTypes(table) {
+    if (this.db_type === 'mysql') {
+      const [cols] = await this.pool.execute(`
+        SELECT COLUMN_NAME AS name, COLUMN_TYPE AS type FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?
+        ORDER BY ORDINAL_POSITION
+      `, [table]);
+      return cols.map(c => ({ name: c.name, type: String(c.type) }));
+    } else if (this.db_type === 'sqlite') {
+      return this.pool.pragma(`table_info(${quoteSqlite(table)})`).map(c => ({ name: c.name, type: c.type }));
+    } else { // pg
+      const res = await this.pool.query(`
+        SELECT column_name, data_type FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = $1
+        ORDER BY ordinal_position
+      `, [table]);
+      return res.rows.map(c => ({ name: c.column_name, type: c.data_type }));
+    }
+  }
+
+  // Columnas de la clave primaria en orden; [] si la tabla no tiene
+  async getPrimaryKey(table) {
+    if (this.db_type === 'mysql') {
+      const [rows] = await this.pool.execute(`
+        SELECT COLUMN_NAME AS col FROM information_schema.KEY_COLUMN_USAGE
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND CONSTRAINT_NAME = 'PRIMARY'
+        ORDER BY ORDINAL_POSITION
+      `, [table]);
+      return rows.map(r => r.col);
+    } else if (this.db_type === 'sqlite') {
+      return this.pool.pragma(`table_info(${quoteSqlite(table)})`)
+        .filter(c => c.pk > 0)
+        .sort((a, b) => a.pk - b.pk)
+        .map(c => c.name);
+    } else { // pg
+      const res = await this.pool.query(`
+        SELECT a.attname AS col
+        FROM pg_index i
+        JOIN pg_class t ON t.oid = i.indrelid
+        JOIN pg_namespace n ON n.oid = t.relnamespace
+        JOIN unnest(i.indkey) WITH ORDINALITY k(attnum, ord) ON true
+        JOIN pg_attribute a ON a.attrelid = t.oid AND a.attnum = k.attnum
+        WHERE i.indisprimary AND n.nspname = 'public' AND t.relname = $1
+        ORDER BY k.ord
+      `, [table]);
+      return res.rows.map(r => r.col);
+    }
+  }
+
+  /**
+   * Claves foráneas en las que participa la tabla, tanto salientes (la tabla referencia a otra)
+   * como entrantes (otras tablas la referencian). Sin tabla, todas las de la base de datos.
+   * Devuelve [{ name, table, columns, refTable, refColumns, onDelete, onUpdate }].
+   */
+  async getForeignKeys(table) {
+    if (this.db_type === 'mysql') {
+      const [rows] = await this.pool.execute(`
+        SELECT k.CONSTRAINT_NAME AS name, k.TABLE_NAME AS tbl, k.COLUMN_NAME AS col,
+               k.REFERENCED_TABLE_NAME AS ref_table, k.REFERENCED_COLUMN_NAME AS ref_col,
+               r.DELETE_RULE AS on_delete, r.UPDATE_RULE AS on_update
+        FROM information_schema.KEY_COLUMN_USAGE k
+        JOIN information_schema.REFERENTIAL_CONSTRAINTS r
+          ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME
+        WHERE k.TABLE_SCHEMA = DATABASE() AND k.REFERENCED_TABLE_NAME IS NOT NULL
+          AND (? IS NULL OR k.TABLE_NAME = ? OR k.REFERENCED_TABLE_NAME = ?)
+        ORDER BY k.TABLE_NAME, k.CONSTRAINT_NAME, k.ORDINAL_POSITION
+      `, [table ?? null, table ?? null, table ?? null]);
+      const fks = [];
+      for (const row of rows) {
+        let fk = fks.find(f => f.name === row.name && f.table === row.tbl);
+        if (!fk) {
+          fk = { name: row.name, table: row.tbl, columns: [], refTable: row.ref_table, refColumns: [], onDelete: row.on_delete, onUpdate: row.on_update };
+          fks.push(fk);
+        }
+        fk.columns.push(row.col);
+        fk.refColumns.push(row.ref_col);
+      }
+      return fks;
+    } else if (this.db_type === 'sqlite') {
+      const tables = this.pool.prepare(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'"
+      ).all().map(t => t.name);
+      const fks = [];
+      for (const tname of tables) {
+        for (const fk of this.readSqliteTable(tname).foreignKeys) {
+          if (table === undefined || tname === table || fk.table === table) {
+            fks.push({
+              name: fk.name || null, table: tname, columns: fk.columns, refTable: fk.table,
+              refColumns: fk.refColumns, onDelete: fk.onDelete, onUpdate: fk.onUpdate
+            });
+          }
+        }
+      }
+      return fks;
+    } else { // pg
+      const res = await this.pool.query(`
+        SELECT c.conname AS name, t.relname AS tbl, rt.relname AS ref_table,
+          ARRAY(SELECT a.attname::text FROM unnest(c.conkey) WITH ORDINALITY k(attnum, ord)
+                JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = k.attnum ORDER BY k.ord) AS columns,
+          ARRAY(SELECT a.attname::text FROM unnest(c.confkey) WITH ORDINALITY k(attnum, ord)
+                JOIN pg_attribute a ON a.attrelid = c.confrelid AND a.attnum = k.attnum ORDER BY k.ord) AS ref_columns,
+          c.confdeltype AS on_delete, c.confupdtype AS on_update
+        FROM pg_constraint c
+        JOIN pg_class t ON t.oid = c.conrelid
+        JOIN pg_class rt ON rt.oid = c.confrelid
+        JOIN pg_namespace n ON n.oid = t.relnamespace
+        WHERE c.contype = 'f' AND n.nspname = 'public' AND ($1::text IS NULL OR t.relname = $1 OR rt.relname = $1)
+        ORDER BY t.relname, c.conname
+      `, [table ?? null]);
+      const reglas = { a: 'NO ACTION', r: 'RESTRICT', c: 'CASCADE', n: 'SET NULL', d: 'SET DEFAULT' };
+      return res.rows.map(row => ({
+        name: row.name, table: row.tbl, columns: row.columns, refTable: row.ref_table,
+        refColumns: row.ref_columns, onDelete: reglas[row.on_delete], onUpdate: reglas[row.on_update]
+      }));
+    }
+  }
+
+  /**
+   * Estructura de todas las tablas para diagramas: columnas con tipo y nulabilidad, clave
+   * primaria y claves foráneas, con una consulta por apartado en lugar de una por tabla.
+   * Devuelve { tables: [{ name, columns: [{ name, type, nullable }], primaryKey }], foreignKeys }.
+   */
+  async getSchemaGraph() {
+    const tables = new Map();
+    const tabla = name => {
+      if (!tables.has(name)) tables.set(name, { name, columns: [], primaryKey: [] });
+      return tables.get(name);
+    };
+    if (this.db_type === 'mysql') {
+      const [cols] = await this.pool.execute(`
+        SELECT c.TABLE_NAME AS tbl, c.COLUMN_NAME AS name, c.COLUMN_TYPE AS type, c.IS_NULLABLE AS nullable
+        FROM information_schema.COLUMNS c
+        JOIN information_schema.TABLES t ON t.TABLE_SCHEMA = c.TABLE_SCHEMA AND t.TABLE_NAME = c.TABLE_NAME
+        WHERE c.TABLE_SCHEMA = DATABASE() AND t.TABLE_TYPE = 'BASE TABLE'
+        ORDER BY c.TABLE_NAME, c.ORDINAL_POSITION
+      `);
+      for (const c of cols) tabla(c.tbl).columns.push({ name: c.name, type: String(c.type), nullable: c.nullable === 'YES' });
+      const [pks] = await this.pool.execute(`
+        SELECT TABLE_NAME AS tbl, COLUMN_NAME AS col FROM information_schema.KEY_COLUMN_USAGE
+        WHERE TABLE_SCHEMA = DATABASE() AND CONSTRAINT_NAME = 'PRIMARY'
+        ORDER BY TABLE_NAME, ORDINAL_POSITION
+      `);
+      for (const pk of pks) if (tables.has(pk.tbl)) tables.get(pk.tbl).primaryKey.push(pk.col);
+    } else if (this.db_type === 'sqlite') {
+      const nombres = this.pool.prepare(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+      ).all().map(t => t.name);
+      for (const name of nombres) {
+        const info = this.pool.pragma(`table_info(${quoteSqlite(name)})`);
+        const t = tabla(name);
+        t.columns = info.map(c => ({ name: c.name, type: c.type, nullable: !c.notnull && !c.pk }));
+        t.primaryKey = info.filter(c => c.pk > 0).sort((a, b) => a.pk - b.pk).map(c => c.name);
+      }
+    } else { // pg
+      const cols = await this.pool.query(`
+        SELECT c.table_name, c.column_name, c.data_type, c.is_nullable
+        FROM information_schema.columns c
+        JOIN information_schema.tables t ON t.table_schema = c.table_schema AND t.table_name = c.table_name
+        WHERE c.table_schema = 'public' AND t.table_type = 'BASE TABLE'
+        ORDER BY c.table_name, c.ordinal_position
+      `);
+      for (const c of cols.rows) tabla(c.table_name).columns.push({ name: c.column_name, type: c.data_type, nullable: c.is_nullable === 'YES' });
+      const pks = await this.pool.query(`
+        SELECT t.relname AS tbl, a.attname AS col
+        FROM pg_index i
+        JOIN pg_class t ON t.oid = i.indrelid
+        JOIN pg_namespace n ON n.oid = t.relnamespace
+        JOIN unnest(i.indkey) WITH ORDINALITY k(attnum, ord) ON true
+        JOIN pg_attribute a ON a.attrelid = t.oid AND a.attnum = k.attnum
+        WHERE i.indisprimary AND n.nspname = 'public'
+        ORDER BY t.relname, k.ord
+      `);
+      for (const pk of pks.rows) if (tables.has(pk.tbl)) tables.get(pk.tbl).primaryKey.push(pk.col);
+    }
+    return { tables: [...tables.values()], foreignKeys: await this.getForeignKeys() };
+  }
+
+  /**
+   * Describe una tabla completa: columnas (tipo, nulos, valor por defecto, autoincremento),
+   * clave primaria, restricciones UNIQUE y CHECK con su nombre, claves foráneas de entrada y
+   * salida, índices, triggers, filas aproximadas y comentario. Devuelve null si la tabla no existe.
+   */
+  async describeTable(table) {
+    if (this.db_type === 'mysql') {
+      const [[info]] = await this.pool.execute(`
+        SELECT TABLE_ROWS AS filas, TABLE_COMMENT AS comentario FROM information_schema.TABLES
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?
+      `, [table]);
+      if (!info) return null;
+      const [cols] = await this.pool.execute(`
+        SELECT COLUMN_NAME AS name, COLUMN_TYPE AS type, IS_NULLABLE AS nullable, COLUMN_DEFAULT AS dflt,
+               EXTRA AS extra, COLUMN_COMMENT AS comentario
+        FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?
+        ORDER BY ORDINAL_POSITION
+      `, [table]);
+      const [constraints] = await this.pool.execute(`
+        SELECT t.CONSTRAINT_NAME AS name, t.CONSTRAINT_TYPE AS tipo, k.COLUMN_NAME AS col
+        FROM information_schema.TABLE_CONSTRAINTS t
+        JOIN information_schema.KEY_COLUMN_USAGE k
+          ON k.CONSTRAINT_SCHEMA = t.CONSTRAINT_SCHEMA AND k.TABLE_NAME = t.TABLE_NAME AND k.CONSTRAINT_NAME = t.CONSTRAINT_NAME
+        WHERE t.TABLE_SCHEMA = DATABASE() AND t.TABLE_NAME = ? AND t.CONSTRAINT_TYPE IN ('PRIMARY KEY', 'UNIQUE')
+        ORDER BY t.CONSTRAINT_NAME, k.ORDINAL_POSITION
+      `, [table]);
+      let checks = [];
+      try {
+        // CHECK_CONSTRAINTS existe desde MySQL 8.0.16
+        const [rows] = await this.pool.execute(`
+          SELECT c.CONSTRAINT_NAME AS name, c.CHECK_CLAUSE AS expression
+          FROM information_schema.CHECK_CONSTRAINTS c
+          JOIN information_schema.TABLE_CONSTRAINTS t
+            ON t.CONSTRAINT_SCHEMA = c.CONSTRAINT_SCHEMA AND t.CONSTRAINT_NAME = c.CONSTRAINT_NAME
+          WHERE t.TABLE_SCHEMA = DATABASE() AND t.TABLE_NAME = ? AND t.CONSTRAINT_TYPE = 'CHECK'
+        `, [table]);
+        checks = rows;
+      } catch (e) {
+        // Versión sin restricciones CHECK
+      }
+      const [stats] = await this.pool.execute(`
+        SELECT INDEX_NAME AS name, NON_UNIQUE AS non_unique, COLUMN_NAME AS col, INDEX_TYPE AS method
+        FROM information_schema.STATISTICS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?
+        ORDER BY INDEX_NAME, SEQ_IN_INDEX
+      `, [table]);
+      const agrupar = (rows, crear) => {
+        const grupos = [];
+        for (const row of rows) {
+          let g = grupos.find(x => x.name === row.name);
+          if (!g) grupos.push(g = { ...crear(row), name: row.name, columns: [] });
+          g.columns.push(row.col ?? '(expresión)');
+        }
+        return grupos;
+      };
+      const claves = agrupar(constraints, row => ({ tipo: row.tipo }));
+      const primaria = claves.find(c => c.tipo === 'PRIMARY KEY');
+      return {
+        columns: cols.map(c => ({
+          name: c.name, type: c.type, nullable: c.nullable === 'YES', default: c.dflt,
+          autoIncrement: /auto_increment/i.test(c.extra), comment: c.comentario || null
+        })),
+        primaryKey: primaria ? { name: primaria.name, columns: primaria.columns } : null,
+        uniques: claves.filter(c => c.tipo === 'UNIQUE').map(({ name, columns }) => ({ name, columns })),
+        foreignKeys: await this.getForeignKeys(table),
+        checks,
+        indexes: agrupar(stats, row => ({ unique: !Number(row.non_unique), primary: row.name === 'PRIMARY', method: row.method })),
+        rowEstimate: info.filas === null ? null : Number(info.filas),
+        exactCount: false,
+        comment: info.comentario || null,
+        triggers: await this.listTriggers(table)
+      };
+    } else if (this.db_type === 'sqlite') {
+      const master = this.pool.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?").get(table);
+      if (!master) return null;
+      const def = this.readSqliteTable(table);
+      const pk = def.columns.filter(c => c.pk > 0).sort((a, b) => a.pk - b.pk);
+      // Una única columna INTEGER PRIMARY KEY es alias de rowid y se autoincrementa
+      const rowidAlias = pk.length === 1 && /^integer$/i.test(pk[0].type) ? pk[0].name : null;
+      const indexes = this.pool.pragma(`index_list(${quoteSqlite(table)})`).map(idx => ({
+        name: idx.name,
+        columns: this.pool.pragma(`index_info(${quoteSqlite(idx.name)})`).map(c => c.name ?? '(expresión)'),
+        unique: !!idx.unique,
+        primary: idx.origin === 'pk',
+        origin: idx.origin,
+        partial: !!idx.partial
+      }));
+      return {
+        // Las columnas generadas no se listan: no se insertan ni se modifican
+        columns: def.columns.filter(c => !c.generated).map(c => ({
+          name: c.name, type: c.type, nullable: !c.notnull && c.pk === 0, default: c.dflt_value,
+          autoIncrement: c.name === rowidAlias, comment: null
+        })),
+        primaryKey: pk.length > 0 ? { name: null, columns: pk.map(c => c.name) } : null,
+        // Las UNIQUE creadas con CREATE UNIQUE INDEX se eliminan por el nombre del índice
+        uniques: [
+          ...def.uniques,
+          ...indexes.filter(i => i.unique && i.origin === 'c' && !i.partial).map(i => ({ name: i.name, columns: i.columns }))
+        ],
+        foreignKeys: await this.getForeignKeys(table),
+        checks: sqliteChecks(master.sql || ''),
+        indexes: indexes.map(({ origin, ...idx }) => idx),
+        rowEstimate: this.pool.prepare(`SELECT COUNT(*) AS total FROM ${quoteSqlite(table)}`).get().total,
+        exactCount: true,
+        comment: null,
+        triggers: await this.listTriggers(table)
+      };
+    } else { // pg
+      const { rows: [info] } = await this.pool.query(`
+        SELECT c.oid, c.reltuples, obj_description(c.oid, 'pg_class') AS comentario
+        FROM pg_class c JOIN pg_namespace n ON n.oid = c.relnamespace
+        WHERE n.nspname = 'public' AND c.relname = $1 AND c.relkind IN ('r', 'p')
+      `, [table]);
+      if (!info) return null;
+      const { rows: cols } = await this.pool.query(`
+        SELECT a.attname AS name, format_type(a.atttypid, a.atttypmod) AS type, NOT a.attnotnull AS nullable,
+               pg_get_expr(d.adbin, d.adrelid) AS dflt, a.attidentity AS identity,
+               col_description(a.attrelid, a.attnum) AS comentario
+        FROM pg_attribute a
+        LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+        WHERE a.attrelid = $1 AND a.attnum > 0 AND NOT a.attisdropped
+        ORDER BY a.attnum
+      `, [info.oid]);
+      const { rows: constraints } = await this.pool.query(`
+        SELECT c.conname AS name, c.contype AS tipo, pg_get_constraintdef(c.oid) AS definicion,
+          ARRAY(SELECT a.attname::text FROM unnest(c.conkey) WITH ORDINALITY k(attnum, ord)
+                JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = k.attnum ORDER BY k.ord) AS columns
+        FROM pg_constraint c
+        WHERE c.conrelid = $1 AND c.contype IN ('p', 'u', 'c')
+        ORDER BY c.conname
+      `, [info.oid]);
+      const { rows: indexes } = await this.pool.query(`
+        SELECT ic.relname AS name, i.indisunique AS unique, i.indisprimary AS primary, am.amname AS method,
+          i.indpred IS NOT NULL AS partial,
+          ARRAY(SELECT pg_get_indexdef(i.indexrelid, k, true) FROM generate_series(1, i.indnkeyatts) k ORDER BY k) AS columns
+        FROM pg_index i
+        JOIN pg_class ic ON ic.oid = i.indexrelid
+        JOIN pg_am am ON am.oid = ic.relam
+        WHERE i.indrelid = $1
+        ORDER BY ic.relname
+      `, [info.oid]);
+      const primaria = constraints.find(c => c.tipo === 'p');
+      return {
+        columns: cols.map(c => ({
+          name: c.name, type: c.type, nullable: c.nullable, default: c.dflt,
+          autoIncrement: c.identity === 'a' || c.identity === 'd' || /^nextval\(/i.test(c.dflt || ''),
+          comment: c.comentario
+        })),
+        primaryKey: primaria ? { name: primaria.name, columns: primaria.columns } : null,
+        uniques: constraints.filter(c => c.tipo === 'u').map(c => ({ name: c.name, columns: c.columns })),
+        foreignKeys: await this.getForeignKeys(table),
+        checks: constraints.filter(c => c.tipo === 'c').map(c => ({ name: c.name, expression: c.definicion.replace(/^CHECK\s*/i, '') })),
+        indexes,
+        // reltuples es -1 (o 0 en versiones antiguas) si la tabla nunca se analizó
+        rowEstimate: info.reltuples >= 0 ? Math.round(info.reltuples) : null,
+        exactCount: false,
+        comment: info.comentario,
+        triggers: await this.listTriggers(table)
+      };
+    }
+  }
+
+  /**
+   * Índices de una tabla o, sin tabla, de todo el esquema:
+   * [{ table, name, columns, unique, primary, constraint, method, partial, where, definition, size, scans }].
+   * `constraint` indica que el índice respalda una clave primaria o una restricción UNIQUE (se elimina
+   * con la restricción) y `definition` es la sentencia que lo recrea, o null si no se puede crear con
+   * CREATE INDEX. El tamaño en bytes y las veces que se ha usado (`scans`) solo los da PostgreSQL.
+   */
+  async listIndexes(table = null) {
+    if (this.db_type === 'mysql') {
+      const [rows] = await this.pool.execute(`
+        SELECT s.TABLE_NAME AS tabla, s.INDEX_NAME AS name, s.NON_UNIQUE AS non_unique, s.COLUMN_NAME AS col,
+               s.SUB_PART AS sub_part, s.COLLATION AS orden, s.INDEX_TYPE AS method,
+               EXISTS (SELECT 1 FROM information_schema.TABLE_CONSTRAINTS t
+                       WHERE t.TABLE_SCHEMA = s.TABLE_SCHEMA AND t.TABLE_NAME = s.TABLE_NAME
+                         AND t.CONSTRAINT_NAME = s.INDEX_NAME AND t.CONSTRAINT_TYPE IN ('PRIMARY KEY', 'UNIQUE')) AS restriccion
+        FROM information_schema.STATISTICS s
+        WHERE s.TABLE_SCHEMA = DATABASE()${table ? ' AND s.TABLE_NAME = ?' : ''}
+        ORDER BY s.TABLE_NAME, s.INDEX_NAME, s.SEQ_IN_INDEX
+      `, table ? [table] : []);
+      const indices = [];
+      for (const row of rows) {
+        let idx = indices.find(i => i.table === row.tabla && i.name === row.name);
+        if (!idx) {
+          indices.push(idx = {
+            table: row.tabla, name: row.name, columns: [], unique: !Number(row.non_unique), primary: row.name === 'PRIMARY',
+            constraint: !!Number(row.restriccion), method: row.method, partial: false, where: null, size: null, scans: null,
+            expresion: false
+          });
+        }
+        if (row.col === null) idx.expresion = true;
+        idx.columns.push(row.col === null ? '(expresión)'
+          : `${row.col}${row.sub_part ? `(${row.sub_part})` : ''}${row.orden === 'D' ? ' DESC' : ''}`);
+      }
+      return indices.map(({ expresion, ...idx }) => {
+        const tipo = ['FULLTEXT', 'SPATIAL'].includes(idx.method) ? `${idx.method} ` : idx.unique ? 'UNIQUE ' : '';
+        const columnas = idx.columns.map(c => c.replace(/^[^(\s]+/, col => `\`${col}\``)).join(', ');
+        return {
+          ...idx,
+          definition: idx.primary || expresion ? null
+            : `CREATE ${tipo}INDEX \`${idx.name}\` ON \`${idx.table}\` (${columnas})`
+        };
+      });
+    } else if (this.db_type === 'sqlite') {
+      const tablas = table ? [table] : this.pool.prepare(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+      ).all().map(t => t.name);
+      return tablas.flatMap(tabla => this.pool.pragma(`index_list(${quoteSqlite(tabla)})`)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(idx => {
+          const sql = this.pool.prepare("SELECT sql FROM sqlite_master WHERE type = 'index' AND name = ?").get(idx.name)?.sql ?? null;
+          return {
+            table: tabla,
+            name: idx.name,
+            columns: this.pool.pragma(`index_xinfo(${quoteSqlite(idx.name)})`)
+              .filter(c => c.key)
+              .map(c => (c.name === null ? '(expresión)' : `${c.name}${c.desc ? ' DESC' : ''}`)),
+            unique: !!idx.unique,
+            primary: idx.origin === 'pk',
+            // Los índices automáticos (sqlite_autoindex_*) no tienen sentencia: son de PRIMARY KEY o UNIQUE
+            constraint: idx.origin !== 'c',
+            method: null,
+            partial: !!idx.partial,
+            where: idx.partial && sql ? (sql.match(/\bWHERE\b([\s\S]*)$/i)?.[1].trim() ?? null) : null,
+            definition: sql,
+            size: null,
+            scans: null
+          };
+        }));
+    } else { // pg
+      const { rows } = await this.pool.query(`
+        SELECT t.relname AS table, ic.relname AS name, i.indisunique AS unique, i.indisprimary AS primary,
+          EXISTS (SELECT 1 FROM pg_constraint c
+                  WHERE c.conindid = i.indexrelid AND c.conrelid = i.indrelid AND c.contype IN ('p', 'u', 'x')) AS constraint,
+          am.amname AS method, i.indpred IS NOT NULL AS partial, pg_get_expr(i.indpred, i.indrelid, true) AS where,
+          pg_get_indexdef(i.indexrelid) AS definition, pg_relation_size(i.indexrelid) AS size, s.idx_scan AS scans,
+          ARRAY(SELECT pg_get_indexdef(i.indexrelid, k, true) FROM generate_series(1, i.indnkeyatts) k ORDER BY k) AS columns
+        FROM pg_index i
+        JOIN pg_class ic ON ic.oid = i.indexrelid
+        JOIN pg_class t ON t.oid = i.indrelid
+        JOIN pg_namespace n ON n.oid = t.relnamespace
+        JOIN pg_am am ON am.oid = ic.relam
+        LEFT JOIN pg_stat_user_indexes s ON s.indexrelid = i.indexrelid
+        WHERE n.nspname = 'public' AND t.relkind IN ('r', 'p', 'm')${table ? ' AND t.relname = $1' : ''}
+        ORDER BY t.relname, ic.relname
+      `, table ? [table] : []);
+      return rows.map(r => ({
+        ...r,
+        size: r.size === null ? null : Number(r.size),
+        scans: r.scans === null ? null : Number(r.scans)
+      }));
+    }
+  }
+
+  // Vistas del esquema: [{ name, materialized, populated, comment }] (populated solo en las materializadas)
+  async listViews() {
+    if (this.db_type === 'mysql') {
+      const [rows] = await this.pool.execute(`
+        SELECT TABLE_NAME AS name FROM information_schema.VIEWS
+        WHERE TABLE_SCHEMA = DATABASE() ORDER BY TABLE_NAME
+      `);
+      return rows.map(r => ({ name: r.name, materialized: false, populated: null, comment: null }));
+    } else if (this.db_type === 'sqlite') {
+      return this.pool.prepare("SELECT name FROM sqlite_master WHERE type = 'view' ORDER BY name").all()
+        .map(r => ({ name: r.name, materialized: false, populated: null, comment: null }));
+    } else { // pg
+      const { rows } = await this.pool.query(`
+        SELECT c.relname AS name, c.relkind = 'm' AS materialized, m.ispopulated AS populated,
+               obj_description(c.oid, 'pg_class') AS comment
+        FROM pg_class c
+        JOIN pg_namespace n ON n.oid = c.relnamespace
+        LEFT JOIN pg_matviews m ON m.schemaname = n.nspname AND m.matviewname = c.relname
+        WHERE n.nspname = 'public' AND c.relkind IN ('v', 'm')
+        ORDER BY c.relname
+      `);
+      return rows;
+    }
+  }
+
+  /**
+   * Una vista con su consulta (solo el SELECT, sin CREATE VIEW), sus columnas [{ name, type }] y las
+   * vistas que dependen de ella (`dependents`), además de lo que da listViews. null si no existe.
+   */
+  async getView(name) {
+    const vista = (await this.listViews()).find(v => v.name === name);
+    if (!vista) return null;
+    if (this.db_type === 'mysql') {
+      const [[info]] = await this.pool.execute(`
+        SELECT VIEW_DEFINITION AS definition, TABLE_SCHEMA AS db FROM information_schema.VIEWS
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?
+      `, [name]);
+      // MySQL guarda las tablas con el nombre de la base delante; sin él la vista se puede recrear en otra
+      const definition = info.definition.split(`\`${info.db}\`.`).join('');
+      let dependents = [];
+      try {
+        // VIEW_TABLE_USAGE existe desde MySQL 8.0.13
+        const [rows] = await this.pool.execute(`
+          SELECT DISTINCT VIEW_NAME AS name FROM information_schema.VIEW_TABLE_USAGE
+          WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND VIEW_NAME <> ?
+        `, [name, name]);
+        dependents = rows.map(r => r.name);
+      } catch (e) {
+        // Versión sin VIEW_TABLE_USAGE
+      }
+      return { ...vista, definition, columns: await this.getColumnTypes(name), dependents };
+    } else if (this.db_type === 'sqlite') {
+      const { sql } = this.pool.prepare("SELECT sql FROM sqlite_master WHERE type = 'view' AND name = ?").get(name);
+      const nombre = new RegExp(`(^|[^\\w])["\`\\[]?${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}["\`\\]]?($|[^\\w])`, 'i');
+      const dependents = this.pool.prepare("SELECT name, sql FROM sqlite_master WHERE type = 'view' AND name <> ?").all(name)
+        .filter(v => nombre.test(v.sql.replace(/^[\s\S]*?\bAS\b/i, '')))
+        .map(v => v.name);
+      return {
+        ...vista,
+        definition: sql.replace(/^\s*CREATE\s+(?:TEMP(?:ORARY)?\s+)?VIEW\s+(?:IF\s+NOT\s+EXISTS\s+)?(?:"[^"]+"|`[^`]+`|\[[^\]]+\]|\S+)\s*(?:\([^)]*\)\s*)?AS\s+/i, ''),
+        columns: this.pool.pragma(`table_info(${quoteSqlite(name)})`).map(c => ({ name: c.name, type: c.type })),
+        dependents
+      };
+    } else { // pg
+      const { rows: [info] } = await this.pool.query(`
+        SELECT c.oid, pg_get_viewdef(c.oid, true) AS definition
+        FROM pg_class c JOIN pg_namespace n ON n.oid = c.relnamespace
+        WHERE n.nspname = 'public' AND c.relname = $1 AND c.relkind IN ('v', 'm')
+      `, [name]);
+      const { rows: cols } = await this.pool.query(`
+        SELECT attname AS name, format_type(atttypid, atttypmod) AS type FROM pg_attribute
+        WHERE attrelid = $1 AND attnum > 0 AND NOT attisdropped ORDER BY attnum
+      `, [info.oid]);
+      // Las vistas que leen de esta dependen de ella a través de su regla de reescritura
+      const { rows: dependents } = await this.pool.query(`
+        SELECT DISTINCT v.relname AS name
+        FROM pg_depend d
+        JOIN pg_rewrite r ON r.oid = d.objid
+        JOIN pg_class v ON v.oid = r.ev_class
+        WHERE d.classid = 'pg_rewrite'::regclass AND d.refobjid = $1 AND v.oid <> $1
+        ORDER BY v.relname
+      `, [info.oid]);
+      return { ...vista, definition: info.definition.trim().replace(/;$/, ''), columns: cols, dependents: dependents.map(d => d.name) };
+    }
+  }
+
+  /**
+   * Funciones y procedimientos almacenados del esquema (SQLite no tiene):
+   * [{ name, kind: 'FUNCTION' | 'PROCEDURE', arguments, returns, language, comment }].
+   * En PostgreSQL no se incluyen los de extensiones, y puede haber varias con el mismo nombre.
+   */
+  async listRoutines() {
+    if (this.db_type === 'mysql') {
+      const [rows] = await this.pool.execute(`
+        SELECT ROUTINE_NAME AS name, ROUTINE_TYPE AS kind, DTD_IDENTIFIER AS returns,
+               ROUTINE_COMMENT AS comment, SPECIFIC_NAME AS specific
+        FROM information_schema.ROUTINES
+        WHERE ROUTINE_SCHEMA = DATABASE()
+        ORDER BY ROUTINE_NAME
+      `);
+      const [params] = await this.pool.execute(`
+        SELECT SPECIFIC_NAME AS specific, ROUTINE_TYPE AS kind, PARAMETER_MODE AS mode,
+               PARAMETER_NAME AS name, DTD_IDENTIFIER AS type
+        FROM information_schema.PARAMETERS
+        WHERE SPECIFIC_SCHEMA = DATABASE() AND ORDINAL_POSITION > 0
+        ORDER BY SPECIFIC_NAME, ORDINAL_POSITION
+      `);
+      return rows.map(r => ({
+        name: r.name,
+        kind: r.kind,
+        arguments: params.filter(p => p.specific === r.specific && p.kind === r.kind)
+          .map(p => `${r.kind === 'PROCEDURE' ? `${p.mode} ` : ''}${p.name} ${p.type}`).join(', '),
+        returns: r.returns ?? null,
+        language: 'SQL',
+        comment: r.comment || null
+      }));
+    } else if (this.db_type === 'sqlite') {
+      return [];
+    } else { // pg
+      const { rows } = await this.pool.query(`
+        SELECT p.proname AS name, CASE p.prokind WHEN 'p' THEN 'PROCEDURE' ELSE 'FUNCTION' END AS kind,
+               pg_get_function_arguments(p.oid) AS arguments, pg_get_function_result(p.oid) AS returns,
+               l.lanname AS language, obj_description(p.oid, 'pg_proc') AS comment
+        FROM pg_proc p
+        JOIN pg_namespace n ON n.oid = p.pronamespace
+        JOIN pg_language l ON l.oid = p.prolang
+        WHERE n.nspname = 'public' AND p.prokind IN ('f', 'p')
+          AND NOT EXISTS (SELECT 1 FROM pg_depend d
+                          WHERE d.classid = 'pg_proc'::regclass AND d.objid = p.oid AND d.deptype = 'e')
+        ORDER BY p.proname, arguments
+      `);
+      return rows;
+    }
+  }
+
+  // Las rutinas con ese nombre (varias si está sobrecargada) con su sentencia CREATE en `definition`
+  async getRoutine(name) {
+    const rutinas = (await this.listRoutines()).filter(r => r.name === name);
+    if (this.db_type === 'mysql') {
+      return Promise.all(rutinas.map(async r => {
+        const [[fila]] = await this.pool.query(`SHOW CREATE ${r.kind} \`${name}\``);
+        // Sin privilegios sobre la rutina el texto viene vacío: se usa el cuerpo de information_schema
+        let definition = fila[r.kind === 'PROCEDURE' ? 'Create Procedure' : 'Create Function'];
+        if (!definition) {
+          const [[info]] = await this.pool.execute(`
+            SELECT ROUTINE_DEFINITION AS body FROM information_schema.ROUTINES
+            WHERE ROUTINE_SCHEMA = DATABASE() AND ROUTINE_NAME = ? AND ROUTINE_TYPE = ?
+          `, [name, r.kind]);
+          definition = info.body;
+        }
+        return { ...r, definition };
+      }));
+    } else if (this.db_type === 'sqlite') {
+      return [];
+    } else { // pg
+      const { rows } = await this.pool.query(`
+        SELECT pg_get_function_arguments(p.oid) AS arguments, pg_get_functiondef(p.oid) AS definition
+        FROM pg_proc p JOIN pg_namespace n ON n.oid = p.pronamespace
+        WHERE n.nspname = 'public' AND p.proname = $1 AND p.prokind IN ('f', 'p')
+      `, [name]);
+      return rutinas.map(r => ({ ...r, definition: rows.find(d => d.arguments === r.arguments)?.definition ?? null }));
+    }
+  }
+
+  /**
+   * Triggers de una tabla o de todo el esquema: [{ name, table, timing, events, level, enabled,
+   * definition, function, functionDefinition }]. En PostgreSQL el trigger llama a una función, que
+   * se devuelve en `function` con su código en `functionDefinition` (null en los demás motores).
+   */
+  async listTriggers(table = null) {
+    if (this.db_type === 'mysql') {
+      const [rows] = await this.pool.execute(`
+        SELECT TRIGGER_NAME AS name, EVENT_OBJECT_TABLE AS tabla, ACTION_TIMING AS timing,
+               EVENT_MANIPULATION AS event, ACTION_ORIENTATION AS level, ACTION_STATEMENT AS body
+        FROM information_schema.TRIGGERS
+        WHERE TRIGGER_SCHEMA = DATABASE()${table ? ' AND EVENT_OBJECT_TABLE = ?' : ''}
+        ORDER BY EVENT_OBJECT_TABLE, ACTION_TIMING, EVENT_MANIPULATION, ACTION_ORDER
+      `, table ? [table] : []);
+      return rows.map(r => ({
+        name: r.name, table: r.tabla, timing: r.timing, events: [r.event], level: r.level, enabled: true,
+        definition: `CREATE TRIGGER \`${r.name}\` ${r.timing} ${r.event} ON \`${r.tabla}\` FOR EACH ${r.level} ${r.body}`,
+        function: null, functionDefinition: null
+      }));
+    } else if (this.db_type === 'sqlite') {
+      const rows = this.pool.prepare(`
+        SELECT name, tbl_name AS tabla, sql FROM sqlite_master
+        WHERE type = 'trigger'${table ? ' AND tbl_name = ?' : ''} ORDER BY tbl_name, name
+      `).all(...(table ? [table] : []));
+      return rows.map(r => {
+        // Sin BEFORE/AFTER/INSTEAD OF el trigger es BEFORE
+        const m = r.sql.match(/\bTRIGGER\s+(?:IF\s+NOT\s+EXISTS\s+)?(?:"[^"]+"|`[^`]+`|\[[^\]]+\]|\S+)\s+(BEFORE|AFTER|INSTEAD\s+OF)?\s*(DELETE|INSERT|UPDATE(?:\s+OF\s+[^]*?)?)\s+ON\s/i);
+        return {
+          name: r.name, table: r.tabla,
+          timing: m?.[1] ? m[1].toUpperCase().replace(/\s+/g, ' ') : 'BEFORE',
+          events: m ? [m[2].replace(/\s+/g, ' ').trim()] : [],
+          level: 'ROW', enabled: true, definition: r.sql, function: null, functionDefinition: null
+        };
+      });
+    } else { // pg
+      const { rows } = await this.pool.query(`
+        SELECT t.tgname AS name, c.relname AS table, t.tgtype AS tipo, t.tgenabled <> 'D' AS enabled,
+               pg_get_triggerdef(t.oid, true) AS definition, p.proname AS function,
+               pg_get_functiondef(t.tgfoid) AS "functionDefinition"
+        FROM pg_trigger t
+        JOIN pg_class c ON c.oid = t.tgrelid
+        JOIN pg_namespace n ON n.oid = c.relnamespace
+        JOIN pg_proc p ON p.oid = t.tgfoid
+        WHERE NOT t.tgisinternal AND n.nspname = 'public'${table ? ' AND c.relname = $1' : ''}
+        ORDER BY c.relname, t.tgname
+      `, table ? [table] : []);
+      // tgtype es una máscara: 1 por fila, 2 BEFORE, 4 INSERT, 8 DELETE, 16 UPDATE, 32 TRUNCATE, 64 INSTEAD OF
+      return rows.map(({ tipo, ...r }) => ({
+        ...r,
+        timing: tipo & 2 ? 'BEFORE' : tipo & 64 ? 'INSTEAD OF' : 'AFTER',
+        events: [[4, 'INSERT'], [16, 'UPDATE'], [8, 'DELETE'], [32, 'TRUNCATE']].filter(([bit]) => tipo & bit).map(([, e]) => e),
+        level: tipo & 1 ? 'ROW' : 'STATEMENT'
+      }));
+    }
+  }
+
+  /**
+   * Sentencias que recrean la tabla vacía tal como está: CREATE TABLE con sus restricciones y,
+   * aparte, sus índices y triggers (SQLite) o índices y comentarios (PostgreSQL).
+   * Devuelve null si la tabla no existe.
+   */
+  async getCreateTableStatements(table) {
+    if (this.db_type === 'mysql') {
+      try {
+        const [[row]] = await this.pool.query(`SHOW CREATE TABLE \`${table.replace(/`/g, '``')}\``);
+        return [row['Create Table']];
+      } catch (e) {
+        if (e.code === 'ER_NO_SUCH_TABLE') return null;
+        throw e;
+      }
+    } else if (this.db_type === 'sqlite') {
+      const rows = this.pool.prepare(`
+        SELECT type, sql FROM sqlite_master
+        WHERE tbl_name = ? AND sql IS NOT NULL AND type IN ('table', 'index', 'trigger')
+        ORDER BY CASE type WHEN 'table' THEN 0 WHEN 'index' THEN 1 ELSE 2 END, name
+      `).all(table);
+      if (!rows.some(r => r.type === 'table')) return null;
+      return rows.map(r => r.sql);
+    } else { // pg
+      const { rows: [info] } = await this.pool.query(`
+        SELECT c.oid, obj_description(c.oid, 'pg_class') AS comentario
+        FROM pg_class c JOIN pg_namespace n ON n.oid = c.relnamespace
+        WHERE n.nspname = 'public' AND c.relname = $1 AND c.relkind IN ('r', 'p')
+      `, [table]);
+      if (!info) return null;
+      const { rows: cols } = await this.pool.query(`
+        SELECT a.attname AS name, format_type(a.atttypid, a.atttypmod) AS type, a.attnotnull AS notnull,
+               pg_get_expr(d.adbin, d.adrelid) AS dflt, a.attidentity AS identity,
+               col_description(a.attrelid, a.attnum) AS comentario
+        FROM pg_attribute a
+        LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+        WHERE a.attrelid = $1 AND a.attnum > 0 AND NOT a.attisdropped
+        ORDER BY a.attnum
+      `, [info.oid]);
+      const { rows: constraints } = await this.pool.query(`
+        SELECT conname AS name, pg_get_constraintdef(oid) AS definicion
+        FROM pg_constraint
+        WHERE conrelid = $1 AND contype IN ('p', 'u', 'c', 'f', 'x')
+        ORDER BY CASE contype WHEN 'p' THEN 0 WHEN 'u' THEN 1 WHEN 'c' THEN 2 ELSE 3 END, conname
+      `, [info.oid]);
+      const { rows: indexes } = await this.pool.query(`
+        SELECT pg_get_indexdef(i.indexrelid) AS definicion
+        FROM pg_index i
+        WHERE i.indrelid = $1 AND NOT EXISTS (SELECT 1 FROM pg_constraint c WHERE c.conindid = i.indexrelid)
+      `, [info.oid]);
+      const ident = name => `"${name.replace(/"/g, '""')}"`;
+      const literal = text => `'${text.replace(/'/g, "''")}'`;
+      // Las secuencias de serial se borran con la tabla: se recrean declarando la columna como serial
+      const seriales = { integer: 'serial', bigint: 'bigserial', smallint: 'smallserial' };
+      const lines = cols.map(c => {
+        const serial = /^nextval\(/i.test(c.dflt || '') && seriales[c.type];
+        let line = `${ident(c.name)} ${serial || c.type}`;
+        if (c.identity) line += ` GENERATED ${c.identity === 'a' ? 'ALWAYS' : 'BY DEFAULT'} AS IDENTITY`;
+        if (c.notnull && !serial) line += ' NOT NULL';
+        if (c.dflt !== null && !serial) line += ` DEFAULT ${c.dflt}`;
+        return line;
+      }).concat(constraints.map(c => `CONSTRAINT ${ident(c.name)} ${c.definicion}`));
+      const statements = [`CREATE TABLE ${ident(table)} (\n${lines.join(',\n')}\n)`, ...indexes.map(i => i.definicion)];
+      if (info.comentario) statements.push(`COMMENT ON TABLE ${ident(table)} IS ${literal(info.comentario)}`);
+      for (const c of cols.filter(col => col.comentario)) {
+        statements.push(`COMMENT ON COLUMN ${ident(table)}.${ident(c.name)} IS ${literal(c.comentario)}`);
+      }
+      return statements;
+    }
+  }
+
+  /**
+   * Lee la definición de una tabla SQLite: columnas (con su COLLATE, sus CHECK y la expresión de
+   * las generadas), claves foráneas, restricciones UNIQUE y CHECK de la tabla.
+   * Los nombres de las restricciones se recuperan del CREATE TABLE original cuando existen.
+   */
+  readSqliteTable(table) {
+    const master = this.pool.prepare(
+      "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?"
+    ).get(table);
+    if (!master) {
+      throw new Error(`La tabla '${table}' no existe.`);
+    }
+    const createSql = master.sql || '';
+    const namedConstraints = [...createSql.matchAll(
+      /CONSTRAINT\s+["`]?(\w+)["`]?\s+(FOREIGN\s+KEY|UNIQUE)\s*\(([^)]*)\)/gi
+    )].map(m => ({
+      name: m[1],
+      kind: /UNIQUE/i.test(m[2]) ? 'unique' : 'fk',
+      columns: m[3].split(',').map(c => c.trim().replace(/^["`]|["`]$/g, '')).join(',')
+    }));
+    const constraintName = (kind, columns) =>
+      namedConstraints.find(c => c.kind === kind && c.columns === columns.join(','))?.name;
+
+    // table_xinfo incluye las columnas generadas (hidden 2 virtual, 3 almacenada)
+    const clausulas = sqliteTableClauses(createSql);
+    const columns = this.pool.pragma(`table_xinfo(${quoteSqlite(table)})`).filter(c => c.hidden !== 1).map(c => {
+      const extra = clausulas.columnas.get(c.name) || {};
+      if (c.hidden >= 2 && !extra.generated) {
+        throw new Error(`No se pudo leer la expresión de la columna generada '${c.name}' de '${table}'.`);
+      }
+      return {
+        name: c.name,
+        type: c.type,
+        notnull: !!c.notnull,
+        dflt_value: c.dflt_value,
+        pk: c.pk,
+        collate: extra.collate ?? null,
+        generated: c.hidden >= 2 ? extra.generated : null,
+        checks: extra.checks ?? [],
+      };
+    });
+
+    const fkRows = this.pool.pragma(`foreign_key_list(${quoteSqlite(table)})`);
+    const foreignKeys = [];
+    for (const row of fkRows) {
+      let fk = foreignKeys.find(f => f.id === row.id);
+      if (!fk) {
+        fk = { id: row.id, table: row.table, columns: [], refColumns: [], onDelete: row.on_delete, onUpdate: row.on_update };
+        foreignKeys.push(fk);
+      }
+      fk.columns.push(row.from);
+      fk.refColumns.push(row.to);
+    }
+    foreignKeys.forEach(fk => { fk.name = constraintName('fk', fk.columns); });
+
+    const uniques = this.pool.pragma(`index_list(${quoteSqlite(table)})`)
+      .filter(idx => idx.origin === 'u')
+      .map(idx => {
+        const cols = this.pool.pragma(`index_info(${quoteSqlite(idx.name)})`).map(c => c.name);
+        return { name: constraintName('unique', cols), columns: cols };
+      });
+
+    return {
+      columns,
+      foreignKeys,
+      uniques,
+      checks: clausulas.checks,
+      autoincrement: /AUTOINCREMENT/i.test(createSql)
+    };
+  }
+
+  /**
+   * Sentencias que reconstruyen una tabla SQLite con la definición `definition`: ejecutar `antes`
+   * (borrar las vistas y triggers que la nombran), crear la tabla nueva, copiar las columnas de
+   * `copied`, borrar la original, renombrar y ejecutar `despues` (recrear índices, triggers y vistas).
+   */
+  sqliteRebuildStatements(table, definition, copied, { antes, despues }) {
+    const pkCols = definition.columns.filter(c => c.pk > 0).sort((a, b) => a.pk - b.pk);
+    const lines = definition.columns.map(c => {
+      let line = `${quoteSqlite(c.name)} ${c.type}`.trim();
+      if (pkCols.length === 1 && pkCols[0].name === c.name) {
+        line += ' PRIMARY KEY';
+        if (definition.autoincrement) line += ' AUTOINCREMENT';
+      }
+      if (c.notnull) line += ' NOT NULL';
+      if (c.dflt_value !== null && c.dflt_value !== undefined) line += ` DEFAULT ${c.dflt_value}`;
+      if (c.collate) line += ` COLLATE ${c.collate}`;
+      if (c.generated) line += ` GENERATED ALWAYS AS (${c.generated.expression}) ${c.generated.stored ? 'STORED' : 'VIRTUAL'}`;
+      for (const ch of c.checks || []) line += ` ${ch.name ? `CONSTRAINT ${quoteSqlite(ch.name)} ` : ''}CHECK (${ch.expression})`;
+      return line;
+    });
+    if (pkCols.length > 1) {
+      lines.push(`PRIMARY KEY (${pkCols.map(c => quoteSqlite(c.name)).join(', ')})`);
+    }
+    for (const u of definition.uniques) {
+      const prefix = u.name ? `CONSTRAINT ${quoteSqlite(u.name)} ` : '';
+      lines.push(`${prefix}UNIQUE (${u.columns.map(quoteSqlite).join(', ')})`);
+    }
+    for (const fk of definition.foreignKeys) {
+      const prefix = fk.name ? `CONSTRAINT ${quoteSqlite(fk.name)} ` : '';
+      let line = `${prefix}FOREIGN KEY (${fk.columns.map(quoteSqlite).join(', ')}) `
+        + `REFERENCES ${quoteSqlite(fk.table)} (${fk.refColumns.map(quoteSqlite).join(', ')})`;
+      if (fk.onDelete && fk.onDelete !== 'NO ACTION') line += ` ON DELETE ${fk.onDelete}`;
+      if (fk.onUpdate && fk.onUpdate !== 'NO ACTION') line += ` ON UPDATE ${fk.onUpdate}`;
+      lines.push(line);
+    }
+    for (const ch of definition.checks || []) {
+      lines.push(`${ch.name ? `CONSTRAINT ${quoteSqlite(ch.name)} ` : ''}CHECK (${ch.expression})`);
+    }
+    const tempName = `_nuevo_${table}`;
+    const colList = copied.map(quoteSqlite).join(', ');
+    return [
+      ...antes,
+      `CREATE TABLE ${quoteSqlite(tempName)} (\n${lines.join(',\n')}\n)`,
+      `INSERT INTO ${quoteSqlite(tempName)} (${colList}) SELECT ${colList} FROM ${quoteSqlite(table)}`,
+      `DROP TABLE ${quoteSqlite(table)}`,
+      `ALTER TABLE ${quoteSqlite(tempName)} RENAME TO ${quoteSqlite(table)}`,
+      ...despues,
+    ];
+  }
+
+  /**
+   * Vistas y triggers de otras tablas que nombran `table` (o una de esas vistas): el RENAME de la
+   * reconstrucción falla si existen, así que se borran antes y se recrean después, en el orden en
+   * que se crearon. Los triggers de una vista borrada desaparecen con ella y también se recrean.
+   */
+  sqliteDependentObjects(table) {
+    const objetos = this.pool.prepare(
+      "SELECT type, name, tbl_name, sql FROM sqlite_master WHERE type IN ('view', 'trigger') AND sql IS NOT NULL ORDER BY rowid"
+    ).all();
+    const nombres = [table];
+    for (let nuevas = true; nuevas;) {
+      nuevas = false;
+      for (const o of objetos) {
+        if (o.type === 'view' && !nombres.includes(o.name) && nombres.some(n => mentionsSqlite(o.sql, n))) {
+          nombres.push(o.name);
+          nuevas = true;
+        }
+      }
+    }
+    const vistas = objetos.filter(o => o.type === 'view' && nombres.includes(o.name));
+    const triggers = objetos.filter(o => o.type === 'trigger' && o.tbl_name !== table
+      && (nombres.includes(o.tbl_name) || nombres.some(n => mentionsSqlite(o.sql, n))));
+    return {
+      antes: [
+        ...triggers.filter(t => !nombres.includes(t.tbl_name)).map(t => `DROP TRIGGER ${quoteSqlite(t.name)}`),
+        ...vistas.slice().reverse().map(v => `DROP VIEW ${quoteSqlite(v.name)}`),
+      ],
+      despues: [...vistas.map(v => v.sql), ...triggers.map(t => t.sql)],
+    };
+  }
+
+  /**
+   * Reconstruye una tabla SQLite (crear nueva, copiar, borrar, renombrar) para los cambios
+   * que ALTER TABLE no soporta. `modify` recibe la definición leída y la ajusta en sitio.
+   * Se conservan los CHECK, COLLATE y columnas generadas del CREATE original, los índices y
+   * triggers de la tabla y las vistas y triggers que dependen de ella.
+   * Devuelve { up, down }: las sentencias ejecutadas y las que devuelven la tabla a su definición
+   * anterior (para registrar la migración).
+   */
+  async rebuildSqliteTable(table, modify) {
+    if (this.db_type !== 'sqlite') {
+      throw new Error('La reconstrucción de tablas solo aplica a SQLite.');
+    }
+    const db = this.pool;
+    // La lectura de la definición y la reconstrucción no deben mezclarse con otras transacciones
+    return this.exclusiveSqlite(() => {
+      const definition = this.readSqliteTable(table);
+      const original = structuredClone(definition);
+      modify(definition);
+
+      const propios = db.prepare(
+        "SELECT sql FROM sqlite_master WHERE type IN ('index', 'trigger') AND tbl_name = ? AND sql IS NOT NULL"
+      ).all(table).map(dep => dep.sql);
+      const { antes, despues } = this.sqliteDependentObjects(table);
+      const dependents = { antes, despues: [...propios, ...despues] };
+      // Las columnas generadas se calculan solas: no se copian
+      const originalColumns = original.columns.filter(c => !c.generated).map(c => c.name);
+      const copied = definition.columns.filter(c => !c.generated).map(c => c.name).filter(c => originalColumns.includes(c));
+      const up = this.sqliteRebuildStatements(table, definition, copied, dependents);
+      const down = this.sqliteRebuildStatements(table, original, copied, dependents);
+
+      // Procedimiento recomendado por SQLite: claves foráneas desactivadas fuera de la transacción
+      db.pragma('foreign_keys = OFF');
+      try {
+        db.exec('BEGIN');
+        try {
+          for (const sql of up) {
+            this.traced(sql, [], () => db.exec(sql), () => null);
+          }
+          const violations = db.pragma(`foreign_key_check(${quoteSqlite(table)})`);
+          if (violations.length > 0) {
+            throw new Error(`La reconstrucción dejaría ${violations.length} fila(s) violando claves foráneas.`);
+          }
+          db.exec('COMMIT');
+        } catch (e) {
+          db.exec('ROLLBACK');
+          throw e;
+        }
+      } finally {
+        db.pragma('foreign_keys = ON');
+      }
+      return { up, down };
+    });
+  }
+
   async closePool() {
     if (this.pool) {
-      await this.pool.end();
+      if (this.db_type === 'sqlite') {
+        this.pool.close();
+      } else {
+        await this.pool.end();
+      }
     }
   }
 }
@@ -0,0 +1,287 @@
+import sqlParser from 'node-sql-parser';
+
+const { Parser } = sqlParser;
+const parser = new Parser();
+
+// Dialecto de node-sql-parser para cada motor
+const DIALECTS = { mysql: 'MySQL', pg: 'PostgresQL', sqlite: 'Sqlite' };
+
+// Sentencias que nunca pueden aparecer en una consulta de solo lectura, ni siquiera anidadas
+const WRITE_STATEMENTS = new Set([
+  'insert', 'update', 'delete', 'replace', 'merge', 'create', 'drop', 'alter', 'truncate',
+  'rename', 'grant', 'revoke', 'call', 'exec', 'set', 'lock', 'unlock', 'use', 'load_data',
+]);
+
+// Funciones con efectos secundarios (esperas, archivos, bloqueos, secuencias, procesos)
+const SIDE_EFFECT_FUNCTIONS = new Set([
+  // PostgreSQL
+  'pg_sleep', 'pg_sleep_for', 'pg_sleep_until', 'pg_terminate_backend', 'pg_cancel_backend',
+  'pg_reload_conf', 'pg_rotate_logfile', 'pg_switch_wal', 'pg_create_restore_point',
+  'pg_read_file', 'pg_read_binary_file', 'pg_ls_dir', 'pg_stat_file', 'lo_import', 'lo_export',
+  'lo_unlink', 'dblink', 'dblink_exec', 'set_config', 'nextval', 'setval', 'pg_notify',
+  'pg_advisory_lock', 'pg_advisory_xact_lock', 'pg_try_advisory_lock', 'pg_advisory_lock_shared',
+  // MySQL
+  'sleep', 'benchmark', 'get_lock', 'release_lock', 'release_all_locks', 'load_file',
+  'master_pos_wait', 'source_pos_wait',
+  // SQLite
+  'load_extension', 'readfile', 'writefile', 'edit',
+]);
+
+// Funciones de PostgreSQL que ejecutan SQL o leen tablas recibidos como texto (query_to_xml,
+// table_to_xml...): las tablas que leen no aparecen en la consulta y escaparían del ámbito de la política
+const SQL_TEXT_FUNCTIONS = /^(query|table|cursor|schema|database)_to_xml/;
+
+// EXPLAIN con sus opciones: EXPLAIN ANALYZE, EXPLAIN (FORMAT JSON), EXPLAIN QUERY PLAN...
+const EXPLAIN_PREFIX = /^\s*EXPLAIN((\s*\([^)]*\))|\s+(ANALYZE|VERBOSE|EXTENDED|QUERY\s+PLAN|FORMAT\s*=\s*\w+))*\s+/i;
+
+function dialectOf(db_type) {
+  return DIALECTS[db_type] || 'PostgresQL';
+}
+
+function functionName(node) {
+  if (typeof node.name === 'string') return node.name.toLowerCase();
+  const parts = node.name?.name;
+  if (Array.isArray(parts) && parts.length > 0) return String(parts[parts.length - 1].value).toLowerCase();
+  return '';
+}
+
+// Recorre el AST completo (subconsultas, CTE, UNION) buscando el primer motivo de rechazo
+function findViolation(node, seen = new Set()) {
+  if (!node || typeof node !== 'object' || seen.has(node)) return null;
+  seen.add(node);
+  if (Array.isArray(node)) {
+    for (const item of node) {
+      const found = findViolation(item, seen);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (typeof node.type === 'string' && WRITE_STATEMENTS.has(node.type.toLowerCase())) {
+    return `contiene una sentencia ${node.type.toUpperCase()}; solo se permiten lecturas.`;
+  }
+  if (node.type === 'select') {
+    if (node.into && node.into.position) {
+      return 'usa SELECT ... INTO, que escribe en archivos, variables o tablas.';
+    }
+    const lock = node.locking_read || node.for_update;
+    if (lock) {
+      return `usa la cláusula de bloqueo "${typeof lock === 'string' ? lock : 'FOR UPDATE'}".`;
+    }
+  }
+  if (node.type === 'function' && SIDE_EFFECT_FUNCTIONS.has(functionName(node))) {
+    return `llama a la función ${functionName(node)}(), que tiene efectos secundarios.`;
+  }
+  if (node.type === 'function' && SQL_TEXT_FUNCTIONS.test(functionName(node))) {
+    return `llama a la función ${functionName(node)}(), que lee tablas o ejecuta SQL recibidos como texto.`;
+  }
+  for (const value of Object.values(node)) {
+    const found = findViolation(value, seen);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Pistas para las consultas que el analizador no entiende
+function explainParseFailure(sql) {
+  if (/\bFOR\s+(NO\s+KEY\s+)?(UPDATE|SHARE|KEY\s+SHARE)\b/i.test(sql)) {
+    return 'usa una cláusula de bloqueo (FOR UPDATE / FOR SHARE).';
+  }
+  const escritura = sql.match(/\b(INSERT|UPDATE|DELETE|MERGE|TRUNCATE|DROP|ALTER|CREATE)\b/i);
+  if (escritura) {
+    return `contiene ${escritura[1].toUpperCase()}; solo se permiten lecturas.`;
+  }
+  return null;
+}
+
+/**
+ * Valida que una consulta sea una única sentencia de solo lectura (SELECT, WITH ... SELECT,
+ * consultas entre paréntesis, UNION y EXPLAIN de todo ello).
+ * Devuelve { ok: true, sql } con la consulta lista para ejecutar, o { ok: false, reason }.
+ */
+export function validateReadOnlyQuery(sql, db_type) {
+  const texto = sql.trim().replace(/;\s*$/, '');
+  if (!texto) {
+    return { ok: false, reason: 'La consulta está vacía.' };
+  }
+  const explain = texto.match(EXPLAIN_PREFIX);
+  const cuerpo = explain ? texto.slice(explain[0].length) : texto;
+
+  let ast;
+  try {
+    ast = parser.astify(cuerpo, { database: dialectOf(db_type) });
+  } catch (e) {
+    const pista = explainParseFailure(cuerpo);
+    if (pista) return { ok: false, reason: `Consulta rechazada: ${pista}` };
+    const detalle = String(e.message || e).split('\n')[0].slice(0, 200);
+    return { ok: false, reason: `No se pudo analizar la consulta como SQL de ${dialectOf(db_type)}: ${detalle}` };
+  }
+  const sentencias = (Array.isArray(ast) ? ast : [ast]).filter(Boolean);
+  if (sentencias.length !== 1) {
+    return { ok: false, reason: `Consulta rechazada: contiene ${sentencias.length} sentencias; solo se permite una.` };
+  }
+  const [sentencia] = sentencias;
+  if (sentencia.type !== 'select') {
+    return { ok: false, reason: `Consulta rechazada: es una sentencia ${String(sentencia.type).toUpperCase()}; solo se permiten SELECT, WITH y EXPLAIN.` };
+  }
+  const violacion = findViolation(sentencia);
+  if (violacion) {
+    return { ok: false, reason: `Consulta rechazada: ${violacion}` };
+  }
+  return { ok: true, sql: texto };
+}
+
+// Añade LIMIT/OFFSET a una consulta ya validada; si trae su propio límite se envuelve como subconsulta
+export function withRowLimit(sql, limit, offset = 0) {
+  if (/\b(LIMIT|OFFSET|FETCH)\b/i.test(sql)) {
+    return `SELECT * FROM (\n${sql}\n) AS _consulta LIMIT ${limit} OFFSET ${offset}`;
+  }
+  return `${sql}\nLIMIT ${limit} OFFSET ${offset}`;
+}
+
+// Nombres de las CTE (WITH nombre AS ...) para no confundirlas con tablas
+function cteNames(node, names = new Set(), seen = new Set()) {
+  if (!node || typeof node !== 'object' || seen.has(node)) return names;
+  seen.add(node);
+  if (!Array.isArray(node) && Array.isArray(node.with)) {
+    for (const cte of node.with) {
+      const name = typeof cte.name === 'string' ? cte.name : cte.name?.value;
+      if (name) names.add(String(name).toLowerCase());
+    }
+  }
+  Object.values(node).forEach(value => cteNames(value, names, seen));
+  return names;
+}
+
+// Tablas que lee una consulta; [] si no se puede analizar
+export function tablesInQuery(sql, db_type) {
+  const texto = sql.trim().replace(/;\s*$/, '');
+  const explain = texto.match(EXPLAIN_PREFIX);
+  try {
+    const { tableList, ast } = parser.parse(explain ? texto.slice(explain[0].length) : texto, { database: dialectOf(db_type) });
+    const ctes = cteNames(ast);
+    return [...new Set(tableList.map(entry => entry.split('::').pop()))]
+      .filter(name => !ctes.has(name.toLowerCase()));
+  } catch (e) {
+    return [];
+  }
+}
+
+// Nombre de la columna de un column_ref (según el dialecto es texto o { expr: { value } })
+function columnName(node) {
+  return typeof node.column === 'string' ? node.column : node.column?.expr?.value ?? null;
+}
+
+// Comparaciones en las que un índice sobre la columna sirve para buscar por igualdad
+const EQUALITY_OPERATORS = new Set(['=', 'IN', 'IS']);
+
+/**
+ * Columnas que usa el SELECT principal de una consulta, para sugerir índices: las comparadas en
+ * WHERE y en los ON de los JOIN ({ tabla, columna, igualdad, clausula: 'where' | 'on' }) y las de
+ * ORDER BY y GROUP BY ({ tabla, columna }). Los alias se resuelven a la tabla real y una columna sin calificar se
+ * atribuye a la tabla si la consulta lee solo una. No entra en subconsultas, funciones ni operaciones
+ * (un índice sobre la columna no sirve para lower(columna) = ... ni para columna + 1 = ...).
+ * Devuelve { alias: { alias: tabla }, filtros, orden } o null si no se puede analizar.
+ */
+export function queryColumnUsage(sql, db_type) {
+  const texto = sql.trim().replace(/;\s*$/, '');
+  const explain = texto.match(EXPLAIN_PREFIX);
+  let ast;
+  try {
+    ast = parser.astify(explain ? texto.slice(explain[0].length) : texto, { database: dialectOf(db_type) });
+  } catch (e) {
+    return null;
+  }
+  if (Array.isArray(ast)) ast = ast[0];
+  if (!ast || ast.type !== 'select') return null;
+  const tablas = (ast.from || []).filter(f => typeof f.table === 'string');
+  const alias = {};
+  for (const f of tablas) {
+    alias[f.table] = f.table;
+    if (f.as) alias[f.as] = f.table;
+  }
+  const unica = tablas.length === 1 ? tablas[0].table : null;
+  const referencia = node => ({ tabla: node.table ? alias[node.table] ?? null : unica, columna: columnName(node) });
+
+  const filtros = [];
+  const visitar = (node, operador, clausula) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) return node.forEach(n => visitar(n, operador, clausula));
+    if (node.type === 'column_ref') {
+      const ref = referencia(node);
+      if (ref.tabla && ref.columna) filtros.push({ ...ref, igualdad: EQUALITY_OPERATORS.has(operador), clausula });
+      return;
+    }
+    if (node.ast || node.type === 'select' || node.type === 'function' || node.type === 'aggr_func') return;
+    if (node.type === 'binary_expr') {
+      const op = String(node.operator).toUpperCase();
+      // Una columna dentro de una operación (precio * 2 > 10) tampoco puede usar el índice
+      if (/^[-+*/%|&^]+$/.test(op)) return;
+      const logico = op === 'AND' || op === 'OR';
+      visitar(node.left, logico ? null : op, clausula);
+      visitar(node.right, logico ? null : op, clausula);
+      return;
+    }
+    if (node.type === 'expr_list') visitar(node.value, operador, clausula);
+  };
+  visitar(ast.where, null, 'where');
+  tablas.forEach(f => visitar(f.on, null, 'on'));
+
+  const agrupadas = Array.isArray(ast.groupby) ? ast.groupby : ast.groupby?.columns || [];
+  const orden = [...(ast.orderby || []).map(o => o.expr), ...agrupadas]
+    .filter(node => node?.type === 'column_ref')
+    .map(referencia)
+    .filter(ref => ref.tabla && ref.columna);
+  return { alias, filtros, orden };
+}
+
+// Sentencias de estructura admitidas dentro de una transacción
+const DDL_STATEMENTS = new Set(['create', 'alter', 'drop', 'rename']);
+const DDL_PREFIX = /^\s*(CREATE|ALTER|DROP|RENAME)\b/i;
+
+/**
+ * Valida que el texto sea una única sentencia DDL (CREATE, ALTER, DROP o RENAME).
+ * Si el analizador no entiende la sintaxis del motor se acepta una sola sentencia sin ';' intermedios.
+ * Devuelve { ok: true, sql } o { ok: false, reason }.
+ */
+export function validateDDLStatement(sql, db_type) {
+  const texto = sql.trim().replace(/;\s*$/, '');
+  if (!texto) {
+    return { ok: false, reason: 'La sentencia DDL está vacía.' };
+  }
+  let ast;
+  try {
+    ast = parser.astify(texto, { database: dialectOf(db_type) });
+  } catch (e) {
+    if (!DDL_PREFIX.test(texto)) {
+      return { ok: false, reason: 'Solo se admiten sentencias CREATE, ALTER, DROP o RENAME.' };
+    }
+    if (texto.includes(';')) {
+      return { ok: false, reason: 'Cada operación DDL debe contener una sola sentencia.' };
+    }
+    return { ok: true, sql: texto };
+  }
+  const sentencias = (Array.isArray(ast) ? ast : [ast]).filter(Boolean);
+  if (sentencias.length !== 1) {
+    return { ok: false, reason: `Contiene ${sentencias.length} sentencias; cada operación DDL debe contener una sola.` };
+  }
+  if (!DDL_STATEMENTS.has(String(sentencias[0].type).toLowerCase())) {
+    return { ok: false, reason: `Es una sentencia ${String(sentencias[0].type).toUpperCase()}; solo se admiten CREATE, ALTER, DROP o RENAME.` };
+  }
+  return { ok: true, sql: texto };
+}
+
+// Parte de un nombre (cualificado o no): entre comillas admite espacios, acentos y comillas duplicadas
+const NOMBRE_DDL = '(?:`(?:[^`]|``)+`|"(?:[^"]|"")+"|[\\p{L}\\p{N}_$]+)';
+const TABLA_DDL = new RegExp(
+  `\\b(?:TABLE|ON|TO|REFERENCES)\\s+(?:IF\\s+(?:NOT\\s+)?EXISTS\\s+)?(?!(?:DELETE|UPDATE|CONFLICT|COMMIT)\\b)`
+  + `(${NOMBRE_DDL}(?:\\s*\\.\\s*${NOMBRE_DDL})*)`, 'giu');
+
+// Tablas que nombra una sentencia DDL (TABLE x, ON x, RENAME TO x); [] si no se reconoce ninguna
+export function tablesInDDL(sql) {
+  const tablas = [];
+  for (const match of sql.matchAll(TABLA_DDL)) {
+    const ultima = match[1].match(new RegExp(`${NOMBRE_DDL}$`, 'u'))[0];
+    tablas.push(/^[`"]/.test(ultima) ? ultima.slice(1, -1).replaceAll(ultima[0] + ultima[0], ultima[0]) : ultima);
+  }
+  return [...new Set(tablas)];
+}
@@ -0,0 +1,154 @@
+// Diagramas entidad-relación (Mermaid erDiagram y Graphviz DOT) a partir de getSchemaGraph
+
+export const DIAGRAM_FORMATS = ['mermaid', 'dot'];
+
+// Nivel de detalle de cada tabla: todas las columnas, solo las de clave o solo el nombre
+export const DIAGRAM_DETAILS = ['columnas', 'claves', 'tablas'];
+
+/**
+ * Reduce el grafo a las tablas indicadas y a sus vecinas a `saltos` relaciones de distancia
+ * (las claves foráneas se recorren en ambos sentidos). Sin tablas indicadas se deja entero.
+ * Solo se dibujan las claves foráneas con sus dos extremos dentro de la selección; el resto se
+ * conserva en `allForeignKeys` para seguir marcando sus columnas como FK.
+ */
+export function selectTables(graph, tablas, saltos = 0) {
+  let nombres;
+  if (!tablas || tablas.length === 0) {
+    nombres = new Set(graph.tables.map(t => t.name));
+  } else {
+    const existentes = new Set(graph.tables.map(t => t.name));
+    const faltan = tablas.filter(t => !existentes.has(t));
+    if (faltan.length > 0) throw new Error(`No existe(n) la(s) tabla(s): ${faltan.join(', ')}.`);
+    nombres = new Set(tablas);
+    let frontera = [...nombres];
+    for (let i = 0; i < saltos && frontera.length > 0; i++) {
+      const siguiente = [];
+      for (const fk of graph.foreignKeys) {
+        for (const [desde, hacia] of [[fk.table, fk.refTable], [fk.refTable, fk.table]]) {
+          if (frontera.includes(desde) && existentes.has(hacia) && !nombres.has(hacia)) {
+            nombres.add(hacia);
+            siguiente.push(hacia);
+          }
+        }
+      }
+      frontera = siguiente;
+    }
+  }
+  return {
+    tables: graph.tables.filter(t => nombres.has(t.name)),
+    foreignKeys: graph.foreignKeys.filter(fk => nombres.has(fk.table) && nombres.has(fk.refTable)),
+    allForeignKeys: graph.foreignKeys,
+  };
+}
+
+// Columnas de la tabla que forman parte de alguna clave foránea saliente
+function fkColumns(table, foreignKeys) {
+  return new Set(foreignKeys.filter(fk => fk.table === table.name).flatMap(fk => fk.columns));
+}
+
+function visibleColumns(table, foreignKeys, detalle) {
+  if (detalle === 'tablas') return [];
+  if (detalle === 'columnas') return table.columns;
+  const fks = fkColumns(table, foreignKeys);
+  return table.columns.filter(c => table.primaryKey.includes(c.name) || fks.has(c.name));
+}
+
+// Cardinalidad de una relación: el padre es opcional si alguna columna de la FK admite NULL y
+// la relación es 1:1 si las columnas de la FK son toda la clave primaria de la tabla hija
+function relationship(fk, tablesByName) {
+  const hija = tablesByName.get(fk.table);
+  const columnas = fk.columns.map(c => hija.columns.find(col => col.name === c));
+  const padreOpcional = columnas.some(c => !c || c.nullable);
+  const unoAUno = hija.primaryKey.length === fk.columns.length && fk.columns.every(c => hija.primaryKey.includes(c));
+  const identificadora = fk.columns.every(c => hija.primaryKey.includes(c));
+  return { padreOpcional, unoAUno, identificadora };
+}
+
+function mermaidName(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `"${name.replace(/"/g, "'")}"`;
+}
+
+// Mermaid solo admite letras, dígitos, guiones y paréntesis en el tipo de un atributo
+function mermaidType(type) {
+  const t = String(type || '').trim().replace(/\s+/g, '_').replace(/,/g, '-').replace(/[^\p{L}\p{N}_\-()[\]]/gu, '');
+  return t || 'sin_tipo';
+}
+
+function mermaidAttribute(name) {
+  return name.replace(/[^\p{L}\p{N}_-]/gu, '_');
+}
+
+/** Diagrama en sintaxis Mermaid `erDiagram`. */
+export function toMermaid({ tables, foreignKeys, allForeignKeys = foreignKeys }, { detalle = 'columnas' } = {}) {
+  const tablesByName = new Map(tables.map(t => [t.name, t]));
+  const lineas = ['erDiagram'];
+  for (const table of tables) {
+    const columnas = visibleColumns(table, allForeignKeys, detalle);
+    if (columnas.length === 0) {
+      lineas.push(`    ${mermaidName(table.name)}`);
+      continue;
+    }
+    const fks = fkColumns(table, allForeignKeys);
+    lineas.push(`    ${mermaidName(table.name)} {`);
+    for (const c of columnas) {
+      const claves = [table.primaryKey.includes(c.name) ? 'PK' : null, fks.has(c.name) ? 'FK' : null].filter(Boolean);
+      lineas.push(`        ${mermaidType(c.type)} ${mermaidAttribute(c.name)}${claves.length ? ' ' + claves.join(', ') : ''}`);
+    }
+    lineas.push('    }');
+  }
+  for (const fk of foreignKeys) {
+    const { padreOpcional, unoAUno, identificadora } = relationship(fk, tablesByName);
+    const padre = padreOpcional ? '|o' : '||';
+    const hija = unoAUno ? 'o|' : 'o{';
+    const linea = identificadora ? '--' : '..';
+    lineas.push(`    ${mermaidName(fk.refTable)} ${padre}${linea}${hija} ${mermaidName(fk.table)} : "${fk.columns.join(', ').replace(/"/g, "'")}"`);
+  }
+  return lineas.join('\n');
+}
+
+function dotId(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function htmlText(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/** Diagrama en lenguaje DOT de Graphviz: una tabla HTML por tabla y una arista por clave foránea. */
+export function toDot({ tables, foreignKeys, allForeignKeys = foreignKeys }, { detalle = 'columnas' } = {}) {
+  const tablesByName = new Map(tables.map(t => [t.name, t]));
+  const puertos = new Map();
+  const lineas = [
+    'digraph ER {',
+    '  graph [rankdir=LR, fontname="Helvetica"];',
+    '  node [shape=plaintext, fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10, dir=both];',
+  ];
+  for (const table of tables) {
+    const columnas = visibleColumns(table, allForeignKeys, detalle);
+    const fks = fkColumns(table, allForeignKeys);
+    const filas = columnas.map((c, i) => {
+      puertos.set(`${table.name}\u0000${c.name}`, `c${i}`);
+      const claves = [table.primaryKey.includes(c.name) ? 'PK' : null, fks.has(c.name) ? 'FK' : null].filter(Boolean);
+      const nombre = table.primaryKey.includes(c.name) ? `<U>${htmlText(c.name)}</U>` : htmlText(c.name);
+      return `<TR><TD ALIGN="LEFT" PORT="c${i}">${nombre} : ${htmlText(c.type || 'sin tipo')}${claves.length ? ` (${claves.join(', ')})` : ''}</TD></TR>`;
+    });
+    lineas.push(`  ${dotId(table.name)} [label=<<TABLE BORDER="0" CELLBORDER="1" CELLSPACING="0" CELLPADDING="4">`
+      + `<TR><TD BGCOLOR="lightgrey"><B>${htmlText(table.name)}</B></TD></TR>${filas.join('')}</TABLE>>];`);
+  }
+  for (const fk of foreignKeys) {
+    const { padreOpcional, unoAUno } = relationship(fk, tablesByName);
+    // La arista sale de la primera columna de la FK hacia la primera columna referenciada
+    const origen = puertos.get(`${fk.table}\u0000${fk.columns[0]}`);
+    const destino = puertos.get(`${fk.refTable}\u0000${fk.refColumns[0]}`);
+    const extremo = (tabla, puerto) => puerto ? `${dotId(tabla)}:${puerto}` : dotId(tabla);
+    const atributos = [
+      `label=${dotId(fk.name || fk.columns.join(', '))}`,
+      `arrowhead=${padreOpcional ? 'teeodot' : 'teetee'}`,
+      `arrowtail=${unoAUno ? 'teeodot' : 'crowodot'}`,
+    ];
+    lineas.push(`  ${extremo(fk.table, origen)} -> ${extremo(fk.refTable, destino)} [${atributos.join(', ')}];`);
+  }
+  lineas.push('}');
+  return lineas.join('\n');
+}
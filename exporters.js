@@ -0,0 +1,184 @@
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import { parse as json2csv } from 'json2csv';
+import { columnKind } from './csvImport.js';
+
+export const EXPORT_FORMATS = ['csv', 'json', 'ndjson', 'markdown', 'sql', 'xlsx'];
+
+const EXTENSIONS = { csv: '.csv', json: '.json', ndjson: '.ndjson', markdown: '.md', sql: '.sql', xlsx: '.xlsx' };
+
+// Literal SQL de un valor para el script de INSERT
+function sqlLiteral(value, db_type) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'number' || typeof value === 'bigint') return String(value);
+  if (typeof value === 'boolean') return db_type === 'sqlite' ? (value ? '1' : '0') : (value ? 'TRUE' : 'FALSE');
+  if (Buffer.isBuffer(value)) {
+    return db_type === 'pg' ? `'\\x${value.toString('hex')}'` : `X'${value.toString('hex')}'`;
+  }
+  let texto = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  texto = texto.replace(/'/g, "''");
+  // MySQL interpreta la barra invertida como escape dentro de las cadenas
+  if (db_type === 'mysql') texto = texto.replace(/\\/g, '\\\\');
+  return `'${texto}'`;
+}
+
+function markdownCell(value) {
+  if (value === null || value === undefined) return '';
+  const texto = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' && !Buffer.isBuffer(value) ? JSON.stringify(value) : String(value);
+  return texto.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Serializador de un formato de texto: begin(columnas) abre el documento, rows(filas) da el
+ * texto de un lote y end() lo cierra; concatenados forman el documento completo.
+ * `quote(ident)` pone las comillas de identificador del motor (para el script SQL).
+ */
+export function textSerializer(formato, { tabla, db_type, quote }) {
+  let columnas = [];
+  let primera = true;
+  switch (formato) {
+    case 'csv':
+      return {
+        begin: cols => { columnas = cols; return json2csv([], { fields: cols }) + '\n'; },
+        rows: filas => filas.length ? json2csv(filas, { fields: columnas, header: false }) + '\n' : '',
+        end: () => '',
+      };
+    case 'json':
+      return {
+        begin: () => '[',
+        rows: filas => filas.map(fila => {
+          const texto = (primera ? '\n' : ',\n') + JSON.stringify(fila);
+          primera = false;
+          return texto;
+        }).join(''),
+        end: () => '\n]\n',
+      };
+    case 'ndjson':
+      return {
+        begin: () => '',
+        rows: filas => filas.map(fila => JSON.stringify(fila) + '\n').join(''),
+        end: () => '',
+      };
+    case 'markdown':
+      return {
+        begin: cols => {
+          columnas = cols;
+          return `| ${cols.map(markdownCell).join(' | ')} |\n| ${cols.map(() => '---').join(' | ')} |\n`;
+        },
+        rows: filas => filas.map(fila => `| ${columnas.map(c => markdownCell(fila[c])).join(' | ')} |\n`).join(''),
+        end: () => '',
+      };
+    case 'sql':
+      return {
+        begin: cols => { columnas = cols; return `-- Datos de la tabla ${tabla}\n`; },
+        rows: filas => filas.map(fila =>
+          `INSERT INTO ${quote(tabla)} (${columnas.map(quote).join(', ')}) `
+          + `VALUES (${columnas.map(c => sqlLiteral(fila[c], db_type)).join(', ')});\n`).join(''),
+        end: () => '',
+      };
+    default:
+      throw new Error(`El formato ${formato} no se puede devolver como texto; indica "archivo" para exportarlo.`);
+  }
+}
+
+/**
+ * Ruta del archivo de exportación dentro de `dir`; añade la extensión del formato si falta.
+ * Rechaza rutas absolutas o que salgan del directorio.
+ */
+export function resolveExportPath(dir, archivo, formato) {
+  let destino = path.resolve(dir, archivo);
+  const relativa = path.relative(dir, destino);
+  if (!relativa || relativa.startsWith('..') || path.isAbsolute(relativa)) {
+    throw new Error(`El archivo debe estar dentro del directorio de exportación (${dir}).`);
+  }
+  if (!path.extname(destino)) destino += EXTENSIONS[formato];
+  return destino;
+}
+
+// Valor de celda para XLSX: los decimales que el driver devuelve como texto se escriben como números
+function xlsxValue(value, kind) {
+  if (value === null || value === undefined) return null;
+  if ((kind === 'decimal' || kind === 'integer') && typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) return JSON.stringify(value);
+  return value;
+}
+
+async function writeXlsx(destino, batches, { tabla, tipos }) {
+  const kinds = new Map(tipos.map(t => [t.name, columnKind(t.type)]));
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: destino, useStyles: true });
+  const hoja = workbook.addWorksheet(tabla.replace(/[\\/?*[\]:]/g, '_').slice(0, 31));
+  let filas = 0;
+  let columnas = null;
+  for await (const { columns, rows } of batches) {
+    if (!columnas) {
+      columnas = columns.map(c => c.name);
+      hoja.columns = columnas.map(c => ({ header: c, key: c, width: Math.min(Math.max(c.length + 2, 12), 40) }));
+      hoja.getRow(1).font = { bold: true };
+      hoja.getRow(1).commit();
+    }
+    for (const fila of rows) {
+      hoja.addRow(columnas.map(c => xlsxValue(fila[c], kinds.get(c)))).commit();
+      filas++;
+    }
+  }
+  hoja.commit();
+  await workbook.commit();
+  return filas;
+}
+
+async function writeText(destino, formato, batches, opciones) {
+  const serializer = textSerializer(formato, opciones);
+  const salida = fs.createWriteStream(destino);
+  const escribir = async texto => {
+    if (texto && !salida.write(texto)) await once(salida, 'drain');
+  };
+  let filas = 0;
+  let abierto = false;
+  try {
+    for await (const { columns, rows } of batches) {
+      if (!abierto) {
+        await escribir(serializer.begin(columns.map(c => c.name)));
+        abierto = true;
+      }
+      await escribir(serializer.rows(rows));
+      filas += rows.length;
+    }
+    await escribir(serializer.end());
+    salida.end();
+    await once(salida, 'finish');
+  } catch (e) {
+    // Se espera al cierre para que el archivo temporal exista cuando se borre
+    salida.destroy();
+    await once(salida, 'close');
+    throw e;
+  }
+  return filas;
+}
+
+/**
+ * Escribe en `destino` los lotes de `batches` (iterable asíncrono de { columns, rows }) sin
+ * acumularlos en memoria. Se escribe en un archivo temporal que se renombra al terminar, así un
+ * error no deja un archivo a medias. Devuelve { filas, bytes }.
+ * `opciones`: { tabla, db_type, quote, tipos } (tipos solo para XLSX).
+ */
+export async function writeExport(destino, formato, batches, opciones) {
+  fs.mkdirSync(path.dirname(destino), { recursive: true });
+  const temporal = `${destino}.parcial`;
+  try {
+    const filas = formato === 'xlsx'
+      ? await writeXlsx(temporal, batches, opciones)
+      : await writeText(temporal, formato, batches, opciones);
+    fs.renameSync(temporal, destino);
+    return { filas, bytes: fs.statSync(destino).size };
+  } catch (e) {
+    fs.rmSync(temporal, { force: true });
+    throw e;
+  }
+}
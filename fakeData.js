@@ -0,0 +1,298 @@
+// Datos de prueba para generarDatosPrueba: valores realistas según el nombre y el tipo de cada columna,
+// con un generador pseudoaleatorio con semilla para que cada ejecución se pueda repetir
+import crypto from 'crypto';
+import { columnKind } from './csvImport.js';
+
+// Probabilidad de NULL en las columnas que lo admiten (salvo que la columna indique otra)
+export const NULL_RATIO = 0.1;
+const DAY_MS = 86400000;
+
+const NOMBRES = ['Ana', 'Luis', 'María', 'Carlos', 'Lucía', 'Javier', 'Sofía', 'Miguel', 'Elena', 'Pablo', 'Carmen', 'Diego',
+  'Laura', 'Andrés', 'Paula', 'Jorge', 'Marta', 'Raúl', 'Isabel', 'Tomás', 'Valeria', 'Hugo', 'Julia', 'Sergio', 'Claudia',
+  'Daniel', 'Camila', 'Alberto', 'Natalia', 'Fernando'];
+const APELLIDOS = ['García', 'Martínez', 'López', 'Sánchez', 'Pérez', 'Gómez', 'Fernández', 'Rodríguez', 'Díaz', 'Torres',
+  'Ruiz', 'Romero', 'Navarro', 'Morales', 'Ortiz', 'Castro', 'Vargas', 'Herrera', 'Medina', 'Rojas', 'Flores', 'Molina',
+  'Suárez', 'Ramos', 'Gil', 'Vega', 'Cruz', 'Reyes', 'Mendoza', 'Silva'];
+const CIUDADES = ['Madrid', 'Barcelona', 'Valencia', 'Sevilla', 'Bilbao', 'Málaga', 'Zaragoza', 'Ciudad de México', 'Guadalajara',
+  'Monterrey', 'Buenos Aires', 'Córdoba', 'Rosario', 'Bogotá', 'Medellín', 'Lima', 'Santiago', 'Montevideo', 'Quito', 'Caracas'];
+const PAISES = [['España', 'ES', 'ESP'], ['México', 'MX', 'MEX'], ['Argentina', 'AR', 'ARG'], ['Colombia', 'CO', 'COL'],
+  ['Perú', 'PE', 'PER'], ['Chile', 'CL', 'CHL'], ['Uruguay', 'UY', 'URY'], ['Ecuador', 'EC', 'ECU'], ['Venezuela', 'VE', 'VEN'],
+  ['Portugal', 'PT', 'PRT']];
+const CALLES = ['Calle Mayor', 'Avenida de la Paz', 'Calle del Sol', 'Paseo de la Castellana', 'Calle Real', 'Avenida Libertad',
+  'Calle Luna', 'Plaza España', 'Calle Nueva', 'Avenida Central'];
+const EMPRESAS = ['Soluciones', 'Distribuciones', 'Comercial', 'Tecnologías', 'Servicios', 'Alimentos', 'Logística', 'Innovación'];
+const SOCIEDADES = ['S.A.', 'S.L.', 'S.A. de C.V.', 'S.R.L.', 'y Asociados'];
+const PRODUCTOS = ['Camiseta', 'Pantalón', 'Zapatillas', 'Mochila', 'Lámpara', 'Silla', 'Mesa', 'Taza', 'Cuaderno', 'Auriculares',
+  'Teclado', 'Ratón', 'Monitor', 'Cafetera', 'Botella', 'Reloj', 'Cartera', 'Chaqueta', 'Bolígrafo', 'Altavoz'];
+const ADJETIVOS = ['clásico', 'deluxe', 'compacto', 'ecológico', 'premium', 'básico', 'deportivo', 'inalámbrico', 'vintage', 'plegable'];
+const PALABRAS = ['el', 'cliente', 'pedido', 'envío', 'rápido', 'producto', 'calidad', 'precio', 'entrega', 'revisar', 'factura',
+  'pendiente', 'nuevo', 'servicio', 'tienda', 'pago', 'devolución', 'stock', 'oferta', 'semana', 'llamar', 'confirmar', 'con', 'sin'];
+const COLORES = ['rojo', 'azul', 'verde', 'negro', 'blanco', 'gris', 'amarillo', 'naranja', 'morado', 'rosa'];
+const ESTADOS = ['pendiente', 'pagado', 'enviado', 'entregado', 'cancelado'];
+const DOMINIOS = ['ejemplo.com', 'correo.test', 'demo.org', 'mail.test'];
+
+/**
+ * Generador pseudoaleatorio (mulberry32) con semilla: la misma semilla da siempre la misma
+ * secuencia de números en [0, 1).
+ */
+export function seededRandom(semilla) {
+  let a = crypto.createHash('sha256').update(String(semilla)).digest().readUInt32LE(0);
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const int = (rng, min, max) => min + Math.floor(rng() * (max - min + 1));
+const pick = (rng, lista) => lista[Math.floor(rng() * lista.length)];
+const pad = (n, largo = 2) => String(n).padStart(largo, '0');
+// Sin acentos ni espacios, para correos, usuarios y dominios
+const plain = texto => texto.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+const slug = texto => plain(texto).replace(/[^a-z0-9]+/g, '');
+
+function isoDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function isoDateTime(ms) {
+  return new Date(ms).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Máximo de un generador numérico: el indicado o el suyo por defecto, sin pasar del que admite el tipo
+function upper(ctx, porDefecto) {
+  return Math.min(ctx.max ?? porDefecto, ctx.tope ?? Infinity);
+}
+
+// Número con la escala de la columna, dentro de [min, max]
+function decimalIn(rng, min, max, escala) {
+  const factor = 10 ** escala;
+  return Math.round((min + rng() * (max - min)) * factor) / factor;
+}
+
+/**
+ * Generadores por nombre: reciben (rng, ctx) y devuelven un valor. `ctx` trae la persona de la fila
+ * (para que nombre, apellido y correo coincidan), los límites min/max indicados, el máximo que admite
+ * el tipo (tope), la escala, el largo y el rango de fechas en milisegundos.
+ */
+const GENERATORS = {
+  nombre: { clase: 'texto', gen: (rng, ctx) => ctx.persona().nombre },
+  apellido: { clase: 'texto', gen: (rng, ctx) => ctx.persona().apellido },
+  nombreCompleto: { clase: 'texto', gen: (rng, ctx) => `${ctx.persona().nombre} ${ctx.persona().apellido}` },
+  email: {
+    clase: 'texto',
+    gen: (rng, ctx) => {
+      const { nombre, apellido, dominio } = ctx.persona();
+      return `${slug(nombre)}.${slug(apellido)}@${dominio}`;
+    },
+  },
+  usuario: { clase: 'texto', gen: (rng, ctx) => `${slug(ctx.persona().nombre)}${slug(ctx.persona().apellido).slice(0, 4)}` },
+  telefono: { clase: 'texto', gen: rng => `+34 6${pad(int(rng, 0, 99))} ${pad(int(rng, 0, 999), 3)} ${pad(int(rng, 0, 999), 3)}` },
+  direccion: { clase: 'texto', gen: rng => `${pick(rng, CALLES)} ${int(rng, 1, 200)}` },
+  ciudad: { clase: 'texto', gen: rng => pick(rng, CIUDADES) },
+  pais: { clase: 'texto', gen: rng => pick(rng, PAISES)[0] },
+  codigoPais: { clase: 'texto', gen: (rng, ctx) => pick(rng, PAISES)[ctx.largo === 3 ? 2 : 1] },
+  codigoPostal: { clase: 'texto', gen: rng => pad(int(rng, 1000, 52999), 5) },
+  empresa: { clase: 'texto', gen: rng => `${pick(rng, EMPRESAS)} ${pick(rng, APELLIDOS)} ${pick(rng, SOCIEDADES)}` },
+  producto: { clase: 'texto', gen: rng => `${pick(rng, PRODUCTOS)} ${pick(rng, ADJETIVOS)}` },
+  descripcion: {
+    clase: 'texto',
+    gen: rng => {
+      const texto = Array.from({ length: int(rng, 4, 12) }, () => pick(rng, PALABRAS)).join(' ');
+      return `${texto[0].toUpperCase()}${texto.slice(1)}.`;
+    },
+  },
+  codigo: { clase: 'texto', gen: rng => `${String.fromCharCode(int(rng, 65, 90), int(rng, 65, 90), int(rng, 65, 90))}-${pad(int(rng, 0, 99999), 5)}` },
+  url: { clase: 'texto', gen: rng => `https://www.${slug(pick(rng, EMPRESAS))}${slug(pick(rng, APELLIDOS))}.com` },
+  uuid: {
+    clase: 'texto',
+    gen: rng => {
+      const h = Array.from({ length: 32 }, () => int(rng, 0, 15).toString(16));
+      h[12] = '4';
+      h[16] = (8 + int(rng, 0, 3)).toString(16);
+      return `${h.slice(0, 8).join('')}-${h.slice(8, 12).join('')}-${h.slice(12, 16).join('')}-${h.slice(16, 20).join('')}-${h.slice(20).join('')}`;
+    },
+  },
+  ip: { clase: 'texto', gen: rng => `${int(rng, 10, 223)}.${int(rng, 0, 255)}.${int(rng, 0, 255)}.${int(rng, 1, 254)}` },
+  color: { clase: 'texto', gen: rng => pick(rng, COLORES) },
+  estado: { clase: 'texto', gen: rng => pick(rng, ESTADOS) },
+  hash: { clase: 'texto', gen: rng => Array.from({ length: 64 }, () => int(rng, 0, 15).toString(16)).join('') },
+  texto: { clase: 'texto', gen: rng => Array.from({ length: int(rng, 1, 3) }, () => pick(rng, PALABRAS)).join(' ') },
+  precio: { clase: 'numero', gen: (rng, ctx) => decimalIn(rng, ctx.min ?? 1, upper(ctx, 1000), ctx.escala ?? 2) },
+  cantidad: { clase: 'numero', gen: (rng, ctx) => int(rng, ctx.min ?? 1, upper(ctx, 100)) },
+  edad: { clase: 'numero', gen: (rng, ctx) => int(rng, ctx.min ?? 18, upper(ctx, 90)) },
+  porcentaje: { clase: 'numero', gen: (rng, ctx) => decimalIn(rng, ctx.min ?? 0, upper(ctx, 50), Math.min(ctx.escala ?? 2, 2)) },
+  entero: { clase: 'numero', gen: (rng, ctx) => int(rng, ctx.min ?? 1, upper(ctx, 1000)) },
+  decimal: { clase: 'numero', gen: (rng, ctx) => decimalIn(rng, ctx.min ?? 0, upper(ctx, 1000), ctx.escala ?? 2) },
+  booleano: { clase: 'booleano', gen: rng => rng() < 0.8 },
+  fecha: { clase: 'fecha', gen: (rng, ctx) => isoDate(ctx.desde + int(rng, 0, Math.floor((ctx.hasta - ctx.desde) / DAY_MS)) * DAY_MS) },
+  fechaHora: { clase: 'fecha', gen: (rng, ctx) => isoDateTime(ctx.desde + Math.floor(rng() * (ctx.hasta + DAY_MS - ctx.desde) / 1000) * 1000) },
+  hora: { clase: 'fecha', gen: rng => `${pad(int(rng, 0, 23))}:${pad(int(rng, 0, 59))}:${pad(int(rng, 0, 59))}` },
+};
+
+export const FAKE_GENERATORS = Object.keys(GENERATORS);
+
+// Generador según el nombre de la columna, de la pista más concreta a la más general
+const NAME_HINTS = [
+  [/e?mail|correo/, 'email'],
+  [/^(nombre_?completo|full_?name)$/, 'nombreCompleto'],
+  [/apellido|last_?name|surname/, 'apellido'],
+  [/^(first_?name|nombre_?pila)$/, 'nombre'],
+  [/usuario|username|login|user_?name/, 'usuario'],
+  [/telefono|phone|movil|celular|fax/, 'telefono'],
+  [/direccion|address|calle|domicilio/, 'direccion'],
+  [/ciudad|city|localidad|municipio|poblacion/, 'ciudad'],
+  [/pais|country/, 'pais'],
+  [/postal|^cp$|zip/, 'codigoPostal'],
+  [/empresa|company|proveedor|compania|razon_?social|supplier/, 'empresa'],
+  [/url|web|sitio|enlace|link/, 'url'],
+  [/uuid|guid/, 'uuid'],
+  [/^ip$|_ip$|^ip_/, 'ip'],
+  [/color/, 'color'],
+  [/estado|status/, 'estado'],
+  [/password|contrasena|hash|token/, 'hash'],
+  [/descripcion|comentario|nota|observacion|detalle|description|comment|resumen|mensaje|^bio$/, 'descripcion'],
+  [/sku|codigo|^cod_|code|referencia|^ref$/, 'codigo'],
+  // Fechas guardadas como texto (lo habitual en SQLite); en columnas de tipo fecha manda el tipo
+  [/fecha_?hora|datetime|timestamp|creado|modificado|actualizado|_at$|_en$/, 'fechaHora'],
+  [/fecha|date(_|$)|^date|nacimiento|birth/, 'fecha'],
+  [/precio|price|importe|monto|total|coste|costo|cost|amount|salario|sueldo|saldo|pago/, 'precio'],
+  [/cantidad|qty|quantity|stock|unidades|existencias/, 'cantidad'],
+  [/^edad$|^age$/, 'edad'],
+  [/porcentaje|percent|descuento|discount|tasa|rate/, 'porcentaje'],
+];
+const TYPE_DEFAULTS = { boolean: 'booleano', integer: 'entero', decimal: 'decimal', date: 'fecha', datetime: 'fechaHora', time: 'hora', text: 'texto' };
+const KIND_CLASS = { boolean: 'booleano', integer: 'numero', decimal: 'numero', date: 'fecha', datetime: 'fecha', time: 'fecha', text: 'texto' };
+
+// Tipo de una columna con sus límites: { kind, largo, escala, min, max }
+function typeInfo(type) {
+  const t = String(type || '').toLowerCase();
+  const kind = /^uuid/.test(t) ? 'text' : columnKind(t);
+  const info = { kind, largo: null, escala: null, min: null, max: null };
+  const largo = t.match(/char(?:acter)?(?:\s+varying)?\s*\(\s*(\d+)\s*\)/);
+  if (largo) info.largo = Number(largo[1]);
+  const numerico = t.match(/^(?:dec|decimal|numeric|number)\s*\(\s*(\d+)\s*(?:,\s*(\d+)\s*)?\)/);
+  if (numerico) {
+    info.escala = Number(numerico[2] || 0);
+    info.max = 10 ** (Number(numerico[1]) - info.escala) - 10 ** -info.escala;
+  }
+  if (kind === 'integer') {
+    info.escala = 0;
+    if (/^tinyint/.test(t)) info.max = 127;
+    else if (/^smallint|^int2/.test(t)) info.max = 32767;
+    else if (/^mediumint/.test(t)) info.max = 8388607;
+    else if (/^bigint|^int8|bigserial/.test(t)) info.max = Number.MAX_SAFE_INTEGER;
+    else info.max = 2147483647;
+  }
+  return info;
+}
+
+function guessGenerator(columna, tabla, info) {
+  const nombre = plain(columna);
+  let pista = NAME_HINTS.find(([patron]) => patron.test(nombre))?.[1];
+  if (!pista && /^(nombre|name|titulo|title)$/.test(nombre)) {
+    const t = slug(tabla);
+    pista = /product|articul|item|servicio|plato/.test(t) ? 'producto'
+      : /empresa|proveedor|tienda|compan|supplier|store|sucursal/.test(t) ? 'empresa' : 'nombreCompleto';
+  }
+  if (pista === 'pais' && info.largo !== null && info.largo <= 3) pista = 'codigoPais';
+  if (/^uuid/.test(info.tipo)) pista = 'uuid';
+  if (pista && GENERATORS[pista].clase === 'fecha') {
+    // Solo en columnas de texto con sitio para la fecha; 'AAAA-MM-DD HH:MM:SS' ocupa 19 caracteres
+    if (info.kind !== 'text' || (info.largo !== null && info.largo < 10)) pista = null;
+    else if (pista === 'fechaHora' && info.largo !== null && info.largo < 19) pista = 'fecha';
+    return pista || TYPE_DEFAULTS[info.kind];
+  }
+  // Una pista de texto no sirve para una columna numérica, ni al revés
+  if (pista && GENERATORS[pista].clase !== KIND_CLASS[info.kind]) pista = null;
+  if (pista === 'precio' && info.kind === 'integer') pista = 'entero';
+  return pista || TYPE_DEFAULTS[info.kind];
+}
+
+// Ajusta un valor a la columna: recorta los textos al largo y redondea a la escala
+function fitValue(valor, info) {
+  if (typeof valor === 'string' && info.largo !== null && valor.length > info.largo) return valor.slice(0, info.largo);
+  if (typeof valor === 'number' && info.escala !== null) {
+    const factor = 10 ** info.escala;
+    valor = Math.round(valor * factor) / factor;
+    if (info.max !== null) valor = Math.min(valor, info.max);
+  }
+  return valor;
+}
+
+// Cambia un texto para una columna UNIQUE sin pasarse del largo: "ana@x" -> "ana7@x", "ABC" -> "ABC-7"
+function variantOf(valor, variante, largo) {
+  if (!variante || typeof valor !== 'string') return valor;
+  const sufijo = `-${variante}`;
+  const arroba = valor.indexOf('@');
+  if (arroba > 0) return `${valor.slice(0, arroba)}${variante}${valor.slice(arroba)}`;
+  return largo !== null && valor.length + sufijo.length > largo ? `${valor.slice(0, Math.max(0, largo - sufijo.length))}${sufijo}` : `${valor}${sufijo}`;
+}
+
+function patternValue(rng, patron) {
+  return patron.replace(/[#?]/g, c => (c === '#' ? String(int(rng, 0, 9)) : String.fromCharCode(int(rng, 65, 90))));
+}
+
+function limit(valor, fechas) {
+  if (valor === undefined || valor === null) return undefined;
+  if (fechas) return Date.parse(`${String(valor).replace(' ', 'T')}${/[zZ]|[+-]\d\d:?\d\d$/.test(valor) ? '' : 'Z'}`);
+  return Number(valor);
+}
+
+/**
+ * Generador de filas de una tabla. `columnas` son [{ name, type, nullable }] y `personalizadas` las
+ * indicaciones por columna: { valor } fijo, { valores } para elegir, { patron } con # (dígito) y
+ * ? (letra), { generador } por nombre, { min, max } para números y fechas, { secuencia } para
+ * numerar desde un valor y { nulos } con la probabilidad de NULL. Cada columna tiene su propia
+ * secuencia aleatoria derivada de la semilla, así que cambiar una no altera las demás.
+ * Devuelve { generadores: { columna: nombre }, row(n), value(columna, n, variante) }.
+ */
+export function tableGenerator({ tabla, columnas, personalizadas = {}, semilla, desde, hasta }) {
+  const rngPersonas = seededRandom(`${semilla}:${tabla}:persona`);
+  const personas = [];
+  const persona = n => {
+    while (personas.length <= n) {
+      personas.push({ nombre: pick(rngPersonas, NOMBRES), apellido: pick(rngPersonas, APELLIDOS), dominio: pick(rngPersonas, DOMINIOS) });
+    }
+    return personas[n];
+  };
+  const porColumna = new Map(columnas.map(c => {
+    const info = { ...typeInfo(c.type), tipo: String(c.type || '').toLowerCase() };
+    const p = personalizadas[c.name] || {};
+    const nombre = p.generador || guessGenerator(c.name, tabla, info);
+    // Los límites son fechas si la columna lo es o si se rellena con fechas (columnas de texto)
+    const fechas = info.kind === 'date' || info.kind === 'datetime' || nombre === 'fecha' || nombre === 'fechaHora';
+    const min = limit(p.min, fechas);
+    const max = limit(p.max, fechas);
+    const nulos = p.nulos ?? (c.nullable && !('valor' in p) && !('secuencia' in p) ? NULL_RATIO : 0);
+    return [c.name, {
+      info, p, nombre, nulos,
+      rng: seededRandom(`${semilla}:${tabla}:${c.name}`),
+      ctx: {
+        min, max, tope: info.max ?? undefined, escala: info.escala, largo: info.largo,
+        desde: fechas && min !== undefined ? min : desde,
+        hasta: fechas && max !== undefined ? max : hasta,
+      },
+    }];
+  }));
+
+  const value = (columna, n, variante = 0) => {
+    const c = porColumna.get(columna);
+    const { p, rng } = c;
+    if (c.nulos > 0 && rng() < c.nulos && !variante) return null;
+    if ('valor' in p) return p.valor;
+    if ('secuencia' in p) return p.secuencia + n;
+    if (p.valores) return pick(rng, p.valores);
+    if (p.patron) return patternValue(rng, p.patron);
+    const valor = GENERATORS[c.nombre].gen(rng, { ...c.ctx, persona: () => persona(n) });
+    return fitValue(variantOf(valor, variante, c.info.largo), c.info);
+  };
+
+  return {
+    generadores: Object.fromEntries([...porColumna].map(([nombre, c]) => [nombre,
+      'valor' in c.p ? 'valor fijo' : 'secuencia' in c.p ? 'secuencia' : c.p.valores ? 'lista de valores' : c.p.patron ? `patrón ${c.p.patron}` : c.nombre])),
+    row: n => Object.fromEntries([...porColumna.keys()].map(columna => [columna, value(columna, n)])),
+    value,
+  };
+}
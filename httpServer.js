@@ -0,0 +1,214 @@
+// Transporte Streamable HTTP: un servidor central compartido por el equipo, con un token por cliente,
+// una sesión MCP por cliente conectado, CORS y un endpoint de salud
+import http from 'http';
+import crypto from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+export const MCP_PATH = '/mcp';
+export const HEALTH_PATH = '/health';
+// Largo mínimo de un token: por debajo se puede adivinar
+const MIN_TOKEN_LENGTH = 16;
+// Cada cuánto se cierran las sesiones inactivas
+const SWEEP_INTERVAL_MS = 60000;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID',
+  'Access-Control-Expose-Headers': 'Mcp-Session-Id',
+  'Access-Control-Max-Age': '600',
+};
+
+function hash(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+/**
+ * Lee los tokens de HTTP_TOKENS: "nombre:token,nombre:token". El nombre identifica al cliente en la
+ * auditoría. Devuelve [{ cliente, hash }]; lanza un error si alguna entrada no es válida.
+ */
+export function parseTokens(texto) {
+  const entradas = String(texto || '').split(',').map(e => e.trim()).filter(Boolean);
+  const clientes = new Set();
+  return entradas.map(entrada => {
+    const separador = entrada.indexOf(':');
+    const cliente = entrada.slice(0, separador).trim();
+    const token = entrada.slice(separador + 1).trim();
+    if (separador < 1 || !token) {
+      throw new Error(`HTTP_TOKENS: '${entrada.slice(0, 20)}…' no tiene la forma nombre:token.`);
+    }
+    if (token.length < MIN_TOKEN_LENGTH) {
+      throw new Error(`HTTP_TOKENS: el token de '${cliente}' es demasiado corto (mínimo ${MIN_TOKEN_LENGTH} caracteres).`);
+    }
+    if (clientes.has(cliente)) throw new Error(`HTTP_TOKENS: el cliente '${cliente}' está repetido.`);
+    clientes.add(cliente);
+    return { cliente, hash: hash(token) };
+  });
+}
+
+// Error HTTP con la forma de una respuesta JSON-RPC, como los del propio transporte
+function sendError(res, status, mensaje, code = -32000) {
+  if (res.headersSent) return;
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message: mensaje }, id: null }));
+}
+
+async function readJson(req, maxBytes) {
+  const partes = [];
+  let bytes = 0;
+  for await (const parte of req) {
+    bytes += parte.length;
+    if (bytes > maxBytes) throw Object.assign(new Error(`La petición supera el máximo de ${maxBytes} bytes.`), { status: 413 });
+    partes.push(parte);
+  }
+  try {
+    return JSON.parse(Buffer.concat(partes).toString('utf-8'));
+  } catch (e) {
+    throw Object.assign(new Error('El cuerpo de la petición no es JSON válido.'), { status: 400, code: -32700 });
+  }
+}
+
+/**
+ * McpHttpServer: atiende MCP por Streamable HTTP en MCP_PATH. Cada cliente que envía initialize
+ * recibe una sesión con su propio McpServer (createServer) y solo él puede seguir usándola.
+ * Las peticiones se autentican con "Authorization: Bearer <token>" o "X-API-Key: <token>".
+ */
+export default class McpHttpServer {
+  constructor({ createServer, tokens, origenes = [], maxBytes = 10 * 1024 * 1024, inactividadMs = 30 * 60000, health }) {
+    this.createServer = createServer;
+    this.tokens = tokens;
+    this.origenes = origenes;
+    this.maxBytes = maxBytes;
+    this.inactividadMs = inactividadMs;
+    this.health = health;
+    // id de sesión -> { transport, server, cliente, ultimoUso }
+    this.sesiones = new Map();
+    this.enCurso = 0;
+    this.cerrando = false;
+    this.http = http.createServer((req, res) => {
+      this.handle(req, res).catch(e => {
+        if (!e.status) console.error('Error en la petición HTTP:', e.message || e);
+        sendError(res, e.status || 500, e.status ? e.message : 'Error interno del servidor.', e.code);
+      });
+    });
+  }
+
+  listen(port, host) {
+    return new Promise((resolve, reject) => {
+      this.http.once('error', reject);
+      this.http.listen(port, host, () => {
+        this.http.off('error', reject);
+        this.barrido = setInterval(() => this.closeIdleSessions(), SWEEP_INTERVAL_MS).unref();
+        resolve(this.http.address());
+      });
+    });
+  }
+
+  // Nombre del cliente dueño del token de la petición, o null
+  authenticate(req) {
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    const token = bearer ? bearer[1].trim() : req.headers['x-api-key'];
+    if (!token) return null;
+    const recibido = hash(token);
+    const valido = this.tokens.find(t => crypto.timingSafeEqual(t.hash, recibido));
+    return valido ? { cliente: valido.cliente, token } : null;
+  }
+
+  // Cabeceras CORS para los orígenes permitidos; false si la petición viene de un origen no permitido
+  cors(req, res) {
+    const origen = req.headers.origin;
+    if (!origen) return true;
+    if (!this.origenes.includes('*') && !this.origenes.includes(origen)) return false;
+    res.setHeader('Access-Control-Allow-Origin', this.origenes.includes('*') ? '*' : origen);
+    res.setHeader('Vary', 'Origin');
+    for (const [cabecera, valor] of Object.entries(CORS_HEADERS)) res.setHeader(cabecera, valor);
+    return true;
+  }
+
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    // Un navegador de otro origen no debe poder usar el servidor (ni con DNS rebinding)
+    if (!this.cors(req, res)) return sendError(res, 403, `El origen ${req.headers.origin} no está permitido (HTTP_CORS_ORIGINS).`);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+      return;
+    }
+    if (pathname === HEALTH_PATH && req.method === 'GET') return this.sendHealth(res);
+    if (pathname !== MCP_PATH) return sendError(res, 404, `No existe ${pathname}; el endpoint MCP es ${MCP_PATH}.`);
+    if (this.cerrando) return sendError(res, 503, 'El servidor se está cerrando.');
+
+    const auth = this.authenticate(req);
+    if (!auth) {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="mcp"');
+      return sendError(res, 401, 'Falta un token válido en "Authorization: Bearer <token>" o en "X-API-Key".');
+    }
+    req.auth = { token: auth.token, clientId: auth.cliente, scopes: [] };
+
+    // Las llamadas en curso se esperan al cerrar; los GET son flujos de avisos que no terminan solos
+    if (req.method === 'POST') {
+      this.enCurso++;
+      res.once('close', () => this.enCurso--);
+    }
+    const body = req.method === 'POST' ? await readJson(req, this.maxBytes) : undefined;
+    const id = req.headers['mcp-session-id'];
+    if (id) {
+      const sesion = this.sesiones.get(id);
+      if (!sesion) return sendError(res, 404, 'La sesión no existe o ya terminó; inicia una nueva.');
+      if (sesion.cliente !== auth.cliente) return sendError(res, 403, 'La sesión pertenece a otro cliente.');
+      sesion.ultimoUso = Date.now();
+      return sesion.transport.handleRequest(req, res, body);
+    }
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      return sendError(res, 400, 'Falta la cabecera Mcp-Session-Id: la primera petición debe ser initialize.');
+    }
+    const server = this.createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: sessionId => {
+        this.sesiones.set(sessionId, { transport, server, cliente: auth.cliente, ultimoUso: Date.now() });
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) this.sesiones.delete(transport.sessionId);
+    };
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+    // Si initialize no llegó a crear la sesión, nadie volverá a usar este servidor
+    if (!transport.sessionId || !this.sesiones.has(transport.sessionId)) await server.close();
+  }
+
+  async sendHealth(res) {
+    const conexiones = await this.health();
+    const fallidas = conexiones.filter(c => !c.ok).length;
+    res.writeHead(fallidas === 0 && !this.cerrando ? 200 : 503, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      estado: this.cerrando ? 'cerrando' : fallidas === 0 ? 'ok' : 'error',
+      conexiones: { total: conexiones.length, fallidas },
+      sesiones: this.sesiones.size,
+    }));
+  }
+
+  closeIdleSessions() {
+    const limite = Date.now() - this.inactividadMs;
+    for (const sesion of this.sesiones.values()) {
+      if (sesion.ultimoUso < limite) {
+        sesion.server.close().catch(e => console.error('Error al cerrar una sesión inactiva:', e.message || e));
+      }
+    }
+  }
+
+  /**
+   * Cierre ordenado: deja de aceptar peticiones, espera hasta `esperaMs` a que terminen las llamadas
+   * en curso y después cierra las sesiones y las conexiones abiertas.
+   */
+  async close(esperaMs = 10000) {
+    this.cerrando = true;
+    clearInterval(this.barrido);
+    const cerrado = new Promise(resolve => this.http.close(resolve));
+    const hasta = Date.now() + esperaMs;
+    while (this.enCurso > 0 && Date.now() < hasta) await new Promise(resolve => setTimeout(resolve, 100));
+    await Promise.all([...this.sesiones.values()].map(s => s.server.close().catch(() => {})));
+    this.http.closeAllConnections();
+    await cerrado;
+  }
+}
@@ -2,7 +2,7 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
-import { parse as json2csv } from 'json2csv';
+import { AsyncLocalStorage } from 'async_hooks';
 
 // Resuelve la ruta al archivo .env para que siempre funcione
 const __filename = fileURLToPath(import.meta.url);
@@ -10,39 +10,67 @@ const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.resolve(__dirname, '.env') });
 
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import { z } from 'zod';
-import QueryRunner from './db_runners/QueryRunner.js';
-// Elimino la importación de PROMPTS
-// import PROMPTS from './prompts.js';
+import ConnectionRegistry, { loadConnectionsFile } from './db_runners/ConnectionRegistry.js';
+import { validateReadOnlyQuery, withRowLimit, validateDDLStatement, queryColumnUsage } from './db_runners/sqlValidator.js';
+import ConfirmationStore from './confirmations.js';
+import AccessPolicy, { DDL_TOOLS, READ_ONLY_TOOLS } from './policy.js';
+import { resolveLimit, encodeCursor, decodeCursor, fitRows, pageNotice } from './pagination.js';
+import { parseCsv, csvToRecords, decodeData, columnKind } from './csvImport.js';
+import { EXPORT_FORMATS, textSerializer, resolveExportPath, writeExport } from './exporters.js';
+import { DIAGRAM_FORMATS, DIAGRAM_DETAILS, selectTables, toMermaid, toDot } from './erDiagram.js';
+import MigrationStore, { MIGRATIONS_TABLE, ensureMigrationsTable, appliedMigrations, markApplied, markReverted } from './migrations.js';
+import AuditLog, { isWriteStatement, parseDateFilter } from './audit.js';
+import BackupStore, { BACKUP_KINDS } from './backups.js';
+import { summarizePlan, suggestIndexes } from './queryPlan.js';
+import { DEFAULT_TOP, createProfile, addRows, keyValues, tupleKey, summarizeProfile, describeColumn } from './profiler.js';
+import { NULL_RATIO, FAKE_GENERATORS, seededRandom, tableGenerator } from './fakeData.js';
+import { resolveSpecPath, parseSchemaSpec, tableFromDescription, diffSchemas, isEmptyDiff, describeDiff, reconciliationScript } from './schemaDiff.js';
+import McpHttpServer, { parseTokens, MCP_PATH, HEALTH_PATH } from './httpServer.js';
+import PROMPTS from './prompts.js';
 
-// 1. Configuración de la base de datos (lee de .env o hardcodea aquí)
-const db_type = process.env.DB_TYPE ;
-const db_port = process.env.DB_PORT ? parseInt(process.env.DB_PORT) : undefined;
+// 1. Configuración de las conexiones: archivo conexiones.json (varias bases con nombre)
+//    o, si no existe, una única conexión a partir de las variables DB_* del .env
+const connections_file = path.resolve(__dirname, process.env.DB_CONNECTIONS_FILE || 'conexiones.json');
+let connections_config = loadConnectionsFile(connections_file);
 
-if (!db_port) {
-  throw new Error("Debes definir el puerto de la base de datos con la variable DB_PORT (ej. 3306 para MySQL)");
+if (!connections_config) {
+  const db_type = process.env.DB_TYPE;
+  if (!db_type) {
+    throw new Error("Debes definir el tipo de base de datos con la variable DB_TYPE (mysql, pg o sqlite) o crear conexiones.json");
+  }
+  const db_id = `${db_type.toLowerCase()}_default`;
+  connections_config = {
+    predeterminada: db_id,
+    conexiones: {
+      [db_id]: {
+        tipo: db_type,
+        host: process.env.DB_HOST,
+        user: process.env.DB_USER,
+        password: process.env.DB_PASSWORD,
+        database: process.env.DB_DATABASE,
+        port: process.env.DB_PORT, // <-- Requerido salvo en SQLite
+      }
+    }
+  };
 }
 
-const db_config = {
-  host: process.env.DB_HOST,
-  user: process.env.DB_USER ,
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_DATABASE,
-  port: db_port, // <-- Requerido
-};
+const connections = new ConnectionRegistry(connections_config.conexiones, connections_config.predeterminada, __dirname);
 
-const db_id = `${db_type.toLowerCase()}_default`;
-const query_runner = new QueryRunner(db_type, db_config);
+// Argumento común a todas las herramientas para elegir la base de datos
+const conexionArg = z.string().optional()
+  .describe(`Nombre de la conexión (opcional, por defecto '${connections.defaultName}')`);
 
-// Utilidad para comillas según motor
-function quoteIdent(ident) {
-  return db_type === 'mysql' ? `\`${ident}\`` : `"${ident}"`;
+// Utilidad para comillas según motor (duplica la comilla si aparece dentro del nombre)
+function quoteIdent(db_type, ident) {
+  return db_type === 'mysql' ? `\`${String(ident).replace(/`/g, '``')}\`` : `"${String(ident).replace(/"/g, '""')}"`;
 }
 
 // Utilidad para placeholders según motor
 function makePlaceholders(db_type, count, offset = 0) {
-  if (db_type === 'mysql') {
+  if (db_type === 'mysql' || db_type === 'sqlite') {
     return Array(count).fill('?');
   } else {
     // PostgreSQL: $1, $2, ... (offset para casos como update)
@@ -50,36 +78,982 @@ function makePlaceholders(db_type, count, offset = 0) {
   }
 }
 
-// 2. Crear el servidor MCP y registrar las herramientas
-const server = new McpServer({
-  transport_logging: false, // Silencia el log de MCP para ver mejor los nuestros
-  name: 'MyBase',
-  version: '1.0.0',
-});
+// INSERT parametrizado de un registro; `columnas` fija qué claves se insertan y en qué orden
+// Con `identidad` (solo PostgreSQL) se guardan también los valores de columnas GENERATED ALWAYS AS IDENTITY
+function buildInsert(db_type, tabla, registro, columnas, { identidad = false } = {}) {
+  const cols = columnas && columnas.length > 0 ? columnas : Object.keys(registro);
+  const placeholders = makePlaceholders(db_type, cols.length).join(', ');
+  const columnasStr = cols.map(col => quoteIdent(db_type, col)).join(', ');
+  const overriding = identidad && db_type === 'pg' ? ' OVERRIDING SYSTEM VALUE' : '';
+  return {
+    sql: `INSERT INTO ${quoteIdent(db_type, tabla)} (${columnasStr})${overriding} VALUES (${placeholders})`,
+    params: cols.map(c => registro[c]),
+  };
+}
+
+// INSERT con varias filas en VALUES
+function buildMultiInsert(db_type, tabla, columnas, registros) {
+  const filas = registros.map((_, i) => `(${makePlaceholders(db_type, columnas.length, i * columnas.length).join(', ')})`);
+  return {
+    sql: `INSERT INTO ${quoteIdent(db_type, tabla)} (${columnas.map(col => quoteIdent(db_type, col)).join(', ')}) VALUES ${filas.join(', ')}`,
+    params: registros.flatMap(registro => columnas.map(c => registro[c])),
+  };
+}
+
+// Máximo de parámetros por sentencia de cada motor
+const MAX_PARAMS = { mysql: 65535, pg: 65535, sqlite: 32766 };
+// Errores de MySQL cuando LOAD DATA LOCAL está desactivado en el cliente o el servidor
+const LOAD_DATA_UNAVAILABLE = new Set([1148, 2068, 3948]);
+
+function bulkBatchSize(lote) {
+  return lote || parseInt(process.env.BULK_BATCH_SIZE || '500');
+}
+
+// Agrupa registros consecutivos con las mismas columnas en lotes que no superen el tope de parámetros
+function batchesOf(db_type, registros, columnas, size) {
+  const lotes = [];
+  let actual = null;
+  registros.forEach((registro, i) => {
+    const cols = columnas && columnas.length > 0 ? columnas : Object.keys(registro);
+    const firma = cols.join('\u0000');
+    const maxFilas = Math.max(1, Math.min(size, Math.floor(MAX_PARAMS[db_type] / Math.max(cols.length, 1))));
+    if (!actual || actual.firma !== firma || actual.registros.length >= maxFilas) {
+      actual = { firma, columnas: cols, desde: i, registros: [] };
+      lotes.push(actual);
+    }
+    actual.registros.push(registro);
+  });
+  return lotes;
+}
+
+/**
+ * Carga registros por lotes y devuelve { insertados, rechazados: [{ registro, error }], metodo, ms }.
+ * Con `atomico` (por defecto) todo va en una transacción y un error revierte la carga completa;
+ * si todos los registros tienen las mismas columnas se usa COPY (PostgreSQL) o LOAD DATA LOCAL
+ * (MySQL, si el servidor lo permite) y, si no, INSERT de varias filas.
+ * Sin `atomico` cada lote se confirma por separado; el lote que falla se reintenta fila a fila
+ * para rechazar solo los registros con error.
+ * `onProgress(hechos, total)` se llama tras cada lote sin esperarla (en SQLite no debe cederse
+ * el control dentro de la transacción).
+ */
+async function insertRecords(query_runner, db_type, tabla, registros, { columnas, atomico = true, lote, onProgress } = {}) {
+  const inicio = Date.now();
+  const size = bulkBatchSize(lote);
+  const lotes = batchesOf(db_type, registros, columnas, size);
+  const rechazados = [];
+  let insertados = 0;
+  let metodo = lotes.length > 1 || registros.length > 1 ? 'INSERT por lotes' : 'INSERT';
+  let hechos = 0;
+  const avance = n => {
+    hechos += n;
+    if (onProgress) onProgress(hechos, registros.length);
+  };
+  const rango = l => l.registros.length === 1
+    ? `registro ${l.desde + 1}`
+    : `registros ${l.desde + 1}-${l.desde + l.registros.length}`;
+
+  if (atomico) {
+    const revertido = 'Se revirtió la transacción; no se insertó ningún registro.';
+    await query_runner.withTransaction(async tx => {
+      if (tx.bulkLoad && lotes.length > 0 && lotes.every(l => l.firma === lotes[0].firma)) {
+        const nombre = db_type === 'mysql' ? 'LOAD DATA' : 'COPY';
+        let disponible = true;
+        for (let desde = 0; desde < registros.length && disponible; desde += size * 10) {
+          const trozo = registros.slice(desde, desde + size * 10);
+          try {
+            await tx.bulkLoad(tabla, lotes[0].columnas, trozo);
+          } catch (e) {
+            if (desde === 0 && LOAD_DATA_UNAVAILABLE.has(e.errno)) {
+              disponible = false;
+              break;
+            }
+            throw new Error(`${nombre} de los registros ${desde + 1}-${desde + trozo.length}: ${e.message || e}. ${revertido}`);
+          }
+          insertados += trozo.length;
+          avance(trozo.length);
+        }
+        if (disponible) {
+          metodo = nombre;
+          return;
+        }
+      }
+      for (const l of lotes) {
+        const { sql, params } = buildMultiInsert(db_type, tabla, l.columnas, l.registros);
+        try {
+          await tx.run(sql, params);
+        } catch (e) {
+          throw new Error(`${rango(l)}: ${e.message || e}. ${revertido}`);
+        }
+        insertados += l.registros.length;
+        avance(l.registros.length);
+      }
+    });
+  } else {
+    for (const l of lotes) {
+      const { sql, params } = buildMultiInsert(db_type, tabla, l.columnas, l.registros);
+      try {
+        await query_runner.runQueryWithParams(sql, params);
+        insertados += l.registros.length;
+      } catch (e) {
+        for (const [j, registro] of l.registros.entries()) {
+          const fila = buildInsert(db_type, tabla, registro, l.columnas);
+          try {
+            await query_runner.runQueryWithParams(fila.sql, fila.params);
+            insertados++;
+          } catch (err) {
+            rechazados.push({ registro: l.desde + j + 1, error: err.message || String(err) });
+          }
+        }
+      }
+      avance(l.registros.length);
+    }
+  }
+  return { insertados, rechazados, metodo, ms: Date.now() - inicio };
+}
+
+// Lista de registros rechazados con su motivo (solo los primeros)
+function rejectedList(rechazados, max = 20) {
+  const lineas = rechazados.slice(0, max)
+    .map(r => `- ${r.linea !== undefined ? `línea ${r.linea}` : `registro ${r.registro}`}: ${r.error}`);
+  if (rechazados.length > max) lineas.push(`... y ${rechazados.length - max} más.`);
+  return lineas.join('\n');
+}
+
+// Resumen de una carga: insertados, rechazados (con el motivo de los primeros) y tiempo
+function insertSummary(verbo, tabla, { insertados, rechazados, metodo, ms }) {
+  let texto = `Se ${verbo} ${insertados} registro(s) en la tabla '${tabla}' en ${(ms / 1000).toFixed(2)} s (${metodo}). `
+    + `Rechazados: ${rechazados.length}.`;
+  if (rechazados.length > 0) texto += '\n' + rejectedList(rechazados);
+  return texto;
+}
+
+// Notificaciones de progreso MCP; solo si el cliente envió un progressToken en la llamada
+function progressReporter(extra, tabla) {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined) return undefined;
+  return (progress, total) => {
+    extra.sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken, progress, total, message: `${progress} de ${total} registros cargados en '${tabla}'` },
+    }).catch(() => {});
+  };
+}
+
+const atomicoArg = z.boolean().optional()
+  .describe('Todo o nada (por defecto true): si un registro falla se revierte la carga completa. Con false se confirman los lotes por separado y se rechazan solo los registros con error.');
+
+const loteArg = z.number().int().positive().optional()
+  .describe('Registros por lote (por defecto 500)');
+
+// Confirmación en dos pasos para las herramientas destructivas
+const confirmation_ttl = parseInt(process.env.CONFIRMATION_TTL_SECONDS || '120');
+const confirmationStore = new ConfirmationStore(confirmation_ttl * 1000);
+// Un token solo sirve en la sesión que recibió la vista previa (en stdio hay una sola)
+const confirmations = {
+  issue: (tool, args) => confirmationStore.issue(tool, args, callContext.getStore()?.sesion),
+  consume: (tool, args, token) => confirmationStore.consume(tool, args, token, callContext.getStore()?.sesion),
+};
+const confirmacionArg = z.string().optional()
+  .describe('Token devuelto por la primera llamada (vista previa). Omítelo para obtener la vista previa.');
+
+// Primera fase: devuelve la vista previa y un token ligado a los argumentos exactos
+function confirmationRequest(tool, args, preview) {
+  const { token } = confirmations.issue(tool, args);
+  const simulacion = callContext.getStore()?.simulacion;
+  if (simulacion) {
+    // En una simulación la vista previa va al informe y el token se usa en seguida para llegar al SQL
+    Object.assign(simulacion, { vistaPrevia: preview, token });
+    return { content: [] };
+  }
+  return {
+    content: [{
+      type: 'text',
+      text: `VISTA PREVIA (no se ha ejecutado nada):\n${preview}\n\n`
+        + `Muestra esta vista previa al usuario. Si la aprueba, vuelve a llamar a '${tool}' con los mismos argumentos `
+        + `y confirmacion: "${token}". El token expira en ${confirmation_ttl} segundos y sirve una sola vez.`
+    }]
+  };
+}
+
+// Estado de la llamada en curso: { sentencias, simulacion, sesion }. Cada QueryRunner anota en `sentencias`
+// lo que ejecuta; `simulacion` existe solo si la llamada se simula y `sesion` es la sesión HTTP, si la hay
+const callContext = new AsyncLocalStorage();
+
+// --- Simulación (simular: true en la llamada o DRY_RUN=true en todo el servidor) ---
+const dry_run = process.env.DRY_RUN === 'true';
+const simularArg = z.boolean().optional()
+  .describe('Si es true no se ejecuta nada: devuelve el SQL exacto con sus parámetros y una vista previa del impacto');
+
+// Límites del informe para que una importación grande no genere una respuesta enorme
+const SIMULATION_MAX_STATEMENTS = 50;
+const SIMULATION_MAX_PARAMS = 50;
+
+function isSimulating() {
+  return !!callContext.getStore()?.simulacion;
+}
+
+// Vista previa del impacto para el informe de la simulación en curso; fuera de una simulación no hace nada
+function simulationPreview(texto) {
+  const simulacion = callContext.getStore()?.simulacion;
+  if (simulacion) simulacion.vistaPrevia = texto;
+}
+
+function formatParam(valor) {
+  if (Buffer.isBuffer(valor)) return `[binario, ${valor.length} bytes]`;
+  if (valor instanceof Date) return JSON.stringify(valor.toISOString());
+  if (typeof valor === 'bigint') return valor.toString();
+  if (typeof valor === 'string' && valor.length > 200) return JSON.stringify(`${valor.slice(0, 200)}… (${valor.length} caracteres)`);
+  return JSON.stringify(valor) ?? 'null';
+}
+
+// Texto de la simulación: la vista previa del impacto y cada sentencia que se habría ejecutado
+function simulationReport(vistaPrevia, sentencias, result) {
+  const cabecera = 'SIMULACIÓN (no se ha ejecutado nada):';
+  if (sentencias.length === 0) {
+    const texto = result.content.map(c => c.text).join('\n');
+    return [cabecera, vistaPrevia, 'No se ejecutaría ninguna sentencia de escritura.', texto].filter(Boolean).join('\n');
+  }
+  const lineas = sentencias.slice(0, SIMULATION_MAX_STATEMENTS).map((st, i) => {
+    const params = st.params || [];
+    const valores = params.slice(0, SIMULATION_MAX_PARAMS).map(formatParam);
+    if (params.length > SIMULATION_MAX_PARAMS) valores.push(`… (${params.length - SIMULATION_MAX_PARAMS} más)`);
+    return `${i + 1}. ${st.sql}` + (params.length ? `\n   Parámetros: [${valores.join(', ')}]` : '');
+  });
+  if (sentencias.length > SIMULATION_MAX_STATEMENTS) {
+    lineas.push(`… y ${sentencias.length - SIMULATION_MAX_STATEMENTS} sentencia(s) más.`);
+  }
+  return `${cabecera}\n${vistaPrevia ? `${vistaPrevia}\n\n` : ''}`
+    + `SQL que se ejecutaría (${sentencias.length} sentencia(s)):\n${lineas.join('\n')}`;
+}
+
+/**
+ * Ejecuta la herramienta en modo simulación: el QueryRunner descarta las escrituras y las anota.
+ * Las herramientas con confirmación pasan por sus dos fases: la vista previa da el impacto
+ * y la segunda fase, con el token recién emitido, el SQL.
+ */
+async function simulateCall(args, extra, handler) {
+  const { sentencias, simulacion } = callContext.getStore();
+  // Un token traído por el cliente no se consume: sigue sirviendo para la ejecución real
+  let result = await handler({ ...args, confirmacion: undefined }, extra);
+  if (!result.isError && simulacion.token) {
+    // Solo cuentan las sentencias de la ejecución, no las de la vista previa
+    sentencias.length = 0;
+    result = await handler({ ...args, confirmacion: simulacion.token }, extra);
+  }
+  if (result.isError) return result;
+  return { content: [{ type: 'text', text: simulationReport(simulacion.vistaPrevia, sentencias.filter(st => st.simulated), result) }] };
+}
+
+// Cuenta las filas de una tabla, opcionalmente filtradas
+async function countRows(query_runner, db_type, tabla, where = '', params = []) {
+  const sql = `SELECT COUNT(*) AS total FROM ${quoteIdent(db_type, tabla)}${where ? ` WHERE ${where}` : ''}`;
+  const result = await query_runner.runQueryWithParams(sql, params);
+  return Number(result.rows[0].total);
+}
+
+// Vista previa de las filas de un filtro: cuántas son y una muestra. Devuelve { total, texto }
+async function matchingRowsPreview(query_runner, db_type, tabla, where, verbo) {
+  const total = await countRows(query_runner, db_type, tabla, where.sql, where.params);
+  const muestra = await query_runner.runQueryWithParams(
+    `SELECT * FROM ${quoteIdent(db_type, tabla)} WHERE ${where.sql} LIMIT 5`, where.params);
+  return {
+    total,
+    texto: `Se ${verbo} ${total} registro(s) de la tabla '${tabla}'.`
+      + (muestra.rows.length ? `\nMuestra:\n${JSON.stringify(muestra.rows, null, 2)}` : ''),
+  };
+}
+
+// Texto con las claves foráneas afectadas para las vistas previas
+function describeForeignKeys(titulo, fks) {
+  if (fks.length === 0) return '';
+  const lineas = fks.map(fk =>
+    `- ${fk.name || '(sin nombre)'}: ${fk.table}(${fk.columns.join(', ')}) -> ${fk.refTable}(${fk.refColumns.join(', ')})`
+    + (fk.onDelete ? ` ON DELETE ${fk.onDelete}` : ''));
+  return `\n${titulo}:\n${lineas.join('\n')}`;
+}
+
+// --- Filtros estructurados (crudTabla) ---
+const OPERADORES = ['=', '!=', '<>', '>', '>=', '<', '<=', 'in', 'not in', 'between', 'like', 'not like', 'ilike', 'is null', 'is not null'];
+
+const condicionSchema = z.object({
+  columna: z.string().describe('Columna a comparar'),
+  op: z.enum(OPERADORES).describe('Operador de comparación'),
+  valor: z.any().optional().describe('Valor; un array para in/not in y [desde, hasta] para between; se omite con is null'),
+}).strict();
+
+const nodoFiltroSchema = z.lazy(() => z.union([
+  condicionSchema,
+  z.object({ and: z.array(nodoFiltroSchema).min(1) }).strict(),
+  z.object({ or: z.array(nodoFiltroSchema).min(1) }).strict(),
+]));
+
+const filtroSchema = z.union([
+  nodoFiltroSchema,
+  z.array(nodoFiltroSchema),
+  z.record(z.any()),
+]).describe(
+  'Filtro. Forma simple: {"columna": valor} (igualdades unidas con AND). '
+  + 'Forma estructurada: {"columna": "total", "op": ">", "valor": 100}, con operadores '
+  + `${OPERADORES.join(', ')}; un array de condiciones se une con AND; `
+  + 'los grupos {"and": [...]} y {"or": [...]} pueden anidarse.'
+);
+
+const ordenSchema = z.array(z.object({
+  columna: z.string(),
+  direccion: z.enum(['asc', 'desc']).optional(),
+})).describe('Orden de los resultados, ej. [{"columna": "fecha", "direccion": "desc"}]');
+
+/**
+ * Traduce un filtro (simple o estructurado) a un WHERE parametrizado.
+ * `offset` es el número de parámetros que ya lleva la sentencia (para $n en PostgreSQL).
+ * `expresion` traduce el nombre de columna del filtro a SQL (por defecto, el identificador entre comillas).
+ * Devuelve { sql, params }; sql vacío si el filtro no tiene condiciones.
+ */
+function compileFilter(filtro, db_type, offset = 0, expresion = columna => quoteIdent(db_type, columna)) {
+  const params = [];
+  const marca = () => makePlaceholders(db_type, 1, offset + params.length - 1)[0];
+
+  const condicion = ({ columna, op, valor }) => {
+    const col = expresion(columna);
+    switch (op) {
+      case 'is null':
+        return `${col} IS NULL`;
+      case 'is not null':
+        return `${col} IS NOT NULL`;
+      case 'in':
+      case 'not in': {
+        if (!Array.isArray(valor) || valor.length === 0) {
+          throw new Error(`El operador '${op}' de la columna '${columna}' requiere un array de valores no vacío.`);
+        }
+        const marcas = valor.map(v => { params.push(v); return marca(); });
+        return `${col} ${op.toUpperCase()} (${marcas.join(', ')})`;
+      }
+      case 'between': {
+        if (!Array.isArray(valor) || valor.length !== 2) {
+          throw new Error(`El operador 'between' de la columna '${columna}' requiere [desde, hasta].`);
+        }
+        params.push(valor[0]);
+        const desde = marca();
+        params.push(valor[1]);
+        return `${col} BETWEEN ${desde} AND ${marca()}`;
+      }
+      default: {
+        if (valor === undefined || valor === null || typeof valor === 'object') {
+          throw new Error(`El operador '${op}' de la columna '${columna}' requiere un valor simple (usa 'is null' para nulos).`);
+        }
+        params.push(valor);
+        if (op === 'ilike') {
+          // ILIKE solo existe en PostgreSQL; en los demás se compara en minúsculas
+          return db_type === 'mysql' || db_type === 'sqlite'
+            ? `LOWER(${col}) LIKE LOWER(${marca()})`
+            : `${col} ILIKE ${marca()}`;
+        }
+        return `${col} ${op.toUpperCase()} ${marca()}`;
+      }
+    }
+  };
+
+  const nodo = n => {
+    if (n.and || n.or) {
+      const partes = (n.and || n.or).map(nodo);
+      return partes.length === 1 ? partes[0] : `(${partes.join(n.and ? ' AND ' : ' OR ')})`;
+    }
+    return condicion(n);
+  };
+
+  let nodos;
+  if (Array.isArray(filtro)) {
+    nodos = filtro;
+  } else if ((filtro.columna !== undefined && filtro.op !== undefined) || filtro.and || filtro.or) {
+    nodos = [filtro];
+  } else {
+    // Forma simple: igualdad por columna (null se interpreta como IS NULL)
+    nodos = Object.entries(filtro).map(([columna, valor]) =>
+      valor === null ? { columna, op: 'is null' } : { columna, op: '=', valor });
+  }
+  return { sql: nodos.map(nodo).join(' AND '), params };
+}
+
+// Nombres de columna que usa un filtro (simple o estructurado)
+function filterColumns(filtro) {
+  const nodo = n => (n.and || n.or ? (n.and || n.or).flatMap(nodo) : [n.columna]);
+  if (Array.isArray(filtro)) return filtro.flatMap(nodo);
+  if ((filtro.columna !== undefined && filtro.op !== undefined) || filtro.and || filtro.or) return nodo(filtro);
+  return Object.keys(filtro);
+}
+
+// Comprueba que las columnas existen en la tabla antes de usarlas en una sentencia
+async function checkColumns(query_runner, tabla, nombres) {
+  if (nombres.length === 0) return;
+  const existentes = await query_runner.getTableColumns(tabla);
+  const desconocidas = [...new Set(nombres)].filter(c => !existentes.includes(c));
+  if (desconocidas.length > 0) {
+    throw new Error(`La tabla '${tabla}' no tiene la(s) columna(s): ${desconocidas.join(', ')}.`);
+  }
+}
+
+// Argumentos comunes de paginación para las herramientas de lectura
+const paginacionArgs = {
+  limite: z.number().int().positive().optional().describe('Máximo de filas a devolver (hay un tope configurado en el servidor)'),
+  offset: z.number().int().nonnegative().optional().describe('Filas a saltar desde el inicio (alternativa al cursor)'),
+  cursor: z.string().optional().describe('Cursor devuelto por la página anterior para obtener la siguiente'),
+  contarTotal: z.boolean().optional().describe('Calcular el total de filas (requiere una consulta adicional)'),
+};
+
+/**
+ * Lee una página de una tabla. Si la tabla tiene clave primaria y no se pidió offset, pagina
+ * por clave (keyset): la siguiente página empieza tras la última clave mostrada.
+ * Devuelve las filas (como máximo `limit`), si hay más y una función para el cursor siguiente.
+ */
+async function readTablePage(query_runner, db_type, { tabla, columnas, where = '', params = [], orden, limite, offset, cursor, contarTotal }) {
+  await checkColumns(query_runner, tabla, [...(columnas || []), ...(orden || []).map(o => o.columna)]);
+  const limit = resolveLimit(limite);
+  const posicion = cursor ? decodeCursor(cursor) : { o: offset ?? 0 };
+  const pk = await query_runner.getPrimaryKey(tabla);
+  const proyecta = columnas && columnas.length > 0;
+  const ordenado = orden && orden.length > 0;
+  // Con un orden propio se pagina por desplazamiento; la clave primaria solo desempata
+  const usaKeyset = pk.length > 0 && !ordenado && offset === undefined && (!proyecta || pk.every(c => columnas.includes(c)));
+
+  const condiciones = where ? [`(${where})`] : [];
+  const valores = [...params];
+  if (usaKeyset && posicion.k) {
+    const marcas = makePlaceholders(db_type, pk.length, valores.length);
+    condiciones.push(`(${pk.map(c => quoteIdent(db_type, c)).join(', ')}) > (${marcas.join(', ')})`);
+    valores.push(...posicion.k);
+  }
+  let sql = `SELECT ${proyecta ? columnas.map(col => quoteIdent(db_type, col)).join(', ') : '*'} FROM ${quoteIdent(db_type, tabla)}`;
+  if (condiciones.length > 0) sql += ` WHERE ${condiciones.join(' AND ')}`;
+  const ordenSql = (orden || []).map(o => `${quoteIdent(db_type, o.columna)} ${o.direccion === 'desc' ? 'DESC' : 'ASC'}`)
+    .concat(pk.filter(c => !(orden || []).some(o => o.columna === c)).map(c => quoteIdent(db_type, c)));
+  if (ordenSql.length > 0) sql += ` ORDER BY ${ordenSql.join(', ')}`;
+  sql += ` LIMIT ${limit + 1}`;
+  if (!usaKeyset) sql += ` OFFSET ${posicion.o}`;
+
+  const result = await query_runner.runQueryWithParams(sql, valores);
+  const rows = result.rows.slice(0, limit);
+  const desde = posicion.o ?? 0;
+  return {
+    columns: result.columns,
+    rows,
+    desde,
+    hasMore: result.rows.length > limit,
+    total: contarTotal ? await countRows(query_runner, db_type, tabla, where, params) : undefined,
+    cursorAfter: shown => encodeCursor(usaKeyset
+      ? { k: pk.map(c => rows[shown - 1][c]), o: desde + shown }
+      : { o: desde + shown }),
+  };
+}
+
+// Ajusta las filas al tamaño máximo de salida y añade el aviso de paginación cuando hace falta
+function pagedContent(page, render) {
+  const { text, shown, cut } = fitRows(page.rows, render);
+  const truncated = cut || shown < page.rows.length;
+  const hasMore = page.hasMore || shown < page.rows.length;
+  const content = [{ type: 'text', text }];
+  if (hasMore || truncated || page.desde > 0 || page.total !== undefined) {
+    content.push({
+      type: 'text',
+      text: pageNotice({ desde: page.desde, shown, total: page.total, hasMore, cursor: hasMore ? page.cursorAfter(shown) : null, truncated })
+    });
+  }
+  return { content };
+}
+
+// Texto de describirTabla (y del recurso schema://tabla/{nombre}) a partir de describeTable
+function formatTableDescription(tabla, d) {
+  const nombre = n => n ? `'${n}'` : '(sin nombre)';
+  const lista = (titulo, items, vacio = '(ninguna)') => `${titulo}:\n${items.length ? items.join('\n') : `- ${vacio}`}`;
+  const partes = [];
+  partes.push(`Tabla '${tabla}'${d.comment ? ` — ${d.comment}` : ''}`);
+  partes.push(d.rowEstimate === null
+    ? 'Filas: sin estadísticas (ejecuta ANALYZE para obtener una estimación)'
+    : `Filas: ${d.exactCount ? '' : '~'}${d.rowEstimate}${d.exactCount ? '' : ' (estimación de las estadísticas del motor)'}`);
+  partes.push(lista('Columnas', d.columns.map(c =>
+    `- ${c.name} ${c.type || '(sin tipo)'} ${c.nullable ? 'NULL' : 'NOT NULL'}`
+    + (c.default !== null && c.default !== undefined ? ` DEFAULT ${c.default}` : '')
+    + (c.autoIncrement ? ' AUTOINCREMENTO' : '')
+    + (c.comment ? ` — ${c.comment}` : ''))));
+  partes.push(`Clave primaria: ${d.primaryKey ? `${d.primaryKey.name ? `'${d.primaryKey.name}' ` : ''}(${d.primaryKey.columns.join(', ')})` : '(ninguna)'}`);
+  partes.push(lista('Restricciones UNIQUE', d.uniques.map(u => `- ${nombre(u.name)} (${u.columns.join(', ')})`)));
+  const fk = f => `- ${nombre(f.name)}: ${f.table}(${f.columns.join(', ')}) -> ${f.refTable}(${f.refColumns.join(', ')})`
+    + ` ON DELETE ${f.onDelete || 'NO ACTION'} ON UPDATE ${f.onUpdate || 'NO ACTION'}`;
+  partes.push(lista('Claves foráneas que salen de esta tabla', d.foreignKeys.filter(f => f.table === tabla).map(fk)));
+  partes.push(lista('Claves foráneas que apuntan a esta tabla', d.foreignKeys.filter(f => f.refTable === tabla && f.table !== tabla).map(fk)));
+  partes.push(lista('Restricciones CHECK', d.checks.map(c => `- ${nombre(c.name)}: ${c.expression}`)));
+  partes.push(lista('Índices', d.indexes.map(i =>
+    `- ${i.name} (${i.columns.join(', ')})`
+    + [i.primary ? ' PRIMARIO' : i.unique ? ' ÚNICO' : '', i.partial ? ' PARCIAL' : '', i.method ? ` [${i.method}]` : ''].join('')), '(ninguno)'));
+  partes.push(lista('Triggers', d.triggers.map(formatTrigger), '(ninguno)'));
+  return partes.join('\n\n');
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} kB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Línea de un índice de listIndexes (listarIndices y la vista previa de eliminarIndice)
+function formatIndex(i) {
+  return `- ${i.name} (${i.columns.join(', ')})`
+    + [i.primary ? ' PRIMARIO' : i.unique ? ' ÚNICO' : '', i.method ? ` [${i.method}]` : '',
+      i.partial ? ` PARCIAL${i.where ? ` WHERE ${i.where}` : ''}` : ''].join('')
+    + (i.constraint && !i.primary ? ' — respalda una restricción UNIQUE' : '')
+    + (i.size !== null ? `, ${formatBytes(i.size)}` : '')
+    // idx_scan cuenta desde el último reinicio de las estadísticas de PostgreSQL
+    + (i.scans !== null ? `, ${i.scans} uso(s)${i.scans === 0 && !i.constraint ? ' — SIN USAR' : ''}` : '');
+}
+
+// Línea de un trigger de listTriggers (describirTabla y listarTriggers)
+function formatTrigger(t) {
+  return `- ${t.name}: ${t.timing} ${t.events.join(' OR ')} ON ${t.table} FOR EACH ${t.level}`
+    + (t.function ? ` EXECUTE ${t.function}()` : '')
+    + (t.enabled ? '' : ' — DESACTIVADO');
+}
+
+// Directorio donde exportarTabla puede escribir archivos (EXPORT_DIR, por defecto ./exportaciones)
+function exportDir() {
+  return path.resolve(__dirname, process.env.EXPORT_DIR || 'exportaciones');
+}
+
+// Migraciones que registran las herramientas DDL (MIGRATIONS_DIR, por defecto ./migraciones)
+function migrationStore() {
+  return new MigrationStore(path.resolve(__dirname, process.env.MIGRATIONS_DIR || 'migraciones'));
+}
+
+// Archivos de especificación de esquema que lee compararEsquemas (SCHEMA_DIR, por defecto ./esquemas)
+function schemaDir() {
+  return path.resolve(__dirname, process.env.SCHEMA_DIR || 'esquemas');
+}
+
+// Ruta relativa al servidor si el archivo está dentro de su directorio
+function displayPath(ruta) {
+  const relativa = path.relative(__dirname, ruta);
+  return relativa && !relativa.startsWith('..') && !path.isAbsolute(relativa) ? relativa : ruta;
+}
+
+// Definición SQL de una columna leída con describeTable, para volver a crearla o restaurar su tipo
+function columnDefinition(db_type, col) {
+  let def = `${quoteIdent(db_type, col.name)} ${col.type}`;
+  if (!col.nullable) def += ' NOT NULL';
+  if (col.default !== null && col.default !== undefined) {
+    // MySQL devuelve los valores por defecto literales sin comillas
+    const literal = db_type === 'mysql' && !/^(-?\d+(\.\d+)?|NULL|CURRENT_TIMESTAMP(\(\d*\))?|\(.*\))$/i.test(col.default)
+      ? `'${String(col.default).replace(/'/g, "''")}'`
+      : col.default;
+    def += ` DEFAULT ${literal}`;
+  }
+  return def;
+}
+
+// ALTER TABLE que agrega una clave foránea ({ name, columns, refTable, refColumns, onDelete, onUpdate })
+function foreignKeySql(db_type, tabla, fk) {
+  const cols = fk.columns.map(col => quoteIdent(db_type, col)).join(', ');
+  const refCols = fk.refColumns.map(col => quoteIdent(db_type, col)).join(', ');
+  let sql = `ALTER TABLE ${quoteIdent(db_type, tabla)} ADD CONSTRAINT ${quoteIdent(db_type, fk.name)} `
+    + `FOREIGN KEY (${cols}) REFERENCES ${quoteIdent(db_type, fk.refTable)} (${refCols})`;
+  if (fk.onDelete && fk.onDelete !== 'NO ACTION') sql += ` ON DELETE ${fk.onDelete}`;
+  if (fk.onUpdate && fk.onUpdate !== 'NO ACTION') sql += ` ON UPDATE ${fk.onUpdate}`;
+  return sql;
+}
+
+/**
+ * Registra un cambio de estructura ya aplicado como migración numerada (SQL de subida y de
+ * bajada) y la anota en schema_migrations de la conexión. Devuelve el texto que se añade a la
+ * respuesta: si el registro falla el cambio no se deshace, solo se avisa.
+ */
+async function recordMigration(conexion, herramienta, { descripcion, up, down, notaDown }) {
+  if (process.env.RECORD_MIGRATIONS === 'false' || isSimulating()) return '';
+  try {
+    const { name, runner: query_runner, db_type } = connections.get(conexion);
+    const store = migrationStore();
+    const aplicadas = await appliedMigrations(query_runner);
+    const pendientes = store.list().filter(m => !aplicadas.has(m.version)).length;
+    const migracion = store.create({ descripcion, db_type, conexion: name, herramienta, up, down, notaDown });
+    await ensureMigrationsTable(query_runner);
+    await query_runner.withTransaction(tx => markApplied(tx, db_type, migracion));
+    return `\nMigración ${migracion.version} registrada en ${displayPath(migracion.archivo)}.`
+      + (pendientes > 0 ? ` Atención: esta conexión tiene ${pendientes} migración(es) anterior(es) sin aplicar (consulta listarMigraciones).` : '');
+  } catch (e) {
+    return `\nAviso: el cambio se aplicó pero no se pudo registrar como migración: ${e.message || e}`;
+  }
+}
+
+// Respaldos previos a las acciones destructivas (BACKUP_DIR, por defecto ./respaldos)
+function backupStore() {
+  if (process.env.BACKUPS === 'false') return null;
+  return new BackupStore(path.resolve(__dirname, process.env.BACKUP_DIR || 'respaldos'), {
+    retentionDays: Number(process.env.BACKUP_RETENTION_DAYS || 7),
+    maxCount: parseInt(process.env.BACKUP_MAX_COUNT || '100'),
+  });
+}
+
+// Filas como máximo de un respaldo; por encima la acción se ejecuta sin respaldo
+function backupMaxRows() {
+  return parseInt(process.env.BACKUP_MAX_ROWS || '100000');
+}
+
+// Motivo por el que una acción no tendrá respaldo, o null si lo tendrá
+function backupSkipReason(total, { sinClave = false } = {}) {
+  if (!backupStore()) return 'los respaldos están desactivados (BACKUPS=false)';
+  if (sinClave) return 'no hay una clave primaria estable que identifique las filas (la tabla no tiene o la acción cambia sus columnas)';
+  if (total > backupMaxRows()) return `${total} fila(s) superan el límite de respaldo (BACKUP_MAX_ROWS=${backupMaxRows()})`;
+  return null;
+}
+
+// Línea de la vista previa que indica si la acción se podrá deshacer
+function backupNotice(total, opciones) {
+  const motivo = backupSkipReason(total, opciones);
+  return motivo
+    ? `\nNo se guardará respaldo porque ${motivo}: la acción NO se podrá deshacer.`
+    : `\nAntes de ejecutarla se guardará un respaldo de ${total} fila(s) que podrá restaurarse con restaurarRespaldo.`;
+}
+
+function backupSaved(respaldo) {
+  return `\nRespaldo ${respaldo.id} guardado (${respaldo.filas} fila(s)); puede restaurarse con restaurarRespaldo.`;
+}
+
+/**
+ * Guarda, antes de una acción destructiva, las filas que devuelve `select`. Devuelve
+ * { respaldo, aviso }: el respaldo (null si no se guardó) y el texto para la respuesta.
+ * Si el respaldo falla se lanza el error y la acción no llega a ejecutarse.
+ */
+async function saveBackup(query_runner, meta, { select, params = [], total, sinClave = false }) {
+  const motivo = backupSkipReason(total, { sinClave });
+  if (motivo || isSimulating()) {
+    return { respaldo: null, aviso: motivo && backupStore() ? `\nNo se guardó respaldo porque ${motivo}.` : '' };
+  }
+  const lotes = (async function* () {
+    for await (const { rows } of query_runner.streamRows(select, params)) yield rows;
+  })();
+  const respaldo = await backupStore().save(meta, lotes);
+  return { respaldo, aviso: backupSaved(respaldo) };
+}
+
+// Respaldo de una columna (valores y definición) con la clave primaria de cada fila
+async function saveColumnBackup(query_runner, db_type, herramienta, tipo, conexion, tabla, definicion) {
+  const clave = await query_runner.getPrimaryKey(tabla);
+  const columnas = [...clave, definicion.name].map(c => quoteIdent(db_type, c)).join(', ');
+  return saveBackup(query_runner, {
+    herramienta, tipo, conexion, motor: db_type, tabla, columna: definicion.name, clave, definicion,
+  }, {
+    select: `SELECT ${columnas} FROM ${quoteIdent(db_type, tabla)}`,
+    total: await countRows(query_runner, db_type, tabla),
+    sinClave: clave.length === 0 || clave.includes(definicion.name),
+  });
+}
+
+// Ejecuta la acción respaldada; si falla, el respaldo sobra y se borra
+async function runWithBackup({ respaldo }, action) {
+  try {
+    return await action();
+  } catch (e) {
+    if (respaldo) backupStore().remove(respaldo.id);
+    throw e;
+  }
+}
+
+/**
+ * UPDATE o DELETE de crudTabla guardando antes, en la misma transacción, las filas que
+ * coinciden con el filtro. Devuelve { filas, aviso }.
+ */
+async function runWithRowBackup(query_runner, db_type, meta, where, sql, valores, { sinClave = false } = {}) {
+  const store = backupStore();
+  let respaldo = null;
+  try {
+    return await query_runner.withTransaction(async tx => {
+      let aviso = '';
+      if (store && !isSimulating()) {
+        // Se lee una fila más del límite para saber si lo supera sin contar todas
+        const max = backupMaxRows();
+        const { rows } = await tx.run(`SELECT * FROM ${quoteIdent(db_type, meta.tabla)} WHERE ${where.sql} LIMIT ${max + 1}`, where.params);
+        if (sinClave) {
+          aviso = `\nNo se guardó respaldo porque ${backupSkipReason(0, { sinClave })}.`;
+        } else if (rows.length > max) {
+          aviso = `\nNo se guardó respaldo porque más de ${max} fila(s) superan el límite de respaldo (BACKUP_MAX_ROWS).`;
+        } else if (rows.length > 0) {
+          respaldo = await store.save(meta, [rows]);
+          aviso = backupSaved(respaldo);
+        }
+      }
+      const result = await tx.run(sql, valores);
+      return { filas: result.affectedRows, aviso };
+    });
+  } catch (e) {
+    if (respaldo) store.remove(respaldo.id);
+    throw e;
+  }
+}
+
+// Qué hará restaurarRespaldo con un respaldo, para la vista previa
+function describeRestore(r) {
+  const ref = r.columna ? `${r.tabla}.${r.columna}` : r.tabla;
+  switch (r.tipo) {
+    case 'tabla': return `Se recreará la tabla '${r.tabla}' y se insertarán ${r.filas} fila(s).`;
+    case 'columna': return `Se volverá a crear la columna '${ref}' (${r.definicion.type}) y se rellenarán ${r.filas} fila(s) por su clave primaria.`;
+    case 'tipoColumna': return `Se devolverá '${ref}' al tipo ${r.definicion.type} y se restaurarán los valores de ${r.filas} fila(s).`;
+    case 'filasBorradas': return `Se volverán a insertar ${r.filas} fila(s) en '${r.tabla}'.`;
+    default: return `Se devolverán ${r.filas} fila(s) de '${r.tabla}' a sus valores anteriores; los cambios posteriores en esas columnas se perderán.`;
+  }
+}
+
+/**
+ * Restaura un respaldo en la conexión indicada. Las estructuras que se vuelven a crear (tabla, columna,
+ * tipo) se registran como migración. Devuelve el texto de la respuesta.
+ */
+async function restoreBackup(r, conexion) {
+  const { runner: query_runner, db_type } = connections.get(conexion);
+  const filas = backupStore().readRows(r.id);
+  const q = ident => quoteIdent(db_type, ident);
+  const columnas = await query_runner.getTableColumns(r.tabla);
+  // Las filas vuelven con sus claves originales, también en las columnas identity de PostgreSQL
+  const insertar = async tx => {
+    for (const fila of filas) {
+      const { sql, params } = buildInsert(db_type, r.tabla, fila, null, { identidad: true });
+      await tx.run(sql, params);
+    }
+  };
+  // UPDATE por clave primaria de las columnas indicadas
+  const actualizar = cols => async tx => {
+    for (const fila of filas) {
+      const set = cols.map((c, i) => `${q(c)} = ${makePlaceholders(db_type, 1, i)[0]}`).join(', ');
+      const where = r.clave.map((c, i) => `${q(c)} = ${makePlaceholders(db_type, 1, cols.length + i)[0]}`).join(' AND ');
+      await tx.run(`UPDATE ${q(r.tabla)} SET ${set} WHERE ${where}`, [...cols.map(c => fila[c]), ...r.clave.map(c => fila[c])]);
+    }
+  };
+
+  if (r.tipo === 'tabla') {
+    if (columnas.length > 0) throw new Error(`La tabla '${r.tabla}' ya existe: elimínala o renómbrala antes de restaurar.`);
+    await query_runner.runMigration(r.estructura, insertar);
+    if (db_type === 'pg') {
+      // Las secuencias de las columnas serial/identity continúan tras el mayor valor restaurado
+      for (const col of r.clave || []) {
+        await query_runner.runQueryWithParams(
+          `SELECT setval(s, (SELECT COALESCE(MAX(${q(col)}), 0) + 1 FROM ${q(r.tabla)}), false) FROM pg_get_serial_sequence($1, $2) AS s WHERE s IS NOT NULL`,
+          [q(r.tabla), col]);
+      }
+    }
+    return `Tabla '${r.tabla}' restaurada con ${filas.length} fila(s).`
+      + await recordMigration(conexion, 'restaurarRespaldo', {
+        descripcion: `restaurar tabla ${r.tabla}`, up: r.estructura, down: [`DROP TABLE ${q(r.tabla)}`],
+      });
+  }
+  if (r.tipo === 'columna') {
+    if (columnas.includes(r.columna)) throw new Error(`La columna '${r.tabla}.${r.columna}' ya existe.`);
+    // Como en la migración de bajada, una columna NOT NULL sin valor por defecto vuelve admitiendo nulos
+    const definicion = { ...r.definicion, nullable: r.definicion.nullable || r.definicion.default === null || r.definicion.default === undefined };
+    const sql = `ALTER TABLE ${q(r.tabla)} ADD COLUMN ${columnDefinition(db_type, definicion)}`;
+    await query_runner.runMigration([sql], actualizar([r.columna]));
+    return `Columna '${r.tabla}.${r.columna}' restaurada con los valores de ${filas.length} fila(s).`
+      + await recordMigration(conexion, 'restaurarRespaldo', {
+        descripcion: `restaurar columna ${r.tabla}.${r.columna}`,
+        up: [sql],
+        down: [`ALTER TABLE ${q(r.tabla)} DROP COLUMN ${q(r.columna)}`],
+      });
+  }
+  if (r.tipo === 'tipoColumna') {
+    const actual = (await query_runner.describeTable(r.tabla))?.columns.find(c => c.name === r.columna);
+    if (!actual) throw new Error(`La columna '${r.tabla}.${r.columna}' ya no existe.`);
+    let cambio;
+    if (db_type === 'sqlite') {
+      cambio = await query_runner.rebuildSqliteTable(r.tabla, def => {
+        def.columns.find(c => c.name === r.columna).type = r.definicion.type;
+      });
+      await query_runner.withTransaction(actualizar([r.columna]));
+    } else {
+      const [sql, down] = db_type === 'mysql'
+        ? [`ALTER TABLE ${q(r.tabla)} MODIFY COLUMN ${columnDefinition(db_type, r.definicion)}`,
+          `ALTER TABLE ${q(r.tabla)} MODIFY COLUMN ${columnDefinition(db_type, actual)}`]
+        : [`ALTER TABLE ${q(r.tabla)} ALTER COLUMN ${q(r.columna)} TYPE ${r.definicion.type} USING ${q(r.columna)}::${r.definicion.type}`,
+          `ALTER TABLE ${q(r.tabla)} ALTER COLUMN ${q(r.columna)} TYPE ${actual.type}`];
+      // Si algún valor actual no admite el tipo original el ALTER falla y no se cambia nada;
+      // después se restauran los valores respaldados
+      await query_runner.runMigration([sql], actualizar([r.columna]));
+      cambio = { up: [sql], down: [down] };
+    }
+    return `Columna '${r.tabla}.${r.columna}' devuelta al tipo ${r.definicion.type} con los valores de ${filas.length} fila(s).`
+      + await recordMigration(conexion, 'restaurarRespaldo', {
+        descripcion: `restaurar tipo de ${r.tabla}.${r.columna} a ${r.definicion.type}`, ...cambio,
+      });
+  }
+  if (columnas.length === 0) throw new Error(`La tabla '${r.tabla}' ya no existe.`);
+  if (r.tipo === 'filasBorradas') {
+    await query_runner.withTransaction(insertar);
+    return `Se volvieron a insertar ${filas.length} fila(s) en '${r.tabla}'.`;
+  }
+  const cols = Object.keys(filas[0] || {}).filter(c => !r.clave.includes(c) && columnas.includes(c));
+  await query_runner.withTransaction(actualizar(cols));
+  return `Se devolvieron ${filas.length} fila(s) de '${r.tabla}' a sus valores anteriores.`;
+}
+
+// 2. Registrar las herramientas; cada cliente (el de stdio o cada sesión HTTP) tiene su propio McpServer
+// Herramientas que publica createServer, en el orden en que se registran
+const toolDefinitions = [];
+// Servidores abiertos: los avisos de cambios en el esquema van a todos
+const openServers = new Set();
+
+function createServer() {
+  const server = new McpServer({
+    transport_logging: false, // Silencia el log de MCP para ver mejor los nuestros
+    name: 'MyBase',
+    version: '1.0.0',
+  });
+  for (const tool of toolDefinitions) {
+    server.tool(tool.name, tool.description, tool.schema, (args, extra) => callTool(server, tool, args, extra));
+  }
+  registerSchemaResources(server);
+  registerPrompts(server);
+  openServers.add(server);
+  server.server.onclose = () => {
+    openServers.delete(server);
+    schemaSubscriptions.delete(server);
+  };
+  return server;
+}
+
+// Política de acceso (politica.json): solo lectura, herramientas permitidas y tablas por herramienta
+const policy = AccessPolicy.load(path.resolve(__dirname, process.env.POLICY_FILE || 'politica.json'));
+
+// Auditoría de las llamadas que cambian datos o estructura (AUDIT_LOG_FILE, por defecto ./auditoria.jsonl)
+const auditLog = process.env.AUDIT_LOG === 'false'
+  ? null
+  : new AuditLog(path.resolve(__dirname, process.env.AUDIT_LOG_FILE || 'auditoria.jsonl'));
+
+// Cada QueryRunner anota sus sentencias en la llamada en curso y, si se simula, descarta las de escritura
+for (const name of connections.names()) {
+  const { runner } = connections.get(name);
+  runner.onStatement = statement => callContext.getStore()?.sentencias.push(statement);
+  runner.simulate = sql => isSimulating() && isWriteStatement(sql);
+}
+
+// Herramientas que no cambian nada aunque no estén en el modo solo lectura
+const NON_MUTATING_TOOLS = ['listarMigraciones'];
+
+// crudTabla con accion 'read' y compararEsquemas sin aplicar solo leen
+function isMutatingCall(tool, args) {
+  return !READ_ONLY_TOOLS.includes(tool) && !NON_MUTATING_TOOLS.includes(tool) && args.accion !== 'read'
+    && (tool !== 'compararEsquemas' || args.aplicar === true);
+}
+
+// Identidad del cliente MCP: nombre y versión declarados al conectar, sesión y cliente autenticado
+function clientIdentity(server, extra) {
+  const cliente = server.server.getClientVersion();
+  return {
+    nombre: cliente?.name ?? null,
+    version: cliente?.version ?? null,
+    sesion: extra?.sessionId ?? null,
+    ...(extra?.authInfo?.clientId ? { id: extra.authInfo.clientId } : {}),
+  };
+}
+
+// Un fallo al escribir la auditoría se informa en el log del servidor sin afectar a la llamada
+function recordAudit(entry) {
+  try {
+    auditLog.record(entry);
+  } catch (e) {
+    console.error('Error al escribir la auditoría:', e.message || e);
+  }
+}
+
+// Registra una herramienta si la política la permite. Las que pueden cambiar algo aceptan además `simular`
+function registerTool(name, description, schema, handler) {
+  if (!policy.isRegistered(name)) return;
+  if (!READ_ONLY_TOOLS.includes(name) && !NON_MUTATING_TOOLS.includes(name)) {
+    schema = { ...schema, simular: simularArg };
+  }
+  toolDefinitions.push({ name, description, schema, handler });
+}
+
+// Ejecuta una herramienta aplicando la política antes de que cualquier SQL llegue al QueryRunner
+async function callTool(server, { name, schema, handler }, args, extra) {
+  const inicio = Date.now();
+  const sesion = extra?.sessionId ?? null;
+  let conexion, db_type;
+  try {
+    ({ name: conexion, db_type } = connections.get(args.conexion));
+  } catch (e) {
+    // La herramienta informará de la conexión desconocida
+  }
+  const auditar = auditLog && isMutatingCall(name, args);
+  const entrada = { herramienta: name, conexion, motor: db_type, cliente: clientIdentity(server, extra), argumentos: args, inicio };
+  const rechazo = policy.check(name, args, db_type);
+  if (rechazo) {
+    if (auditar) recordAudit({ ...entrada, error: rechazo });
+    return { isError: true, content: [{ type: 'text', text: rechazo }] };
+  }
+  // Las simulaciones no cambian nada: no se auditan ni avisan de cambios en el esquema
+  if (isMutatingCall(name, args) && (dry_run || args.simular)) {
+    return callContext.run({ sentencias: [], simulacion: {}, sesion }, () => simulateCall(args, extra, handler));
+  }
+  const sentencias = [];
+  const result = await callContext.run({ sentencias, sesion }, () => handler(args, extra));
+  // Las vistas previas no ejecutan escrituras y no se anotan; los errores siempre
+  if (auditar && (result.isError || sentencias.some(st => isWriteStatement(st.sql)))) {
+    recordAudit({
+      ...entrada,
+      tablas: policy.tablesOf(name, args, db_type),
+      sentencias,
+      error: result.isError ? result.content.map(c => c.text).join('\n') : null,
+    });
+  }
+  // Las herramientas con confirmación solo cambian algo en la llamada que presenta el token
+  if (!result.isError && changesSchema(name, args) && (!('confirmacion' in schema) || args.confirmacion)) {
+    notifySchemaChange(name, args, db_type);
+  }
+  return result;
+}
 
 // =================================================================
 // --- I. HERRAMIENTAS DE CONSULTA (LEER DATOS) ---
 // =================================================================
+// --- Herramienta: Listar conexiones ---
+registerTool(
+  'listarConexiones',
+  'Sigue estas reglas para listar conexiones:\n'
+  + 'PROPÓSITO: Obtener las bases de datos configuradas en el servidor, su motor y si responden.\n'
+  + 'USO: Úsalo para saber qué valor pasar en el argumento "conexion" de las demás herramientas.\n'
+  + 'EJEMPLO: "¿A qué bases de datos tienes acceso?"',
+  {},
+  async () => {
+    const estados = await connections.health();
+    const lineas = estados.map(c => {
+      const marca = c.name === connections.defaultName ? ' (predeterminada)' : '';
+      const estado = c.ok ? `OK, ${c.ms} ms` : `ERROR: ${c.error}`;
+      return `- ${c.name}${marca}: ${c.db_type} — ${estado}`;
+    });
+    return { content: [{ type: 'text', text: 'Conexiones:\n' + lineas.join('\n') }] };
+  }
+);
+
 // --- Herramienta: Listar tablas ---
-server.tool(
+registerTool(
   'listarTablas',
   'Sigue estas reglas para listar tablas:\n'
   + 'PROPÓSITO: Obtener una lista de todas las tablas en la base de datos.\n'
   + 'USO: Úsalo cuando necesites saber qué tablas existen.\n'
   + 'EJEMPLO: "Muestra las tablas disponibles."',
-  {},
-  async () => {
-    const schema = await query_runner.getSchema();
-    return {
-      content: [
-        { type: 'text', text: 'Tablas:\n' + schema.map(t => `- ${t.name}`).join('\n') }
-      ]
-    };
+  {
+    conexion: conexionArg,
+  },
+  async ({ conexion }) => {
+    try {
+      const { runner: query_runner } = connections.get(conexion);
+      // Con un ámbito de tablas en la política solo se listan las permitidas
+      const schema = (await query_runner.getSchema()).filter(t => policy.allowsTable('listarTablas', t.name));
+      return {
+        content: [
+          { type: 'text', text: 'Tablas:\n' + schema.map(t => `- ${t.name}`).join('\n') }
+        ]
+      };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al listar tablas: ' + (e.message || e) }] };
+    }
   }
 );
 
 // --- Herramienta: Listar columnas de una tabla ---
-server.tool(
+registerTool(
   'columnasDeTabla',
   'Sigue estas reglas para listar columnas:\n'
   + 'PROPÓSITO: Obtener una lista con los nombres de todas las columnas de una tabla específica.\n'
@@ -87,9 +1061,11 @@ server.tool(
   + 'EJEMPLO: "¿Cuáles son las columnas de la tabla ventas?"',
   {
     tabla: z.string().describe('Nombre de la tabla'),
+    conexion: conexionArg,
   },
-  async ({ tabla }) => {
+  async ({ tabla, conexion }) => {
     try {
+      const { runner: query_runner, db_type } = connections.get(conexion);
       const columns = await query_runner.getTableColumns(tabla);
       if (!columns || columns.length === 0) {
         return { content: [{ type: 'text', text: `La tabla '${tabla}' no tiene columnas.` }] };
@@ -105,38 +1081,398 @@ server.tool(
   }
 );
 
+// --- Herramienta: Describir una tabla (columnas, claves, restricciones e índices) ---
+registerTool(
+  'describirTabla',
+  'Sigue estas reglas para describir una tabla:\n'
+  + 'PROPÓSITO: Obtener la estructura completa de una tabla: columnas (tipo, nulos, valor por defecto, autoincremento), clave primaria, restricciones UNIQUE y CHECK, claves foráneas que salen y que llegan (con ON DELETE/ON UPDATE), índices, triggers, filas aproximadas y comentario.\n'
+  + 'USO: Consúltala antes de eliminarClaveForanea, eliminarRestriccionUnica o cambios de estructura para usar los nombres exactos de las restricciones en lugar de adivinarlos.\n'
+  + 'EJEMPLO: "¿Qué claves foráneas e índices tiene la tabla ventas?"',
+  {
+    tabla: z.string().describe('Nombre de la tabla'),
+    conexion: conexionArg,
+  },
+  async ({ tabla, conexion }) => {
+    try {
+      const { runner: query_runner } = connections.get(conexion);
+      const d = await query_runner.describeTable(tabla);
+      if (!d) {
+        return { isError: true, content: [{ type: 'text', text: `La tabla '${tabla}' no existe.` }] };
+      }
+      return { content: [{ type: 'text', text: formatTableDescription(tabla, d) }] };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al describir la tabla: ' + (e.message || e) }] };
+    }
+  }
+);
+
+// Filas que lee perfilarTabla de una tabla grande (PROFILE_SAMPLE_ROWS)
+function profileSampleRows() {
+  return parseInt(process.env.PROFILE_SAMPLE_ROWS || '20000');
+}
+
+// SELECT de una muestra aleatoria de unas `filas` filas de una tabla de `total`; la tabla entera si cabe
+function sampleSelect(db_type, tabla, columnas, filas, total) {
+  const q = ident => quoteIdent(db_type, ident);
+  const select = `SELECT ${columnas.map(q).join(', ')} FROM ${q(tabla)}`;
+  if (total <= filas) return select;
+  // Cada fila entra con la misma probabilidad; el LIMIT solo recorta si el azar se pasa. Pedir de más y
+  // recortar dejaría fuera el final de la tabla
+  const proporcion = Math.min(1, filas / total);
+  if (db_type === 'mysql') return `${select} WHERE RAND() < ${proporcion} LIMIT ${filas}`;
+  if (db_type === 'sqlite') return `${select} WHERE abs(random() % 1000000) < ${Math.ceil(proporcion * 1000000)} LIMIT ${filas}`;
+  // SYSTEM elige páginas al azar en lugar de filas: no recorre la tabla entera
+  return `${select} TABLESAMPLE SYSTEM (${Number((proporcion * 100).toFixed(6))}) LIMIT ${filas}`;
+}
+
+// Claves (tupleKey) de las `tuplas` de `columnas` que existen en la tabla; consulta por lotes con `run`
+async function existingTuples(run, db_type, tabla, columnas, tuplas) {
+  const q = ident => quoteIdent(db_type, ident);
+  const n = columnas.length;
+  const cols = columnas.map(q);
+  const porLote = Math.floor(Math.min(1000 * n, MAX_PARAMS[db_type]) / n);
+  const existentes = new Set();
+  for (let i = 0; i < tuplas.length; i += porLote) {
+    const lote = tuplas.slice(i, i + porLote);
+    const placeholders = makePlaceholders(db_type, lote.length * n);
+    const valores = lote.map((_, j) => n === 1 ? placeholders[j] : `(${placeholders.slice(j * n, (j + 1) * n).join(', ')})`);
+    const { rows } = await run(
+      `SELECT DISTINCT ${cols.join(', ')} FROM ${q(tabla)} WHERE ${n === 1 ? cols[0] : `(${cols.join(', ')})`} IN (${valores.join(', ')})`,
+      lote.flat());
+    for (const row of rows) existentes.add(tupleKey(columnas.map(c => row[c])));
+  }
+  return existentes;
+}
+
+// Combinaciones de `valores` (de keyValues) de la clave foránea `fk` que no existen en la tabla referenciada
+async function orphanKeys(query_runner, db_type, fk, valores) {
+  const existentes = await existingTuples((sql, params) => query_runner.runQueryWithParams(sql, params),
+    db_type, fk.refTable, fk.refColumns, valores.map(v => v.valor));
+  return valores.filter(v => !existentes.has(v.clave));
+}
+
+// --- Herramienta: Perfilar los datos de una tabla ---
+registerTool(
+  'perfilarTabla',
+  'Sigue estas reglas para perfilar los datos de una tabla:\n'
+  + 'PROPÓSITO: Conocer la calidad de los datos de cada columna: porcentaje de nulos, valores distintos y repetidos, mínimo, máximo y media de números y fechas, valores más frecuentes, longitudes de texto y problemas como números o fechas guardados como texto, textos vacíos o con espacios sobrantes y valores de claves foráneas sin fila en la tabla referenciada.\n'
+  + 'USO: Consúltala antes de cambiarTipoColumna o agregarRestriccionUnica para saber si los datos lo soportarán. En tablas grandes lee una muestra aleatoria de filas (muestra, por defecto 20000) y las cifras son estimaciones; si la tabla cabe en la muestra el resultado es exacto.\n'
+  + 'EJEMPLO: "¿Se puede pasar a entero la columna codigo de productos?"',
+  {
+    tabla: z.string().describe('Nombre de la tabla'),
+    columnas: z.array(z.string()).min(1).optional().describe('Columnas a perfilar (opcional, por defecto todas)'),
+    muestra: z.number().int().positive().optional().describe('Filas como máximo que se leen (opcional, por defecto PROFILE_SAMPLE_ROWS o 20000)'),
+    top: z.number().int().min(1).max(50).optional().describe(`Valores más frecuentes que se muestran por columna (opcional, por defecto ${DEFAULT_TOP})`),
+    conexion: conexionArg,
+  },
+  async ({ tabla, columnas, muestra, top = DEFAULT_TOP, conexion }) => {
+    try {
+      const { runner: query_runner, db_type } = connections.get(conexion);
+      const d = await query_runner.describeTable(tabla);
+      if (!d) {
+        return { isError: true, content: [{ type: 'text', text: `La tabla '${tabla}' no existe.` }] };
+      }
+      const desconocidas = (columnas || []).filter(c => !d.columns.some(col => col.name === c));
+      if (desconocidas.length > 0) {
+        return { isError: true, content: [{ type: 'text', text: `La tabla '${tabla}' no tiene la(s) columna(s): ${desconocidas.join(', ')}.` }] };
+      }
+      const elegidas = columnas ? d.columns.filter(c => columnas.includes(c.name)) : d.columns;
+      // Solo se buscan huérfanos de las claves foráneas cuyas columnas se perfilan
+      const fks = d.foreignKeys.filter(f => f.table === tabla && f.columns.every(c => elegidas.some(e => e.name === c)));
+      const filas = muestra || profileSampleRows();
+      // La estimación del motor basta para decidir si se muestrea una tabla mucho mayor que la muestra
+      let total = d.rowEstimate;
+      const exacto = d.exactCount || total === null || total <= filas * 10;
+      if (!d.exactCount && exacto) total = await countRows(query_runner, db_type, tabla);
+      const muestreo = total > filas;
+
+      const perfil = createProfile(elegidas, { claves: fks.map(f => f.columns) });
+      const select = sampleSelect(db_type, tabla, elegidas.map(c => c.name), filas, total);
+      if (muestreo) {
+        // La muestra se lee de una vez (el LIMIT la acota): SQLite lee por partes repitiendo la consulta
+        // con OFFSET y cada parte volvería a sortear las filas
+        addRows(perfil, (await query_runner.runQueryWithParams(select, [])).rows);
+      } else {
+        for await (const { rows } of query_runner.streamRows(select)) addRows(perfil, rows);
+      }
+
+      const partes = [muestreo
+        ? `Tabla '${tabla}': ${exacto ? '' : '~'}${total} filas; se analizó una muestra aleatoria de ${perfil.filas}, así que las cifras son estimaciones.`
+        : `Tabla '${tabla}': ${perfil.filas} fila(s), analizadas todas.`];
+      const resumen = summarizeProfile(perfil, { top, muestra: muestreo });
+      partes.push(['Columnas:', ...resumen.flatMap(c => describeColumn(c, perfil.filas))].join('\n'));
+
+      if (fks.length > 0) {
+        const lineas = ['Claves foráneas:'];
+        for (const fk of fks) {
+          const nombre = `${fk.name ? `'${fk.name}' ` : ''}(${fk.columns.join(', ')}) -> ${fk.refTable}(${fk.refColumns.join(', ')})`;
+          if (!policy.allowsTable('perfilarTabla', fk.refTable)) {
+            lineas.push(`- ${nombre}: no se comprueba porque la política no permite leer '${fk.refTable}'`);
+            continue;
+          }
+          const { valores, completo } = keyValues(perfil, fk.columns);
+          const huerfanos = await orphanKeys(query_runner, db_type, fk, valores);
+          const alcance = muestreo ? ' en la muestra' : '';
+          const parcial = completo ? '' : ` (se comprobaron solo los primeros ${valores.length} valores distintos)`;
+          if (huerfanos.length === 0) {
+            lineas.push(`- ${nombre}: sin valores huérfanos${alcance}${parcial}`);
+          } else {
+            const enFilas = huerfanos.reduce((suma, h) => suma + h.veces, 0);
+            const ejemplos = huerfanos.slice(0, 5).map(h => h.valor.length === 1 ? String(h.valor[0]) : `(${h.valor.join(', ')})`);
+            lineas.push(`- ${nombre}: ${huerfanos.length} valor(es) sin fila en '${fk.refTable}', en ${enFilas} fila(s)${alcance}${parcial}; p. ej. ${ejemplos.join(', ')}`);
+          }
+        }
+        partes.push(lineas.join('\n'));
+      }
+      return { content: [{ type: 'text', text: partes.join('\n\n') }] };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al perfilar la tabla: ' + (e.message || e) }] };
+    }
+  }
+);
+
+// --- Herramienta: Listar índices ---
+registerTool(
+  'listarIndices',
+  'Sigue estas reglas para listar índices:\n'
+  + 'PROPÓSITO: Ver los índices de una tabla o de todo el esquema: columnas, si son primarios, únicos o parciales (con su condición), el método y, en PostgreSQL, su tamaño y cuántas veces se han usado.\n'
+  + 'USO: Consúltala antes de crearIndice para no duplicar un índice y antes de eliminarIndice para usar su nombre exacto. En PostgreSQL los marcados SIN USAR desde el último reinicio de las estadísticas son candidatos a eliminarse.\n'
+  + 'EJEMPLO: "¿Qué índices tiene la tabla ventas?"',
+  {
+    tabla: z.string().optional().describe('Nombre de la tabla (opcional, por defecto todas)'),
+    conexion: conexionArg,
+  },
+  async ({ tabla, conexion }) => {
+    try {
+      const { runner: query_runner } = connections.get(conexion);
+      if (tabla && (await query_runner.getTableColumns(tabla)).length === 0) {
+        return { isError: true, content: [{ type: 'text', text: `La tabla '${tabla}' no existe.` }] };
+      }
+      // Sin tabla se listan solo las del ámbito de la política
+      const indices = (await query_runner.listIndexes(tabla ?? null)).filter(i => policy.allowsTable('listarIndices', i.table));
+      if (indices.length === 0) {
+        return { content: [{ type: 'text', text: tabla ? `La tabla '${tabla}' no tiene índices.` : 'No hay índices.' }] };
+      }
+      const tablas = [...new Set(indices.map(i => i.table))];
+      const texto = `${indices.length} índice(s) en ${tablas.length} tabla(s):\n\n`
+        + tablas.map(t => `Tabla '${t}':\n${indices.filter(i => i.table === t).map(formatIndex).join('\n')}`).join('\n\n');
+      return { content: [{ type: 'text', text: texto }] };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al listar los índices: ' + (e.message || e) }] };
+    }
+  }
+);
+
+// --- Herramienta: Listar vistas ---
+registerTool(
+  'listarVistas',
+  'Sigue estas reglas para listar vistas:\n'
+  + 'PROPÓSITO: Enumerar las vistas y, en PostgreSQL, las vistas materializadas. Con "vista" muestra su consulta, sus columnas y las vistas que dependen de ella.\n'
+  + 'USO: Las vistas no aparecen en listarTablas; consúltalas aquí antes de crearVista o eliminarVista. Sus datos se leen con consultarSQL como los de una tabla.\n'
+  + 'EJEMPLO: "¿Cómo se calcula la vista ventas_mensuales?"',
+  {
+    vista: z.string().optional().describe('Vista de la que mostrar la definición (opcional, por defecto se listan todas)'),
+    conexion: conexionArg,
+  },
+  async ({ vista, conexion }) => {
+    try {
+      const { runner: query_runner } = connections.get(conexion);
+      const tipo = v => (v.materialized ? 'Vista materializada' : 'Vista');
+      if (!vista) {
+        const vistas = (await query_runner.listViews()).filter(v => policy.allowsTable('listarVistas', v.name));
+        if (vistas.length === 0) {
+          return { content: [{ type: 'text', text: 'No hay vistas.' }] };
+        }
+        const texto = `${vistas.length} vista(s):\n` + vistas.map(v => `- ${v.name}`
+          + (v.materialized ? ` (materializada${v.populated ? '' : ', sin datos: usa refrescarVistaMaterializada'})` : '')
+          + (v.comment ? ` — ${v.comment}` : '')).join('\n');
+        return { content: [{ type: 'text', text: texto }] };
+      }
+      const v = await query_runner.getView(vista);
+      if (!v) {
+        return { isError: true, content: [{ type: 'text', text: `La vista '${vista}' no existe.` }] };
+      }
+      const partes = [
+        `${tipo(v)} '${v.name}'${v.comment ? ` — ${v.comment}` : ''}`
+          + (v.materialized && !v.populated ? '\nSin datos: usa refrescarVistaMaterializada para llenarla.' : ''),
+        `Columnas:\n${v.columns.map(c => `- ${c.name} ${c.type || '(sin tipo)'}`).join('\n')}`,
+        'Consulta:\n```sql\n' + v.definition + '\n```',
+        `Vistas que dependen de ella: ${v.dependents.length ? v.dependents.join(', ') : '(ninguna)'}`,
+      ];
+      return { content: [{ type: 'text', text: partes.join('\n\n') }] };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al listar las vistas: ' + (e.message || e) }] };
+    }
+  }
+);
+
+// --- Herramienta: Listar funciones y procedimientos ---
+registerTool(
+  'listarRutinas',
+  'Sigue estas reglas para listar funciones y procedimientos:\n'
+  + 'PROPÓSITO: Enumerar las funciones y procedimientos almacenados (MySQL y PostgreSQL) con sus argumentos, lo que devuelven y su lenguaje. Con "nombre" muestra su código completo.\n'
+  + 'USO: Consúltala para entender la lógica que vive en la base de datos, por ejemplo la función a la que llama un trigger (ver listarTriggers). SQLite no tiene rutinas almacenadas.\n'
+  + 'EJEMPLO: "Muéstrame el código de la función calcular_reposicion."',
+  {
+    nombre: z.string().optional().describe('Función o procedimiento del que mostrar el código (opcional, por defecto se listan todos)'),
+    conexion: conexionArg,
+  },
+  async ({ nombre, conexion }) => {
+    try {
+      const { runner: query_runner, db_type } = connections.get(conexion);
+      if (db_type === 'sqlite') {
+        return { content: [{ type: 'text', text: 'SQLite no tiene funciones ni procedimientos almacenados; la lógica en la base de datos está en los triggers (ver listarTriggers).' }] };
+      }
+      const firma = r => `${r.kind === 'PROCEDURE' ? 'Procedimiento' : 'Función'} ${r.name}(${r.arguments})`
+        + (r.returns ? ` → ${r.returns}` : '') + (r.language ? ` [${r.language}]` : '');
+      if (!nombre) {
+        const rutinas = await query_runner.listRoutines();
+        if (rutinas.length === 0) {
+          return { content: [{ type: 'text', text: 'No hay funciones ni procedimientos.' }] };
+        }
+        return {
+          content: [{ type: 'text', text: `${rutinas.length} rutina(s):\n` + rutinas.map(r => `- ${firma(r)}${r.comment ? ` — ${r.comment}` : ''}`).join('\n') }]
+        };
+      }
+      const rutinas = await query_runner.getRoutine(nombre);
+      if (rutinas.length === 0) {
+        return { isError: true, content: [{ type: 'text', text: `No existe ninguna función ni procedimiento '${nombre}'.` }] };
+      }
+      const texto = rutinas.map(r => `${firma(r)}${r.comment ? ` — ${r.comment}` : ''}\n`
+        + (r.definition ? '```sql\n' + r.definition.trim() + '\n```' : '(sin permiso para leer su código)')).join('\n\n');
+      return { content: [{ type: 'text', text: texto }] };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al listar las rutinas: ' + (e.message || e) }] };
+    }
+  }
+);
+
+// --- Herramienta: Listar triggers ---
+registerTool(
+  'listarTriggers',
+  'Sigue estas reglas para listar triggers:\n'
+  + 'PROPÓSITO: Enumerar los triggers de una tabla o de todo el esquema: cuándo se disparan (BEFORE/AFTER/INSTEAD OF), con qué operaciones y si están activos. Con "nombre" muestra su definición completa y, en PostgreSQL, el código de la función que ejecuta.\n'
+  + 'USO: Consúltala antes de explicar o cambiar datos de una tabla con triggers: un INSERT, UPDATE o DELETE puede modificar otras tablas a través de ellos.\n'
+  + 'EJEMPLO: "¿Qué hace el trigger que repone stock cuando se registra una venta?"',
+  {
+    tabla: z.string().optional().describe('Tabla cuyos triggers listar (opcional, por defecto todas)'),
+    nombre: z.string().optional().describe('Trigger del que mostrar la definición (opcional)'),
+    conexion: conexionArg,
+  },
+  async ({ tabla, nombre, conexion }) => {
+    try {
+      const { runner: query_runner } = connections.get(conexion);
+      const triggers = (await query_runner.listTriggers(tabla ?? null))
+        .filter(t => policy.allowsTable('listarTriggers', t.table) && (!nombre || t.name === nombre));
+      if (triggers.length === 0) {
+        const donde = tabla ? ` en la tabla '${tabla}'` : '';
+        return nombre
+          ? { isError: true, content: [{ type: 'text', text: `No existe el trigger '${nombre}'${donde}.` }] }
+          : { content: [{ type: 'text', text: `No hay triggers${donde}.` }] };
+      }
+      if (!nombre) {
+        return { content: [{ type: 'text', text: `${triggers.length} trigger(s):\n` + triggers.map(formatTrigger).join('\n') }] };
+      }
+      const texto = triggers.map(t => `${formatTrigger(t).slice(2)}\n` + '```sql\n' + t.definition.trim() + '\n```'
+        + (t.functionDefinition ? `\n\nFunción ${t.function}:\n` + '```sql\n' + t.functionDefinition.trim() + '\n```' : '')).join('\n\n');
+      return { content: [{ type: 'text', text: texto }] };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al listar los triggers: ' + (e.message || e) }] };
+    }
+  }
+);
+
+// --- Herramienta: Diagrama entidad-relación ---
+registerTool(
+  'diagramaER',
+  'Sigue estas reglas para generar un diagrama entidad-relación:\n'
+  + 'PROPÓSITO: Dibujar las tablas de la base de datos con sus columnas, claves primarias y las relaciones de sus claves foráneas, en Mermaid (erDiagram) o Graphviz (DOT).\n'
+  + 'USO: Úsalo para explicar cómo se relacionan las tablas. Con "tablas" se limita a esas tablas y, con "saltos", a sus vecinas a esa distancia siguiendo las claves foráneas en ambos sentidos. En esquemas grandes usa detalle "claves" o "tablas".\n'
+  + 'EJEMPLO: "¿Cómo se relacionan ventas, detalle_venta, productos y clientes?"',
+  {
+    formato: z.enum(DIAGRAM_FORMATS).default('mermaid').describe('mermaid (erDiagram) o dot (Graphviz)'),
+    tablas: z.array(z.string()).optional().describe('Tablas a incluir (opcional, por defecto todas)'),
+    saltos: z.number().int().min(0).max(10).default(0).describe('Incluye también las tablas relacionadas a esta distancia de las indicadas'),
+    detalle: z.enum(DIAGRAM_DETAILS).default('columnas').describe('columnas (todas), claves (solo claves primarias y foráneas) o tablas (solo nombres)'),
+    conexion: conexionArg,
+  },
+  async ({ formato, tablas, saltos, detalle, conexion }) => {
+    try {
+      const { runner: query_runner } = connections.get(conexion);
+      const esquema = await query_runner.getSchemaGraph();
+      // Las vecinas fuera del ámbito de la política no se dibujan
+      const visibles = new Set(esquema.tables.map(t => t.name).filter(t => policy.allowsTable('diagramaER', t)));
+      const grafo = selectTables({
+        tables: esquema.tables.filter(t => visibles.has(t.name)),
+        foreignKeys: esquema.foreignKeys.filter(fk => visibles.has(fk.table) && visibles.has(fk.refTable)),
+      }, tablas, saltos);
+      if (grafo.tables.length === 0) {
+        return { content: [{ type: 'text', text: 'No hay tablas que dibujar.' }] };
+      }
+      const diagrama = formato === 'dot' ? toDot(grafo, { detalle }) : toMermaid(grafo, { detalle });
+      return {
+        content: [{
+          type: 'text',
+          text: `Diagrama de ${grafo.tables.length} tabla(s) y ${grafo.foreignKeys.length} relación(es):\n\n`
+            + '```' + formato + '\n' + diagrama + '\n```'
+        }]
+      };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al generar el diagrama: ' + (e.message || e) }] };
+    }
+  }
+);
+
 // --- Herramienta: Ejecutar consulta SQL SELECT ---
-server.tool(
+registerTool(
   'consultarSQL',
   'Sigue estas reglas para consultar con SQL:\n'
   + 'PROPÓSITO: Ejecutar una consulta SQL de solo lectura (SELECT) para obtener datos.\n'
-  + 'RESTRICCIÓN DE SEGURIDAD: Solo se permiten consultas que comiencen con SELECT. Cualquier otro tipo de consulta (INSERT, UPDATE, DELETE, DROP) será rechazado.\n'
+  + 'RESTRICCIÓN DE SEGURIDAD: La consulta se analiza antes de ejecutarse. Se aceptan una única sentencia SELECT, WITH ... SELECT, consultas entre paréntesis, UNION y EXPLAIN. Se rechazan varias sentencias, escrituras (INSERT, UPDATE, DELETE, DROP...), SELECT ... INTO, bloqueos (FOR UPDATE) y funciones con efectos secundarios. Además se ejecuta en una transacción de solo lectura.\n'
   + 'USO: Ideal para obtener datos específicos, filtrar o unir tablas.\n'
+  + 'PAGINACIÓN: Se devuelve un número limitado de filas. Si hay más, la respuesta incluye un cursor para pedir la siguiente página.\n'
   + 'EJEMPLO: "Muestra todos los clientes registrados."',
   {
-    consulta: z.string().describe('Consulta SQL tipo SELECT'),
+    consulta: z.string().describe('Consulta SQL de solo lectura (SELECT, WITH o EXPLAIN)'),
+    ...paginacionArgs,
+    conexion: conexionArg,
   },
-  async ({ consulta }) => {
+  async ({ consulta, limite, offset, cursor, contarTotal, conexion }) => {
     try {
-      // Solo se permiten SELECT
-      if (!/^select/i.test(consulta.trim())) {
+      const { runner: query_runner, db_type } = connections.get(conexion);
+      // Solo se permiten lecturas: se analiza la consulta en el dialecto del motor
+      const validacion = validateReadOnlyQuery(consulta, db_type);
+      if (!validacion.ok) {
         return {
           isError: true,
-          content: [{ type: 'text', text: 'Solo se permiten consultas SELECT.' }]
+          content: [{ type: 'text', text: validacion.reason }]
         };
       }
-      const result = await query_runner.runQuery(consulta);
-      const rows = result.rows;
+      // EXPLAIN no admite LIMIT: se devuelve el plan completo (solo se trunca por tamaño)
+      const esExplain = /^EXPLAIN\b/i.test(validacion.sql);
+      const limit = resolveLimit(limite);
+      const desde = cursor ? decodeCursor(cursor).o : (offset ?? 0);
+      const sql = esExplain ? validacion.sql : withRowLimit(validacion.sql, limit + 1, desde);
+      const result = await query_runner.runReadOnlyQuery(sql);
+      const rows = esExplain ? result.rows : result.rows.slice(0, limit);
       if (!rows.length) {
-        return { content: [{ type: 'text', text: 'Sin resultados.' }] };
+        return { content: [{ type: 'text', text: desde > 0 ? 'Sin más resultados.' : 'Sin resultados.' }] };
+      }
+      let total;
+      if (contarTotal && !esExplain) {
+        const conteo = await query_runner.runReadOnlyQuery(`SELECT COUNT(*) AS total FROM (\n${validacion.sql}\n) AS _consulta`);
+        total = Number(conteo.rows[0].total);
       }
       const headers = result.columns.map(c => c.name).join(' | ');
-      const dataRows = rows.map(row => result.columns.map(c => String(row[c.name])).join(' | ')).join('\n');
-      return {
-        content: [
-          { type: 'text', text: `${headers}\n${'-'.repeat(headers.length)}\n${dataRows}` }
-        ]
-      };
+      const render = filas => `${headers}\n${'-'.repeat(headers.length)}\n`
+        + filas.map(row => result.columns.map(c => String(row[c.name])).join(' | ')).join('\n');
+      return pagedContent({
+        rows,
+        desde,
+        total,
+        hasMore: !esExplain && result.rows.length > limit,
+        cursorAfter: shown => encodeCursor({ o: desde + shown }),
+      }, render);
     } catch (e) {
       return {
         isError: true,
@@ -146,35 +1482,340 @@ server.tool(
   }
 );
 
+// --- Reportes agregados ---
+const FUNCIONES_AGREGADAS = ['count', 'count_distinct', 'sum', 'avg', 'min', 'max'];
+const PERIODOS = ['dia', 'semana', 'mes'];
+
+// Fecha agrupada por día, semana (la del lunes) o mes, como texto YYYY-MM-DD o YYYY-MM en todos los motores
+function dateBucket(db_type, col, periodo) {
+  if (db_type === 'mysql') {
+    if (periodo === 'dia') return `DATE_FORMAT(${col}, '%Y-%m-%d')`;
+    if (periodo === 'semana') return `DATE_FORMAT(DATE_SUB(${col}, INTERVAL WEEKDAY(${col}) DAY), '%Y-%m-%d')`;
+    return `DATE_FORMAT(${col}, '%Y-%m')`;
+  }
+  if (db_type === 'sqlite') {
+    if (periodo === 'dia') return `date(${col})`;
+    if (periodo === 'semana') return `date(${col}, '-' || ((CAST(strftime('%w', ${col}) AS INTEGER) + 6) % 7) || ' days')`;
+    return `strftime('%Y-%m', ${col})`;
+  }
+  if (periodo === 'dia') return `to_char(${col}, 'YYYY-MM-DD')`;
+  if (periodo === 'semana') return `to_char(date_trunc('week', ${col}), 'YYYY-MM-DD')`;
+  return `to_char(${col}, 'YYYY-MM')`;
+}
+
+// Función de agregado; la media se redondea a 2 decimales
+function aggregateSql(db_type, funcion, col) {
+  switch (funcion) {
+    case 'count':
+      return col ? `COUNT(${col})` : 'COUNT(*)';
+    case 'count_distinct':
+      return `COUNT(DISTINCT ${col})`;
+    case 'avg':
+      return db_type === 'mysql' || db_type === 'sqlite' ? `ROUND(AVG(${col}), 2)` : `ROUND(AVG(${col})::numeric, 2)`;
+    default:
+      return `${funcion.toUpperCase()}(${col})`;
+  }
+}
+
+function reportCell(valor) {
+  if (valor === null || valor === undefined) return 'NULL';
+  if (valor instanceof Date) return valor.toISOString().slice(0, 19).replace('T', ' ');
+  // SQLite suma los decimales en coma flotante: 0.1 + 0.2 se muestra 0.3
+  if (typeof valor === 'number' && !Number.isInteger(valor)) return String(Number(valor.toFixed(6)));
+  return String(valor);
+}
+
+// Tabla de texto con las columnas alineadas; `pie` son filas que van tras una línea (los totales)
+function reportTable(columnas, filas, pie = []) {
+  const celdas = [...filas, ...pie].map(f => columnas.map(c => reportCell(f[c])));
+  const anchos = columnas.map((c, i) => Math.max(c.length, ...celdas.map(f => f[i].length)));
+  const linea = valores => valores.map((v, i) => v.padEnd(anchos[i])).join(' | ').trimEnd();
+  const separador = anchos.map(a => '-'.repeat(a)).join('-+-');
+  return [linea(columnas), separador, ...celdas.slice(0, filas.length).map(linea),
+    ...(pie.length > 0 ? [separador, ...celdas.slice(filas.length).map(linea)] : [])].join('\n');
+}
+
+// --- Herramienta: Reporte agregado ---
+registerTool(
+  'reporteAgregado',
+  'Sigue estas reglas para crear reportes agregados:\n'
+  + 'PROPÓSITO: Resumir datos sin escribir SQL: totales, conteos, medias, mínimos, máximos y valores distintos agrupados por columnas o por día, semana o mes, con tablas unidas por sus claves foráneas. Genera SQL parametrizado en el dialecto del motor.\n'
+  + 'USO: Prefiérela a consultarSQL para reportes (ventas por cajero, productos más vendidos, ingresos por mes). Las columnas se nombran "columna" o "tabla.columna" si el nombre se repite entre las tablas unidas. "filtro" se aplica a las filas antes de agrupar; "filtroGrupos" (HAVING) y "orden" usan los alias de las columnas del reporte. Para un top-N ordena por la métrica en desc y fija limite. Con totales añade una fila con el total de todas las filas filtradas.\n'
+  + 'EJEMPLO: "Los 10 productos más vendidos del último mes por importe."',
+  {
+    tabla: z.string().describe('Tabla principal del reporte'),
+    uniones: z.array(z.object({
+      tabla: z.string().describe('Tabla a unir'),
+      tipo: z.enum(['inner', 'left']).optional().describe('inner (por defecto) o left'),
+      columnas: z.array(z.string()).min(1).optional().describe('Columnas de la clave foránea a usar si hay varias entre las tablas (opcional)'),
+    })).optional().describe('Tablas a unir por sus claves foráneas, en orden: cada una debe estar relacionada con la principal o con una unida antes (opcional)'),
+    agrupar: z.array(z.union([z.string(), z.object({
+      columna: z.string(),
+      periodo: z.enum(PERIODOS).optional().describe('Agrupa una fecha por dia, semana (desde el lunes) o mes'),
+      alias: z.string().optional(),
+    })])).optional().describe('Columnas por las que agrupar, ej. ["cajero", {"columna": "fecha", "periodo": "mes"}] (opcional)'),
+    metricas: z.array(z.object({
+      funcion: z.enum(FUNCIONES_AGREGADAS).describe('count (sin columna cuenta filas), count_distinct, sum, avg, min o max'),
+      columna: z.string().optional(),
+      alias: z.string().optional().describe('Nombre en el reporte (por defecto funcion_columna, o filas para count sin columna)'),
+    })).min(1).describe('Métricas a calcular'),
+    filtro: filtroSchema.optional(),
+    filtroGrupos: filtroSchema.optional().describe('Condiciones sobre los grupos (HAVING) con los alias del reporte, ej. {"columna": "total_importe", "op": ">", "valor": 1000}'),
+    orden: ordenSchema.optional(),
+    limite: z.number().int().positive().optional().describe('Máximo de grupos (top-N; hay un tope configurado en el servidor)'),
+    totales: z.boolean().optional().describe('Añade una fila con el total general (opcional)'),
+    conexion: conexionArg,
+  },
+  async ({ tabla, uniones = [], agrupar = [], metricas, filtro, filtroGrupos, orden = [], limite, totales = false, conexion }) => {
+    try {
+      const { runner: query_runner, db_type } = connections.get(conexion);
+      const q = ident => quoteIdent(db_type, ident);
+      const tablas = new Map();
+      const principal = await query_runner.describeTable(tabla);
+      if (!principal) {
+        return { isError: true, content: [{ type: 'text', text: `La tabla '${tabla}' no existe.` }] };
+      }
+      tablas.set(tabla, principal);
+
+      const joins = [];
+      for (const u of uniones) {
+        if (tablas.has(u.tabla)) throw new Error(`La tabla '${u.tabla}' aparece más de una vez en el reporte.`);
+        const d = await query_runner.describeTable(u.tabla);
+        if (!d) throw new Error(`La tabla '${u.tabla}' no existe.`);
+        const candidatas = d.foreignKeys.filter(f => f.table !== f.refTable
+          && ((f.table === u.tabla && tablas.has(f.refTable)) || (f.refTable === u.tabla && tablas.has(f.table)))
+          && (!u.columnas || f.columns.join('\0') === u.columnas.join('\0')));
+        const anteriores = [...tablas.keys()].map(t => `'${t}'`).join(', ');
+        if (candidatas.length === 0) {
+          throw new Error(`No hay ninguna clave foránea entre '${u.tabla}' y ${anteriores}${u.columnas ? ` con las columnas (${u.columnas.join(', ')})` : ''}.`);
+        }
+        if (candidatas.length > 1) {
+          throw new Error(`Hay varias claves foráneas entre '${u.tabla}' y ${anteriores}: `
+            + `${candidatas.map(f => `${f.table}(${f.columns.join(', ')})`).join(', ')}. Indica en columnas cuál usar.`);
+        }
+        const fk = candidatas[0];
+        const on = fk.columns.map((c, i) => `${q(fk.table)}.${q(c)} = ${q(fk.refTable)}.${q(fk.refColumns[i])}`).join(' AND ');
+        joins.push(`${u.tipo === 'left' ? 'LEFT JOIN' : 'JOIN'} ${q(u.tabla)} ON ${on}`);
+        tablas.set(u.tabla, d);
+      }
+
+      // Columna de una de las tablas del reporte: "columna" si solo una la tiene o "tabla.columna"
+      const columna = ref => {
+        const punto = ref.indexOf('.');
+        if (punto > 0 && tablas.has(ref.slice(0, punto))) {
+          const t = ref.slice(0, punto);
+          const col = tablas.get(t).columns.find(c => c.name === ref.slice(punto + 1));
+          if (!col) throw new Error(`La tabla '${t}' no tiene la columna '${ref.slice(punto + 1)}'.`);
+          return { sql: `${q(t)}.${q(col.name)}`, col };
+        }
+        const en = [...tablas].filter(([, d]) => d.columns.some(c => c.name === ref));
+        if (en.length === 0) throw new Error(`Ninguna tabla del reporte tiene la columna '${ref}'.`);
+        if (en.length > 1) throw new Error(`La columna '${ref}' es ambigua: usa ${en.map(([t]) => `'${t}.${ref}'`).join(' o ')}.`);
+        return { sql: `${q(en[0][0])}.${q(ref)}`, col: en[0][1].columns.find(c => c.name === ref) };
+      };
+
+      const grupos = agrupar.map(g => {
+        const { columna: ref, periodo, alias } = typeof g === 'string' ? { columna: g } : g;
+        const { sql, col } = columna(ref);
+        if (periodo && ['integer', 'decimal', 'boolean'].includes(columnKind(col.type))) {
+          throw new Error(`La columna '${ref}' es de tipo ${col.type}; solo las fechas se agrupan por ${periodo}.`);
+        }
+        return { alias: alias || (periodo ? `${col.name}_${periodo}` : col.name), sql: periodo ? dateBucket(db_type, sql, periodo) : sql };
+      });
+      const medidas = metricas.map(m => {
+        if (!m.columna && m.funcion !== 'count') throw new Error(`La función '${m.funcion}' necesita una columna.`);
+        const c = m.columna ? columna(m.columna) : null;
+        return { alias: m.alias || (c ? `${m.funcion}_${c.col.name}` : 'filas'), sql: aggregateSql(db_type, m.funcion, c?.sql) };
+      });
+      const salida = [...grupos, ...medidas];
+      const alias = salida.map(s => s.alias);
+      const repetido = alias.find((a, i) => alias.indexOf(a) !== i);
+      if (repetido) throw new Error(`El alias '${repetido}' se repite; indica alias distintos.`);
+      const invalido = alias.find(a => !/^[\p{L}\p{N}_]+$/u.test(a));
+      if (invalido !== undefined) throw new Error(`El alias '${invalido}' solo puede tener letras, números y guiones bajos; indica otro alias.`);
+      const deAlias = a => {
+        const s = salida.find(x => x.alias === a);
+        if (!s) throw new Error(`'${a}' no es una columna del reporte; usa uno de: ${alias.join(', ')}.`);
+        return s.sql;
+      };
+
+      const where = filtro ? compileFilter(filtro, db_type, 0, ref => columna(ref).sql) : { sql: '', params: [] };
+      const having = filtroGrupos ? compileFilter(filtroGrupos, db_type, where.params.length, deAlias) : { sql: '', params: [] };
+      const limit = resolveLimit(limite);
+      const origen = `FROM ${q(tabla)}${joins.map(j => ` ${j}`).join('')}${where.sql ? ` WHERE ${where.sql}` : ''}`;
+      let sql = `SELECT ${salida.map(s => `${s.sql} AS ${q(s.alias)}`).join(', ')} ${origen}`;
+      if (grupos.length > 0) sql += ` GROUP BY ${grupos.map(g => g.sql).join(', ')}`;
+      if (having.sql) sql += ` HAVING ${having.sql}`;
+      // Sin orden se ordena por los grupos
+      const ordenSql = orden.length > 0
+        ? orden.map(o => `${deAlias(o.columna)} ${o.direccion === 'desc' ? 'DESC' : 'ASC'}`)
+        : grupos.map(g => g.sql);
+      if (ordenSql.length > 0) sql += ` ORDER BY ${ordenSql.join(', ')}`;
+      sql += ` LIMIT ${limit + 1}`;
+      const params = [...where.params, ...having.params];
+
+      const result = await query_runner.runReadOnlyQuery(sql, params);
+      const filas = result.rows.slice(0, limit);
+      const pie = [];
+      if (totales && grupos.length > 0 && filas.length > 0) {
+        const { rows } = await query_runner.runReadOnlyQuery(
+          `SELECT ${medidas.map(m => `${m.sql} AS ${q(m.alias)}`).join(', ')} ${origen}`, where.params);
+        pie.push({ ...rows[0], [grupos[0].alias]: 'TOTAL' });
+        grupos.slice(1).forEach(g => { pie[0][g.alias] = ''; });
+      }
+      const consulta = `Consulta: ${sql}${params.length > 0 ? `\nParámetros: [${params.map(formatParam).join(', ')}]` : ''}`;
+      if (filas.length === 0) {
+        return { content: [{ type: 'text', text: `Ningún grupo cumple las condiciones.\n\n${consulta}` }] };
+      }
+      const { text, shown, cut } = fitRows(filas, subconjunto => reportTable(alias, subconjunto, pie));
+      const avisos = [];
+      if (result.rows.length > limit || shown < filas.length || cut) {
+        avisos.push(`[Se muestran ${shown} grupo(s); hay más. Filtra, agrupa menos o sube limite (el tope del servidor es ROW_LIMIT_MAX).`
+          + `${totales && pie.length > 0 ? ' La fila TOTAL incluye todos.' : ''}]`);
+      } else if (pie.length > 0 && having.sql) {
+        avisos.push('[La fila TOTAL incluye también los grupos que no cumplen filtroGrupos.]');
+      }
+      return { content: [{ type: 'text', text: [text, ...avisos, consulta].join('\n\n') }] };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al generar el reporte: ' + (e.message || e) }] };
+    }
+  }
+);
+
+// --- Herramienta: Explicar el plan de una consulta ---
+registerTool(
+  'explicarConsulta',
+  'Sigue estas reglas para explicar una consulta:\n'
+  + 'PROPÓSITO: Mostrar cómo ejecuta el motor una consulta SELECT (EXPLAIN) y resumirlo: tablas que se recorren enteras, índices que se usan, filas estimadas, ordenaciones y tablas temporales. Sugiere índices para los recorridos completos de tablas grandes.\n'
+  + 'USO: Pasa la consulta sin EXPLAIN. Con "analizar" la consulta SE EJECUTA (EXPLAIN ANALYZE, en SQLite se ejecuta y se mide) dentro de una transacción de solo lectura para dar tiempos y filas reales: evítalo con consultas muy costosas. Las sugerencias se crean con crearIndice.\n'
+  + 'EJEMPLO: "¿Por qué tarda tanto la consulta de ventas por tienda y fecha?"',
+  {
+    consulta: z.string().describe('Consulta SQL de solo lectura (SELECT o WITH), sin EXPLAIN'),
+    analizar: z.boolean().default(false).describe('Ejecutar la consulta para medir tiempos y filas reales (EXPLAIN ANALYZE)'),
+    conexion: conexionArg,
+  },
+  async ({ consulta, analizar, conexion }) => {
+    try {
+      const { runner: query_runner, db_type } = connections.get(conexion);
+      const validacion = validateReadOnlyQuery(consulta, db_type);
+      if (!validacion.ok) {
+        return { isError: true, content: [{ type: 'text', text: validacion.reason }] };
+      }
+      if (/^EXPLAIN\b/i.test(validacion.sql)) {
+        return { isError: true, content: [{ type: 'text', text: 'Pasa la consulta sin EXPLAIN: explicarConsulta lo añade (y ANALYZE con "analizar").' }] };
+      }
+      const uso = queryColumnUsage(validacion.sql, db_type);
+      const resumen = summarizePlan(db_type, await query_runner.explainQuery(validacion.sql, { analyze: analizar }), uso?.alias);
+      // Tamaño, columnas e índices de las tablas recorridas enteras, para decidir qué sugerir
+      const tablas = {};
+      for (const nombre of new Set(resumen.accesos.filter(a => a.completo).map(a => a.tabla))) {
+        const d = await query_runner.describeTable(nombre);
+        if (d) tablas[nombre] = { filas: d.rowEstimate, columnas: d.columns.map(c => c.name), indices: d.indexes };
+      }
+      const { sugerencias, avisos } = suggestIndexes(resumen, uso, tablas);
+
+      const lista = (titulo, items, vacio = 'ninguno') => `${titulo}:\n${items.length ? items.join('\n') : `- ${vacio}`}`;
+      const datos = [];
+      if (resumen.tiempoMs !== null) datos.push(`tiempo ${Number(resumen.tiempoMs.toFixed(3))} ms`);
+      if (resumen.filas.estimadas !== null) datos.push(`filas estimadas ${resumen.filas.estimadas}`);
+      if (resumen.filas.reales !== null) datos.push(`filas devueltas ${resumen.filas.reales}`);
+      const acceso = a => `- ${a.tabla}${a.alias ? ` (${a.alias})` : ''}`
+        + (a.indice ? `: índice ${a.indice}` : '')
+        + (tablas[a.tabla]?.filas !== undefined && tablas[a.tabla].filas !== null ? `, ${tablas[a.tabla].filas} filas en la tabla` : '')
+        + (a.filasEstimadas !== null ? `, estimadas ${a.filasEstimadas}` : '')
+        + (a.filasReales !== null ? `, leídas ${a.filasReales}` : '')
+        + (a.filtro ? `, condición: ${a.filtro}` : '');
+      const partes = [
+        `Plan ${analizar ? 'ejecutado' : 'estimado (la consulta no se ha ejecutado)'}${datos.length ? `: ${datos.join(', ')}` : ''}.`,
+        lista('Recorridos completos', resumen.accesos.filter(a => a.completo).map(acceso)),
+        lista('Accesos por índice', resumen.accesos.filter(a => !a.completo).map(acceso)),
+      ];
+      if (resumen.ordenaciones.length) partes.push(lista('Ordenaciones y tablas temporales', resumen.ordenaciones.map(o => `- ${o}`)));
+      if (avisos.length) partes.push(lista('Avisos', avisos.map(a => `- ${a}`)));
+      partes.push(lista('Índices sugeridos', sugerencias.map(s =>
+        `- ${s.tabla} (${s.columnas.join(', ')}): se recorre entera${s.filas !== null ? ` (${s.filas} filas)` : ''}; `
+        + `créalo con crearIndice, tabla "${s.tabla}" y columnas ${JSON.stringify(s.columnas)}`)));
+      partes.push(`Plan completo:\n${resumen.lineas.join('\n')}`);
+      return { content: [{ type: 'text', text: partes.join('\n\n') }] };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al explicar la consulta: ' + (e.message || e) }] };
+    }
+  }
+);
+
 // --- Herramienta: Exportar tabla (CSV o JSON, columnas específicas) ---
-server.tool(
+registerTool(
   'exportarTabla',
   'Sigue estas reglas para exportar una tabla:\n'
-  + 'PROPÓSITO: Exportar los datos de una tabla a un formato de texto (CSV o JSON).\n'
-  + 'USO: Especifica la tabla y el formato deseado. Opcionalmente, puedes indicar columnas específicas para exportar solo una parte de los datos.\n'
-  + 'EJEMPLO: "Exporta la tabla clientes a CSV."',
+  + 'PROPÓSITO: Exportar los datos de una tabla a CSV, JSON, NDJSON, tabla Markdown, script SQL de INSERT o XLSX.\n'
+  + 'USO: Especifica la tabla y el formato deseado. Opcionalmente, puedes indicar columnas, un filtro, el orden y un límite de filas.\n'
+  + 'ARCHIVO: Con "archivo" (ruta relativa dentro del directorio de exportación del servidor) los datos se escriben en el archivo leyendo la tabla por lotes, sin límite de filas salvo "limite". XLSX solo se puede exportar a archivo.\n'
+  + 'PAGINACIÓN: En línea se exporta un número limitado de filas por llamada. Si hay más, la respuesta incluye un cursor para la siguiente página.\n'
+  + 'EJEMPLO: "Exporta a XLSX las ventas de ayer a ventas/2024-05-01.xlsx."',
   {
     tabla: z.string().describe('Nombre de la tabla a exportar'),
-    formato: z.enum(['csv', 'json']).describe('Formato de exportación'),
+    formato: z.enum(EXPORT_FORMATS).describe('Formato de exportación'),
     columnas: z.array(z.string()).optional().describe('Columnas a exportar (opcional)'),
+    filtro: filtroSchema.optional(),
+    orden: ordenSchema.optional(),
+    ...paginacionArgs,
+    archivo: z.string().optional().describe('Ruta relativa del archivo de salida dentro del directorio de exportación (opcional)'),
+    sobrescribir: z.boolean().optional().describe('Reemplazar el archivo si ya existe (por defecto false)'),
+    conexion: conexionArg,
   },
-  async ({ tabla, formato, columnas }) => {
+  async ({ tabla, formato, columnas, filtro, orden, limite, offset, cursor, contarTotal, archivo, sobrescribir, conexion }) => {
     try {
-      let sql = 'SELECT ';
-      if (columnas && columnas.length > 0) {
-        sql += columnas.map(quoteIdent).join(', ');
-      } else {
-        sql += '*';
+      const { runner: query_runner, db_type } = connections.get(conexion);
+      await checkColumns(query_runner, tabla, [
+        ...(columnas || []), ...(orden || []).map(o => o.columna), ...(filtro ? filterColumns(filtro) : []),
+      ]);
+      const where = filtro ? compileFilter(filtro, db_type) : { sql: '', params: [] };
+      const opciones = { tabla, db_type, quote: ident => quoteIdent(db_type, ident) };
+
+      if (!archivo) {
+        if (formato === 'xlsx') {
+          return { isError: true, content: [{ type: 'text', text: 'XLSX solo se puede exportar a archivo: indica "archivo".' }] };
+        }
+        const page = await readTablePage(query_runner, db_type, {
+          tabla, columnas, where: where.sql, params: where.params, orden, limite, offset, cursor, contarTotal
+        });
+        const fields = page.columns.map(c => c.name);
+        return pagedContent(page, filas => {
+          const serializer = textSerializer(formato, opciones);
+          return serializer.begin(fields) + serializer.rows(filas) + serializer.end();
+        });
       }
-      sql += ` FROM ${quoteIdent(tabla)}`;
-      const result = await query_runner.runQuery(sql);
-      if (formato === 'json') {
-        return { content: [{ type: 'text', text: JSON.stringify(result.rows, null, 2) }] };
-      } else {
-        // CSV
-        const csv = json2csv(result.rows);
-        return { content: [{ type: 'text', text: csv }] };
+
+      if (cursor) {
+        return { isError: true, content: [{ type: 'text', text: 'El cursor solo sirve para la exportación en línea; a archivo se exportan todas las filas (usa offset y limite para acotar).' }] };
+      }
+      const destino = resolveExportPath(exportDir(), archivo, formato);
+      if (fs.existsSync(destino) && !sobrescribir) {
+        return { isError: true, content: [{ type: 'text', text: `El archivo '${path.relative(exportDir(), destino)}' ya existe. Usa sobrescribir: true para reemplazarlo.` }] };
+      }
+      const pk = await query_runner.getPrimaryKey(tabla);
+      let sql = `SELECT ${columnas && columnas.length > 0 ? columnas.map(col => quoteIdent(db_type, col)).join(', ') : '*'} FROM ${quoteIdent(db_type, tabla)}`;
+      if (where.sql) sql += ` WHERE ${where.sql}`;
+      const ordenSql = (orden || []).map(o => `${quoteIdent(db_type, o.columna)} ${o.direccion === 'desc' ? 'DESC' : 'ASC'}`)
+        .concat(pk.filter(c => !(orden || []).some(o => o.columna === c)).map(c => quoteIdent(db_type, c)));
+      if (ordenSql.length > 0) sql += ` ORDER BY ${ordenSql.join(', ')}`;
+      if (limite) {
+        sql += ` LIMIT ${limite} OFFSET ${offset ?? 0}`;
+      } else if (offset) {
+        // Sin límite: MySQL y SQLite exigen LIMIT para usar OFFSET
+        sql += db_type === 'mysql' ? ` LIMIT 18446744073709551615 OFFSET ${offset}`
+          : db_type === 'sqlite' ? ` LIMIT -1 OFFSET ${offset}` : ` OFFSET ${offset}`;
       }
+      const tipos = formato === 'xlsx' ? await query_runner.getColumnTypes(tabla) : [];
+      const inicio = Date.now();
+      const { filas, bytes } = await writeExport(destino, formato, query_runner.streamRows(sql, where.params), { ...opciones, tipos });
+      return {
+        content: [{
+          type: 'text',
+          text: `Se exportaron ${filas} fila(s) de '${tabla}' a '${path.relative(exportDir(), destino)}' `
+            + `(${formato.toUpperCase()}, ${bytes} bytes, ${((Date.now() - inicio) / 1000).toFixed(2)} s).`
+        }]
+      };
     } catch (e) {
       return { isError: true, content: [{ type: 'text', text: 'Error al exportar tabla: ' + (e.message || e) }] };
     }
@@ -182,60 +1823,153 @@ server.tool(
 );
 
 // --- Herramienta: Importar tabla (CSV o JSON, columnas específicas) ---
-server.tool(
+registerTool(
   'importarTabla',
   'Sigue estas reglas para importar a una tabla:\n'
   + 'PROPÓSITO: Importar y insertar datos en una tabla desde un formato de texto (CSV o JSON).\n'
   + 'PRECAUCIÓN: Asegúrate de que los datos en el texto coincidan con las columnas y tipos de la tabla destino para evitar errores.\n'
   + 'USO: Proporciona el nombre de la tabla, los datos en formato de texto (string) y el formato (csv o json).\n'
+  + 'CSV: Se aceptan campos entre comillas con delimitadores y saltos de línea dentro, BOM y delimitador ";" (se detecta solo). Las celdas vacías se insertan como NULL y los valores se convierten al tipo de cada columna (fechas 31/01/2024, decimales con coma, booleanos sí/no).\n'
+  + 'ATOMICIDAD: Por defecto la importación es todo o nada; si una fila falla no se importa ninguna y se listan todas las filas con error (línea y motivo). Con atomico: false se importan las válidas.\n'
+  + 'VOLUMEN: Los registros se cargan por lotes (COPY en PostgreSQL, LOAD DATA en MySQL si está habilitado) y se informa el progreso, los rechazados y el tiempo.\n'
   + 'EJEMPLO: "Importa los datos del archivo clientes.csv a la tabla clientes."',
   {
     tabla: z.string().describe('Nombre de la tabla destino'),
     datos: z.string().describe('Datos a importar (CSV o JSON)'),
     formato: z.enum(['csv', 'json']).describe('Formato de los datos'),
-    columnas: z.array(z.string()).optional().describe('Columnas a importar (opcional, para CSV)'),
+    columnas: z.array(z.string()).optional().describe('Columnas a importar (opcional). En CSV nombra los campos en orden y sustituye al encabezado'),
+    delimitador: z.string().length(1).optional().describe('Delimitador del CSV (por defecto se detecta: coma, punto y coma, tabulador o barra)'),
+    comillas: z.string().length(1).optional().describe('Carácter de comillas del CSV (por defecto ")'),
+    encabezado: z.boolean().optional().describe('Si la primera fila del CSV es el encabezado (por defecto true)'),
+    nulo: z.string().optional().describe('Texto que representa NULL en el CSV, ej. "NULL" o "\\N" (las celdas vacías siempre son NULL)'),
+    codificacion: z.enum(['utf-8', 'latin1', 'windows-1252', 'utf-16le']).optional()
+      .describe('Si se indica, "datos" viene en base64 con los bytes del archivo en esta codificación'),
+    atomico: atomicoArg,
+    lote: loteArg,
+    conexion: conexionArg,
   },
-  async ({ tabla, datos, formato, columnas }) => {
+  async ({ tabla, datos, formato, columnas, delimitador, comillas, encabezado, nulo, codificacion, atomico, lote, conexion }, extra) => {
     try {
+      const { runner: query_runner, db_type } = connections.get(conexion);
+      const texto = codificacion ? decodeData(datos, codificacion) : datos;
       let registros = [];
+      let lineas = null;
+      let rechazados = [];
       if (formato === 'json') {
-        registros = JSON.parse(datos);
+        registros = JSON.parse(texto);
       } else {
-        // CSV
-        const rows = datos.split(/\r?\n/).filter(Boolean);
-        let headers = rows[0].split(',');
-        if (columnas && columnas.length > 0) {
-          headers = columnas;
-        }
-        registros = rows.slice(1).map(row => {
-          const values = row.split(',');
-          const obj = {};
-          headers.forEach((h, i) => { obj[h.trim()] = values[i]?.trim(); });
-          return obj;
-        });
+        const tipos = await query_runner.getColumnTypes(tabla);
+        if (tipos.length === 0) {
+          return { isError: true, content: [{ type: 'text', text: `La tabla '${tabla}' no existe.` }] };
+        }
+        const filas = parseCsv(texto, { delimitador, comillas });
+        let campos = tipos.map(t => t.name);
+        if (encabezado !== false) {
+          const cabecera = filas.shift();
+          if (cabecera) campos = cabecera.campos.map(c => c.valor.trim());
+        }
+        if (columnas && columnas.length > 0) campos = columnas;
+        const desconocidas = campos.filter(c => !tipos.some(t => t.name === c));
+        if (desconocidas.length > 0) {
+          return {
+            isError: true,
+            content: [{ type: 'text', text: `Columnas que no existen en '${tabla}': ${desconocidas.join(', ')}. Columnas de la tabla: ${tipos.map(t => t.name).join(', ')}.` }]
+          };
+        }
+        ({ registros, lineas, rechazados } = csvToRecords(filas, campos, tipos, { nulo }));
+        columnas = campos;
+        if (rechazados.length > 0 && atomico !== false) {
+          return {
+            isError: true,
+            content: [{ type: 'text', text: `No se importó nada: ${rechazados.length} fila(s) no son válidas. Corrígelas o usa atomico: false para importar solo las válidas.\n${rejectedList(rechazados)}` }]
+          };
+        }
       }
-      let insertedCount = 0;
-      for (const registro of registros) {
-        const cols = columnas && columnas.length > 0 ? columnas : Object.keys(registro);
-        const valores = cols.map(c => registro[c]);
-        const placeholders = makePlaceholders(db_type, valores.length).join(', ');
-        const columnasStr = cols.map(col => quoteIdent(col)).join(', ');
-        const sql = `INSERT INTO ${quoteIdent(tabla)} (${columnasStr}) VALUES (${placeholders})`;
-        await query_runner.runQueryWithParams(sql, valores);
-        insertedCount++;
+      simulationPreview(`Se importarán ${registros.length} registro(s) en la tabla '${tabla}'.`
+        + (rechazados.length ? `\nSe omitirán ${rechazados.length} fila(s) del CSV que no son válidas:\n${rejectedList(rechazados)}` : ''));
+      const resumen = await insertRecords(query_runner, db_type, tabla, registros, {
+        columnas, atomico, lote, onProgress: progressReporter(extra, tabla)
+      });
+      if (lineas) {
+        // Los rechazos del motor se expresan también en líneas del CSV
+        resumen.rechazados = [
+          ...rechazados,
+          ...resumen.rechazados.map(r => ({ linea: lineas[r.registro - 1], error: r.error })),
+        ].sort((a, b) => a.linea - b.linea);
       }
-      return { content: [{ type: 'text', text: `Se importaron ${insertedCount} registro(s) en la tabla '${tabla}' exitosamente.` }] };
+      return { content: [{ type: 'text', text: insertSummary('importaron', tabla, resumen) }] };
     } catch (e) {
       return { isError: true, content: [{ type: 'text', text: 'Error al importar datos: ' + (e.message || e) }] };
     }
   }
 );
 
+// --- Herramienta: Consultar la auditoría ---
+registerTool(
+  'consultarAuditoria',
+  'Sigue estas reglas para consultar la auditoría:\n'
+  + 'PROPÓSITO: Buscar en el registro de auditoría las llamadas que cambiaron datos o estructura: herramienta, argumentos, SQL ejecutado con sus parámetros, filas afectadas, duración, resultado y cliente MCP.\n'
+  + 'NOTA: Los valores sensibles (contraseñas, tokens, claves de API) aparecen como [REDACTADO]. Las vistas previas que no ejecutaron nada no se registran.\n'
+  + 'USO: Filtra por tabla, herramienta, conexión y rango de fechas. Se muestran primero las llamadas más recientes.\n'
+  + 'EJEMPLO: "¿Quién cambió los precios de la tabla productos ayer?"',
+  {
+    tabla: z.string().optional().describe('Solo las llamadas que afectaron a esta tabla (opcional)'),
+    herramienta: z.string().optional().describe('Solo las llamadas a esta herramienta, p. ej. "crudTabla" (opcional)'),
+    desde: z.string().optional().describe('Fecha u hora inicial, p. ej. "2024-05-01" o "2024-05-01T08:00:00Z" (opcional)'),
+    hasta: z.string().optional().describe('Fecha u hora final; una fecha sin hora incluye el día entero (opcional)'),
+    soloErrores: z.boolean().optional().default(false).describe('Solo las llamadas que terminaron con error'),
+    limite: z.number().int().min(1).max(200).optional().default(20).describe('Máximo de entradas a mostrar (por defecto 20)'),
+    conexion: z.string().optional().describe('Solo las llamadas a esta conexión (opcional; por defecto todas)'),
+  },
+  async ({ tabla, herramienta, desde, hasta, soloErrores, limite, conexion }) => {
+    try {
+      if (!auditLog) {
+        return { isError: true, content: [{ type: 'text', text: 'La auditoría está desactivada (AUDIT_LOG=false).' }] };
+      }
+      const { entradas, total } = auditLog.search({
+        tabla,
+        herramienta,
+        desde: parseDateFilter(desde),
+        hasta: parseDateFilter(hasta, { finDelDia: true }),
+        soloErrores,
+        limite,
+        // El ámbito de tablas de la política también limita qué llamadas se pueden ver
+        incluir: entrada => (!conexion || entrada.conexion === conexion)
+          && (entrada.tablas || []).every(t => policy.allowsTable('consultarAuditoria', t)),
+      });
+      if (total === 0) {
+        return { content: [{ type: 'text', text: 'No hay llamadas registradas que cumplan los filtros.' }] };
+      }
+      const bloques = entradas.map(e => {
+        const cliente = e.cliente ? [e.cliente.nombre, e.cliente.version].filter(Boolean).join(' ') + (e.cliente.id ? ` (${e.cliente.id})` : '') : 'desconocido';
+        const lineas = [
+          `- ${e.fecha} ${e.herramienta} en '${e.conexion ?? '?'}': ${e.resultado === 'error' ? 'ERROR' : 'ok'}, `
+            + `${e.filas} fila(s), ${e.duracionMs} ms, cliente ${cliente}`,
+          `  Argumentos: ${JSON.stringify(e.argumentos)}`,
+          ...e.sentencias.map(st => `  SQL: ${st.sql}${st.params.length ? ` | parámetros: ${JSON.stringify(st.params)}` : ''}`
+            + (st.error ? ` -> ERROR: ${st.error}` : st.filas !== null ? ` -> ${st.filas} fila(s)${st.revertida ? ', revertida' : ''}` : '')),
+        ];
+        if (e.sentenciasOmitidas > 0) lineas.push(`  (${e.sentenciasOmitidas} sentencia(s) más no registradas)`);
+        if (e.error) lineas.push(`  Error: ${e.error}`);
+        return lineas.join('\n');
+      });
+      return {
+        content: [{
+          type: 'text',
+          text: `${total} llamada(s) encontrada(s)${total > entradas.length ? `; se muestran las ${entradas.length} más recientes` : ''}:\n${bloques.join('\n')}`
+        }]
+      };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al consultar la auditoría: ' + (e.message || e) }] };
+    }
+  }
+);
+
 // =================================================================
 // --- II. HERRAMIENTAS DE CREACIÓN (AÑADIR DATOS O ESTRUCTURA) ---
 // =================================================================
 // --- Herramienta: Crear tabla ---
-server.tool(
+registerTool(
   'crearTabla',
   'Sigue estas reglas para crear una tabla:\n'
   + 'PROPÓSITO: Crear una tabla COMPLETAMENTE NUEVA en la base de datos.\n'
@@ -248,9 +1982,11 @@ server.tool(
       nombre: z.string().describe('Nombre de la columna'),
       tipo: z.string().describe('Tipo y restricciones de la columna (ej. INT PRIMARY KEY AUTO_INCREMENT)'),
     })).describe('Lista de columnas con nombre y tipo'),
+    conexion: conexionArg,
   },
-  async ({ nombreTabla, columnas }) => {
+  async ({ nombreTabla, columnas, conexion }) => {
     try {
+      const { runner: query_runner, db_type } = connections.get(conexion);
       if (!nombreTabla || !Array.isArray(columnas) || columnas.length === 0) {
         return {
           isError: true,
@@ -263,10 +1999,15 @@ server.tool(
           return { content: [{ type: 'text', text: `La tabla '${nombreTabla}' ya existe. No es necesario crearla.` }] };
         }
       } catch (tableCheckError) {}
-      const columnasSQL = columnas.map(col => `${quoteIdent(col.nombre)} ${col.tipo}`).join(',\n');
-      const sql = `CREATE TABLE ${quoteIdent(nombreTabla)} (\n${columnasSQL}\n)`;
+      const columnasSQL = columnas.map(col => `${quoteIdent(db_type, col.nombre)} ${col.tipo}`).join(',\n');
+      const sql = `CREATE TABLE ${quoteIdent(db_type, nombreTabla)} (\n${columnasSQL}\n)`;
       await query_runner.runQuery(sql);
-      return { content: [{ type: 'text', text: 'Tabla creada exitosamente.' }] };
+      const migracion = await recordMigration(conexion, 'crearTabla', {
+        descripcion: `crear tabla ${nombreTabla}`,
+        up: [sql],
+        down: [`DROP TABLE ${quoteIdent(db_type, nombreTabla)}`],
+      });
+      return { content: [{ type: 'text', text: 'Tabla creada exitosamente.' + migracion }] };
     } catch (e) {
       return {
         isError: true,
@@ -277,7 +2018,7 @@ server.tool(
 );
 
 // --- Herramienta: Agregar columna a tabla ---
-server.tool(
+registerTool(
   'agregarColumna',
   'Sigue estas reglas para agregar una columna:\n'
   + 'PROPÓSITO: Agregar una nueva columna a una tabla EXISTENTE.\n'
@@ -288,18 +2029,25 @@ server.tool(
     tabla: z.string().describe('Nombre de la tabla a modificar'),
     columna: z.string().describe('Nombre de la nueva columna'),
     tipo: z.string().describe('Definición del tipo de la columna (ej. VARCHAR(255) NOT NULL)'),
+    conexion: conexionArg,
   },
-  async ({ tabla, columna, tipo }) => {
+  async ({ tabla, columna, tipo, conexion }) => {
     try {
+      const { runner: query_runner, db_type } = connections.get(conexion);
       if (!/^[a-zA-Z0-9_]+$/.test(tabla) || !/^[a-zA-Z0-9_]+$/.test(columna)) {
         return {
           isError: true,
           content: [{ type: 'text', text: 'Nombre de tabla o columna no válido. Use solo letras, números y guiones bajos.' }]
         };
       }
-      const query = `ALTER TABLE ${quoteIdent(tabla)} ADD COLUMN ${quoteIdent(columna)} ${tipo}`;
+      const query = `ALTER TABLE ${quoteIdent(db_type, tabla)} ADD COLUMN ${quoteIdent(db_type, columna)} ${tipo}`;
       await query_runner.runQuery(query);
-      return { content: [{ type: 'text', text: `Columna '${columna}' agregada a la tabla '${tabla}' exitosamente.` }] };
+      const migracion = await recordMigration(conexion, 'agregarColumna', {
+        descripcion: `agregar columna ${columna} a ${tabla}`,
+        up: [query],
+        down: [`ALTER TABLE ${quoteIdent(db_type, tabla)} DROP COLUMN ${quoteIdent(db_type, columna)}`],
+      });
+      return { content: [{ type: 'text', text: `Columna '${columna}' agregada a la tabla '${tabla}' exitosamente.` + migracion }] };
     } catch (e) {
       return {
         isError: true,
@@ -309,40 +2057,237 @@ server.tool(
   }
 );
 
+// --- Herramienta: Crear índice ---
+registerTool(
+  'crearIndice',
+  'Sigue estas reglas para crear un índice:\n'
+  + 'PROPÓSITO: Crear un índice sobre una o varias columnas de una tabla para acelerar búsquedas, uniones y ordenaciones. Puede ser único y, en PostgreSQL y SQLite, parcial (solo indexa las filas que cumplen una condición).\n'
+  + 'USO: Indica las columnas en el orden del índice: primero las que se comparan por igualdad y después las de rangos u ordenación; "columna DESC" la ordena de forma descendente. Consulta antes listarIndices para no duplicar uno existente; explicarConsulta sugiere qué índices crear.\n'
+  + 'PRECAUCIÓN: En tablas grandes crear el índice tarda y puede bloquear las escrituras en la tabla mientras tanto. Un índice único falla si ya hay valores repetidos.\n'
+  + 'EJEMPLO: "Crea un índice en ventas por tienda_id y fecha."',
+  {
+    tabla: z.string().describe('Nombre de la tabla'),
+    columnas: z.array(z.string()).min(1).describe('Columnas del índice en orden; "columna DESC" para orden descendente'),
+    nombre: z.string().optional().describe('Nombre del índice (opcional, por defecto tabla_columnas_idx)'),
+    unico: z.boolean().default(false).describe('Índice único: no admite valores repetidos'),
+    condicion: z.string().optional().describe('Condición WHERE de un índice parcial, ej. "activo = 1" (PostgreSQL y SQLite)'),
+    metodo: z.enum(['btree', 'hash', 'gin', 'gist', 'brin', 'spgist']).optional().describe('Método del índice (solo PostgreSQL, por defecto btree)'),
+    conexion: conexionArg,
+  },
+  async ({ tabla, columnas, nombre, unico, condicion, metodo, conexion }) => {
+    try {
+      const { runner: query_runner, db_type } = connections.get(conexion);
+      const existentes = await query_runner.getTableColumns(tabla);
+      if (existentes.length === 0) {
+        return { isError: true, content: [{ type: 'text', text: `La tabla '${tabla}' no existe.` }] };
+      }
+      const claves = [];
+      for (const texto of columnas) {
+        const m = texto.trim().match(/^(\w+)(?:\s+(ASC|DESC))?$/i);
+        if (!m || !existentes.includes(m[1])) {
+          return {
+            isError: true,
+            content: [{ type: 'text', text: `'${texto}' no es una columna de la tabla '${tabla}' (usa "columna" o "columna DESC"). Columnas: ${existentes.join(', ')}.` }]
+          };
+        }
+        claves.push({ columna: m[1], desc: /^desc$/i.test(m[2] || '') });
+      }
+      if (condicion && db_type === 'mysql') {
+        return { isError: true, content: [{ type: 'text', text: 'MySQL no admite índices parciales: quita "condicion".' }] };
+      }
+      if (metodo && db_type !== 'pg') {
+        return { isError: true, content: [{ type: 'text', text: '"metodo" solo se admite en PostgreSQL.' }] };
+      }
+      if (condicion) {
+        // La condición tiene que ser una expresión sobre la tabla, sin subconsultas que escriban ni varias sentencias
+        const validacion = validateReadOnlyQuery(`SELECT 1 FROM ${quoteIdent(db_type, tabla)} WHERE ${condicion}`, db_type);
+        if (!validacion.ok) {
+          return { isError: true, content: [{ type: 'text', text: `Condición no válida: ${validacion.reason}` }] };
+        }
+      }
+      // PostgreSQL recorta los nombres a 63 caracteres
+      const indice = nombre || `${tabla}_${claves.map(c => c.columna).join('_')}_idx`.slice(0, 63);
+      if (!/^\w+$/.test(indice)) {
+        return { isError: true, content: [{ type: 'text', text: 'Nombre de índice no válido. Use solo letras, números y guiones bajos.' }] };
+      }
+      const lista = claves.map(c => c.columna).join(', ');
+      if (!condicion) {
+        const igual = (await query_runner.listIndexes(tabla)).find(i => !i.partial && (!unico || i.unique)
+          && i.columns.map(c => c.replace(/\s+DESC$/i, '').replace(/["`]/g, '')).join(', ') === lista);
+        if (igual) {
+          return { content: [{ type: 'text', text: `Ya existe el índice '${igual.name}' sobre (${lista}) en la tabla '${tabla}'; no se ha creado otro.` }] };
+        }
+      }
+      const sql = `CREATE ${unico ? 'UNIQUE ' : ''}INDEX ${quoteIdent(db_type, indice)} ON ${quoteIdent(db_type, tabla)}`
+        + (metodo ? ` USING ${metodo}` : '')
+        + ` (${claves.map(c => quoteIdent(db_type, c.columna) + (c.desc ? ' DESC' : '')).join(', ')})`
+        + (condicion ? ` WHERE ${condicion}` : '');
+      await query_runner.runQuery(sql);
+      const migracion = await recordMigration(conexion, 'crearIndice', {
+        descripcion: `crear indice ${indice} en ${tabla}`,
+        up: [sql],
+        down: [db_type === 'mysql'
+          ? `DROP INDEX ${quoteIdent(db_type, indice)} ON ${quoteIdent(db_type, tabla)}`
+          : `DROP INDEX ${quoteIdent(db_type, indice)}`],
+      });
+      return { content: [{ type: 'text', text: `Índice '${indice}' creado en la tabla '${tabla}' (${columnas.map(c => c.trim()).join(', ')}).` + migracion }] };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al crear el índice: ' + (e.message || e) }] };
+    }
+  }
+);
+
+// Sentencias que crean una vista de getView; las materializadas recuperan también sus índices
+function viewCreateStatements(db_type, vista, indices = []) {
+  return [
+    `CREATE ${vista.materialized ? 'MATERIALIZED VIEW' : 'VIEW'} ${quoteIdent(db_type, vista.name)} AS\n${vista.definition}`,
+    ...indices.map(i => i.definition).filter(Boolean),
+  ];
+}
+
+function viewDropStatement(db_type, vista) {
+  return `DROP ${vista.materialized ? 'MATERIALIZED VIEW' : 'VIEW'} ${quoteIdent(db_type, vista.name)}`;
+}
+
+// --- Herramienta: Crear o reemplazar una vista ---
+registerTool(
+  'crearVista',
+  'Sigue estas reglas para crear una vista:\n'
+  + 'PROPÓSITO: Crear una vista (una consulta guardada que se lee como una tabla) o, en PostgreSQL, una vista materializada (guarda el resultado y se actualiza con refrescarVistaMaterializada). Con "reemplazar" cambia la consulta de una vista existente.\n'
+  + 'REGLA: La consulta debe ser un único SELECT (o WITH ... SELECT) de solo lectura.\n'
+  + 'PRECAUCIÓN: En PostgreSQL, al reemplazar una vista normal no se pueden quitar ni renombrar columnas; si hace falta, elimínala con eliminarVista y vuelve a crearla. Reemplazar una vista materializada la vuelve a crear con sus índices y recalcula sus datos.\n'
+  + 'EJEMPLO: "Crea la vista ventas_mensuales con el total vendido por mes y tienda."',
+  {
+    vista: z.string().describe('Nombre de la vista'),
+    consulta: z.string().describe('Consulta SELECT de la vista'),
+    materializada: z.boolean().default(false).describe('Crear una vista materializada (solo PostgreSQL)'),
+    reemplazar: z.boolean().default(false).describe('Reemplazar la vista si ya existe'),
+    conexion: conexionArg,
+  },
+  async ({ vista, consulta, materializada, reemplazar, conexion }) => {
+    try {
+      const { runner: query_runner, db_type } = connections.get(conexion);
+      if (!/^[a-zA-Z0-9_]+$/.test(vista)) {
+        return { isError: true, content: [{ type: 'text', text: 'Nombre de vista no válido. Use solo letras, números y guiones bajos.' }] };
+      }
+      if (materializada && db_type !== 'pg') {
+        return { isError: true, content: [{ type: 'text', text: 'Las vistas materializadas solo existen en PostgreSQL.' }] };
+      }
+      const validacion = validateReadOnlyQuery(consulta, db_type);
+      if (!validacion.ok) {
+        return { isError: true, content: [{ type: 'text', text: validacion.reason }] };
+      }
+      if (/^EXPLAIN\b/i.test(validacion.sql)) {
+        return { isError: true, content: [{ type: 'text', text: 'La consulta de una vista no puede ser un EXPLAIN.' }] };
+      }
+      const anterior = await query_runner.getView(vista);
+      if (anterior && !reemplazar) {
+        return { isError: true, content: [{ type: 'text', text: `La vista '${vista}' ya existe; usa reemplazar: true para cambiar su consulta.` }] };
+      }
+      if (!anterior && (await query_runner.getTableColumns(vista)).length > 0) {
+        return { isError: true, content: [{ type: 'text', text: `Ya existe una tabla llamada '${vista}'.` }] };
+      }
+      const nueva = { name: vista, materialized: materializada, definition: validacion.sql };
+      let up, down;
+      if (!anterior) {
+        up = viewCreateStatements(db_type, nueva);
+        down = [viewDropStatement(db_type, nueva)];
+      } else if (!anterior.materialized && !materializada && db_type !== 'sqlite') {
+        // CREATE OR REPLACE conserva los permisos y las vistas que dependen de esta
+        up = [`CREATE OR REPLACE VIEW ${quoteIdent(db_type, vista)} AS\n${nueva.definition}`];
+        down = [`CREATE OR REPLACE VIEW ${quoteIdent(db_type, vista)} AS\n${anterior.definition}`];
+      } else {
+        // SQLite no tiene CREATE OR REPLACE y las materializadas no se pueden reemplazar: se recrean
+        const indices = anterior.materialized ? await query_runner.listIndexes(vista) : [];
+        up = [viewDropStatement(db_type, anterior), ...viewCreateStatements(db_type, nueva, materializada ? indices : [])];
+        down = [viewDropStatement(db_type, nueva), ...viewCreateStatements(db_type, anterior, indices)];
+      }
+      await query_runner.withTransaction(async tx => {
+        for (const sql of up) await tx.run(sql);
+      });
+      const migracion = await recordMigration(conexion, 'crearVista', {
+        descripcion: `${anterior ? 'reemplazar' : 'crear'} vista ${vista}`,
+        up,
+        down,
+      });
+      return {
+        content: [{ type: 'text', text: `${materializada ? 'Vista materializada' : 'Vista'} '${vista}' ${anterior ? 'reemplazada' : 'creada'} exitosamente.` + migracion }]
+      };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al crear la vista: ' + (e.message || e) }] };
+    }
+  }
+);
+
+// --- Herramienta: Refrescar una vista materializada ---
+registerTool(
+  'refrescarVistaMaterializada',
+  'Sigue estas reglas para refrescar una vista materializada:\n'
+  + 'PROPÓSITO: Volver a calcular los datos guardados de una vista materializada de PostgreSQL con los datos actuales de sus tablas.\n'
+  + 'USO: Con "concurrente" las lecturas de la vista no se bloquean mientras se refresca; requiere que la vista tenga un índice único y que ya tenga datos.\n'
+  + 'PRECAUCIÓN: En vistas costosas el refresco puede tardar; sin "concurrente" bloquea las lecturas de la vista hasta que termina.\n'
+  + 'EJEMPLO: "Actualiza la vista materializada resumen_stock."',
+  {
+    vista: z.string().describe('Nombre de la vista materializada'),
+    concurrente: z.boolean().default(false).describe('REFRESH ... CONCURRENTLY: no bloquea las lecturas (requiere un índice único)'),
+    conexion: conexionArg,
+  },
+  async ({ vista, concurrente, conexion }) => {
+    try {
+      const { runner: query_runner, db_type } = connections.get(conexion);
+      if (db_type !== 'pg') {
+        return { isError: true, content: [{ type: 'text', text: 'Las vistas materializadas solo existen en PostgreSQL.' }] };
+      }
+      const v = (await query_runner.listViews()).find(x => x.name === vista);
+      if (!v || !v.materialized) {
+        return { isError: true, content: [{ type: 'text', text: `'${vista}' no es una vista materializada.` }] };
+      }
+      const inicio = Date.now();
+      await query_runner.runQuery(`REFRESH MATERIALIZED VIEW ${concurrente ? 'CONCURRENTLY ' : ''}${quoteIdent(db_type, vista)}`);
+      const total = await countRows(query_runner, db_type, vista);
+      return {
+        content: [{ type: 'text', text: `Vista materializada '${vista}' refrescada: ${total} fila(s) en ${((Date.now() - inicio) / 1000).toFixed(2)} s.` }]
+      };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al refrescar la vista materializada: ' + (e.message || e) }] };
+    }
+  }
+);
+
 // --- Herramienta: Insertar datos en una tabla ---
-server.tool(
+registerTool(
   'insertarDatos',
   'Sigue estas reglas para insertar datos:\n'
   + 'PROPÓSITO: Insertar uno o varios registros (filas) nuevos en una tabla.\n'
   + 'REGLA: Solo debe usarse para agregar datos nuevos. No la uses para actualizar registros existentes ni para modificar la estructura de la tabla.\n'
   + 'FORMATO: Los datos deben ser un array de objetos, donde cada objeto es un registro.\n'
+  + 'ATOMICIDAD: Por defecto se insertan todos o ninguno; si un registro falla se revierte la inserción completa.\n'
+  + 'VOLUMEN: Los registros se insertan por lotes; la respuesta resume insertados, rechazados y tiempo.\n'
   + 'EJEMPLO: "Agrega un cliente con nombre Juan a la tabla clientes."',
   {
     tabla: z.string().describe('Nombre de la tabla'),
     datos: z.array(z.record(z.any())).describe('Array de objetos con los datos a insertar'),
+    atomico: atomicoArg,
+    lote: loteArg,
+    conexion: conexionArg,
   },
-  async ({ tabla, datos }) => {
+  async ({ tabla, datos, atomico, lote, conexion }, extra) => {
     try {
+      const { runner: query_runner, db_type } = connections.get(conexion);
       if (!datos || !Array.isArray(datos) || datos.length === 0) {
         return {
           isError: true,
           content: [{ type: 'text', text: 'Debes proporcionar un array de datos para insertar.' }]
         };
       }
-      let insertedCount = 0;
-      for (const registro of datos) {
-        const columnas = Object.keys(registro);
-        const valores = Object.values(registro);
-        const placeholders = makePlaceholders(db_type, valores.length).join(', ');
-        const columnasStr = columnas.map(col => quoteIdent(col)).join(', ');
-        const sql = `INSERT INTO ${quoteIdent(tabla)} (${columnasStr}) VALUES (${placeholders})`;
-        await query_runner.runQueryWithParams(sql, valores);
-        insertedCount++;
-      }
+      simulationPreview(`Se insertarán ${datos.length} registro(s) en la tabla '${tabla}'.`);
+      const resumen = await insertRecords(query_runner, db_type, tabla, datos, {
+        atomico, lote, onProgress: progressReporter(extra, tabla)
+      });
       return { 
         content: [{ 
           type: 'text', 
-          text: `Se insertaron ${insertedCount} registro(s) en la tabla '${tabla}' exitosamente.` 
+          text: insertSummary('insertaron', tabla, resumen)
         }] 
       };
     } catch (e) {
@@ -354,23 +2299,281 @@ server.tool(
   }
 );
 
+// Filas como máximo por tabla en generarDatosPrueba
+const MAX_FAKE_ROWS = 100000;
+// Claves de la tabla referenciada entre las que se eligen las de cada clave foránea
+const MAX_PARENT_KEYS = 10000;
+// Intentos por fila de generar valores que no choquen con una restricción única
+const UNIQUE_ATTEMPTS = 20;
+// Filas de ejemplo por tabla en la respuesta
+const FAKE_SAMPLE_ROWS = 3;
+
+// Ordena las tablas para llenar cada una después de las que referencia; lanza un error si forman un ciclo
+function dependencyOrder(descripciones) {
+  const orden = [];
+  const estado = new Map();
+  const visitar = (tabla, camino) => {
+    if (estado.get(tabla) === 'hecha') return;
+    if (estado.get(tabla) === 'visitando') {
+      const ciclo = [...camino.slice(camino.indexOf(tabla)), tabla];
+      throw new Error(`Las claves foráneas forman un ciclo (${ciclo.join(' -> ')}); llena una de esas tablas en otra llamada.`);
+    }
+    estado.set(tabla, 'visitando');
+    for (const fk of descripciones.get(tabla).foreignKeys) {
+      if (fk.table === tabla && fk.refTable !== tabla && descripciones.has(fk.refTable)) visitar(fk.refTable, [...camino, tabla]);
+    }
+    estado.set(tabla, 'hecha');
+    orden.push(tabla);
+  };
+  for (const tabla of descripciones.keys()) visitar(tabla, []);
+  return orden;
+}
+
+const datoPruebaSchema = z.object({
+  valor: z.any().optional().describe('Valor fijo para todas las filas'),
+  valores: z.array(z.any()).min(1).optional().describe('Valores entre los que elegir al azar'),
+  patron: z.string().optional().describe('Patrón con # (dígito) y ? (letra mayúscula), p. ej. "PRD-####"'),
+  generador: z.enum(FAKE_GENERATORS).optional().describe('Generador a usar en lugar del deducido del nombre y el tipo'),
+  min: z.union([z.number(), z.string()]).optional().describe('Mínimo (número o fecha YYYY-MM-DD)'),
+  max: z.union([z.number(), z.string()]).optional().describe('Máximo (número o fecha YYYY-MM-DD)'),
+  secuencia: z.number().int().optional().describe('Numera las filas a partir de este valor'),
+  nulos: z.number().min(0).max(1).optional().describe(`Probabilidad de NULL (por defecto ${NULL_RATIO} si la columna admite NULL)`),
+}).strict();
+
+const fechaArg = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Usa el formato YYYY-MM-DD');
+
+// --- Herramienta: Generar datos de prueba ---
+registerTool(
+  'generarDatosPrueba',
+  'Sigue estas reglas para generar datos de prueba:\n'
+  + 'PROPÓSITO: Llenar una o varias tablas con filas ficticias realistas (nombres, correos, teléfonos, precios, fechas, códigos...) según el nombre, el tipo, la nulabilidad y las restricciones únicas de cada columna, con claves foráneas que apuntan a filas existentes de la tabla referenciada.\n'
+  + 'USO: Indica cada tabla con sus filas; las tablas relacionadas se llenan en orden de dependencia (primero las referenciadas), todo en una transacción. Las columnas autoincrementales las asigna el motor. Con "columnas" se fija cómo generar una columna (valor, valores, patron, generador, min/max, secuencia, nulos). La misma semilla con la misma base da los mismos datos; la respuesta incluye la semilla y el rango de fechas usados. Solo para bases de desarrollo o pruebas: prueba antes con simular.\n'
+  + 'EJEMPLO: "Llena clientes con 50 filas y pedidos con 200, con fechas de 2024."',
+  {
+    tablas: z.array(z.object({
+      tabla: z.string().describe('Nombre de la tabla'),
+      filas: z.number().int().min(1).max(MAX_FAKE_ROWS).describe(`Filas a generar (máximo ${MAX_FAKE_ROWS})`),
+      columnas: z.record(datoPruebaSchema).optional().describe('Cómo generar columnas concretas: { columna: { valores: [...] } } (opcional)'),
+    })).min(1).describe('Tablas a llenar, en cualquier orden'),
+    semilla: z.union([z.string(), z.number()]).optional().describe('Semilla para repetir los mismos datos (opcional, por defecto una al azar que se informa)'),
+    desde: fechaArg.optional().describe('Primera fecha de las columnas de fecha (opcional, por defecto hace un año)'),
+    hasta: fechaArg.optional().describe('Última fecha de las columnas de fecha (opcional, por defecto hoy)'),
+    lote: loteArg,
+    conexion: conexionArg,
+  },
+  async ({ tablas, semilla = Math.floor(Math.random() * 1000000000), desde, hasta, lote, conexion }, extra) => {
+    try {
+      const { runner: query_runner, db_type } = connections.get(conexion);
+      const q = ident => quoteIdent(db_type, ident);
+      const hoy = new Date().toISOString().slice(0, 10);
+      const hastaMs = Date.parse(`${hasta || hoy}T00:00:00Z`);
+      const desdeMs = desde ? Date.parse(`${desde}T00:00:00Z`) : hastaMs - 365 * 86400000;
+      if (Number.isNaN(desdeMs) || Number.isNaN(hastaMs) || desdeMs > hastaMs) {
+        return { isError: true, content: [{ type: 'text', text: 'El rango de fechas no es válido: desde debe ser una fecha anterior o igual a hasta.' }] };
+      }
+      const rango = { desde: new Date(desdeMs).toISOString().slice(0, 10), hasta: new Date(hastaMs).toISOString().slice(0, 10) };
+
+      const pedidas = new Map();
+      const descripciones = new Map();
+      for (const t of tablas) {
+        if (pedidas.has(t.tabla)) {
+          return { isError: true, content: [{ type: 'text', text: `La tabla '${t.tabla}' aparece más de una vez en tablas.` }] };
+        }
+        const d = await query_runner.describeTable(t.tabla);
+        if (!d) {
+          return { isError: true, content: [{ type: 'text', text: `La tabla '${t.tabla}' no existe.` }] };
+        }
+        const desconocidas = Object.keys(t.columnas || {}).filter(c => !d.columns.some(col => col.name === c));
+        if (desconocidas.length > 0) {
+          return { isError: true, content: [{ type: 'text', text: `La tabla '${t.tabla}' no tiene la(s) columna(s): ${desconocidas.join(', ')}.` }] };
+        }
+        const ajenas = d.foreignKeys.filter(f => f.table === t.tabla && !policy.allowsTable('generarDatosPrueba', f.refTable));
+        if (ajenas.length > 0) {
+          return { isError: true, content: [{ type: 'text', text: `La política no permite leer '${ajenas[0].refTable}', referenciada por '${t.tabla}'.` }] };
+        }
+        pedidas.set(t.tabla, t);
+        descripciones.set(t.tabla, d);
+      }
+      const orden = dependencyOrder(descripciones);
+      const simulando = isSimulating();
+      // Filas generadas por tabla; en una simulación no se insertan y las claves foráneas las toman de aquí
+      const generadas = new Map();
+      const informe = [];
+
+      await query_runner.withTransaction(async tx => {
+        for (const tabla of orden) {
+          const { filas, columnas: personalizadas = {} } = pedidas.get(tabla);
+          const d = descripciones.get(tabla);
+          // Una columna indicada en "columnas" se genera como se pide aunque sea de una clave foránea
+          const fks = d.foreignKeys.filter(f => f.table === tabla && f.columns.every(c => !(c in personalizadas)));
+          const deClave = new Set(fks.flatMap(f => f.columns));
+          const propias = d.columns.filter(c => !deClave.has(c.name) && (!c.autoIncrement || c.name in personalizadas));
+          const unicos = [d.primaryKey?.columns, ...d.uniques.map(u => u.columns), ...d.indexes.filter(i => i.unique && !i.partial).map(i => i.columns)]
+            .filter(cols => cols?.length > 0 && cols.every(c => deClave.has(c) || propias.some(p => p.name === c)))
+            .filter((cols, i, todos) => todos.findIndex(otro => otro.join('\0') === cols.join('\0')) === i);
+
+          // Los enteros únicos sin autoincremento se numeran tras el mayor existente
+          const opciones = { ...personalizadas };
+          for (const c of propias) {
+            if (c.name in personalizadas || columnKind(c.type) !== 'integer' || !unicos.some(u => u.length === 1 && u[0] === c.name)) continue;
+            const { rows } = await tx.run(`SELECT MAX(${q(c.name)}) AS maximo FROM ${q(tabla)}`, []);
+            opciones[c.name] = { secuencia: Number(rows[0]?.maximo ?? 0) + 1 };
+          }
+          const g = tableGenerator({ tabla, columnas: propias, personalizadas: opciones, semilla, desde: desdeMs, hasta: hastaMs });
+
+          const padres = [];
+          for (const fk of fks) {
+            const cols = fk.refColumns.map(q);
+            const { rows } = await tx.run(
+              `SELECT DISTINCT ${cols.join(', ')} FROM ${q(fk.refTable)} WHERE ${cols.map(c => `${c} IS NOT NULL`).join(' AND ')} `
+              // Las más recientes primero, para que entren las recién generadas aunque la tabla sea grande
+              + `ORDER BY ${cols.map(c => `${c} DESC`).join(', ')} LIMIT ${MAX_PARENT_KEYS}`, []);
+            const claves = rows.map(r => fk.refColumns.map(c => r[c]));
+            if (simulando && generadas.has(fk.refTable)) {
+              const vistas = new Set(claves.map(tupleKey));
+              for (const fila of generadas.get(fk.refTable)) {
+                const tupla = fk.refColumns.map(c => fila[c]);
+                if (tupla.every(v => v !== null && v !== undefined) && !vistas.has(tupleKey(tupla))) claves.push(tupla);
+              }
+            }
+            const nulable = fk.columns.every(c => d.columns.find(col => col.name === c)?.nullable);
+            if (claves.length === 0 && !nulable) {
+              throw new Error(`La tabla '${fk.refTable}' no tiene filas para la clave foránea (${fk.columns.join(', ')}) de '${tabla}'; inclúyela en tablas para llenarla antes.`);
+            }
+            padres.push({ fk, claves, nulable, rng: seededRandom(`${semilla}:${tabla}:${fk.columns.join(',')}`) });
+          }
+          const elegirPadre = (fila, p) => {
+            const tupla = p.claves.length === 0 || (p.nulable && p.rng() < NULL_RATIO)
+              ? p.fk.columns.map(() => null)
+              : p.claves[Math.floor(p.rng() * p.claves.length)];
+            p.fk.columns.forEach((c, i) => { fila[c] = tupla[i]; });
+          };
+
+          const registros = Array.from({ length: filas }, (_, n) => {
+            const fila = g.row(n);
+            for (const p of padres) elegirPadre(fila, p);
+            return fila;
+          });
+
+          // Unicidad: primero entre las filas generadas y después contra las que ya hay en la tabla
+          const conSecuencia = cols => cols.some(c => 'secuencia' in (opciones[c] || {}));
+          const vigilados = unicos.filter(cols => !conSecuencia(cols));
+          const vistos = vigilados.map(() => new Set());
+          const intentos = new Array(filas).fill(0);
+          const claveDe = (fila, cols) => (cols.some(c => fila[c] === null || fila[c] === undefined) ? null : tupleKey(cols.map(c => fila[c])));
+          const regenerar = (n, cols) => {
+            if (++intentos[n] > UNIQUE_ATTEMPTS) {
+              throw new Error(`No se pudieron generar valores únicos de (${cols.join(', ')}) en '${tabla}' tras ${UNIQUE_ATTEMPTS} intentos; `
+                + 'pide menos filas o amplía los valores posibles de esas columnas (valores, patron, min/max).');
+            }
+            const fila = registros[n];
+            for (const p of padres) if (p.fk.columns.some(c => cols.includes(c))) elegirPadre(fila, p);
+            for (const c of cols) if (propias.some(col => col.name === c)) fila[c] = g.value(c, n, intentos[n]);
+          };
+          const colocar = n => {
+            for (;;) {
+              const claves = vigilados.map(cols => claveDe(registros[n], cols));
+              const choque = claves.findIndex((k, j) => k !== null && vistos[j].has(k));
+              if (choque < 0) {
+                claves.forEach((k, j) => { if (k !== null) vistos[j].add(k); });
+                return;
+              }
+              regenerar(n, vigilados[choque]);
+            }
+          };
+          registros.forEach((_, n) => colocar(n));
+          let pendientes = registros.map((_, n) => n);
+          while (pendientes.length > 0 && vigilados.length > 0) {
+            const choques = new Map();
+            for (const [j, cols] of vigilados.entries()) {
+              const candidatas = pendientes.filter(n => claveDe(registros[n], cols) !== null);
+              const existentes = await existingTuples(tx.run, db_type, tabla, cols, candidatas.map(n => cols.map(c => registros[n][c])));
+              for (const n of candidatas) if (!choques.has(n) && existentes.has(claveDe(registros[n], cols))) choques.set(n, j);
+            }
+            for (const [n, j] of choques) {
+              vigilados.forEach((cols, k) => vistos[k].delete(claveDe(registros[n], cols)));
+              regenerar(n, vigilados[j]);
+              colocar(n);
+            }
+            pendientes = [...choques.keys()];
+          }
+
+          const columnas = [...propias.map(c => c.name), ...deClave];
+          const avance = progressReporter(extra, tabla);
+          let hechos = 0;
+          for (const l of batchesOf(db_type, registros, columnas, bulkBatchSize(lote))) {
+            const { sql, params } = buildMultiInsert(db_type, tabla, l.columnas, l.registros);
+            try {
+              await tx.run(sql, params);
+            } catch (e) {
+              throw new Error(`Tabla '${tabla}', filas ${l.desde + 1}-${l.desde + l.registros.length}: ${e.message || e}. Se revirtió la transacción; no se insertó ninguna fila.`);
+            }
+            hechos += l.registros.length;
+            if (avance) avance(hechos, registros.length);
+          }
+
+          if (simulando) {
+            // Los autoincrementales aún no existen: se suponen los siguientes al mayor actual
+            const auto = d.columns.filter(c => c.autoIncrement && !(c.name in personalizadas) && columnKind(c.type) === 'integer');
+            for (const c of auto) {
+              const { rows } = await tx.run(`SELECT MAX(${q(c.name)}) AS maximo FROM ${q(tabla)}`, []);
+              const siguiente = Number(rows[0]?.maximo ?? 0) + 1;
+              registros.forEach((fila, n) => { fila[c.name] = siguiente + n; });
+            }
+            generadas.set(tabla, registros);
+          }
+          const origen = Object.entries(g.generadores).map(([c, nombre]) => `${c} (${nombre})`)
+            .concat(padres.map(p => `${p.fk.columns.join(', ')} (-> ${p.fk.refTable}${p.claves.length === 0 ? ', NULL: no tiene filas' : ''})`));
+          informe.push({ tabla, filas, origen, ejemplos: registros.slice(0, FAKE_SAMPLE_ROWS) });
+        }
+      });
+
+      const total = informe.reduce((suma, t) => suma + t.filas, 0);
+      simulationPreview(`Se insertarán ${total} fila(s) de prueba: ${informe.map(t => `${t.filas} en '${t.tabla}'`).join(', ')}.`);
+      const partes = [`Se insertaron ${total} fila(s) de prueba con la semilla ${JSON.stringify(semilla)} y fechas del ${rango.desde} al ${rango.hasta}. `
+        + 'Repite la llamada con la misma semilla y el mismo rango para obtener los mismos datos (si la base está en el mismo estado).'];
+      for (const t of informe) {
+        partes.push([
+          `Tabla '${t.tabla}': ${t.filas} fila(s).`,
+          `Columnas: ${t.origen.join(', ')}`,
+          'Ejemplos:',
+          ...t.ejemplos.map(fila => `- ${JSON.stringify(fila)}`),
+        ].join('\n'));
+      }
+      return { content: [{ type: 'text', text: partes.join('\n\n') }] };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al generar datos de prueba: ' + (e.message || e) }] };
+    }
+  }
+);
+
 // --- Herramienta: CRUD general para tablas ---
-server.tool(
+registerTool(
   'crudTabla',
   'Sigue estas reglas OBLIGATORIAS para operaciones CRUD:\n'
   + 'PROPÓSITO: Realizar operaciones de Crear (create), Leer (read), Actualizar (update) o Eliminar (delete) registros en una tabla.\n'
   + 'REGLA: Esta herramienta es solo para MANIPULAR DATOS, nunca para modificar la ESTRUCTURA de la tabla (ALTER, DROP, CREATE TABLE).\n'
-  + 'ACCIÓN DESTRUCTIVA (DELETE): Si la acción es "delete", es OBLIGATORIO pedir una confirmación explícita al usuario antes de ejecutar. El usuario DEBE escribir la frase exacta: "Confirmar eliminación de los registros filtrados en la tabla [nombreTabla]". Si la confirmación no es exacta, no procedas.\n'
+  + 'ACCIÓN DESTRUCTIVA (DELETE): Si la acción es "delete", la primera llamada NO borra nada: devuelve cuántos registros coinciden con el filtro, una muestra y un token. Muestra la vista previa al usuario y, solo si la aprueba explícitamente, vuelve a llamar con los mismos argumentos y el token en "confirmacion".\n'
+  + 'RESPALDO: Antes de un "update" o un "delete" se guardan las filas afectadas tal como estaban; la respuesta indica el respaldo, que puede restaurarse con restaurarRespaldo.\n'
   + 'USO: Especifica la tabla, la acción, los datos (para create/update) y el filtro (para read/update/delete).\n'
-  + 'EJEMPLO: "Actualiza el email del cliente con id 5 en la tabla clientes."',
+  + 'FILTROS: Además de {"columna": valor}, admite condiciones {"columna", "op", "valor"} con =, !=, >, >=, <, <=, in, not in, between, like, ilike, is null e is not null, y grupos {"and": [...]} / {"or": [...]}.\n'
+  + 'LECTURA: Con "read" puedes indicar columnas (proyección), orden y limite.\n'
+  + 'EJEMPLO: "Actualiza el email del cliente con id 5 en la tabla clientes."\n'
+  + 'EJEMPLO DE FILTRO: ventas entre dos fechas con total mayor a 100: [{"columna": "fecha", "op": "between", "valor": ["2024-01-01", "2024-01-31"]}, {"columna": "total", "op": ">", "valor": 100}]',
   {
     tabla: z.string().describe('Nombre de la tabla'),
     accion: z.enum(['create', 'read', 'update', 'delete']).describe('Acción CRUD a realizar'),
     datos: z.record(z.any()).optional().describe('Datos para crear o actualizar (objeto)'),
-    filtro: z.record(z.any()).optional().describe('Filtro para leer, actualizar o borrar (objeto)'),
+    filtro: filtroSchema.optional(),
+    columnas: z.array(z.string()).optional().describe('Columnas a devolver en read (opcional, por defecto todas)'),
+    orden: ordenSchema.optional(),
+    ...paginacionArgs,
+    confirmacion: confirmacionArg,
+    conexion: conexionArg,
   },
-  async ({ tabla, accion, datos, filtro }) => {
+  async ({ tabla, accion, datos, filtro, columnas, orden, limite, offset, cursor, contarTotal, confirmacion, conexion }) => {
     try {
+      const { name: conexionNombre, runner: query_runner, db_type } = connections.get(conexion);
       if (!tabla || !accion) {
         return { isError: true, content: [{ type: 'text', text: 'Debes especificar la tabla y la acción.' }] };
       }
@@ -380,49 +2583,63 @@ server.tool(
       if ((accion === 'update' || accion === 'delete' || accion === 'read') && (!filtro || typeof filtro !== 'object')) {
         filtro = {};
       }
+      await checkColumns(query_runner, tabla, [...Object.keys(datos || {}), ...(filtro ? filterColumns(filtro) : [])]);
       let sql = '';
       let valores = [];
       if (accion === 'create') {
         const columnas = Object.keys(datos);
         const vals = Object.values(datos);
         const placeholders = makePlaceholders(db_type, vals.length).join(', ');
-        const columnasStr = columnas.map(col => quoteIdent(col)).join(', ');
-        sql = `INSERT INTO ${quoteIdent(tabla)} (${columnasStr}) VALUES (${placeholders})`;
+        const columnasStr = columnas.map(col => quoteIdent(db_type, col)).join(', ');
+        sql = `INSERT INTO ${quoteIdent(db_type, tabla)} (${columnasStr}) VALUES (${placeholders})`;
         valores = vals;
         await query_runner.runQueryWithParams(sql, valores);
         return { content: [{ type: 'text', text: 'Registro creado exitosamente.' }] };
       } else if (accion === 'read') {
-        let where = '';
-        if (filtro && Object.keys(filtro).length > 0) {
-          const condiciones = Object.keys(filtro).map((col, i) => `${quoteIdent(col)} = ${makePlaceholders(db_type, 1, i)[0]}`);
-          where = 'WHERE ' + condiciones.join(' AND ');
-          valores = Object.values(filtro);
-        }
-        sql = `SELECT * FROM ${quoteIdent(tabla)} ${where}`;
-        const result = await query_runner.runQueryWithParams(sql, valores);
-        return { content: [{ type: 'text', text: JSON.stringify(result.rows, null, 2) }] };
+        const where = compileFilter(filtro, db_type);
+        const page = await readTablePage(query_runner, db_type, {
+          tabla, columnas, where: where.sql, params: where.params, orden, limite, offset, cursor, contarTotal
+        });
+        return pagedContent(page, filas => JSON.stringify(filas, null, 2));
       } else if (accion === 'update') {
-        if (!filtro || Object.keys(filtro).length === 0) {
+        const setCols = Object.keys(datos).map((col, i) => `${quoteIdent(db_type, col)} = ${makePlaceholders(db_type, 1, i)[0]}`).join(', ');
+        const setVals = Object.values(datos);
+        const { sql: whereCols, params: whereVals } = compileFilter(filtro, db_type, setVals.length);
+        if (!whereCols) {
           return { isError: true, content: [{ type: 'text', text: 'Debes proporcionar un filtro para actualizar.' }] };
         }
-        const setCols = Object.keys(datos).map((col, i) => `${quoteIdent(col)} = ${makePlaceholders(db_type, 1, i)[0]}`).join(', ');
-        const setVals = Object.values(datos);
-        const whereCols = Object.keys(filtro).map((col, i) => `${quoteIdent(col)} = ${makePlaceholders(db_type, 1, setVals.length + i)[0]}`).join(' AND ');
-        const whereVals = Object.values(filtro);
-        sql = `UPDATE ${quoteIdent(tabla)} SET ${setCols} WHERE ${whereCols}`;
+        sql = `UPDATE ${quoteIdent(db_type, tabla)} SET ${setCols} WHERE ${whereCols}`;
         valores = [...setVals, ...whereVals];
-        const result = await query_runner.runQueryWithParams(sql, valores);
-        return { content: [{ type: 'text', text: `Registros actualizados: ${result.rows?.affectedRows ?? 'verifica la tabla.'}` }] };
+        // Las filas se restauran por su clave primaria: sin ella, o si el update la cambia, no hay respaldo
+        const clave = await query_runner.getPrimaryKey(tabla);
+        const sinClave = clave.length === 0 || clave.some(c => c in datos);
+        const where = compileFilter(filtro, db_type);
+        if (isSimulating()) {
+          const { total, texto } = await matchingRowsPreview(query_runner, db_type, tabla, where, 'actualizarán');
+          simulationPreview(texto + backupNotice(total, { sinClave }));
+        }
+        const { filas, aviso } = await runWithRowBackup(query_runner, db_type, {
+          herramienta: 'crudTabla', tipo: 'filasActualizadas', conexion: conexionNombre, motor: db_type, tabla, clave,
+        }, where, sql, valores, { sinClave });
+        return { content: [{ type: 'text', text: `Registros actualizados: ${filas ?? 'verifica la tabla.'}` + aviso }] };
       } else if (accion === 'delete') {
-        if (!filtro || Object.keys(filtro).length === 0) {
+        const { sql: whereCols, params: whereVals } = compileFilter(filtro, db_type);
+        if (!whereCols) {
           return { isError: true, content: [{ type: 'text', text: 'Debes proporcionar un filtro para borrar.' }] };
         }
-        const whereCols = Object.keys(filtro).map((col, i) => `${quoteIdent(col)} = ${makePlaceholders(db_type, 1, i)[0]}`).join(' AND ');
-        const whereVals = Object.values(filtro);
-        sql = `DELETE FROM ${quoteIdent(tabla)} WHERE ${whereCols}`;
+        const args = { tabla, accion, filtro, conexion: conexionNombre };
+        if (!confirmacion) {
+          const { total, texto } = await matchingRowsPreview(query_runner, db_type, tabla, { sql: whereCols, params: whereVals }, 'eliminarán');
+          return confirmationRequest('crudTabla', args, texto + backupNotice(total));
+        }
+        confirmations.consume('crudTabla', args, confirmacion);
+        sql = `DELETE FROM ${quoteIdent(db_type, tabla)} WHERE ${whereCols}`;
         valores = whereVals;
-        const result = await query_runner.runQueryWithParams(sql, valores);
-        return { content: [{ type: 'text', text: `Registros eliminados: ${result.rows?.affectedRows ?? 'verifica la tabla.'}` }] };
+        const { filas, aviso } = await runWithRowBackup(query_runner, db_type, {
+          herramienta: 'crudTabla', tipo: 'filasBorradas', conexion: conexionNombre, motor: db_type, tabla,
+          clave: await query_runner.getPrimaryKey(tabla),
+        }, { sql: whereCols, params: whereVals }, sql, valores);
+        return { content: [{ type: 'text', text: `Registros eliminados: ${filas ?? 'verifica la tabla.'}` + aviso }] };
       }
       return { isError: true, content: [{ type: 'text', text: 'Acción no soportada.' }] };
     } catch (e) {
@@ -431,11 +2648,169 @@ server.tool(
   }
 );
 
+// --- Herramienta: Ejecutar varias operaciones en una transacción ---
+const operacionSchema = z.discriminatedUnion('tipo', [
+  z.object({
+    tipo: z.literal('insert'),
+    tabla: z.string().describe('Tabla destino'),
+    datos: z.union([z.record(z.any()), z.array(z.record(z.any())).min(1)]).describe('Registro o array de registros a insertar'),
+  }).strict(),
+  z.object({
+    tipo: z.literal('update'),
+    tabla: z.string().describe('Tabla a actualizar'),
+    datos: z.record(z.any()).describe('Columnas y nuevos valores'),
+    filtro: filtroSchema,
+  }).strict(),
+  z.object({
+    tipo: z.literal('delete'),
+    tabla: z.string().describe('Tabla de la que borrar'),
+    filtro: filtroSchema,
+  }).strict(),
+  z.object({
+    tipo: z.literal('ddl'),
+    sql: z.string().describe('Una sentencia CREATE, ALTER, DROP o RENAME'),
+  }).strict(),
+]);
+
+// Traduce una operación a sus sentencias; lanza un error si no es válida (antes de abrir la transacción)
+function compileOperation(op, db_type, query_runner) {
+  if (op.tipo === 'insert') {
+    const registros = Array.isArray(op.datos) ? op.datos : [op.datos];
+    return {
+      descripcion: `INSERT en '${op.tabla}' (${registros.length} registro(s))`,
+      sentencias: registros.map(registro => buildInsert(db_type, op.tabla, registro)),
+    };
+  }
+  if (op.tipo === 'update') {
+    const columnas = Object.keys(op.datos);
+    if (columnas.length === 0) throw new Error('el update no tiene datos.');
+    const setCols = columnas.map((col, i) => `${quoteIdent(db_type, col)} = ${makePlaceholders(db_type, 1, i)[0]}`).join(', ');
+    const where = compileFilter(op.filtro, db_type, columnas.length);
+    if (!where.sql) throw new Error('el update requiere un filtro.');
+    return {
+      descripcion: `UPDATE en '${op.tabla}' (${columnas.join(', ')})`,
+      where: compileFilter(op.filtro, db_type),
+      sentencias: [{ sql: `UPDATE ${quoteIdent(db_type, op.tabla)} SET ${setCols} WHERE ${where.sql}`, params: [...Object.values(op.datos), ...where.params] }],
+    };
+  }
+  if (op.tipo === 'delete') {
+    const where = compileFilter(op.filtro, db_type);
+    if (!where.sql) throw new Error('el delete requiere un filtro.');
+    return {
+      descripcion: `DELETE en '${op.tabla}'`,
+      where,
+      sentencias: [{ sql: `DELETE FROM ${quoteIdent(db_type, op.tabla)} WHERE ${where.sql}`, params: where.params }],
+    };
+  }
+  // ddl
+  if (!query_runner.supportsTransactionalDDL()) {
+    throw new Error(`${db_type} confirma implícitamente los cambios de estructura, así que no pueden revertirse dentro de una transacción. Usa las herramientas de estructura por separado.`);
+  }
+  const ddl = validateDDLStatement(op.sql, db_type);
+  if (!ddl.ok) throw new Error(ddl.reason);
+  return { descripcion: `DDL: ${ddl.sql}`, sentencias: [{ sql: ddl.sql, params: [] }] };
+}
+
+registerTool(
+  'ejecutarTransaccion',
+  'Sigue estas reglas OBLIGATORIAS para ejecutar una transacción:\n'
+  + 'PROPÓSITO: Ejecutar varias operaciones (insert, update, delete y, si el motor lo permite, DDL) como una unidad: se aplican todas o ninguna.\n'
+  + 'FUNCIONAMIENTO: Las operaciones se ejecutan en orden sobre una misma conexión entre BEGIN y COMMIT. Si cualquiera falla se revierte todo y se informa en qué paso falló.\n'
+  + 'ACCIÓN DESTRUCTIVA: Si la lista incluye delete o ddl, la primera llamada NO ejecuta nada: devuelve una vista previa y un token. Muestra la vista previa al usuario y, solo si la aprueba, vuelve a llamar con las mismas operaciones y el token en "confirmacion".\n'
+  + 'DDL: Solo en PostgreSQL y SQLite; MySQL confirma los cambios de estructura de forma implícita y no puede revertirlos.\n'
+  + 'FILTROS: update y delete usan los mismos filtros que crudTabla y los requieren.\n'
+  + 'EJEMPLO: "Registra la venta 10 con sus dos líneas y descuenta el stock de los productos."',
+  {
+    operaciones: z.array(operacionSchema).min(1).describe('Operaciones en el orden en que deben ejecutarse'),
+    confirmacion: confirmacionArg,
+    conexion: conexionArg,
+  },
+  async ({ operaciones, confirmacion, conexion }) => {
+    try {
+      const { name: conexionNombre, runner: query_runner, db_type } = connections.get(conexion);
+      const pasos = operaciones.map((op, i) => {
+        try {
+          return { tipo: op.tipo, tabla: op.tabla, ...compileOperation(op, db_type, query_runner) };
+        } catch (e) {
+          throw new Error(`operación ${i + 1} (${op.tipo}): ${e.message || e} No se ejecutó nada.`);
+        }
+      });
+
+      const vistaPrevia = async () => {
+        const lineas = [];
+        for (const [i, paso] of pasos.entries()) {
+          let detalle = '';
+          if (paso.where) {
+            const total = await countRows(query_runner, db_type, paso.tabla, paso.where.sql, paso.where.params);
+            detalle = ` -> ${paso.tipo === 'delete' ? 'eliminaría' : 'actualizaría'} ${total} registro(s) (según el estado actual)`;
+          }
+          lineas.push(`${i + 1}. ${paso.descripcion}${detalle}`);
+        }
+        return `Se ejecutarán ${pasos.length} operación(es) en una transacción en '${conexionNombre}':\n${lineas.join('\n')}`;
+      };
+
+      if (pasos.some(p => p.tipo === 'delete' || p.tipo === 'ddl')) {
+        const args = { operaciones, conexion: conexionNombre };
+        if (!confirmacion) {
+          return confirmationRequest('ejecutarTransaccion', args, await vistaPrevia());
+        }
+        confirmations.consume('ejecutarTransaccion', args, confirmacion);
+      } else if (isSimulating()) {
+        simulationPreview(await vistaPrevia());
+      }
+
+      const resultados = pasos.map(() => 'no ejecutada');
+      let fallo = null;
+      try {
+        await query_runner.withTransaction(async tx => {
+          for (const [i, paso] of pasos.entries()) {
+            let filas = 0;
+            try {
+              for (const { sql, params } of paso.sentencias) {
+                const result = await tx.run(sql, params);
+                filas += Number(result.affectedRows) || 0;
+              }
+            } catch (e) {
+              fallo = i;
+              resultados[i] = `ERROR: ${e.message || e}`;
+              throw e;
+            }
+            resultados[i] = paso.tipo === 'ddl' ? 'ok' : `ok, ${filas} fila(s) afectada(s)`;
+          }
+        });
+      } catch (e) {
+        // Un fallo fuera de los pasos (BEGIN, COMMIT, conexión) se informa como error general
+        if (fallo === null) throw e;
+      }
+
+      const informe = pasos.map((paso, i) => {
+        const estado = fallo !== null && i < fallo ? `revertida (${resultados[i]})` : resultados[i];
+        return `${i + 1}. ${paso.descripcion}: ${estado}`;
+      }).join('\n');
+      if (fallo !== null) {
+        return {
+          isError: true,
+          content: [{ type: 'text', text: `La transacción falló en la operación ${fallo + 1} y se revirtió por completo; no se aplicó ningún cambio.\n${informe}` }]
+        };
+      }
+      const ddl = pasos.filter(paso => paso.tipo === 'ddl').flatMap(paso => paso.sentencias.map(st => st.sql));
+      const migracion = ddl.length > 0 ? await recordMigration(conexion, 'ejecutarTransaccion', {
+        descripcion: `transaccion con ${ddl.length} cambio(s) de estructura`,
+        up: ddl,
+        notaDown: 'Las operaciones ddl de ejecutarTransaccion no generan SQL de reversión.',
+      }) : '';
+      return { content: [{ type: 'text', text: `Transacción confirmada (${pasos.length} operación(es)).\n${informe}` + migracion }] };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al ejecutar la transacción: ' + (e.message || e) }] };
+    }
+  }
+);
+
 // =================================================================
 // --- III. HERRAMIENTAS DE ACTUALIZACIÓN (MODIFICAR DATOS O ESTRUCTURA) ---
 // =================================================================
 // --- Herramienta: Renombrar tabla ---
-server.tool(
+registerTool(
   'renombrarTabla',
   'Sigue estas reglas OBLIGATORIAS para renombrar una tabla:\n'
   + 'ADVERTENCIA: Renombrar una tabla es una acción delicada que puede romper consultas o vistas existentes que dependan de ella. Procede con cuidado.\n'
@@ -446,20 +2821,27 @@ server.tool(
   {
     nombreActual: z.string().describe('Nombre actual de la tabla'),
     nuevoNombre: z.string().describe('Nuevo nombre para la tabla'),
+    conexion: conexionArg,
   },
-  async ({ nombreActual, nuevoNombre }) => {
+  async ({ nombreActual, nuevoNombre, conexion }) => {
     try {
+      const { runner: query_runner, db_type } = connections.get(conexion);
       if (!nombreActual || !nuevoNombre) {
         return { isError: true, content: [{ type: 'text', text: 'Debes proporcionar el nombre actual y el nuevo nombre.' }] };
       }
       let sql;
       if (db_type === 'mysql') {
-        sql = `ALTER TABLE ${quoteIdent(nombreActual)} RENAME TO ${quoteIdent(nuevoNombre)}`;
+        sql = `ALTER TABLE ${quoteIdent(db_type, nombreActual)} RENAME TO ${quoteIdent(db_type, nuevoNombre)}`;
       } else {
-        sql = `ALTER TABLE ${quoteIdent(nombreActual)} RENAME TO ${quoteIdent(nuevoNombre)}`;
+        sql = `ALTER TABLE ${quoteIdent(db_type, nombreActual)} RENAME TO ${quoteIdent(db_type, nuevoNombre)}`;
       }
       await query_runner.runQuery(sql);
-      return { content: [{ type: 'text', text: `Tabla renombrada de '${nombreActual}' a '${nuevoNombre}' exitosamente.` }] };
+      const migracion = await recordMigration(conexion, 'renombrarTabla', {
+        descripcion: `renombrar tabla ${nombreActual} a ${nuevoNombre}`,
+        up: [sql],
+        down: [`ALTER TABLE ${quoteIdent(db_type, nuevoNombre)} RENAME TO ${quoteIdent(db_type, nombreActual)}`],
+      });
+      return { content: [{ type: 'text', text: `Tabla renombrada de '${nombreActual}' a '${nuevoNombre}' exitosamente.` + migracion }] };
     } catch (e) {
       return { isError: true, content: [{ type: 'text', text: 'Error al renombrar la tabla: ' + (e.message || e) }] };
     }
@@ -467,7 +2849,7 @@ server.tool(
 );
 
 // --- Herramienta: Renombrar columna ---
-server.tool(
+registerTool(
   'renombrarColumna',
   'Sigue estas reglas OBLIGATORIAS para renombrar una columna:\n'
   + 'ADVERTENCIA: Renombrar una columna es una acción delicada que puede romper consultas o código de aplicación que dependan de ella. Procede con cuidado.\n'
@@ -480,53 +2862,176 @@ server.tool(
     columnaActual: z.string().describe('Nombre actual de la columna'),
     nuevoNombre: z.string().describe('Nuevo nombre para la columna'),
     tipo: z.string().describe('Tipo de la columna (ej. VARCHAR(255) NOT NULL)'),
+    conexion: conexionArg,
   },
-  async ({ tabla, columnaActual, nuevoNombre, tipo }) => {
+  async ({ tabla, columnaActual, nuevoNombre, tipo, conexion }) => {
     try {
+      const { runner: query_runner, db_type } = connections.get(conexion);
       if (!tabla || !columnaActual || !nuevoNombre || !tipo) {
         return { isError: true, content: [{ type: 'text', text: 'Debes proporcionar la tabla, columna actual, nuevo nombre y tipo.' }] };
       }
-      let sql;
-      if (db_type === 'mysql') {
-        sql = `ALTER TABLE ${quoteIdent(tabla)} CHANGE ${quoteIdent(columnaActual)} ${quoteIdent(nuevoNombre)} ${tipo}`;
-      } else {
-        sql = `ALTER TABLE ${quoteIdent(tabla)} RENAME COLUMN ${quoteIdent(columnaActual)} TO ${quoteIdent(nuevoNombre)}`;
-      }
+      const renombrar = (desde, hacia) => (db_type === 'mysql'
+        ? `ALTER TABLE ${quoteIdent(db_type, tabla)} CHANGE ${quoteIdent(db_type, desde)} ${quoteIdent(db_type, hacia)} ${tipo}`
+        : `ALTER TABLE ${quoteIdent(db_type, tabla)} RENAME COLUMN ${quoteIdent(db_type, desde)} TO ${quoteIdent(db_type, hacia)}`);
+      const sql = renombrar(columnaActual, nuevoNombre);
       await query_runner.runQuery(sql);
-      return { content: [{ type: 'text', text: `Columna renombrada de '${columnaActual}' a '${nuevoNombre}' exitosamente.` }] };
+      const migracion = await recordMigration(conexion, 'renombrarColumna', {
+        descripcion: `renombrar columna ${tabla}.${columnaActual} a ${nuevoNombre}`,
+        up: [sql],
+        down: [renombrar(nuevoNombre, columnaActual)],
+      });
+      return { content: [{ type: 'text', text: `Columna renombrada de '${columnaActual}' a '${nuevoNombre}' exitosamente.` + migracion }] };
     } catch (e) {
       return { isError: true, content: [{ type: 'text', text: 'Error al renombrar la columna: ' + (e.message || e) }] };
     }
   }
 );
 
+// Formas de texto que acepta cada tipo al convertir (POSIX, válidas en MySQL y PostgreSQL)
+const CONVERTIBLE_TEXT = {
+  integer: '^[[:space:]]*[+-]?[0-9]+[[:space:]]*$',
+  decimal: '^[[:space:]]*[+-]?([0-9]+[.]?[0-9]*|[.][0-9]+)([eE][+-]?[0-9]+)?[[:space:]]*$',
+  date: '^[[:space:]]*[0-9]{4}-[0-9]{1,2}-[0-9]{1,2}[[:space:]]*$',
+  datetime: '^[[:space:]]*[0-9]{4}-[0-9]{1,2}-[0-9]{1,2}([ T][0-9]{1,2}:[0-9]{2}(:[0-9]{2}([.][0-9]+)?)?)?[[:space:]]*$',
+  time: '^[[:space:]]*[0-9]{1,2}:[0-9]{2}(:[0-9]{2})?[[:space:]]*$',
+  boolean: '^[[:space:]]*(t|f|true|false|y|n|yes|no|on|off|1|0)[[:space:]]*$',
+};
+const SQLITE_NUMBER = /^\s*[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$/;
+
+/**
+ * Valores de una columna que no se convertirán al tipo nuevo: { total, muestra } o null si no se
+ * puede comprobar. PostgreSQL 16+ lo pregunta al propio tipo (pg_input_is_valid); en las demás
+ * versiones y en MySQL se comprueba la forma del texto (solo si la columna es de texto) y la
+ * longitud máxima de (VAR)CHAR(n). En SQLite los textos no numéricos de una columna numérica
+ * se quedan sin convertir.
+ */
+async function unconvertibleValues(query_runner, db_type, tabla, colInfo, nuevoTipo) {
+  const q = ident => quoteIdent(db_type, ident);
+  const kind = columnKind(nuevoTipo);
+  if (db_type === 'sqlite') {
+    if (kind !== 'integer' && kind !== 'decimal') return null;
+    let total = 0;
+    const muestra = [];
+    const select = `SELECT ${q(colInfo.name)} AS valor FROM ${q(tabla)} WHERE typeof(${q(colInfo.name)}) IN ('text', 'blob')`;
+    for await (const { rows } of query_runner.streamRows(select)) {
+      for (const { valor } of rows) {
+        if (typeof valor === 'string' && SQLITE_NUMBER.test(valor)) continue;
+        total++;
+        if (muestra.length < 5) muestra.push(valor);
+      }
+    }
+    return { total, muestra };
+  }
+  const texto = db_type === 'mysql' ? `CAST(${q(colInfo.name)} AS CHAR)` : `${q(colInfo.name)}::text`;
+  let condicion = null;
+  let params = [];
+  if (db_type !== 'mysql') {
+    const { rows: [version] } = await query_runner.runQuery('SHOW server_version_num');
+    if (Number(version.server_version_num) >= 160000) {
+      condicion = `NOT pg_input_is_valid(${texto}, $1)`;
+      params = [nuevoTipo];
+    }
+  }
+  if (!condicion) {
+    const largo = nuevoTipo.match(/char(?:acter)?(?:\s+varying)?\s*\(\s*(\d+)\s*\)/i);
+    // BOOLEAN en MySQL es TINYINT(1): solo acepta números
+    const patron = columnKind(colInfo.type) === 'text' && CONVERTIBLE_TEXT[db_type === 'mysql' && kind === 'boolean' ? 'integer' : kind];
+    if (largo) {
+      condicion = `CHAR_LENGTH(${texto}) > ${Number(largo[1])}`;
+    } else if (patron) {
+      condicion = db_type === 'mysql' ? `NOT (${texto} REGEXP '${patron}')` : `${texto} !~* '${patron}'`;
+    } else {
+      return null;
+    }
+  }
+  condicion = `${q(colInfo.name)} IS NOT NULL AND ${condicion}`;
+  const total = await countRows(query_runner, db_type, tabla, condicion, params);
+  const { rows } = await query_runner.runQueryWithParams(
+    `SELECT ${texto} AS valor FROM ${q(tabla)} WHERE ${condicion} LIMIT 5`, params);
+  return { total, muestra: rows.map(r => r.valor) };
+}
+
+// Línea de la vista previa de cambiarTipoColumna con los valores que no se convertirán
+function conversionNotice(db_type, nuevoTipo, fallos) {
+  if (!fallos) return '';
+  if (fallos.total === 0) return `\nTodos los valores pueden convertirse a ${nuevoTipo}.`;
+  const efecto = {
+    sqlite: 'SQLite los guardará tal cual, sin convertir',
+    mysql: 'el cambio fallará en modo estricto; sin él se guardarán truncados o a cero',
+  }[db_type] || 'el cambio fallará';
+  return `\n${fallos.total} valor(es) no se pueden convertir a ${nuevoTipo}: ${efecto}.`
+    + `\nEjemplos: ${fallos.muestra.map(formatParam).join(', ')}`;
+}
+
 // --- Herramienta: Cambiar tipo de columna ---
-server.tool(
+registerTool(
   'cambiarTipoColumna',
   'Sigue estas reglas OBLIGATORIAS para cambiar el tipo de una columna:\n'
-  + 'ADVERTENCIA INICIAL: Informa al usuario que cambiar el tipo de dato de una columna es una acción PELIGROSA que puede resultar en PÉRDIDA DE DATOS si la conversión no es compatible.\n'
-  + 'CONFIRMACIÓN EXPLÍCITA: Para proceder, el usuario DEBE escribir la frase exacta: "Confirmar cambio de tipo para la columna [nombreColumna] a [nuevoTipo]".\n'
-  + 'VERIFICACIÓN ESTRICTA: No ejecutes la modificación si la confirmación no es exacta.\n'
-  + 'USO: Especifica la tabla, la columna y el nuevo tipo de dato.\n'
+  + 'ADVERTENCIA INICIAL: Informa al usuario que cambiar el tipo de dato de una columna es una acción PELIGROSA que puede resultar en PÉRDIDA DE DATOS si la conversión no es compatible. Antes de ejecutarla se guarda un respaldo de los valores y del tipo anterior que puede restaurarse con restaurarRespaldo; la vista previa indica si se guardará.\n'
+  + 'CONFIRMACIÓN EN DOS PASOS: La primera llamada NO ejecuta nada: devuelve una vista previa y un token. Muestra la vista previa al usuario y, solo si la aprueba explícitamente, vuelve a llamar con los mismos argumentos y el token en "confirmacion".\n'
+  + 'USO: Especifica la tabla, la columna y el nuevo tipo de dato. Consulta antes perfilarTabla para saber si los valores actuales se convertirán.\n'
   + 'EJEMPLO: "Cambia el tipo de la columna fecha a DATE en la tabla ventas."',
   {
     tabla: z.string().describe('Nombre de la tabla'),
     columna: z.string().describe('Nombre de la columna a modificar'),
     nuevoTipo: z.string().describe('Nuevo tipo de datos (ej. DATE, VARCHAR(255), INT, etc.)'),
+    confirmacion: confirmacionArg,
+    conexion: conexionArg,
   },
-  async ({ tabla, columna, nuevoTipo }) => {
+  async ({ tabla, columna, nuevoTipo, confirmacion, conexion }) => {
     try {
+      const { name: conexionNombre, runner: query_runner, db_type } = connections.get(conexion);
       if (!tabla || !columna || !nuevoTipo) {
         return { isError: true, content: [{ type: 'text', text: 'Debes proporcionar la tabla, columna y el nuevo tipo.' }] };
       }
-      let sql;
-      if (db_type === 'mysql') {
-        sql = `ALTER TABLE ${quoteIdent(tabla)} MODIFY COLUMN ${quoteIdent(columna)} ${nuevoTipo}`;
+      const args = { tabla, columna, nuevoTipo, conexion: conexionNombre };
+      if (!confirmacion) {
+        const tablaInfo = (await query_runner.getSchema()).find(t => t.name === tabla);
+        const colInfo = tablaInfo?.columns.find(c => c.name === columna);
+        if (!colInfo) {
+          return { isError: true, content: [{ type: 'text', text: `La columna '${columna}' no existe en la tabla '${tabla}'.` }] };
+        }
+        const total = await countRows(query_runner, db_type, tabla);
+        const conValor = await countRows(query_runner, db_type, tabla, `${quoteIdent(db_type, columna)} IS NOT NULL`);
+        const fks = (await query_runner.getForeignKeys(tabla))
+          .filter(fk => (fk.table === tabla && fk.columns.includes(columna)) || (fk.refTable === tabla && fk.refColumns.includes(columna)));
+        const clave = await query_runner.getPrimaryKey(tabla);
+        const preview = `Se cambiará el tipo de '${tabla}.${columna}' de ${colInfo.type} a ${nuevoTipo}.\n`
+          + `La tabla tiene ${total} fila(s); ${conValor} con valor en la columna que deberán convertirse.`
+          + conversionNotice(db_type, nuevoTipo, await unconvertibleValues(query_runner, db_type, tabla, colInfo, nuevoTipo))
+          + describeForeignKeys('Claves foráneas que usan la columna', fks)
+          + backupNotice(total, { sinClave: clave.length === 0 || clave.includes(columna) });
+        return confirmationRequest('cambiarTipoColumna', args, preview);
+      }
+      confirmations.consume('cambiarTipoColumna', args, confirmacion);
+      const anterior = (await query_runner.describeTable(tabla))?.columns.find(c => c.name === columna);
+      if (!anterior) {
+        return { isError: true, content: [{ type: 'text', text: `La columna '${columna}' no existe en la tabla '${tabla}'.` }] };
+      }
+      const respaldo = await saveColumnBackup(query_runner, db_type, 'cambiarTipoColumna', 'tipoColumna', conexionNombre, tabla, anterior);
+      let cambio;
+      if (db_type === 'sqlite') {
+        // SQLite no cambia tipos en sitio: se reconstruye la tabla copiando los datos
+        cambio = await runWithBackup(respaldo, () => query_runner.rebuildSqliteTable(tabla, def => {
+          def.columns.find(c => c.name === columna).type = nuevoTipo;
+        }));
       } else {
-        sql = `ALTER TABLE ${quoteIdent(tabla)} ALTER COLUMN ${quoteIdent(columna)} TYPE ${nuevoTipo}`;
+        let sql, down;
+        if (db_type === 'mysql') {
+          sql = `ALTER TABLE ${quoteIdent(db_type, tabla)} MODIFY COLUMN ${quoteIdent(db_type, columna)} ${nuevoTipo}`;
+          down = `ALTER TABLE ${quoteIdent(db_type, tabla)} MODIFY COLUMN ${columnDefinition(db_type, anterior)}`;
+        } else {
+          sql = `ALTER TABLE ${quoteIdent(db_type, tabla)} ALTER COLUMN ${quoteIdent(db_type, columna)} TYPE ${nuevoTipo}`;
+          down = `ALTER TABLE ${quoteIdent(db_type, tabla)} ALTER COLUMN ${quoteIdent(db_type, columna)} TYPE ${anterior.type}`;
+        }
+        await runWithBackup(respaldo, () => query_runner.runQuery(sql));
+        cambio = { up: [sql], down: [down] };
       }
-      await query_runner.runQuery(sql);
-      return { content: [{ type: 'text', text: `Tipo de columna '${columna}' cambiado a '${nuevoTipo}' exitosamente.` }] };
+      const migracion = await recordMigration(conexion, 'cambiarTipoColumna', {
+        descripcion: `cambiar tipo de ${tabla}.${columna} a ${nuevoTipo}`,
+        ...cambio,
+      });
+      return { content: [{ type: 'text', text: `Tipo de columna '${columna}' cambiado a '${nuevoTipo}' exitosamente.` + respaldo.aviso + migracion }] };
     } catch (e) {
       return { isError: true, content: [{ type: 'text', text: 'Error al cambiar tipo de columna: ' + (e.message || e) }] };
     }
@@ -537,23 +3042,56 @@ server.tool(
 // --- IV. HERRAMIENTAS DE ELIMINACIÓN (BORRAR DATOS O ESTRUCTURA) ---
 // =================================================================
 // --- Herramienta: Eliminar tabla ---
-server.tool(
+registerTool(
   'eliminarTabla',
   'Sigue estas reglas OBLIGATORIAS para eliminar una tabla:\n'
-  + 'ADVERTENCIA INICIAL: Informa al usuario que esta es una acción DESTRUCTIVA y PERMANENTE que no se puede deshacer.\n'
-  + 'CONFIRMACIÓN EXPLÍCITA: Para proceder, el usuario DEBE escribir la frase exacta: "Confirmar eliminación de la tabla [nombreTabla]", reemplazando [nombreTabla] con el nombre de la tabla a eliminar.\n'
-  + 'VERIFICACIÓN ESTRICTA: No ejecutes la eliminación si la frase de confirmación del usuario no es una coincidencia exacta.\n'
+  + 'ADVERTENCIA INICIAL: Informa al usuario que esta es una acción DESTRUCTIVA. Antes de ejecutarla se guarda un respaldo de la estructura y las filas que puede restaurarse con restaurarRespaldo mientras se conserve; la vista previa indica si se guardará (las tablas muy grandes no se respaldan y su borrado NO se puede deshacer).\n'
+  + 'CONFIRMACIÓN EN DOS PASOS: La primera llamada NO ejecuta nada: devuelve una vista previa y un token. Muestra la vista previa al usuario y, solo si la aprueba explícitamente, vuelve a llamar con los mismos argumentos y el token en "confirmacion".\n'
   + 'USO EXCLUSIVO: Recuerda que esta herramienta solo elimina tablas completas, NUNCA registros o columnas individuales.',
   {
     nombreTabla: z.string().describe('Nombre exacto de la tabla que se va a eliminar'),
+    confirmacion: confirmacionArg,
+    conexion: conexionArg,
   },
-  async ({ nombreTabla }) => {
+  async ({ nombreTabla, confirmacion, conexion }) => {
     try {
+      const { name: conexionNombre, runner: query_runner, db_type } = connections.get(conexion);
       if (!nombreTabla) {
         return { isError: true, content: [{ type: 'text', text: 'Debes proporcionar el nombre de la tabla.' }] };
       }
-      await query_runner.runQuery(`DROP TABLE IF EXISTS ${quoteIdent(nombreTabla)}`);
-      return { content: [{ type: 'text', text: `Tabla '${nombreTabla}' eliminada exitosamente.` }] };
+      const args = { nombreTabla, conexion: conexionNombre };
+      if (!confirmacion) {
+        const columnas = await query_runner.getTableColumns(nombreTabla);
+        if (columnas.length === 0) {
+          return { isError: true, content: [{ type: 'text', text: `La tabla '${nombreTabla}' no existe.` }] };
+        }
+        const total = await countRows(query_runner, db_type, nombreTabla);
+        const dependientes = (await query_runner.getForeignKeys(nombreTabla))
+          .filter(fk => fk.refTable === nombreTabla && fk.table !== nombreTabla);
+        const preview = `Se eliminará la tabla '${nombreTabla}' con ${columnas.length} columna(s) y ${total} fila(s).`
+          + describeForeignKeys('Tablas que la referencian (el borrado puede fallar o propagarse)', dependientes)
+          + backupNotice(total);
+        return confirmationRequest('eliminarTabla', args, preview);
+      }
+      confirmations.consume('eliminarTabla', args, confirmacion);
+      // La bajada de la migración y el respaldo recrean la tabla con su estructura actual
+      const recrear = await query_runner.getCreateTableStatements(nombreTabla);
+      if (!recrear) {
+        return { isError: true, content: [{ type: 'text', text: `La tabla '${nombreTabla}' no existe.` }] };
+      }
+      const respaldo = await saveBackup(query_runner, {
+        herramienta: 'eliminarTabla', tipo: 'tabla', conexion: conexionNombre, motor: db_type, tabla: nombreTabla,
+        clave: await query_runner.getPrimaryKey(nombreTabla), estructura: recrear,
+      }, { select: `SELECT * FROM ${quoteIdent(db_type, nombreTabla)}`, total: await countRows(query_runner, db_type, nombreTabla) });
+      const sql = `DROP TABLE IF EXISTS ${quoteIdent(db_type, nombreTabla)}`;
+      await runWithBackup(respaldo, () => query_runner.runQuery(sql));
+      const migracion = await recordMigration(conexion, 'eliminarTabla', {
+        descripcion: `eliminar tabla ${nombreTabla}`,
+        up: [sql],
+        down: recrear,
+        notaDown: 'Recrea la tabla vacía: los datos eliminados se recuperan con restaurarRespaldo.',
+      });
+      return { content: [{ type: 'text', text: `Tabla '${nombreTabla}' eliminada exitosamente.` + respaldo.aviso + migracion }] };
     } catch (e) {
       return { isError: true, content: [{ type: 'text', text: 'Error al eliminar la tabla: ' + (e.message || e) }] };
     }
@@ -561,25 +3099,58 @@ server.tool(
 );
 
 // --- Herramienta: Eliminar columna ---
-server.tool(
+registerTool(
   'eliminarColumna',
   'Sigue estas reglas OBLIGATORIAS para eliminar una columna:\n'
-  + 'ADVERTENCIA INICIAL: Informa al usuario que eliminar una columna es una acción DESTRUCTIVA y PERMANENTE que borrará todos los datos que contiene.\n'
-  + 'CONFIRMACIÓN EXPLÍCITA: Para proceder, el usuario DEBE escribir la frase exacta: "Confirmar eliminación de la columna [nombreColumna] de la tabla [nombreTabla]".\n'
-  + 'VERIFICACIÓN ESTRICTA: No ejecutes la eliminación si la frase de confirmación no es una coincidencia exacta.\n'
+  + 'ADVERTENCIA INICIAL: Informa al usuario que eliminar una columna es una acción DESTRUCTIVA que borrará todos los datos que contiene. Antes de ejecutarla se guarda un respaldo de sus valores que puede restaurarse con restaurarRespaldo; la vista previa indica si se guardará (sin clave primaria o con demasiadas filas NO se puede deshacer).\n'
+  + 'CONFIRMACIÓN EN DOS PASOS: La primera llamada NO ejecuta nada: devuelve una vista previa y un token. Muestra la vista previa al usuario y, solo si la aprueba explícitamente, vuelve a llamar con los mismos argumentos y el token en "confirmacion".\n'
   + 'USO EXCLUSIVO: Úsala solo para eliminar columnas, no tablas ni registros.\n'
   + 'EJEMPLO: "Elimina la columna edad de la tabla clientes."',
   {
     tabla: z.string().describe('Nombre de la tabla'),
     columna: z.string().describe('Nombre de la columna a eliminar'),
+    confirmacion: confirmacionArg,
+    conexion: conexionArg,
   },
-  async ({ tabla, columna }) => {
+  async ({ tabla, columna, confirmacion, conexion }) => {
     try {
+      const { name: conexionNombre, runner: query_runner, db_type } = connections.get(conexion);
       if (!tabla || !columna) {
         return { isError: true, content: [{ type: 'text', text: 'Debes proporcionar la tabla y la columna.' }] };
       }
-      await query_runner.runQuery(`ALTER TABLE ${quoteIdent(tabla)} DROP COLUMN ${quoteIdent(columna)}`);
-      return { content: [{ type: 'text', text: `Columna '${columna}' eliminada de la tabla '${tabla}' exitosamente.` }] };
+      const args = { tabla, columna, conexion: conexionNombre };
+      if (!confirmacion) {
+        const columnas = await query_runner.getTableColumns(tabla);
+        if (!columnas.includes(columna)) {
+          return { isError: true, content: [{ type: 'text', text: `La columna '${columna}' no existe en la tabla '${tabla}'.` }] };
+        }
+        const total = await countRows(query_runner, db_type, tabla);
+        const conValor = await countRows(query_runner, db_type, tabla, `${quoteIdent(db_type, columna)} IS NOT NULL`);
+        const fks = (await query_runner.getForeignKeys(tabla))
+          .filter(fk => (fk.table === tabla && fk.columns.includes(columna)) || (fk.refTable === tabla && fk.refColumns.includes(columna)));
+        const clave = await query_runner.getPrimaryKey(tabla);
+        const preview = `Se eliminará la columna '${tabla}.${columna}'. Se perderán ${conValor} valor(es) no nulos de ${total} fila(s).`
+          + describeForeignKeys('Claves foráneas que usan la columna', fks)
+          + backupNotice(total, { sinClave: clave.length === 0 || clave.includes(columna) });
+        return confirmationRequest('eliminarColumna', args, preview);
+      }
+      confirmations.consume('eliminarColumna', args, confirmacion);
+      const anterior = (await query_runner.describeTable(tabla))?.columns.find(c => c.name === columna);
+      if (!anterior) {
+        return { isError: true, content: [{ type: 'text', text: `La columna '${columna}' no existe en la tabla '${tabla}'.` }] };
+      }
+      const respaldo = await saveColumnBackup(query_runner, db_type, 'eliminarColumna', 'columna', conexionNombre, tabla, anterior);
+      const sql = `ALTER TABLE ${quoteIdent(db_type, tabla)} DROP COLUMN ${quoteIdent(db_type, columna)}`;
+      await runWithBackup(respaldo, () => query_runner.runQuery(sql));
+      // Al revertir, una columna NOT NULL sin valor por defecto se recrea admitiendo nulos
+      const recreada = { ...anterior, nullable: anterior.nullable || anterior.default === null || anterior.default === undefined };
+      const migracion = await recordMigration(conexion, 'eliminarColumna', {
+        descripcion: `eliminar columna ${tabla}.${columna}`,
+        up: [sql],
+        down: [`ALTER TABLE ${quoteIdent(db_type, tabla)} ADD COLUMN ${columnDefinition(db_type, recreada)}`],
+        notaDown: 'Recrea la columna vacía: los valores eliminados se recuperan con restaurarRespaldo.',
+      });
+      return { content: [{ type: 'text', text: `Columna '${columna}' eliminada de la tabla '${tabla}' exitosamente.` + respaldo.aviso + migracion }] };
     } catch (e) {
       return { isError: true, content: [{ type: 'text', text: 'Error al eliminar la columna: ' + (e.message || e) }] };
     }
@@ -587,31 +3158,71 @@ server.tool(
 );
 
 // --- Herramienta: Eliminar restricción UNIQUE ---
-server.tool(
+registerTool(
   'eliminarRestriccionUnica',
   'Sigue estas reglas OBLIGATORIAS para eliminar una restricción UNIQUE:\n'
   + 'ADVERTENCIA INICIAL: Informa al usuario que eliminar esta restricción permitirá datos duplicados, lo que podría afectar la integridad de los datos.\n'
-  + 'CONFIRMACIÓN EXPLÍCITA: Para proceder, el usuario DEBE escribir la frase exacta: "Confirmar eliminación de la restricción [nombreRestriccion] de la tabla [nombreTabla]".\n'
-  + 'VERIFICACIÓN ESTRICTA: No ejecutes la eliminación si la confirmación no es exacta.\n'
-  + 'USO: Especifica la tabla y el nombre exacto de la restricción a eliminar.\n'
+  + 'CONFIRMACIÓN EN DOS PASOS: La primera llamada NO ejecuta nada: devuelve una vista previa y un token. Muestra la vista previa al usuario y, solo si la aprueba explícitamente, vuelve a llamar con los mismos argumentos y el token en "confirmacion".\n'
+  + 'USO: Especifica la tabla y el nombre exacto de la restricción a eliminar (consúltalo con describirTabla).\n'
   + 'EJEMPLO: "Elimina la restricción única email_unique de la tabla usuarios."',
   {
     tabla: z.string().describe('Nombre de la tabla'),
     nombre: z.string().describe('Nombre de la restricción UNIQUE'),
+    confirmacion: confirmacionArg,
+    conexion: conexionArg,
   },
-  async ({ tabla, nombre }) => {
+  async ({ tabla, nombre, confirmacion, conexion }) => {
     try {
+      const { name: conexionNombre, runner: query_runner, db_type } = connections.get(conexion);
       if (!tabla || !nombre) {
         return { isError: true, content: [{ type: 'text', text: 'Debes proporcionar la tabla y el nombre de la restricción.' }] };
       }
-      let sql;
-      if (db_type === 'mysql') {
-        sql = `ALTER TABLE ${quoteIdent(tabla)} DROP INDEX ${quoteIdent(nombre)}`;
+      const args = { tabla, nombre, conexion: conexionNombre };
+      if (!confirmacion) {
+        const total = await countRows(query_runner, db_type, tabla);
+        const preview = `Se eliminará la restricción UNIQUE '${nombre}' de la tabla '${tabla}' (${total} fila(s)). `
+          + 'A partir de entonces se permitirán valores duplicados.';
+        return confirmationRequest('eliminarRestriccionUnica', args, preview);
+      }
+      confirmations.consume('eliminarRestriccionUnica', args, confirmacion);
+      const restriccion = (await query_runner.describeTable(tabla))?.uniques.find(u => u.name === nombre);
+      const cols = restriccion ? restriccion.columns.map(col => quoteIdent(db_type, col)).join(', ') : '';
+      let cambio;
+      if (db_type === 'sqlite') {
+        // En SQLite la restricción es un índice único o una cláusula UNIQUE con nombre en la tabla
+        const indices = await query_runner.runQueryWithParams(
+          "SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND name = ?",
+          [tabla, nombre]
+        );
+        if (indices.rows.length > 0) {
+          const sql = `DROP INDEX ${quoteIdent(db_type, nombre)}`;
+          await query_runner.runQuery(sql);
+          cambio = { up: [sql], down: restriccion ? [`CREATE UNIQUE INDEX ${quoteIdent(db_type, nombre)} ON ${quoteIdent(db_type, tabla)} (${cols})`] : null };
+        } else {
+          cambio = await query_runner.rebuildSqliteTable(tabla, def => {
+            const antes = def.uniques.length;
+            def.uniques = def.uniques.filter(u => u.name !== nombre);
+            if (def.uniques.length === antes) {
+              throw new Error(`No existe la restricción UNIQUE '${nombre}' en la tabla '${tabla}'.`);
+            }
+          });
+        }
       } else {
-        sql = `ALTER TABLE ${quoteIdent(tabla)} DROP CONSTRAINT ${quoteIdent(nombre)}`;
+        let sql;
+        if (db_type === 'mysql') {
+          sql = `ALTER TABLE ${quoteIdent(db_type, tabla)} DROP INDEX ${quoteIdent(db_type, nombre)}`;
+        } else {
+          sql = `ALTER TABLE ${quoteIdent(db_type, tabla)} DROP CONSTRAINT ${quoteIdent(db_type, nombre)}`;
+        }
+        await query_runner.runQuery(sql);
+        cambio = { up: [sql], down: restriccion ? [`ALTER TABLE ${quoteIdent(db_type, tabla)} ADD CONSTRAINT ${quoteIdent(db_type, nombre)} UNIQUE (${cols})`] : null };
       }
-      await query_runner.runQuery(sql);
-      return { content: [{ type: 'text', text: 'Restricción UNIQUE eliminada exitosamente.' }] };
+      const migracion = await recordMigration(conexion, 'eliminarRestriccionUnica', {
+        descripcion: `eliminar restriccion unica ${nombre} de ${tabla}`,
+        ...cambio,
+        notaDown: cambio.down ? undefined : 'No se pudieron leer las columnas de la restricción: no se puede revertir.',
+      });
+      return { content: [{ type: 'text', text: 'Restricción UNIQUE eliminada exitosamente.' + migracion }] };
     } catch (e) {
       return { isError: true, content: [{ type: 'text', text: 'Error al eliminar restricción UNIQUE: ' + (e.message || e) }] };
     }
@@ -619,61 +3230,213 @@ server.tool(
 );
 
 // --- Herramienta: Eliminar clave foránea ---
-server.tool(
+registerTool(
   'eliminarClaveForanea',
   'Sigue estas reglas OBLIGATORIAS para eliminar una clave foránea:\n'
   + 'ADVERTENCIA INICIAL: Informa al usuario que eliminar una clave foránea puede llevar a datos huérfanos y romper la integridad referencial.\n'
-  + 'CONFIRMACIÓN EXPLÍCITA: Para proceder, el usuario DEBE escribir la frase exacta: "Confirmar eliminación de la clave foránea [nombreFK] de la tabla [nombreTabla]".\n'
-  + 'VERIFICACIÓN ESTRICTA: No ejecutes la eliminación si la confirmación no es exacta.\n'
-  + 'USO: Especifica la tabla y el nombre de la clave foránea a eliminar.\n'
+  + 'CONFIRMACIÓN EN DOS PASOS: La primera llamada NO ejecuta nada: devuelve una vista previa y un token. Muestra la vista previa al usuario y, solo si la aprueba explícitamente, vuelve a llamar con los mismos argumentos y el token en "confirmacion".\n'
+  + 'USO: Especifica la tabla y el nombre de la clave foránea a eliminar (consúltalo con describirTabla).\n'
   + 'EJEMPLO: "Elimina la clave foránea fk_cliente de la tabla ventas."',
   {
     tabla: z.string().describe('Nombre de la tabla'),
     nombre: z.string().describe('Nombre de la clave foránea'),
+    confirmacion: confirmacionArg,
+    conexion: conexionArg,
   },
-  async ({ tabla, nombre }) => {
+  async ({ tabla, nombre, confirmacion, conexion }) => {
     try {
+      const { name: conexionNombre, runner: query_runner, db_type } = connections.get(conexion);
       if (!tabla || !nombre) {
         return { isError: true, content: [{ type: 'text', text: 'Debes proporcionar la tabla y el nombre de la clave foránea.' }] };
       }
-      let sql;
-      if (db_type === 'mysql') {
-        sql = `ALTER TABLE ${quoteIdent(tabla)} DROP FOREIGN KEY ${quoteIdent(nombre)}`;
+      const args = { tabla, nombre, conexion: conexionNombre };
+      if (!confirmacion) {
+        const fk = (await query_runner.getForeignKeys(tabla)).find(f => f.table === tabla && f.name === nombre);
+        if (!fk) {
+          return { isError: true, content: [{ type: 'text', text: `No existe la clave foránea '${nombre}' en la tabla '${tabla}'.` }] };
+        }
+        const total = await countRows(query_runner, db_type, tabla);
+        const preview = `Se eliminará la clave foránea de la tabla '${tabla}' (${total} fila(s)); `
+          + 'la base dejará de verificar la integridad referencial.'
+          + describeForeignKeys('Clave', [fk]);
+        return confirmationRequest('eliminarClaveForanea', args, preview);
+      }
+      confirmations.consume('eliminarClaveForanea', args, confirmacion);
+      let cambio;
+      if (db_type === 'sqlite') {
+        // SQLite no permite ALTER TABLE ... DROP CONSTRAINT: se reconstruye la tabla sin la clave
+        cambio = await query_runner.rebuildSqliteTable(tabla, def => {
+          const antes = def.foreignKeys.length;
+          def.foreignKeys = def.foreignKeys.filter(fk => fk.name !== nombre);
+          if (def.foreignKeys.length === antes) {
+            throw new Error(`No existe la clave foránea '${nombre}' en la tabla '${tabla}'.`);
+          }
+        });
       } else {
-        sql = `ALTER TABLE ${quoteIdent(tabla)} DROP CONSTRAINT ${quoteIdent(nombre)}`;
+        const fk = (await query_runner.getForeignKeys(tabla)).find(f => f.table === tabla && f.name === nombre);
+        let sql;
+        if (db_type === 'mysql') {
+          sql = `ALTER TABLE ${quoteIdent(db_type, tabla)} DROP FOREIGN KEY ${quoteIdent(db_type, nombre)}`;
+        } else {
+          sql = `ALTER TABLE ${quoteIdent(db_type, tabla)} DROP CONSTRAINT ${quoteIdent(db_type, nombre)}`;
+        }
+        await query_runner.runQuery(sql);
+        cambio = { up: [sql], down: fk ? [foreignKeySql(db_type, tabla, fk)] : null };
       }
-      await query_runner.runQuery(sql);
-      return { content: [{ type: 'text', text: 'Clave foránea eliminada exitosamente.' }] };
+      const migracion = await recordMigration(conexion, 'eliminarClaveForanea', {
+        descripcion: `eliminar clave foranea ${nombre} de ${tabla}`,
+        ...cambio,
+        notaDown: cambio.down ? undefined : 'No se pudo leer la definición de la clave foránea: no se puede revertir.',
+      });
+      return { content: [{ type: 'text', text: 'Clave foránea eliminada exitosamente.' + migracion }] };
     } catch (e) {
       return { isError: true, content: [{ type: 'text', text: 'Error al eliminar clave foránea: ' + (e.message || e) }] };
     }
   }
 );
 
+// --- Herramienta: Eliminar índice ---
+registerTool(
+  'eliminarIndice',
+  'Sigue estas reglas OBLIGATORIAS para eliminar un índice:\n'
+  + 'ADVERTENCIA INICIAL: Informa al usuario de que las consultas que usan el índice pueden volverse mucho más lentas y de que, si es único, la tabla dejará de impedir valores repetidos.\n'
+  + 'CONFIRMACIÓN EN DOS PASOS: La primera llamada NO ejecuta nada: devuelve una vista previa y un token. Muestra la vista previa al usuario y, solo si la aprueba explícitamente, vuelve a llamar con los mismos argumentos y el token en "confirmacion".\n'
+  + 'USO: Especifica la tabla y el nombre exacto del índice (consúltalo con listarIndices). Los índices de la clave primaria o de una restricción UNIQUE no se eliminan aquí: usa eliminarRestriccionUnica.\n'
+  + 'EJEMPLO: "Elimina el índice ventas_fecha_idx de la tabla ventas."',
+  {
+    tabla: z.string().describe('Nombre de la tabla'),
+    nombre: z.string().describe('Nombre del índice'),
+    confirmacion: confirmacionArg,
+    conexion: conexionArg,
+  },
+  async ({ tabla, nombre, confirmacion, conexion }) => {
+    try {
+      const { name: conexionNombre, runner: query_runner, db_type } = connections.get(conexion);
+      const indice = (await query_runner.listIndexes(tabla)).find(i => i.name === nombre);
+      if (!indice) {
+        return { isError: true, content: [{ type: 'text', text: `No existe el índice '${nombre}' en la tabla '${tabla}'.` }] };
+      }
+      if (indice.primary) {
+        return { isError: true, content: [{ type: 'text', text: `'${nombre}' es el índice de la clave primaria de '${tabla}' y no se puede eliminar como índice.` }] };
+      }
+      if (indice.constraint) {
+        return { isError: true, content: [{ type: 'text', text: `El índice '${nombre}' respalda una restricción UNIQUE: elimínalo con eliminarRestriccionUnica.` }] };
+      }
+      const args = { tabla, nombre, conexion: conexionNombre };
+      if (!confirmacion) {
+        const preview = `Se eliminará el índice de la tabla '${tabla}':\n${formatIndex(indice)}\n`
+          + 'Las consultas que lo usan pasarán a recorrer la tabla o a usar otro índice'
+          + (indice.unique ? ', y la tabla dejará de impedir valores repetidos en esas columnas.' : '.');
+        return confirmationRequest('eliminarIndice', args, preview);
+      }
+      confirmations.consume('eliminarIndice', args, confirmacion);
+      const sql = db_type === 'mysql'
+        ? `DROP INDEX ${quoteIdent(db_type, nombre)} ON ${quoteIdent(db_type, tabla)}`
+        : `DROP INDEX ${quoteIdent(db_type, nombre)}`;
+      await query_runner.runQuery(sql);
+      const migracion = await recordMigration(conexion, 'eliminarIndice', {
+        descripcion: `eliminar indice ${nombre} de ${tabla}`,
+        up: [sql],
+        down: indice.definition ? [indice.definition] : null,
+        notaDown: indice.definition ? undefined : 'El índice usaba expresiones que no se pudieron leer: no se puede revertir.',
+      });
+      return { content: [{ type: 'text', text: `Índice '${nombre}' eliminado de la tabla '${tabla}'.` + migracion }] };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al eliminar el índice: ' + (e.message || e) }] };
+    }
+  }
+);
+
+// --- Herramienta: Eliminar vista ---
+registerTool(
+  'eliminarVista',
+  'Sigue estas reglas OBLIGATORIAS para eliminar una vista:\n'
+  + 'ADVERTENCIA INICIAL: Informa al usuario de que las consultas, informes o vistas que la usan dejarán de funcionar. No se borran datos de las tablas que consulta; una vista materializada pierde sus datos guardados.\n'
+  + 'CONFIRMACIÓN EN DOS PASOS: La primera llamada NO ejecuta nada: devuelve una vista previa y un token. Muestra la vista previa al usuario y, solo si la aprueba explícitamente, vuelve a llamar con los mismos argumentos y el token en "confirmacion".\n'
+  + 'USO: Especifica el nombre exacto de la vista (consúltalo con listarVistas).\n'
+  + 'EJEMPLO: "Elimina la vista ventas_mensuales."',
+  {
+    vista: z.string().describe('Nombre de la vista'),
+    confirmacion: confirmacionArg,
+    conexion: conexionArg,
+  },
+  async ({ vista, confirmacion, conexion }) => {
+    try {
+      const { name: conexionNombre, runner: query_runner, db_type } = connections.get(conexion);
+      const v = await query_runner.getView(vista);
+      if (!v) {
+        return { isError: true, content: [{ type: 'text', text: `La vista '${vista}' no existe.` }] };
+      }
+      const args = { vista, conexion: conexionNombre };
+      if (!confirmacion) {
+        let dependientes = '';
+        if (v.dependents.length > 0) {
+          dependientes = `\nDependen de ella: ${v.dependents.join(', ')}. `
+            + (db_type === 'pg' ? 'PostgreSQL no la eliminará mientras existan.' : 'Dejarán de funcionar.');
+        }
+        const preview = `Se eliminará la ${v.materialized ? 'vista materializada' : 'vista'} '${vista}'`
+          + `${v.materialized ? ' con sus datos guardados' : ''}; las tablas que consulta no cambian.${dependientes}\n`
+          + 'Consulta de la vista:\n```sql\n' + v.definition + '\n```';
+        return confirmationRequest('eliminarVista', args, preview);
+      }
+      confirmations.consume('eliminarVista', args, confirmacion);
+      const indices = v.materialized ? await query_runner.listIndexes(vista) : [];
+      const sql = viewDropStatement(db_type, v);
+      await query_runner.runQuery(sql);
+      const migracion = await recordMigration(conexion, 'eliminarVista', {
+        descripcion: `eliminar vista ${vista}`,
+        up: [sql],
+        down: viewCreateStatements(db_type, v, indices),
+      });
+      return { content: [{ type: 'text', text: `Vista '${vista}' eliminada.` + migracion }] };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al eliminar la vista: ' + (e.message || e) }] };
+    }
+  }
+);
+
 // --- Herramienta: Agregar restricción UNIQUE ---
-server.tool(
+registerTool(
   'agregarRestriccionUnica',
   'Sigue estas reglas para agregar una restricción UNIQUE:\n'
   + 'PROPÓSITO: Agregar una restricción de unicidad (UNIQUE) a una o más columnas para evitar valores duplicados.\n'
   + 'REGLA: No la uses para crear tablas o columnas. La columna ya debe existir.\n'
-  + 'PRECAUCIÓN: La operación fallará si ya existen datos duplicados en la(s) columna(s) seleccionada(s).\n'
+  + 'PRECAUCIÓN: La operación fallará si ya existen datos duplicados en la(s) columna(s) seleccionada(s); perfilarTabla indica si los hay.\n'
   + 'USO: Especifica la tabla y las columnas que deben ser únicas.\n'
   + 'EJEMPLO: "Haz que el campo email sea único en la tabla usuarios."',
   {
     tabla: z.string().describe('Nombre de la tabla'),
     columnas: z.array(z.string()).describe('Columnas a restringir como únicas'),
     nombre: z.string().optional().describe('Nombre de la restricción (opcional)'),
+    conexion: conexionArg,
   },
-  async ({ tabla, columnas, nombre }) => {
+  async ({ tabla, columnas, nombre, conexion }) => {
     try {
+      const { runner: query_runner, db_type } = connections.get(conexion);
       if (!tabla || !columnas || columnas.length === 0) {
         return { isError: true, content: [{ type: 'text', text: 'Debes proporcionar la tabla y al menos una columna.' }] };
       }
-      const restriccion = nombre ? quoteIdent(nombre) : '';
-      const cols = columnas.map(quoteIdent).join(', ');
-      const sql = `ALTER TABLE ${quoteIdent(tabla)} ADD CONSTRAINT ${restriccion} UNIQUE (${cols})`;
+      const cols = columnas.map(col => quoteIdent(db_type, col)).join(', ');
+      // Sin nombre se usa el de PostgreSQL, así la migración sabe qué restricción quitar al revertir
+      const restriccion = quoteIdent(db_type, nombre || `${tabla}_${columnas.join('_')}_key`);
+      let sql, down;
+      if (db_type === 'sqlite') {
+        // SQLite no admite ADD CONSTRAINT: la restricción se crea como índice único
+        sql = `CREATE UNIQUE INDEX ${restriccion} ON ${quoteIdent(db_type, tabla)} (${cols})`;
+        down = `DROP INDEX ${restriccion}`;
+      } else {
+        sql = `ALTER TABLE ${quoteIdent(db_type, tabla)} ADD CONSTRAINT ${restriccion} UNIQUE (${cols})`;
+        down = db_type === 'mysql'
+          ? `ALTER TABLE ${quoteIdent(db_type, tabla)} DROP INDEX ${restriccion}`
+          : `ALTER TABLE ${quoteIdent(db_type, tabla)} DROP CONSTRAINT ${restriccion}`;
+      }
       await query_runner.runQuery(sql);
-      return { content: [{ type: 'text', text: 'Restricción UNIQUE agregada exitosamente.' }] };
+      const migracion = await recordMigration(conexion, 'agregarRestriccionUnica', {
+        descripcion: `agregar restriccion unica a ${tabla} (${columnas.join(', ')})`,
+        up: [sql],
+        down: [down],
+      });
+      return { content: [{ type: 'text', text: 'Restricción UNIQUE agregada exitosamente.' + migracion }] };
     } catch (e) {
       return { isError: true, content: [{ type: 'text', text: 'Error al agregar restricción UNIQUE: ' + (e.message || e) }] };
     }
@@ -681,7 +3444,7 @@ server.tool(
 );
 
 // --- Herramienta: Agregar clave foránea ---
-server.tool(
+registerTool(
   'agregarClaveForanea',
   'Sigue estas reglas para agregar una clave foránea:\n'
   + 'PROPÓSITO: Crear una relación (clave foránea) entre dos tablas para mantener la integridad referencial.\n'
@@ -697,49 +3460,680 @@ server.tool(
     nombre: z.string().optional().describe('Nombre de la clave foránea (opcional)'),
     onDelete: z.string().optional().describe('Acción ON DELETE (ej. CASCADE, SET NULL)'),
     onUpdate: z.string().optional().describe('Acción ON UPDATE (ej. CASCADE, SET NULL)'),
+    conexion: conexionArg,
   },
-  async ({ tabla, columnas, tablaReferencia, columnasReferencia, nombre, onDelete, onUpdate }) => {
+  async ({ tabla, columnas, tablaReferencia, columnasReferencia, nombre, onDelete, onUpdate, conexion }) => {
     try {
+      const { runner: query_runner, db_type } = connections.get(conexion);
       if (!tabla || !columnas || !tablaReferencia || !columnasReferencia) {
         return { isError: true, content: [{ type: 'text', text: 'Debes proporcionar tabla, columnas, tablaReferencia y columnasReferencia.' }] };
       }
-      const nombreFK = nombre ? `CONSTRAINT ${quoteIdent(nombre)} ` : '';
-      const cols = columnas.map(quoteIdent).join(', ');
-      const refCols = columnasReferencia.map(quoteIdent).join(', ');
-      let sql = `ALTER TABLE ${quoteIdent(tabla)} ADD ${nombreFK}FOREIGN KEY (${cols}) REFERENCES ${quoteIdent(tablaReferencia)} (${refCols})`;
-      if (onDelete) sql += ` ON DELETE ${onDelete}`;
-      if (onUpdate) sql += ` ON UPDATE ${onUpdate}`;
-      await query_runner.runQuery(sql);
-      return { content: [{ type: 'text', text: 'Clave foránea agregada exitosamente.' }] };
+      // Sin nombre se usa el de PostgreSQL, así la migración sabe qué clave quitar al revertir
+      const fk = {
+        name: nombre || `${tabla}_${columnas.join('_')}_fkey`,
+        columns: columnas,
+        refTable: tablaReferencia,
+        refColumns: columnasReferencia,
+        onDelete: onDelete ? onDelete.toUpperCase() : undefined,
+        onUpdate: onUpdate ? onUpdate.toUpperCase() : undefined,
+      };
+      let cambio;
+      if (db_type === 'sqlite') {
+        // SQLite solo declara claves foráneas al crear la tabla: se reconstruye con la nueva clave
+        cambio = await query_runner.rebuildSqliteTable(tabla, def => {
+          def.foreignKeys.push({ ...fk, table: tablaReferencia });
+        });
+      } else {
+        const sql = foreignKeySql(db_type, tabla, fk);
+        await query_runner.runQuery(sql);
+        const down = db_type === 'mysql'
+          ? `ALTER TABLE ${quoteIdent(db_type, tabla)} DROP FOREIGN KEY ${quoteIdent(db_type, fk.name)}`
+          : `ALTER TABLE ${quoteIdent(db_type, tabla)} DROP CONSTRAINT ${quoteIdent(db_type, fk.name)}`;
+        cambio = { up: [sql], down: [down] };
+      }
+      const migracion = await recordMigration(conexion, 'agregarClaveForanea', {
+        descripcion: `agregar clave foranea ${tabla} (${columnas.join(', ')}) a ${tablaReferencia}`,
+        ...cambio,
+      });
+      return { content: [{ type: 'text', text: 'Clave foránea agregada exitosamente.' + migracion }] };
     } catch (e) {
       return { isError: true, content: [{ type: 'text', text: 'Error al agregar clave foránea: ' + (e.message || e) }] };
     }
   }
 );
 
-// 3. Transport por stdio para adapters MCP/AI
-const transport = new StdioServerTransport();
-server.connect(transport).then(async () => {
+// --- Herramienta: Listar migraciones ---
+registerTool(
+  'listarMigraciones',
+  'Sigue estas reglas para listar las migraciones:\n'
+  + 'PROPÓSITO: Mostrar las migraciones del directorio de migraciones y su estado en la base de datos: aplicada (con su fecha), pendiente o modificada después de aplicarse.\n'
+  + 'NOTA: Las herramientas que cambian la estructura (crearTabla, agregarColumna, eliminarTabla...) registran cada cambio como una migración numerada con su SQL de subida y de bajada.\n'
+  + 'USO: Úsala antes de aplicarMigraciones o revertirMigracion, o para comprobar si una base está al día.\n'
+  + 'EJEMPLO: "¿Qué migraciones faltan por aplicar en la base de pruebas?"',
+  {
+    conexion: conexionArg,
+  },
+  async ({ conexion }) => {
+    try {
+      const { name: conexionNombre, runner: query_runner, db_type } = connections.get(conexion);
+      const store = migrationStore();
+      const aplicadas = await appliedMigrations(query_runner);
+      const archivos = store.list();
+      const lineas = archivos.map(({ version }) => {
+        const m = store.read(version);
+        const fila = aplicadas.get(m.version);
+        let estado;
+        if (!fila) {
+          estado = 'pendiente';
+        } else if (fila.checksum !== m.checksum) {
+          estado = `MODIFICADA después de aplicarse (aplicada el ${fila.aplicada_en})`;
+        } else {
+          estado = `aplicada el ${fila.aplicada_en}`;
+        }
+        const avisos = [
+          m.down ? null : 'irreversible',
+          m.motor && m.motor !== db_type ? `escrita para ${m.motor}` : null,
+        ].filter(Boolean);
+        return `- ${m.version} ${m.nombre}: ${estado}${avisos.length ? ` (${avisos.join(', ')})` : ''}`;
+      });
+      // Filas de schema_migrations cuyo archivo ya no está en el directorio
+      const versiones = new Set(archivos.map(m => m.version));
+      for (const [version, fila] of aplicadas) {
+        if (!versiones.has(version)) lineas.push(`- ${version} ${fila.nombre}: aplicada el ${fila.aplicada_en}, SIN ARCHIVO en el directorio`);
+      }
+      const pendientes = archivos.filter(m => !aplicadas.has(m.version)).length;
+      return {
+        content: [{
+          type: 'text',
+          text: `Migraciones en ${displayPath(store.dir)} para la conexión '${conexionNombre}': `
+            + `${archivos.length} archivo(s), ${aplicadas.size} aplicada(s), ${pendientes} pendiente(s).\n`
+            + (lineas.length ? lineas.join('\n') : '- (ninguna)')
+        }]
+      };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al listar las migraciones: ' + (e.message || e) }] };
+    }
+  }
+);
+
+// --- Herramienta: Aplicar migraciones pendientes ---
+registerTool(
+  'aplicarMigraciones',
+  'Sigue estas reglas para aplicar migraciones:\n'
+  + 'PROPÓSITO: Ejecutar en orden las migraciones pendientes del directorio de migraciones (por ejemplo, las registradas en otra base o recibidas con git) y anotarlas en schema_migrations.\n'
+  + 'SEGURIDAD: Requiere confirmación en dos pasos. La primera llamada muestra el SQL de cada migración sin ejecutar nada.\n'
+  + 'REGLA: Cada migración se aplica en su propia transacción; si una falla se revierte y no se aplican las siguientes. En MySQL las sentencias DDL se confirman una a una y no pueden revertirse.\n'
+  + 'USO: Indica `hasta` para aplicar solo hasta esa versión (incluida).\n'
+  + 'EJEMPLO: "Aplica las migraciones pendientes en la base de pruebas."',
+  {
+    hasta: z.string().optional().describe('Última versión a aplicar, p. ej. "0004" (opcional; por defecto todas)'),
+    confirmacion: confirmacionArg,
+    conexion: conexionArg,
+  },
+  async ({ hasta, confirmacion, conexion }) => {
+    try {
+      const { name: conexionNombre, runner: query_runner, db_type } = connections.get(conexion);
+      const store = migrationStore();
+      const aplicadas = await appliedMigrations(query_runner);
+      const archivos = store.list();
+      if (hasta && !archivos.some(m => Number(m.version) === Number(hasta))) {
+        return { isError: true, content: [{ type: 'text', text: `No existe la migración ${hasta} en el directorio de migraciones.` }] };
+      }
+      const migraciones = archivos
+        .filter(m => !aplicadas.has(m.version) && (!hasta || Number(m.version) <= Number(hasta)))
+        .map(m => store.read(m.version));
+      if (migraciones.length === 0) {
+        return { content: [{ type: 'text', text: `No hay migraciones pendientes en la conexión '${conexionNombre}'.` }] };
+      }
+      const otroMotor = migraciones.find(m => m.motor && m.motor !== db_type);
+      if (otroMotor) {
+        return { isError: true, content: [{ type: 'text', text: `La migración ${otroMotor.version} está escrita para ${otroMotor.motor} y la conexión '${conexionNombre}' es ${db_type}. No se aplicó nada.` }] };
+      }
+      // El ámbito de tablas de la política se aplica al SQL de cada migración
+      const fueraDeAmbito = policy.checkDDL('aplicarMigraciones', migraciones.flatMap(m => m.up), [MIGRATIONS_TABLE]);
+      if (fueraDeAmbito) {
+        return { isError: true, content: [{ type: 'text', text: fueraDeAmbito }] };
+      }
+
+      // El token queda ligado a las versiones y al contenido de los archivos mostrados
+      const args = { hasta, conexion: conexionNombre, migraciones: migraciones.map(m => `${m.version}:${m.checksum}`) };
+      if (!confirmacion) {
+        const detalle = migraciones.map(m => `${m.version} ${m.nombre}:\n${m.up.map(sql => `  ${sql};`).join('\n')}`);
+        return confirmationRequest('aplicarMigraciones', args,
+          `Se aplicarán ${migraciones.length} migración(es) en '${conexionNombre}', en este orden:\n${detalle.join('\n')}`);
+      }
+      confirmations.consume('aplicarMigraciones', args, confirmacion);
+
+      await ensureMigrationsTable(query_runner);
+      const informe = [];
+      for (const m of migraciones) {
+        try {
+          await query_runner.runMigration(m.up, tx => markApplied(tx, db_type, m));
+          informe.push(`- ${m.version} ${m.nombre}: aplicada`);
+        } catch (e) {
+          informe.push(`- ${m.version} ${m.nombre}: ERROR: ${e.message || e}`);
+          const parcial = db_type === 'mysql' && m.up.length > 1
+            ? ' En MySQL las sentencias anteriores al error de esa migración ya quedaron aplicadas: revisa la estructura antes de reintentar.'
+            : ' Esa migración se revirtió.';
+          return {
+            isError: true,
+            content: [{ type: 'text', text: `Se aplicaron ${informe.length - 1} de ${migraciones.length} migración(es); la ${m.version} falló y no se aplicaron las siguientes.${parcial}\n${informe.join('\n')}` }]
+          };
+        }
+      }
+      return { content: [{ type: 'text', text: `Se aplicaron ${migraciones.length} migración(es) en '${conexionNombre}'.\n${informe.join('\n')}` }] };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al aplicar las migraciones: ' + (e.message || e) }] };
+    }
+  }
+);
+
+// --- Herramienta: Revertir la última migración ---
+registerTool(
+  'revertirMigracion',
+  'Sigue estas reglas para revertir una migración:\n'
+  + 'PROPÓSITO: Deshacer la última migración aplicada ejecutando su SQL de bajada y quitarla de schema_migrations.\n'
+  + 'SEGURIDAD: Requiere confirmación en dos pasos. La primera llamada muestra el SQL de bajada sin ejecutar nada.\n'
+  + 'REGLA: Solo se revierte la última migración aplicada, y solo si tiene SQL de bajada. Revertir una eliminación recrea la estructura, no los datos.\n'
+  + 'USO: Llama sin `version` para revertir la última; para revertir varias, repite la llamada.\n'
+  + 'EJEMPLO: "Deshaz la última migración en la base de pruebas."',
+  {
+    version: z.string().optional().describe('Versión a revertir (opcional; debe ser la última aplicada)'),
+    confirmacion: confirmacionArg,
+    conexion: conexionArg,
+  },
+  async ({ version, confirmacion, conexion }) => {
+    try {
+      const { name: conexionNombre, runner: query_runner, db_type } = connections.get(conexion);
+      const store = migrationStore();
+      const aplicadas = [...(await appliedMigrations(query_runner)).keys()].sort((a, b) => Number(a) - Number(b));
+      const ultima = aplicadas.at(-1);
+      if (!ultima) {
+        return { isError: true, content: [{ type: 'text', text: `No hay migraciones aplicadas en la conexión '${conexionNombre}'.` }] };
+      }
+      if (version && Number(version) !== Number(ultima)) {
+        return { isError: true, content: [{ type: 'text', text: `Solo se puede revertir la última migración aplicada (${ultima}); revierte antes las posteriores a ${version}.` }] };
+      }
+      const m = store.read(ultima);
+      if (!m.down) {
+        return { isError: true, content: [{ type: 'text', text: `La migración ${m.version} ${m.nombre} no tiene SQL de bajada y no se puede revertir.` }] };
+      }
+      if (m.motor && m.motor !== db_type) {
+        return { isError: true, content: [{ type: 'text', text: `La migración ${m.version} está escrita para ${m.motor} y la conexión '${conexionNombre}' es ${db_type}.` }] };
+      }
+      const fueraDeAmbito = policy.checkDDL('revertirMigracion', m.down);
+      if (fueraDeAmbito) {
+        return { isError: true, content: [{ type: 'text', text: fueraDeAmbito }] };
+      }
+
+      const args = { version: m.version, conexion: conexionNombre, checksum: m.checksum };
+      if (!confirmacion) {
+        return confirmationRequest('revertirMigracion', args,
+          `Se revertirá la migración ${m.version} ${m.nombre} en '${conexionNombre}' ejecutando:\n${m.down.map(sql => `  ${sql};`).join('\n')}`);
+      }
+      confirmations.consume('revertirMigracion', args, confirmacion);
+      await query_runner.runMigration(m.down, tx => markReverted(tx, db_type, m.version));
+      return { content: [{ type: 'text', text: `Migración ${m.version} ${m.nombre} revertida en '${conexionNombre}'.` }] };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al revertir la migración: ' + (e.message || e) }] };
+    }
+  }
+);
+
+// Esquema de una conexión para compararEsquemas: { motor, tablas } con las tablas que cumplen `incluir`
+async function readLiveSchema(query_runner, db_type, incluir) {
+  const nombres = (await query_runner.getSchema()).map(t => t.name).filter(incluir);
+  const indices = await query_runner.listIndexes();
+  const tablas = [];
+  for (const nombre of nombres.sort()) {
+    const d = await query_runner.describeTable(nombre);
+    if (d) tablas.push(tableFromDescription(nombre, d, indices.filter(i => i.table === nombre)));
+  }
+  return { motor: db_type, tablas };
+}
+
+// --- Herramienta: Comparar y reconciliar esquemas ---
+registerTool(
+  'compararEsquemas',
+  'Sigue estas reglas para comparar esquemas:\n'
+  + 'PROPÓSITO: Comparar la estructura de una base (conexion) con la de otra conexión (origen) o con un archivo de especificación JSON o YAML (especificacion) y generar el script DDL, en el dialecto del destino, que la iguala: tablas y columnas que faltan o sobran, tipos, nulos y valores por defecto, clave primaria, UNIQUE, claves foráneas, CHECK e índices.\n'
+  + 'USO: Sin "aplicar" solo informa y muestra el script; no cambia nada. Lo que sobra en el destino solo se elimina con eliminarSobrantes. Lo que SQLite no permite con ALTER TABLE se lista para resolverlo a mano.\n'
+  + 'SEGURIDAD: Con aplicar la primera llamada devuelve la vista previa y un token; se ejecuta al volver a llamar con los mismos argumentos y el token en "confirmacion". Antes se respaldan las tablas y columnas que se eliminan, y el cambio se registra como migración. En MySQL cada sentencia DDL se confirma por separado: un error deja aplicadas las anteriores.\n'
+  + 'EJEMPLO: "Compara la base de la tienda 7 con la de la central y dime qué le falta."',
+  {
+    origen: z.string().optional().describe('Conexión con el esquema de referencia'),
+    especificacion: z.string().optional().describe('Archivo .json, .yaml o .yml con el esquema de referencia, relativo al directorio de esquemas (SCHEMA_DIR)'),
+    tablas: z.array(z.string()).optional().describe('Comparar solo estas tablas (opcional; por defecto todas)'),
+    eliminarSobrantes: z.boolean().default(false).describe('Incluir en el script la eliminación de tablas, columnas, restricciones e índices que solo existen en el destino'),
+    aplicar: z.boolean().default(false).describe('Ejecutar el script en el destino (con confirmación)'),
+    confirmacion: confirmacionArg,
+    conexion: conexionArg,
+  },
+  async ({ origen, especificacion, tablas, eliminarSobrantes, aplicar, confirmacion, conexion }) => {
+    try {
+      const { name: conexionNombre, runner: query_runner, db_type } = connections.get(conexion);
+      if (!origen === !especificacion) {
+        return { isError: true, content: [{ type: 'text', text: 'Indica el esquema de referencia: una conexión en "origen" o un archivo en "especificacion" (solo uno).' }] };
+      }
+      // schema_migrations es propia de cada base y las tablas fuera del ámbito de la política no se comparan
+      const incluir = t => t !== MIGRATIONS_TABLE && (!tablas || tablas.includes(t)) && policy.allowsTable('compararEsquemas', t);
+      let deseado, referencia;
+      if (origen) {
+        const fuente = connections.get(origen);
+        if (fuente.name === conexionNombre) {
+          return { isError: true, content: [{ type: 'text', text: 'La conexión de origen y la de destino son la misma.' }] };
+        }
+        deseado = await readLiveSchema(fuente.runner, fuente.db_type, incluir);
+        referencia = `la conexión '${fuente.name}' (${fuente.db_type})`;
+      } else {
+        const archivo = resolveSpecPath(schemaDir(), especificacion);
+        if (!fs.existsSync(archivo)) {
+          return { isError: true, content: [{ type: 'text', text: `No existe el archivo de especificación ${displayPath(archivo)}.` }] };
+        }
+        const spec = parseSchemaSpec(fs.readFileSync(archivo, 'utf8'), archivo);
+        deseado = { motor: spec.motor, tablas: spec.tablas.filter(t => incluir(t.nombre)) };
+        referencia = `la especificación ${displayPath(archivo)}`;
+      }
+      const desconocidas = (tablas || []).filter(t => !deseado.tablas.some(d => d.nombre === t));
+      const actual = await readLiveSchema(query_runner, db_type, incluir);
+      const diff = diffSchemas(deseado, actual);
+      const { sentencias, manuales } = reconciliationScript(diff, {
+        db_type, quote: ident => quoteIdent(db_type, ident), eliminarSobrantes,
+      });
+      const script = sentencias.map(s => s.sql);
+      const sobrantes = !eliminarSobrantes && (diff.sobrantes.length > 0 || diff.cambios.some(c => c.columnas.sobrantes.length > 0
+        || c.unicas.sobrantes.length > 0 || c.clavesForaneas.sobrantes.length > 0 || c.checks.sobrantes.length > 0 || c.indices.sobrantes.length > 0));
+      const informe = [
+        `Destino: '${conexionNombre}' (${db_type}). Referencia: ${referencia}.`,
+        ...(desconocidas.length ? [`Tablas pedidas que no están en la referencia: ${desconocidas.join(', ')}.`] : []),
+        isEmptyDiff(diff)
+          ? `Los esquemas coinciden (${diff.iguales.length} tabla(s) comparadas).`
+          : `Diferencias (+ falta en el destino, - solo existe en el destino, ~ distinto); ${diff.iguales.length} tabla(s) iguales:\n${describeDiff(diff).join('\n')}`,
+      ];
+      if (script.length > 0) informe.push(`Script para ${db_type} (${script.length} sentencia(s)):\n\`\`\`sql\n${script.map(sql => `${sql};`).join('\n')}\n\`\`\``);
+      if (manuales.length > 0) informe.push(`Cambios que hay que hacer a mano:\n${manuales.map(m => `- ${m}`).join('\n')}`);
+      if (sobrantes) informe.push('Lo que solo existe en el destino no está en el script: usa eliminarSobrantes para eliminarlo.');
+
+      if (!aplicar) {
+        if (script.length > 0) informe.push('Para ejecutar el script vuelve a llamar con aplicar: true.');
+        return { content: [{ type: 'text', text: informe.join('\n\n') }] };
+      }
+      if (script.length === 0) {
+        return { content: [{ type: 'text', text: informe.join('\n\n') + '\n\nNo hay nada que aplicar.' }] };
+      }
+      // El token queda ligado al script mostrado: si el esquema cambia antes de confirmar, hay que revisarlo de nuevo
+      const args = { origen, especificacion, tablas, eliminarSobrantes, aplicar, conexion: conexionNombre, script };
+      const borrados = sentencias.filter(s => s.respaldo);
+      if (!confirmacion) {
+        const avisos = [];
+        for (const { respaldo: r } of borrados) {
+          const total = await countRows(query_runner, db_type, r.tabla);
+          if (r.tipo === 'tabla') {
+            avisos.push(`Se eliminará la tabla '${r.tabla}' con ${total} fila(s).${backupNotice(total)}`);
+          } else {
+            const clave = await query_runner.getPrimaryKey(r.tabla);
+            const conValor = await countRows(query_runner, db_type, r.tabla, `${quoteIdent(db_type, r.columna)} IS NOT NULL`);
+            avisos.push(`Se eliminará la columna '${r.tabla}.${r.columna}' con ${conValor} valor(es) no nulos.`
+              + backupNotice(total, { sinClave: clave.length === 0 || clave.includes(r.columna) }));
+          }
+        }
+        return confirmationRequest('compararEsquemas', args, [informe.join('\n\n'), ...avisos].join('\n\n'));
+      }
+      confirmations.consume('compararEsquemas', args, confirmacion);
+
+      // Respaldos de lo que se elimina; si el script falla se descartan
+      const respaldos = [];
+      try {
+        for (const { respaldo: r } of borrados) {
+          if (r.tipo === 'tabla') {
+            respaldos.push(await saveBackup(query_runner, {
+              herramienta: 'compararEsquemas', tipo: 'tabla', conexion: conexionNombre, motor: db_type, tabla: r.tabla,
+              clave: await query_runner.getPrimaryKey(r.tabla), estructura: await query_runner.getCreateTableStatements(r.tabla),
+            }, { select: `SELECT * FROM ${quoteIdent(db_type, r.tabla)}`, total: await countRows(query_runner, db_type, r.tabla) }));
+          } else {
+            const anterior = (await query_runner.describeTable(r.tabla)).columns.find(c => c.name === r.columna);
+            respaldos.push(await saveColumnBackup(query_runner, db_type, 'compararEsquemas', 'columna', conexionNombre, r.tabla, anterior));
+          }
+        }
+        await query_runner.runMigration(script, async () => {});
+      } catch (e) {
+        for (const { respaldo } of respaldos) if (respaldo) backupStore().remove(respaldo.id);
+        const parcial = db_type === 'mysql' && script.length > 1
+          ? ' En MySQL las sentencias anteriores al error ya quedaron aplicadas: vuelve a comparar antes de reintentar.'
+          : ' No se aplicó ningún cambio.';
+        return { isError: true, content: [{ type: 'text', text: `Error al aplicar el script: ${e.message || e}.${parcial}` }] };
+      }
+      // La bajada es el script que devuelve el destino a su esquema anterior, leído tras aplicar
+      let migracion = '';
+      if (!isSimulating()) {
+        const despues = await readLiveSchema(query_runner, db_type, incluir);
+        const bajada = reconciliationScript(diffSchemas(actual, despues), {
+          db_type, quote: ident => quoteIdent(db_type, ident), eliminarSobrantes: true,
+        });
+        migracion = await recordMigration(conexion, 'compararEsquemas', {
+          descripcion: `reconciliar esquema con ${origen ? `la conexion ${origen}` : especificacion}`,
+          up: script,
+          down: bajada.sentencias.map(s => s.sql),
+          notaDown: [
+            borrados.length > 0 ? 'Recrea vacías las tablas y columnas eliminadas: los datos se recuperan con restaurarRespaldo.' : '',
+            bajada.manuales.length > 0 ? `No revierte: ${bajada.manuales.join(' ')}` : '',
+          ].filter(Boolean).join(' ') || undefined,
+        });
+      }
+      return {
+        content: [{
+          type: 'text',
+          text: `Script aplicado en '${conexionNombre}': ${script.length} sentencia(s).`
+            + (manuales.length > 0 ? ` Quedan ${manuales.length} cambio(s) por hacer a mano:\n${manuales.map(m => `- ${m}`).join('\n')}` : '')
+            + respaldos.map(r => r.aviso).join('') + migracion
+        }]
+      };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al comparar los esquemas: ' + (e.message || e) }] };
+    }
+  }
+);
+
+// --- Herramienta: Listar respaldos ---
+registerTool(
+  'listarRespaldos',
+  'Sigue estas reglas para listar los respaldos:\n'
+  + 'PROPÓSITO: Mostrar los respaldos guardados automáticamente antes de eliminarTabla, eliminarColumna, cambiarTipoColumna y los update/delete de crudTabla, con su identificador, fecha, tabla, tipo y filas.\n'
+  + 'NOTA: Los respaldos se conservan según la política de retención (días y número máximo); los más antiguos se borran solos.\n'
+  + 'USO: Filtra por tabla o conexión y usa el identificador con restaurarRespaldo.\n'
+  + 'EJEMPLO: "¿Qué respaldos hay de la tabla productos?"',
+  {
+    tabla: z.string().optional().describe('Solo los respaldos de esta tabla (opcional)'),
+    conexion: z.string().optional().describe('Solo los respaldos de esta conexión (opcional; por defecto todas)'),
+  },
+  async ({ tabla, conexion }) => {
+    try {
+      const store = backupStore();
+      if (!store) {
+        return { isError: true, content: [{ type: 'text', text: 'Los respaldos están desactivados (BACKUPS=false).' }] };
+      }
+      store.purge();
+      const respaldos = store.list().filter(r => (!tabla || r.tabla === tabla) && (!conexion || r.conexion === conexion)
+        && policy.allowsTable('listarRespaldos', r.tabla));
+      const lineas = respaldos.map(r => `- ${r.id}: ${r.fecha} ${r.herramienta} en '${r.conexion}', `
+        + `${r.columna ? `${r.tabla}.${r.columna}` : r.tabla}: ${BACKUP_KINDS[r.tipo]}, ${r.filas} fila(s)`
+        + (r.restaurado ? ` (restaurado el ${r.restaurado})` : ''));
+      return {
+        content: [{
+          type: 'text',
+          text: `${respaldos.length} respaldo(s) en ${displayPath(store.dir)} (se conservan ${store.retentionDays} día(s), como máximo ${store.maxCount}):\n`
+            + (lineas.length ? lineas.join('\n') : '- (ninguno)')
+        }]
+      };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al listar los respaldos: ' + (e.message || e) }] };
+    }
+  }
+);
+
+// --- Herramienta: Restaurar un respaldo ---
+registerTool(
+  'restaurarRespaldo',
+  'Sigue estas reglas OBLIGATORIAS para restaurar un respaldo:\n'
+  + 'PROPÓSITO: Deshacer una acción destructiva a partir de su respaldo: recrear una tabla eliminada con sus filas, volver a crear una columna con sus valores, devolver una columna a su tipo y valores anteriores, reinsertar filas borradas o devolver filas actualizadas a sus valores anteriores.\n'
+  + 'CONFIRMACIÓN EN DOS PASOS: La primera llamada NO ejecuta nada: devuelve qué se va a restaurar y un token. Muestra la vista previa al usuario y, solo si la aprueba explícitamente, vuelve a llamar con los mismos argumentos y el token en "confirmacion".\n'
+  + 'REGLA: Una tabla o columna solo se recrea si no existe. Restaurar filas actualizadas sobrescribe los cambios posteriores en esas columnas.\n'
+  + 'USO: Obtén el identificador con listarRespaldos.\n'
+  + 'EJEMPLO: "Deshaz el borrado de la tabla clientes."',
+  {
+    id: z.string().describe('Identificador del respaldo (de listarRespaldos o de la respuesta de la acción)'),
+    confirmacion: confirmacionArg,
+    conexion: z.string().optional().describe('Conexión en la que restaurar (opcional; por defecto la del respaldo)'),
+  },
+  async ({ id, confirmacion, conexion }) => {
+    try {
+      const store = backupStore();
+      if (!store) {
+        return { isError: true, content: [{ type: 'text', text: 'Los respaldos están desactivados (BACKUPS=false).' }] };
+      }
+      const r = store.read(id);
+      const destino = connections.get(conexion || r.conexion);
+      if (destino.db_type !== r.motor) {
+        return { isError: true, content: [{ type: 'text', text: `El respaldo se tomó en ${r.motor} y la conexión '${destino.name}' es ${destino.db_type}.` }] };
+      }
+      const rechazo = policy.check('restaurarRespaldo', { tabla: r.tabla }, destino.db_type)
+        || (['tabla', 'columna', 'tipoColumna'].includes(r.tipo) && policy.forbidsDDL()
+          ? `Política de acceso: los cambios de estructura (DDL) están prohibidos; el respaldo ${r.id} recrea estructura.` : null);
+      if (rechazo) {
+        return { isError: true, content: [{ type: 'text', text: rechazo }] };
+      }
+      const args = { id: r.id, conexion: destino.name };
+      if (!confirmacion) {
+        const muestra = store.readRows(r.id).slice(0, 5);
+        const preview = `Respaldo ${r.id} tomado el ${r.fecha} por ${r.herramienta} en '${r.conexion}'.\n`
+          + `${describeRestore(r)}${destino.name !== r.conexion ? ` Se restaurará en la conexión '${destino.name}'.` : ''}`
+          + (r.restaurado ? `\nATENCIÓN: este respaldo ya se restauró el ${r.restaurado}.` : '')
+          + (muestra.length ? `\nMuestra:\n${JSON.stringify(muestra, null, 2)}` : '');
+        return confirmationRequest('restaurarRespaldo', args, preview);
+      }
+      confirmations.consume('restaurarRespaldo', args, confirmacion);
+      const texto = await restoreBackup(r, destino.name);
+      if (!isSimulating()) store.markRestored(r.id);
+      return { content: [{ type: 'text', text: texto }] };
+    } catch (e) {
+      return { isError: true, content: [{ type: 'text', text: 'Error al restaurar el respaldo: ' + (e.message || e) }] };
+    }
+  }
+);
+
+// =================================================================
+// --- V. RECURSOS Y PROMPTS (EL ESQUEMA COMO CONTEXTO) ---
+// =================================================================
+// Los recursos describen la conexión predeterminada y siguen la política de describirTabla
+const SCHEMA_INDEX_URI = 'schema://tablas';
+const TABLE_URI_PREFIX = 'schema://tabla/';
+
+// Herramientas que crean, eliminan o renombran tablas (cambia la lista de recursos)
+const TABLE_LIST_TOOLS = ['crearTabla', 'eliminarTabla', 'renombrarTabla', 'aplicarMigraciones', 'revertirMigracion', 'restaurarRespaldo', 'compararEsquemas'];
+// Herramientas que cambian tablas que no aparecen en sus argumentos (las claves foráneas que llegan
+// o el SQL de las migraciones)
+const SCHEMA_WIDE_TOOLS = ['eliminarTabla', 'eliminarClaveForanea', 'aplicarMigraciones', 'revertirMigracion', 'restaurarRespaldo', 'compararEsquemas'];
+
+// URIs a las que se ha suscrito con resources/subscribe el cliente de cada servidor
+const schemaSubscriptions = new Map();
+
+function normalizeUri(uri) {
   try {
-    console.log('Probando conexión a la base de datos...');
-    await query_runner.testConnection();
-    console.log('Conexión a la base de datos exitosa.');
+    return new URL(uri).href;
   } catch (e) {
-    console.error('Error al conectar con la base de datos:', e.message);
-    // Opcional: salir si la conexión falla al inicio
-    // process.exit(1);
+    return uri;
+  }
+}
+
+function tableUri(tabla) {
+  return normalizeUri(TABLE_URI_PREFIX + encodeURIComponent(tabla));
+}
+
+function changesSchema(tool, args) {
+  return DDL_TOOLS.includes(tool) || tool === 'restaurarRespaldo' || (tool === 'compararEsquemas' && args.aplicar)
+    || (Array.isArray(args.operaciones) && args.operaciones.some(op => op && op.tipo === 'ddl'));
+}
+
+// Avisa a los clientes suscritos de que una herramienta DDL cambió el esquema
+function notifySchemaChange(tool, args, db_type) {
+  if (args.conexion && args.conexion !== connections.defaultName) return;
+  // Las operaciones DDL de una transacción son SQL libre: se avisa de todo
+  const transaccion = Array.isArray(args.operaciones);
+  if (transaccion || TABLE_LIST_TOOLS.includes(tool)) {
+    for (const server of openServers) server.sendResourceListChanged();
+  }
+  const todas = transaccion || SCHEMA_WIDE_TOOLS.includes(tool);
+  const afectadas = new Set(policy.tablesOf(tool, args, db_type).map(tableUri));
+  for (const [server, uris] of schemaSubscriptions) {
+    for (const uri of uris) {
+      if (uri === SCHEMA_INDEX_URI || afectadas.has(uri) || (todas && uri.startsWith(TABLE_URI_PREFIX))) {
+        server.server.sendResourceUpdated({ uri })
+          .catch(e => console.error(`Error al notificar el cambio de ${uri}:`, e.message || e));
+      }
+    }
+  }
+}
+
+// Tablas de la conexión predeterminada dentro del ámbito de describirTabla
+async function schemaTables() {
+  const tablas = await connections.get().runner.getSchema();
+  return tablas
+    .filter(t => policy.allowsTable('describirTabla', t.name))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Contenido de un recurso del esquema: el índice de tablas o la descripción de una tabla
+async function readSchemaResource(uri) {
+  const { runner: query_runner, db_type } = connections.get();
+  if (uri === SCHEMA_INDEX_URI) {
+    const tablas = await schemaTables();
+    const lineas = tablas.map(t => `- ${t.name}: ${t.columns.map(c => `${c.name} ${c.type || ''}`.trim()).join(', ')}`);
+    return {
+      uri,
+      mimeType: 'text/plain',
+      text: `Esquema de la conexión '${connections.defaultName}' (${db_type}), ${tablas.length} tabla(s):\n`
+        + (lineas.length ? lineas.join('\n') : '- (ninguna)')
+        + `\n\nLa estructura completa de cada tabla está en ${TABLE_URI_PREFIX}{nombre}.`,
+    };
+  }
+  const tabla = decodeURIComponent(uri.slice(TABLE_URI_PREFIX.length));
+  const rechazo = policy.check('describirTabla', { tabla }, db_type);
+  if (rechazo) throw new Error(rechazo);
+  const d = await query_runner.describeTable(tabla);
+  if (!d) throw new Error(`La tabla '${tabla}' no existe.`);
+  return { uri, mimeType: 'text/plain', text: formatTableDescription(tabla, d) };
+}
+
+function registerSchemaResources(server) {
+  if (!policy.isRegistered('describirTabla') || policy.check('describirTabla')) return;
+  server.server.registerCapabilities({ resources: { subscribe: true, listChanged: true } });
+
+  server.resource(
+    'esquema',
+    SCHEMA_INDEX_URI,
+    { description: 'Índice del esquema: las tablas de la base de datos con sus columnas y tipos.', mimeType: 'text/plain' },
+    async uri => ({ contents: [await readSchemaResource(uri.href)] })
+  );
+
+  server.resource(
+    'tabla',
+    new ResourceTemplate(`${TABLE_URI_PREFIX}{nombre}`, {
+      list: async () => ({
+        resources: (await schemaTables()).map(t => ({
+          uri: tableUri(t.name),
+          name: t.name,
+          description: `Estructura de la tabla ${t.name}`,
+        })),
+      }),
+      complete: {
+        nombre: async valor => (await schemaTables()).map(t => t.name).filter(n => n.startsWith(valor)),
+      },
+    }),
+    { description: 'Estructura completa de una tabla: columnas, claves, restricciones, índices y filas aproximadas.', mimeType: 'text/plain' },
+    async uri => ({ contents: [await readSchemaResource(uri.href)] })
+  );
+
+  // Suscripciones: tras cada herramienta DDL se envía notifications/resources/updated
+  server.server.setRequestHandler(SubscribeRequestSchema, async request => {
+    if (!schemaSubscriptions.has(server)) schemaSubscriptions.set(server, new Set());
+    schemaSubscriptions.get(server).add(normalizeUri(request.params.uri));
+    return {};
+  });
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async request => {
+    schemaSubscriptions.get(server)?.delete(normalizeUri(request.params.uri));
+    return {};
+  });
+}
+
+// Prompts (prompts.js): se publican si la política registra las herramientas que usan
+function registerPrompts(server) {
+  for (const prompt of PROMPTS) {
+    if (!prompt.requires.every(tool => policy.isRegistered(tool) && !policy.check(tool))) continue;
+    server.prompt(prompt.name, prompt.description, prompt.args, async args => {
+      const adjuntos = [];
+      for (const uri of prompt.resources(args)) {
+        try {
+          adjuntos.push({ role: 'user', content: { type: 'resource', resource: await readSchemaResource(normalizeUri(uri)) } });
+        } catch (e) {
+          adjuntos.push({ role: 'user', content: { type: 'text', text: `(No se pudo adjuntar ${uri}: ${e.message || e})` } });
+        }
+      }
+      return {
+        description: prompt.description,
+        messages: [...adjuntos, { role: 'user', content: { type: 'text', text: prompt.text(args) } }],
+      };
+    });
+  }
+}
+
+// 3. Transporte: stdio (cada cliente lanza su propio proceso) o HTTP (MCP_TRANSPORT=http, un servidor
+//    central con las credenciales de las bases al que el equipo se conecta con su token)
+async function checkConnections() {
+  console.error('Probando conexiones a las bases de datos...');
+  for (const estado of await connections.health()) {
+    if (estado.ok) {
+      console.error(`Conexión '${estado.name}' (${estado.db_type}) exitosa.`);
+    } else {
+      console.error(`Error al conectar con '${estado.name}':`, estado.error);
+      // Opcional: salir si la conexión falla al inicio
+      // process.exit(1);
+    }
   }
-});
+}
+
+// Segundos que el cierre espera a las llamadas HTTP en curso antes de cortarlas
+const SHUTDOWN_GRACE_SECONDS = parseInt(process.env.SHUTDOWN_GRACE_SECONDS || '10');
+
+let httpServer = null;
+let stdioServer = null;
+if (process.env.MCP_TRANSPORT === 'http') {
+  const tokens = parseTokens(process.env.HTTP_TOKENS);
+  if (tokens.length === 0) {
+    console.error('MCP_TRANSPORT=http necesita al menos un token en HTTP_TOKENS (nombre:token,nombre:token).');
+    process.exit(1);
+  }
+  httpServer = new McpHttpServer({
+    createServer,
+    tokens,
+    origenes: (process.env.HTTP_CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean),
+    maxBytes: parseInt(process.env.HTTP_MAX_BODY_MB || '10') * 1024 * 1024,
+    inactividadMs: parseInt(process.env.HTTP_SESSION_IDLE_MINUTES || '30') * 60000,
+    health: () => connections.health(),
+  });
+  const host = process.env.HTTP_HOST || '127.0.0.1';
+  const port = parseInt(process.env.HTTP_PORT || '3000');
+  httpServer.listen(port, host).then(async direccion => {
+    console.log(`Servidor MyBase MCP corriendo por HTTP en http://${host}:${direccion.port}${MCP_PATH} (salud en ${HEALTH_PATH})`);
+    await checkConnections();
+  }, e => {
+    console.error(`No se pudo escuchar en ${host}:${port}:`, e.message || e);
+    process.exit(1);
+  });
+} else {
+  stdioServer = createServer();
+  stdioServer.connect(new StdioServerTransport()).then(checkConnections);
+  console.error('Servidor MyBase MCP corriendo por stdio');
+}
 
-// Cierre
+// Cierre: primero el transporte (en HTTP se esperan las llamadas en curso) y después los pools
+let cerrando = false;
 const cleanup = async () => {
-  console.log('Cerrando servidor y pool de conexiones...');
-  await server.close();
-  await query_runner.closePool();
+  if (cerrando) return;
+  cerrando = true;
+  console.error('Cerrando servidor y pool de conexiones...');
+  // Si algo se queda colgado, el proceso termina igualmente
+  setTimeout(() => process.exit(1), (SHUTDOWN_GRACE_SECONDS + 5) * 1000).unref();
+  try {
+    if (httpServer) await httpServer.close(SHUTDOWN_GRACE_SECONDS * 1000);
+    if (stdioServer) await stdioServer.close();
+    await connections.closeAll();
+  } catch (e) {
+    console.error('Error al cerrar:', e.message || e);
+  }
   process.exit(0);
 };
 
 process.on('SIGINT', cleanup); // Ctrl+C
 process.on('SIGTERM', cleanup); // Terminación
 
-console.log('Servidor MyBase MCP corriendo por stdio');
+if (dry_run) console.error('Modo simulación (DRY_RUN=true): las herramientas que cambian datos o estructura solo devuelven el SQL que ejecutarían.');
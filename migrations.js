@@ -0,0 +1,150 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { normalizeEngine } from './db_runners/ConnectionRegistry.js';
+
+// Tabla donde cada base de datos anota las migraciones que tiene aplicadas
+export const MIGRATIONS_TABLE = 'schema_migrations';
+
+const FILE_PATTERN = /^(\d{4,})_(.+)\.sql$/;
+const UP_MARK = '-- +up';
+const DOWN_MARK = '-- +down';
+
+function checksum(texto) {
+  return crypto.createHash('sha256').update(texto).digest('hex');
+}
+
+// Nombre de archivo legible a partir de la descripción: "agregar columna email a clientes"
+function slug(texto) {
+  return texto.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60) || 'migracion';
+}
+
+// Las sentencias se separan con una línea en blanco tras el punto y coma final, así los cuerpos
+// de triggers y funciones pueden llevar ';' dentro. Se ignoran las líneas de comentario iniciales.
+function splitStatements(texto) {
+  return texto.split(/;[ \t]*(?:\r?\n[ \t]*){2,}|;[ \t]*\s*$/)
+    .map(s => s.replace(/^(?:[ \t]*--[^\n]*\n|[ \t]*\r?\n)*/, '').trim())
+    .filter(Boolean);
+}
+
+function formatStatements(sentencias) {
+  return sentencias.map(s => s.trim().replace(/;\s*$/, '') + ';').join('\n\n');
+}
+
+/**
+ * MigrationStore: migraciones numeradas en un directorio (0001_crear_tabla_clientes.sql),
+ * cada una con su SQL de subida y de bajada en el dialecto del motor en el que se registró.
+ * Los archivos se versionan con git y se aplican en orden en las demás bases de datos.
+ */
+export default class MigrationStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  // Migraciones del directorio en orden: [{ version, nombre, archivo }]
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .map(archivo => archivo.match(FILE_PATTERN))
+      .filter(Boolean)
+      .map(m => ({ version: m[1], nombre: m[2], archivo: path.join(this.dir, m[0]) }))
+      .sort((a, b) => Number(a.version) - Number(b.version));
+  }
+
+  /**
+   * Lee y analiza una migración. Devuelve { version, nombre, archivo, motor, checksum, up, down };
+   * `down` es null si la migración no se puede revertir.
+   */
+  read(version) {
+    const m = this.list().find(x => x.version === version || Number(x.version) === Number(version));
+    if (!m) throw new Error(`No existe la migración ${version} en ${this.dir}.`);
+    const texto = fs.readFileSync(m.archivo, 'utf8');
+    const inicioUp = texto.indexOf(UP_MARK);
+    const inicioDown = texto.indexOf(DOWN_MARK);
+    if (inicioUp === -1) throw new Error(`La migración ${path.basename(m.archivo)} no tiene la sección '${UP_MARK}'.`);
+    const up = splitStatements(texto.slice(inicioUp + UP_MARK.length, inicioDown > inicioUp ? inicioDown : undefined));
+    const down = inicioDown === -1 ? [] : splitStatements(texto.slice(inicioDown + DOWN_MARK.length));
+    if (up.length === 0) throw new Error(`La migración ${path.basename(m.archivo)} no tiene sentencias de subida.`);
+    return {
+      ...m,
+      motor: normalizeEngine((texto.match(/^-- Motor: (\w+)/m) || [])[1] || null),
+      checksum: checksum(texto),
+      up,
+      down: down.length > 0 ? down : null,
+    };
+  }
+
+  /**
+   * Escribe una migración nueva con el siguiente número libre. `down` vacío o null la marca como
+   * irreversible y `notaDown` explica por qué (o qué no se recupera al revertirla).
+   */
+  create({ descripcion, db_type, conexion, herramienta, up, down, notaDown }) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const ultima = this.list().at(-1);
+    let numero = ultima ? Number(ultima.version) + 1 : 1;
+    const nombre = slug(descripcion);
+    const lineas = [
+      `-- Migración: ${descripcion}`,
+      `-- Motor: ${db_type}`,
+      `-- Origen: ${herramienta} en la conexión '${conexion}', ${new Date().toISOString()}`,
+      '',
+      UP_MARK,
+      formatStatements(up),
+      '',
+      DOWN_MARK,
+    ];
+    if (notaDown) lineas.push(`-- ${notaDown}`);
+    if (down && down.length > 0) lineas.push(formatStatements(down));
+    const texto = lineas.join('\n') + '\n';
+    // 'wx' no sobrescribe: si otro proceso tomó el número, se prueba el siguiente
+    for (;;) {
+      const version = String(numero).padStart(4, '0');
+      const archivo = path.join(this.dir, `${version}_${nombre}.sql`);
+      try {
+        fs.writeFileSync(archivo, texto, { flag: 'wx' });
+        return { version, nombre, archivo, checksum: checksum(texto) };
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+        numero++;
+      }
+    }
+  }
+}
+
+function placeholders(db_type, n) {
+  return Array.from({ length: n }, (_, i) => (db_type === 'pg' ? `$${i + 1}` : '?'));
+}
+
+// Crea schema_migrations si no existe (misma definición en los tres motores)
+export async function ensureMigrationsTable(query_runner) {
+  await query_runner.runQuery(`CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+  version VARCHAR(20) NOT NULL PRIMARY KEY,
+  nombre VARCHAR(255) NOT NULL,
+  checksum CHAR(64) NOT NULL,
+  aplicada_en TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+)`);
+}
+
+// Migraciones aplicadas en la base: Map version -> { nombre, checksum, aplicada_en }
+export async function appliedMigrations(query_runner) {
+  // Sin la tabla no hay nada aplicado; solo se crea al aplicar o registrar una migración
+  if ((await query_runner.getTableColumns(MIGRATIONS_TABLE)).length === 0) {
+    return new Map();
+  }
+  const { rows } = await query_runner.runQuery(
+    `SELECT version, nombre, checksum, aplicada_en FROM ${MIGRATIONS_TABLE} ORDER BY version`
+  );
+  return new Map(rows.map(r => [String(r.version), r]));
+}
+
+export async function markApplied(tx, db_type, { version, nombre, checksum }) {
+  await tx.run(
+    `INSERT INTO ${MIGRATIONS_TABLE} (version, nombre, checksum) VALUES (${placeholders(db_type, 3).join(', ')})`,
+    [version, nombre, checksum]
+  );
+}
+
+export async function markReverted(tx, db_type, version) {
+  await tx.run(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = ${placeholders(db_type, 1)[0]}`, [version]);
+}
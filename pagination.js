@@ -0,0 +1,72 @@
+// Límites de filas y tamaño de salida (configurables por .env). Se leen al usarse porque
+// este módulo se evalúa antes de que mcp_server.js cargue el .env.
+export function outputMaxBytes() {
+  return parseInt(process.env.OUTPUT_MAX_BYTES || '100000');
+}
+
+// Límite efectivo: el pedido, acotado al máximo configurado
+export function resolveLimit(limite) {
+  const porDefecto = parseInt(process.env.ROW_LIMIT_DEFAULT || '100');
+  const maximo = parseInt(process.env.ROW_LIMIT_MAX || '1000');
+  if (!limite || limite < 1) return Math.min(porDefecto, maximo);
+  return Math.min(limite, maximo);
+}
+
+/**
+ * Los cursores son opacos para el modelo: JSON en base64url.
+ * { o: n } continúa por desplazamiento; { k: [...], o: n } continúa tras la clave primaria indicada
+ * (o solo sirve para numerar las filas).
+ */
+export function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (data && (Number.isInteger(data.o) || Array.isArray(data.k))) return data;
+  } catch (e) {
+    // se informa abajo
+  }
+  throw new Error('El cursor no es válido. Usa el valor devuelto por la página anterior.');
+}
+
+/**
+ * Renderiza tantas filas como quepan en el tamaño máximo de salida.
+ * `render(filas)` produce el texto completo para un subconjunto de filas.
+ * Devuelve { text, shown } con el número de filas que se muestran.
+ */
+export function fitRows(rows, render, maxBytes = outputMaxBytes()) {
+  const full = render(rows);
+  if (Buffer.byteLength(full) <= maxBytes) {
+    return { text: full, shown: rows.length };
+  }
+  // Búsqueda binaria del mayor número de filas que cabe
+  let lo = 0;
+  let hi = rows.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (Buffer.byteLength(render(rows.slice(0, mid))) <= maxBytes) lo = mid;
+    else hi = mid - 1;
+  }
+  if (lo === 0) {
+    // Ni una fila cabe: se corta el texto de la primera
+    const text = Buffer.from(render(rows.slice(0, 1))).subarray(0, maxBytes).toString('utf8');
+    return { text, shown: 1, cut: true };
+  }
+  return { text: render(rows.slice(0, lo)), shown: lo };
+}
+
+// Pie de página con el rango mostrado, el total y cómo pedir la siguiente página
+export function pageNotice({ desde, shown, total, hasMore, cursor, truncated }) {
+  const lineas = [];
+  const rango = shown > 0 ? `Filas ${desde + 1}-${desde + shown}` : 'Sin filas en esta página';
+  lineas.push(total !== undefined && total !== null ? `${rango} de ${total}.` : `${rango}.`);
+  if (truncated) {
+    lineas.push(`Salida truncada a ${outputMaxBytes()} bytes; se muestran menos filas de las pedidas.`);
+  }
+  if (hasMore) {
+    lineas.push(`Hay más filas disponibles. Para la siguiente página usa cursor: "${cursor}".`);
+  }
+  return `[${lineas.join(' ')}]`;
+}
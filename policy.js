@@ -0,0 +1,154 @@
+import fs from 'fs';
+import { z } from 'zod';
+import { tablesInQuery, tablesInDDL } from './db_runners/sqlValidator.js';
+
+// Herramientas que se registran cuando el servidor está en modo solo lectura
+export const READ_ONLY_TOOLS = ['listarConexiones', 'listarTablas', 'columnasDeTabla', 'describirTabla', 'perfilarTabla', 'diagramaER', 'consultarSQL', 'exportarTabla', 'consultarAuditoria', 'listarRespaldos', 'listarIndices', 'explicarConsulta', 'listarVistas', 'listarRutinas', 'listarTriggers', 'reporteAgregado'];
+
+// Herramientas que modifican la estructura de la base (bloqueadas con prohibirDDL)
+export const DDL_TOOLS = [
+  'crearTabla', 'agregarColumna', 'renombrarTabla', 'renombrarColumna', 'cambiarTipoColumna',
+  'eliminarTabla', 'eliminarColumna', 'eliminarRestriccionUnica', 'eliminarClaveForanea',
+  'agregarRestriccionUnica', 'agregarClaveForanea', 'aplicarMigraciones', 'revertirMigracion',
+  'crearIndice', 'eliminarIndice', 'crearVista', 'eliminarVista',
+];
+
+// Herramientas que reciben una consulta SQL en `consulta`
+const QUERY_TOOLS = ['consultarSQL', 'explicarConsulta', 'crearVista'];
+
+// Argumentos de las herramientas que contienen nombres de tabla (o de vista)
+const TABLE_ARGS = ['tabla', 'nombreTabla', 'nombreActual', 'nuevoNombre', 'tablaReferencia', 'vista'];
+
+const policySchema = z.object({
+  soloLectura: z.boolean().default(false),
+  permitir: z.array(z.string()).optional(),
+  denegar: z.array(z.string()).default([]),
+  prohibirDDL: z.boolean().default(false),
+  tablas: z.record(z.array(z.string())).default({}),
+}).strict();
+
+// Convierte un patrón con comodines (ventas_*) en expresión regular
+function matchesPattern(pattern, name) {
+  const regex = new RegExp('^' + pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$', 'i');
+  return regex.test(name);
+}
+
+/**
+ * AccessPolicy: política de acceso cargada al inicio (modo solo lectura, herramientas
+ * permitidas o denegadas, tablas por herramienta y prohibición de DDL).
+ */
+export default class AccessPolicy {
+  constructor(rules = {}) {
+    this.rules = policySchema.parse(rules);
+  }
+
+  // Lee el archivo de política; sin archivo la política no restringe nada
+  static load(file) {
+    if (!fs.existsSync(file)) return new AccessPolicy();
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    try {
+      return new AccessPolicy(parsed);
+    } catch (e) {
+      const detalle = e.errors ? e.errors.map(err => `${err.path.join('.')}: ${err.message}`).join('; ') : e.message;
+      throw new Error(`El archivo de política '${file}' no es válido: ${detalle}`);
+    }
+  }
+
+  // Indica si la herramienta debe registrarse en el servidor
+  isRegistered(tool) {
+    return !this.rules.soloLectura || READ_ONLY_TOOLS.includes(tool);
+  }
+
+  allowedTables(tool) {
+    return this.rules.tablas[tool] ?? this.rules.tablas['*'] ?? null;
+  }
+
+  // Indica si el ámbito de tablas de la herramienta incluye la tabla
+  allowsTable(tool, tabla) {
+    const permitidas = this.allowedTables(tool);
+    return !permitidas || permitidas.some(p => matchesPattern(p, tabla));
+  }
+
+  forbidsDDL() {
+    return this.rules.prohibirDDL;
+  }
+
+  // Tablas que tocaría la llamada según sus argumentos (las de la consulta, en el dialecto del motor)
+  tablesOf(tool, args, db_type) {
+    const tablas = TABLE_ARGS.map(k => args[k]).filter(t => typeof t === 'string' && t);
+    // Listas de tablas (diagramaER) o de objetos con su tabla (generarDatosPrueba)
+    if (Array.isArray(args.tablas)) {
+      tablas.push(...args.tablas.map(t => (t && typeof t === 'object' ? t.tabla : t)).filter(t => typeof t === 'string' && t));
+    }
+    // Tablas unidas (reporteAgregado)
+    if (Array.isArray(args.uniones)) tablas.push(...args.uniones.map(u => u?.tabla).filter(t => typeof t === 'string' && t));
+    if (QUERY_TOOLS.includes(tool) && typeof args.consulta === 'string') {
+      tablas.push(...tablesInQuery(args.consulta, db_type));
+    }
+    // ejecutarTransaccion: cada operación nombra su tabla, o la lleva dentro de su DDL
+    for (const op of Array.isArray(args.operaciones) ? args.operaciones : []) {
+      if (typeof op.tabla === 'string' && op.tabla) tablas.push(op.tabla);
+      if (op.tipo === 'ddl' && typeof op.sql === 'string') tablas.push(...tablesInDDL(op.sql));
+    }
+    return tablas;
+  }
+
+  /**
+   * Comprueba el ámbito de tablas de la herramienta sobre sentencias DDL (las de una migración).
+   * Una sentencia en la que no se reconoce ninguna tabla (DROP VIEW, nombres raros) se rechaza:
+   * no se puede saber a qué afecta. `ignorar` son tablas internas siempre permitidas.
+   * Devuelve el motivo del rechazo o null si está permitida.
+   */
+  checkDDL(tool, sentencias, ignorar = []) {
+    if (!this.allowedTables(tool)) return null;
+    const dudosa = sentencias.find(sql => tablesInDDL(sql).length === 0);
+    if (dudosa !== undefined) {
+      return `Política de acceso: no se pudo determinar a qué tablas afecta esta sentencia de '${tool}': ${dudosa}`;
+    }
+    const fuera = sentencias.flatMap(tablesInDDL).filter(t => !ignorar.includes(t) && !this.allowsTable(tool, t));
+    return fuera.length > 0
+      ? `Política de acceso: '${tool}' no puede acceder a la(s) tabla(s) ${[...new Set(fuera)].join(', ')}.`
+      : null;
+  }
+
+  /**
+   * Comprueba una llamada antes de que llegue a la base de datos.
+   * Devuelve el motivo del rechazo o null si está permitida.
+   */
+  check(tool, args = {}, db_type) {
+    const { soloLectura, permitir, denegar, prohibirDDL } = this.rules;
+    if (soloLectura && !READ_ONLY_TOOLS.includes(tool)) {
+      return `Política de acceso: el servidor está en modo solo lectura y '${tool}' modifica la base de datos.`;
+    }
+    if (denegar.includes(tool) || (permitir && !permitir.includes(tool))) {
+      return `Política de acceso: la herramienta '${tool}' no está permitida.`;
+    }
+    if (prohibirDDL && DDL_TOOLS.includes(tool)) {
+      return `Política de acceso: los cambios de estructura (DDL) están prohibidos; '${tool}' no puede ejecutarse.`;
+    }
+    // compararEsquemas solo cambia la estructura cuando aplica su script
+    if (prohibirDDL && tool === 'compararEsquemas' && args.aplicar) {
+      return `Política de acceso: los cambios de estructura (DDL) están prohibidos; '${tool}' solo puede comparar (sin aplicar).`;
+    }
+    const ddlOps = Array.isArray(args.operaciones) ? args.operaciones.filter(op => op && op.tipo === 'ddl') : [];
+    if (prohibirDDL && ddlOps.length > 0) {
+      return `Política de acceso: los cambios de estructura (DDL) están prohibidos; '${tool}' incluye operaciones DDL.`;
+    }
+    const permitidas = this.allowedTables(tool);
+    if (permitidas) {
+      if (ddlOps.some(op => typeof op.sql !== 'string' || tablesInDDL(op.sql).length === 0)) {
+        return `Política de acceso: no se pudo determinar a qué tablas afecta una operación DDL de '${tool}'.`;
+      }
+      // Las funciones pragma_* de SQLite (pragma_table_info('x')...) leen tablas nombradas como texto
+      if (QUERY_TOOLS.includes(tool) && typeof args.consulta === 'string' && /\bpragma_\w+/i.test(args.consulta)) {
+        return `Política de acceso: con un ámbito de tablas '${tool}' no puede usar las funciones pragma_* de SQLite.`;
+      }
+      const fuera = this.tablesOf(tool, args, db_type).filter(t => !this.allowsTable(tool, t));
+      if (fuera.length > 0) {
+        return `Política de acceso: '${tool}' no puede acceder a la(s) tabla(s) ${[...new Set(fuera)].join(', ')}. `
+          + `Permitidas: ${permitidas.join(', ')}.`;
+      }
+    }
+    return null;
+  }
+}
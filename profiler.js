@@ -0,0 +1,241 @@
+// Perfil de los datos de una tabla para perfilarTabla: nulos, valores distintos, rangos, valores
+// frecuentes, longitudes de texto y datos sospechosos (números o fechas guardados como texto)
+import { columnKind, coerceValue } from './csvImport.js';
+
+export const DEFAULT_TOP = 5;
+// Valores distintos que se cuentan por columna o clave foránea; a partir de ahí el recuento es un mínimo
+export const MAX_TRACKED_VALUES = 20000;
+// Proporción de textos convertibles a partir de la cual la columna parece de otro tipo
+const SUSPECT_RATIO = 0.9;
+// Ejemplos que se guardan de cada problema
+const MAX_EXAMPLES = 3;
+// Largo máximo de un valor en el informe
+const MAX_SHOWN_LENGTH = 40;
+
+const NUMBER = /^\s*[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$/;
+// Solo se intenta convertir un texto que tiene pinta de número o de fecha
+const NUMBER_LIKE = /^[\s+\-]*[\d.,]+([eE][+-]?\d+)?\s*$/;
+const DATE_LIKE = /^\s*\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}/;
+const LEADING_ZERO = /^\s*[+-]?0\d/;
+// Conversiones que se prueban en las columnas de texto, de la más a la menos estricta
+const TEXT_CONVERSIONS = [
+  { kind: 'integer', parece: NUMBER_LIKE, tipo: 'INTEGER', nombre: 'números enteros guardados' },
+  { kind: 'decimal', parece: NUMBER_LIKE, tipo: 'DECIMAL', nombre: 'números guardados' },
+  { kind: 'date', parece: DATE_LIKE, tipo: 'DATE', nombre: 'fechas guardadas' },
+  { kind: 'datetime', parece: DATE_LIKE, tipo: 'TIMESTAMP', nombre: 'fechas con hora guardadas' },
+];
+
+// Clave con la que se cuentan los valores distintos (Map distingue 1 de '1', el informe no)
+function valueKey(v) {
+  if (v instanceof Date) return Number.isNaN(v.getTime()) ? String(v) : v.toISOString();
+  if (Buffer.isBuffer(v)) return `0x${v.toString('hex')}`;
+  if (typeof v === 'object') return JSON.stringify(v);
+  return String(v);
+}
+
+function shown(v) {
+  const s = valueKey(v);
+  return `'${s.length > MAX_SHOWN_LENGTH ? `${s.slice(0, MAX_SHOWN_LENGTH)}…` : s}'`;
+}
+
+function dateValue(v, kind) {
+  if (v instanceof Date) return Number.isNaN(v.getTime()) ? null : v.getTime();
+  if (typeof v !== 'string') return null;
+  try {
+    const iso = coerceValue(v, kind === 'date' ? 'date' : 'datetime');
+    return Date.parse(`${iso.replace(' ', 'T')}Z`);
+  } catch {
+    return null;
+  }
+}
+
+function converts(texto, kind) {
+  try {
+    coerceValue(texto, kind);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function newColumn({ name, type }) {
+  return {
+    name, type, kind: columnKind(type),
+    nulos: 0, valores: new Map(), completo: true,
+    rango: null, noValidos: { total: 0, ejemplos: [] },
+    longitud: null, vacios: 0, espacios: 0, ceros: 0,
+    conversiones: TEXT_CONVERSIONS.map(c => ({ ...c, total: 0, ejemplos: [] })), textos: 0,
+  };
+}
+
+// Cuenta un valor distinto en un Map { clave -> { valor, veces } } con tope de MAX_TRACKED_VALUES
+function track(destino, clave, valor) {
+  const visto = destino.valores.get(clave);
+  if (visto) visto.veces++;
+  else if (destino.valores.size < MAX_TRACKED_VALUES) destino.valores.set(clave, { valor, veces: 1 });
+  else destino.completo = false;
+}
+
+function addValue(col, v) {
+  if (v === null || v === undefined) {
+    col.nulos++;
+    return;
+  }
+  track(col, valueKey(v), v);
+  let orden = null;
+  if (col.kind === 'integer' || col.kind === 'decimal') {
+    // PostgreSQL y MySQL devuelven BIGINT y DECIMAL como texto; en SQLite puede haber textos de verdad
+    orden = typeof v === 'number' || (typeof v === 'string' && NUMBER.test(v)) ? Number(v) : null;
+  } else if (col.kind === 'date' || col.kind === 'datetime') {
+    orden = dateValue(v, col.kind);
+  }
+  if (orden !== null && Number.isFinite(orden)) {
+    const r = col.rango ??= { min: v, max: v, minOrden: orden, maxOrden: orden, suma: 0, total: 0 };
+    if (orden < r.minOrden) Object.assign(r, { min: v, minOrden: orden });
+    if (orden > r.maxOrden) Object.assign(r, { max: v, maxOrden: orden });
+    r.suma += orden;
+    r.total++;
+  } else if (col.kind !== 'text' && col.kind !== 'boolean' && col.kind !== 'time') {
+    col.noValidos.total++;
+    if (col.noValidos.ejemplos.length < MAX_EXAMPLES) col.noValidos.ejemplos.push(v);
+  }
+  if (typeof v !== 'string' || col.kind !== 'text') return;
+  const l = col.longitud ??= { min: v.length, max: v.length, suma: 0, total: 0 };
+  l.min = Math.min(l.min, v.length);
+  l.max = Math.max(l.max, v.length);
+  l.suma += v.length;
+  l.total++;
+  if (v.trim() === '') {
+    col.vacios++;
+    return;
+  }
+  if (v !== v.trim()) col.espacios++;
+  col.textos++;
+  for (const c of col.conversiones) {
+    if (c.parece.test(v) && converts(v, c.kind)) {
+      c.total++;
+      if (c.kind === 'integer' && LEADING_ZERO.test(v)) col.ceros++;
+    } else if (c.ejemplos.length < MAX_EXAMPLES) {
+      c.ejemplos.push(v);
+    }
+  }
+}
+
+/**
+ * Perfil vacío de las `columnas` ([{ name, type }]). `claves` son las columnas de cada clave
+ * foránea que sale de la tabla: de ellas se guardan las combinaciones distintas sin NULL para
+ * buscar después valores huérfanos.
+ */
+export function createProfile(columnas, { claves = [] } = {}) {
+  return {
+    filas: 0,
+    columnas: columnas.map(newColumn),
+    claves: claves.map(cols => ({ columnas: cols, valores: new Map(), completo: true })),
+  };
+}
+
+export function addRows(perfil, rows) {
+  for (const row of rows) {
+    perfil.filas++;
+    for (const col of perfil.columnas) addValue(col, row[col.name]);
+    for (const clave of perfil.claves) {
+      const tupla = clave.columnas.map(c => row[c]);
+      if (tupla.some(v => v === null || v === undefined)) continue;
+      track(clave, JSON.stringify(tupla.map(valueKey)), tupla);
+    }
+  }
+}
+
+// Combinaciones distintas de una clave foránea del perfil: [{ clave, valor: [..], veces }]
+export function keyValues(perfil, columnas) {
+  const clave = perfil.claves.find(c => c.columnas.join('\0') === columnas.join('\0'));
+  return { valores: [...clave.valores].map(([k, v]) => ({ clave: k, ...v })), completo: clave.completo };
+}
+
+// Clave de una combinación leída de la tabla referenciada, comparable con las de keyValues
+export function tupleKey(tupla) {
+  return JSON.stringify(tupla.map(valueKey));
+}
+
+function pct(n, total) {
+  if (!total) return '0%';
+  const p = n * 100 / total;
+  return `${p > 0 && p < 0.1 ? '<0.1' : Number(p.toFixed(1))}%`;
+}
+
+function fromOrder(col, orden) {
+  if (col.kind === 'date') return new Date(orden).toISOString().slice(0, 10);
+  if (col.kind === 'datetime') return new Date(Math.round(orden / 1000) * 1000).toISOString().replace('T', ' ').slice(0, 19);
+  return String(Number(orden.toFixed(4)));
+}
+
+/**
+ * Resumen de cada columna: { columna, tipo, nulos, distintos, distintosCompleto, repetidos,
+ * rango: { min, max, media } | null, longitud: { min, max, media } | null,
+ * frecuentes: [{ valor, veces }], problemas: [texto] }. Con `muestra` los avisos sobre
+ * unicidad se refieren solo a las filas leídas.
+ */
+export function summarizeProfile(perfil, { top = DEFAULT_TOP, muestra = false } = {}) {
+  const filas = perfil.filas;
+  return perfil.columnas.map(col => {
+    const noNulos = filas - col.nulos;
+    const valores = [...col.valores.values()];
+    const repetidos = valores.filter(v => v.veces > 1).length;
+    const frecuentes = valores.filter(v => v.veces > 1).sort((a, b) => b.veces - a.veces).slice(0, top);
+    const problemas = [];
+    if (filas > 0 && noNulos === 0) {
+      problemas.push('todos los valores son NULL');
+    } else if (noNulos > 1 && col.valores.size === 1 && col.completo && col.vacios < noNulos) {
+      problemas.push(`todas las filas con valor tienen el mismo (${shown(valores[0].valor)})`);
+    }
+    if (col.noValidos.total > 0) {
+      problemas.push(`${col.noValidos.total} valor(es) que no son ${col.kind === 'date' || col.kind === 'datetime' ? 'fechas' : 'números'} válidos`
+        + ` (p. ej. ${col.noValidos.ejemplos.map(shown).join(', ')})`);
+    }
+    if (col.kind === 'text' && col.textos > 0) {
+      const parecido = col.conversiones.find(c => c.total / col.textos >= SUSPECT_RATIO);
+      if (parecido) {
+        const fallan = col.textos - parecido.total;
+        problemas.push(`parecen ${parecido.nombre} como texto: ${parecido.total} de ${col.textos} se convertirían a ${parecido.tipo}`
+          + (fallan > 0 ? `; ${fallan} no (p. ej. ${parecido.ejemplos.map(shown).join(', ')})` : '')
+          + (parecido.kind === 'integer' && col.ceros > 0 ? `; ${col.ceros} llevan ceros a la izquierda que se perderían` : ''));
+      }
+    }
+    if (col.vacios > 0) problemas.push(`${col.vacios} texto(s) vacíos o solo con espacios (${pct(col.vacios, filas)})`);
+    if (col.espacios > 0) problemas.push(`${col.espacios} texto(s) con espacios al principio o al final`);
+    const r = col.rango;
+    return {
+      columna: col.name,
+      tipo: col.type,
+      nulos: col.nulos,
+      distintos: col.valores.size,
+      distintosCompleto: col.completo,
+      repetidos: col.completo ? repetidos : null,
+      rango: r && { min: valueKey(r.min), max: valueKey(r.max), media: fromOrder(col, r.suma / r.total) },
+      longitud: col.longitud && { min: col.longitud.min, max: col.longitud.max, media: Number((col.longitud.suma / col.longitud.total).toFixed(1)) },
+      frecuentes: frecuentes.map(v => ({ valor: valueKey(v.valor), veces: v.veces })),
+      problemas,
+      muestra,
+    };
+  });
+}
+
+// Líneas del informe de una columna resumida con summarizeProfile
+export function describeColumn(c, filas) {
+  const enMuestra = c.muestra ? ' en la muestra' : '';
+  const lineas = [`- ${c.columna} ${c.tipo || '(sin tipo)'}: nulos ${c.nulos} (${pct(c.nulos, filas)}), distintos ${c.distintosCompleto ? '' : 'más de '}${c.distintos}`];
+  if (c.rango) lineas.push(`  mínimo ${c.rango.min}, máximo ${c.rango.max}, media ${c.rango.media}`);
+  if (c.longitud) lineas.push(`  longitud de ${c.longitud.min} a ${c.longitud.max} caracteres (media ${c.longitud.media})`);
+  if (c.frecuentes.length > 0) {
+    lineas.push(`  más frecuentes: ${c.frecuentes.map(f => `${shown(f.valor)} ×${f.veces} (${pct(f.veces, filas)})`).join(', ')}`);
+  }
+  if (c.repetidos === null) {
+    lineas.push(`  unicidad: no se sabe, hay demasiados valores distintos para contarlos`);
+  } else if (c.distintos > 0) {
+    lineas.push(c.repetidos > 0
+      ? `  unicidad: ${c.repetidos} valor(es) repetidos${enMuestra}, una restricción UNIQUE fallaría`
+      : `  unicidad: sin valores repetidos${enMuestra}`);
+  }
+  lineas.push(...c.problemas.map(p => `  Aviso: ${p}`));
+  return lineas;
+}
@@ -0,0 +1,79 @@
+import { z } from 'zod';
+
+/**
+ * Prompts MCP del servidor. Cada prompt declara sus argumentos (MCP solo admite texto), las
+ * herramientas que necesita (si la política no las registra, el prompt tampoco se publica),
+ * los recursos del esquema que se adjuntan como contexto y el texto de la petición.
+ */
+const PROMPTS = [
+  {
+    name: 'explorarBase',
+    description: 'Da una visión general de la base de datos: qué tablas hay, cómo se relacionan y qué contiene cada una.',
+    args: {},
+    requires: ['listarTablas', 'describirTabla'],
+    resources: () => ['schema://tablas'],
+    text: () => [
+      'Explícame qué contiene esta base de datos.',
+      'Con el esquema adjunto, agrupa las tablas por área funcional y resume para qué sirve cada una.',
+      'Usa describirTabla en las tablas principales para identificar sus claves foráneas y describe las relaciones entre ellas.',
+      'Indica también las tablas que parecen vacías, duplicadas o sin relación con el resto.',
+    ].join('\n'),
+  },
+  {
+    name: 'analizarVentas',
+    description: 'Analiza las ventas: evolución en el tiempo, productos y clientes principales, y anomalías.',
+    args: {
+      tabla: z.string().optional().describe('Tabla de ventas (opcional; si no se indica se busca en el esquema)'),
+      periodo: z.string().optional().describe('Periodo a analizar, p. ej. "2024" o "último trimestre" (opcional)'),
+    },
+    requires: ['consultarSQL'],
+    resources: ({ tabla }) => [tabla ? `schema://tabla/${encodeURIComponent(tabla)}` : 'schema://tablas'],
+    text: ({ tabla, periodo }) => [
+      tabla
+        ? `Analiza las ventas registradas en la tabla '${tabla}'.`
+        : 'Analiza las ventas de esta base de datos. Identifica en el esquema adjunto la tabla de ventas o pedidos y las tablas relacionadas (clientes, productos...).',
+      periodo ? `Limita el análisis al periodo: ${periodo}.` : 'Analiza todo el periodo disponible y di cuál es.',
+      'Usa consultarSQL con consultas agregadas (GROUP BY, SUM, COUNT) en lugar de leer las filas una a una.',
+      'Incluye:',
+      '1. Evolución del importe y del número de ventas por mes.',
+      '2. Los 10 productos y los 10 clientes con más ventas.',
+      '3. Ticket medio y su variación.',
+      '4. Valores anómalos: importes negativos o nulos, fechas futuras, picos inusuales.',
+      'Termina con tres conclusiones breves y las consultas que usaste.',
+    ].join('\n'),
+  },
+  {
+    name: 'disenarTabla',
+    description: 'Diseña una tabla nueva a partir de una descripción, coherente con el esquema existente, y la crea si el usuario lo aprueba.',
+    args: {
+      descripcion: z.string().describe('Qué debe guardar la tabla, p. ej. "las devoluciones de los pedidos"'),
+      nombre: z.string().optional().describe('Nombre de la tabla (opcional)'),
+    },
+    requires: ['crearTabla'],
+    resources: () => ['schema://tablas'],
+    text: ({ descripcion, nombre }) => [
+      `Diseña una tabla${nombre ? ` llamada '${nombre}'` : ''} para guardar: ${descripcion}.`,
+      'Sigue las convenciones del esquema adjunto: nombres de tablas y columnas, tipos y forma de las claves primarias.',
+      'Propón las columnas con su tipo, nulabilidad y valor por defecto, la clave primaria, las restricciones UNIQUE y CHECK',
+      'y las claves foráneas hacia las tablas existentes (con su ON DELETE). Explica brevemente cada decisión.',
+      'Muestra el diseño y NO crees nada hasta que yo lo apruebe; después usa crearTabla y agregarClaveForanea.',
+    ].join('\n'),
+  },
+  {
+    name: 'revisarCalidadDatos',
+    description: 'Revisa la calidad de los datos de una tabla: nulos, duplicados, valores fuera de rango y referencias rotas.',
+    args: {
+      tabla: z.string().describe('Tabla a revisar'),
+    },
+    requires: ['consultarSQL'],
+    resources: ({ tabla }) => [`schema://tabla/${encodeURIComponent(tabla)}`],
+    text: ({ tabla }) => [
+      `Revisa la calidad de los datos de la tabla '${tabla}' (su estructura está adjunta).`,
+      'Con consultarSQL comprueba, columna a columna, el porcentaje de nulos, los valores duplicados en columnas que deberían ser únicas,',
+      'los valores fuera de rango o con formato incoherente y las filas cuyas claves foráneas no encuentran su fila referenciada.',
+      'Resume los problemas por gravedad y propone cómo corregirlos, sin modificar ningún dato.',
+    ].join('\n'),
+  },
+];
+
+export default PROMPTS;
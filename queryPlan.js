@@ -0,0 +1,204 @@
+// Planes de ejecución (EXPLAIN) de MySQL, PostgreSQL y SQLite para explicarConsulta: accesos a
+// cada tabla, recorridos completos, ordenaciones y sugerencias de índices
+
+// Filas a partir de las cuales merece la pena evitar un recorrido completo con un índice
+export const FULL_SCAN_MIN_ROWS = 1000;
+// Columnas como máximo en un índice sugerido
+const MAX_SUGGESTED_COLUMNS = 3;
+// Diferencia entre filas estimadas y reales que apunta a estadísticas desactualizadas
+const ESTIMATE_RATIO = 10;
+
+// Nodos de PostgreSQL que leen la tabla a través de un índice (el Bitmap Index Scan va dentro del Bitmap Heap Scan)
+const PG_INDEX_SCANS = new Set(['Index Scan', 'Index Only Scan', 'Bitmap Heap Scan']);
+
+function summarizePg({ plan }) {
+  const accesos = [];
+  const ordenaciones = [];
+  const lineas = [];
+  const recorrer = (nodo, nivel) => {
+    const tipo = nodo['Node Type'];
+    const tabla = nodo['Relation Name'] ?? null;
+    const reales = nodo['Actual Rows'] === undefined ? null : nodo['Actual Rows'] * (nodo['Actual Loops'] || 1);
+    const datos = [`estimadas ${nodo['Plan Rows']}`];
+    if (reales !== null) datos.push(`reales ${reales}`);
+    if (nodo['Actual Total Time'] !== undefined) datos.push(`${nodo['Actual Total Time']} ms`);
+    lineas.push(`${'  '.repeat(nivel)}-> ${tipo}`
+      + (tabla ? ` en ${tabla}${nodo.Alias && nodo.Alias !== tabla ? ` ${nodo.Alias}` : ''}` : '')
+      + (nodo['Index Name'] ? ` usando ${nodo['Index Name']}` : '')
+      + ` (filas ${datos.join(', ')})`);
+    for (const clave of ['Index Cond', 'Recheck Cond', 'Hash Cond', 'Join Filter', 'Filter']) {
+      if (nodo[clave]) lineas.push(`${'  '.repeat(nivel + 1)}${clave}: ${nodo[clave]}`);
+    }
+    const acceso = { tabla, alias: nodo.Alias ?? null, filasEstimadas: nodo['Plan Rows'], filasReales: reales };
+    if (tipo === 'Seq Scan') {
+      accesos.push({ ...acceso, completo: true, indice: null, filtro: nodo.Filter ?? null });
+    } else if (PG_INDEX_SCANS.has(tipo)) {
+      const indice = nodo['Index Name'] ?? (nodo.Plans || []).find(hijo => hijo['Index Name'])?.['Index Name'] ?? null;
+      accesos.push({ ...acceso, completo: false, indice, filtro: nodo['Index Cond'] ?? nodo['Recheck Cond'] ?? null });
+    }
+    if (tipo === 'Sort' || tipo === 'Incremental Sort') {
+      ordenaciones.push(`ordenación por ${(nodo['Sort Key'] || []).join(', ')}`
+        + (nodo['Sort Space Type'] === 'Disk' ? ` en disco (${nodo['Sort Space Used']} kB)` : ''));
+    }
+    (nodo.Plans || []).forEach(hijo => recorrer(hijo, nivel + 1));
+  };
+  recorrer(plan.Plan, 0);
+  const raiz = plan.Plan;
+  return {
+    accesos,
+    ordenaciones,
+    filas: {
+      estimadas: raiz['Plan Rows'],
+      reales: raiz['Actual Rows'] === undefined ? null : raiz['Actual Rows'] * (raiz['Actual Loops'] || 1),
+    },
+    tiempoMs: plan['Execution Time'] ?? null,
+    lineas,
+  };
+}
+
+function summarizeMysql({ rows, tree }, alias) {
+  const accesos = [];
+  const ordenaciones = [];
+  const lineas = [];
+  for (const fila of rows) {
+    // <derived2>, <union1,2>, <subquery3>: tablas temporales del propio plan
+    if (!fila.table || /^<.*>$/.test(fila.table)) continue;
+    const tabla = alias[fila.table] ?? fila.table;
+    accesos.push({
+      tabla,
+      alias: fila.table !== tabla ? fila.table : null,
+      // ALL lee la tabla entera; index lee el índice entero, que tampoco evita recorrerla
+      completo: fila.type === 'ALL' || fila.type === 'index',
+      indice: fila.key ?? null,
+      filasEstimadas: fila.rows === null ? null : Number(fila.rows),
+      filasReales: null,
+      filtro: null,
+    });
+    const extra = fila.Extra || '';
+    if (/Using filesort/i.test(extra)) ordenaciones.push(`ordenación (filesort) de ${fila.table}`);
+    if (/Using temporary/i.test(extra)) ordenaciones.push(`tabla temporal para ${fila.table}`);
+    lineas.push(`-> ${fila.table}: acceso ${fila.type}`
+      + (fila.key ? `, índice ${fila.key}` : fila.possible_keys ? `, índices posibles sin usar: ${fila.possible_keys}` : '')
+      + `, filas estimadas ${fila.rows}`
+      + (fila.filtered !== undefined && fila.filtered !== null && Number(fila.filtered) < 100 ? ` (${fila.filtered}% tras filtrar)` : '')
+      + (extra ? `; ${extra}` : ''));
+  }
+  let tiempoMs = null;
+  let reales = null;
+  if (tree) {
+    lineas.push('', 'EXPLAIN ANALYZE:', ...String(tree).trimEnd().split('\n'));
+    // La primera línea del árbol es el nodo raíz: "(actual time=0.05..12.3 rows=42 loops=1)"
+    const raiz = String(tree).match(/actual time=[\d.]+\.\.([\d.]+) rows=(\d+)/);
+    if (raiz) {
+      tiempoMs = Number(raiz[1]);
+      reales = Number(raiz[2]);
+    }
+  }
+  return { accesos, ordenaciones, filas: { estimadas: null, reales }, tiempoMs, lineas };
+}
+
+function summarizeSqlite({ rows, run }, alias) {
+  const accesos = [];
+  const ordenaciones = [];
+  const lineas = [];
+  const profundidad = new Map();
+  for (const fila of rows) {
+    const nivel = (profundidad.get(fila.parent) ?? -1) + 1;
+    profundidad.set(fila.id, nivel);
+    lineas.push(`${'  '.repeat(nivel)}-> ${fila.detail}`);
+    // "SCAN v", "SEARCH v USING INDEX v_fecha (fecha>?)" y, en versiones antiguas, "SCAN TABLE ventas AS v"
+    const m = fila.detail.match(/^(SCAN|SEARCH)\s+(?:TABLE\s+)?(\S+)(?:\s+AS\s+(\S+))?(.*)$/);
+    if (m && m[2] !== 'CONSTANT' && !m[2].startsWith('(')) {
+      const tabla = m[3] ? m[2] : alias[m[2]] ?? m[2];
+      const resto = m[4];
+      const indice = resto.match(/USING (?:COVERING )?INDEX (\S+)/)?.[1]
+        ?? (/USING (?:INTEGER )?PRIMARY KEY/.test(resto) ? 'PRIMARY KEY' : null);
+      // Un índice automático se construye en cada ejecución leyendo la tabla entera
+      const automatico = /USING AUTOMATIC/.test(resto);
+      accesos.push({
+        tabla,
+        alias: m[3] ?? (m[2] !== tabla ? m[2] : null),
+        completo: automatico || m[1] === 'SCAN',
+        indice: automatico ? null : indice,
+        automatico,
+        filasEstimadas: null,
+        filasReales: null,
+        filtro: resto.match(/\((.*)\)\s*$/)?.[1] ?? null,
+      });
+    }
+    const temporal = fila.detail.match(/^USE TEMP B-TREE FOR (.+)$/);
+    if (temporal) ordenaciones.push(`árbol temporal para ${temporal[1]}`);
+  }
+  return { accesos, ordenaciones, filas: { estimadas: null, reales: run?.rows ?? null }, tiempoMs: run?.ms ?? null, lineas };
+}
+
+/**
+ * Normaliza el plan que devuelve QueryRunner.explainQuery. `alias` traduce los alias de la
+ * consulta a tablas (MySQL y SQLite solo muestran el alias). Devuelve
+ * { accesos: [{ tabla, alias, completo, indice, filasEstimadas, filasReales, filtro }],
+ *   ordenaciones: [texto], filas: { estimadas, reales }, tiempoMs, lineas: [plan legible] }.
+ */
+export function summarizePlan(db_type, plan, alias = {}) {
+  if (db_type === 'mysql') return summarizeMysql(plan, alias);
+  if (db_type === 'sqlite') return summarizeSqlite(plan, alias);
+  return summarizePg(plan);
+}
+
+/**
+ * Columnas de un índice para los filtros de una tabla: las de igualdad del WHERE y, detrás, una de
+ * rango (después de un rango el índice ya no sirve para las siguientes). Si el WHERE no filtra la
+ * tabla se usan las columnas de igualdad de sus JOIN, para buscar por ellas en cada fila de la otra.
+ */
+function indexColumns(filtros) {
+  const where = filtros.filter(f => f.clausula === 'where');
+  const igualdad = where.filter(f => f.igualdad).map(f => f.columna);
+  const rango = where.filter(f => !f.igualdad).map(f => f.columna).filter(c => !igualdad.includes(c));
+  const columnas = where.length > 0
+    ? [...new Set(igualdad)].slice(0, MAX_SUGGESTED_COLUMNS - (rango.length ? 1 : 0)).concat(rango.slice(0, 1))
+    : filtros.filter(f => f.igualdad).map(f => f.columna);
+  return [...new Set(columnas)].slice(0, MAX_SUGGESTED_COLUMNS);
+}
+
+/**
+ * Sugerencias para los recorridos completos de tablas grandes: un índice con las columnas por las
+ * que la consulta filtra o une esa tabla (indexColumns), salvo que ya haya uno que empiece por la
+ * primera. `uso` es queryColumnUsage de la consulta y `tablas` da para cada tabla
+ * { filas, columnas, indices } con sus filas, nombres de columna e índices (describeTable).
+ * Devuelve { sugerencias: [{ tabla, columnas, filas }], avisos: [texto] }.
+ */
+export function suggestIndexes(resumen, uso, tablas) {
+  const sugerencias = [];
+  const avisos = [];
+  for (const acceso of resumen.accesos) {
+    const { filasEstimadas: estimadas, filasReales: reales } = acceso;
+    const desvio = reales === null || estimadas === null ? 1
+      : Math.max(reales, 1) / Math.max(estimadas, 1);
+    if (desvio >= ESTIMATE_RATIO || desvio <= 1 / ESTIMATE_RATIO) {
+      avisos.push(`En ${acceso.tabla} se estimaron ${estimadas} fila(s) y se leyeron ${reales}: las estadísticas `
+        + `pueden estar desactualizadas (ANALYZE ${acceso.tabla}).`);
+    }
+    const info = tablas[acceso.tabla];
+    if (!acceso.completo || !info || sugerencias.some(s => s.tabla === acceso.tabla)) continue;
+    const filas = info.filas ?? acceso.filasEstimadas;
+    if (filas !== null && filas < FULL_SCAN_MIN_ROWS) continue;
+    const columnas = indexColumns((uso?.filtros || []).filter(f => f.tabla === acceso.tabla && info.columnas.includes(f.columna)));
+    const tamano = filas === null ? '' : ` (${filas} filas)`;
+    if (columnas.length === 0) {
+      avisos.push(`La consulta lee entera la tabla ${acceso.tabla}${tamano} sin comparar directamente ninguna de sus columnas: `
+        + 'un índice no lo evitaría (tampoco sirve con columnas dentro de funciones); añade un filtro o un límite si no necesitas todas las filas.');
+      continue;
+    }
+    const existente = info.indices.find(i => i.columns[0]?.replace(/\s+DESC$/i, '') === columnas[0]);
+    if (existente) {
+      avisos.push(`La consulta lee entera la tabla ${acceso.tabla}${tamano} aunque el índice ${existente.name} `
+        + `(${existente.columns.join(', ')}) empieza por ${columnas[0]}: puede que el filtro devuelva gran parte de la tabla, `
+        + 'que compare la columna con un valor de otro tipo o que las estadísticas estén desactualizadas.');
+      continue;
+    }
+    sugerencias.push({ tabla: acceso.tabla, columnas, filas });
+  }
+  if (resumen.accesos.some(a => a.automatico)) {
+    avisos.push('SQLite construye un índice automático temporal en cada ejecución: un índice permanente lo evitaría.');
+  }
+  return { sugerencias, avisos };
+}
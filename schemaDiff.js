@@ -0,0 +1,629 @@
+import path from 'path';
+import YAML from 'yaml';
+import { z } from 'zod';
+import { normalizeEngine } from './db_runners/ConnectionRegistry.js';
+
+// Comparación de esquemas para compararEsquemas: el esquema deseado (otra conexión o un archivo de
+// especificación JSON o YAML) frente al de la conexión destino, y el script DDL que los iguala
+
+const SPEC_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const FK_ACTIONS = ['NO ACTION', 'RESTRICT', 'CASCADE', 'SET NULL', 'SET DEFAULT'];
+
+const nombresSchema = z.array(z.string()).min(1);
+
+const specSchema = z.object({
+  // Motor en el que están escritos los tipos; sin él se usan tal cual en el destino
+  motor: z.enum(['mysql', 'pg', 'postgresql', 'sqlite']).optional(),
+  tablas: z.array(z.object({
+    nombre: z.string(),
+    columnas: z.array(z.object({
+      nombre: z.string(),
+      tipo: z.string(),
+      nulo: z.boolean().default(true),
+      defecto: z.union([z.string(), z.number(), z.boolean()]).nullable().default(null),
+      autoincremento: z.boolean().default(false),
+    }).strict()).min(1),
+    clavePrimaria: z.array(z.string()).default([]),
+    unicas: z.array(z.object({ nombre: z.string().optional(), columnas: nombresSchema }).strict()).default([]),
+    clavesForaneas: z.array(z.object({
+      nombre: z.string().optional(),
+      columnas: nombresSchema,
+      tablaReferencia: z.string(),
+      columnasReferencia: nombresSchema,
+      alBorrar: z.enum(FK_ACTIONS).default('NO ACTION'),
+      alActualizar: z.enum(FK_ACTIONS).default('NO ACTION'),
+    }).strict()).default([]),
+    checks: z.array(z.object({ nombre: z.string().optional(), expresion: z.string() }).strict()).default([]),
+    indices: z.array(z.object({
+      nombre: z.string(),
+      columnas: nombresSchema,
+      unico: z.boolean().default(false),
+      condicion: z.string().nullable().default(null),
+      metodo: z.string().nullable().default(null),
+    }).strict()).default([]),
+  }).strict()),
+}).strict();
+
+// Ruta del archivo de especificación, que tiene que estar dentro del directorio de esquemas
+export function resolveSpecPath(dir, archivo) {
+  const ruta = path.resolve(dir, archivo);
+  const relativa = path.relative(dir, ruta);
+  if (!relativa || relativa.startsWith('..') || path.isAbsolute(relativa)) {
+    throw new Error(`El archivo de especificación debe estar dentro del directorio de esquemas (${dir}).`);
+  }
+  if (!SPEC_EXTENSIONS.includes(path.extname(ruta).toLowerCase())) {
+    throw new Error(`El archivo de especificación debe ser ${SPEC_EXTENSIONS.join(', ')}.`);
+  }
+  return ruta;
+}
+
+// Columna de un índice sin comillas ni ASC: "fecha DESC", "nombre(10)" o una expresión
+function indexColumn(columna) {
+  return columna.replace(/["`]/g, '').replace(/\s+/g, ' ').trim().replace(/\s+ASC$/i, '').replace(/\s+DESC$/i, ' DESC');
+}
+
+// Índice sobre columnas simples (sin expresiones), que puede ser una restricción UNIQUE
+function isSimpleIndex(indice) {
+  return indice.columnas.every(c => /^\w+( DESC)?$/.test(c));
+}
+
+/**
+ * Forma común de una tabla para comparar: la clave primaria hace NOT NULL sus columnas, el método
+ * btree (el predeterminado) no se anota y los índices únicos sobre columnas, sin condición, cuentan
+ * como restricciones UNIQUE (`indice` indica que en la base son un índice y no una restricción).
+ */
+function normalizeTable(t) {
+  const indices = t.indices.map(i => ({
+    ...i,
+    columnas: i.columnas.map(indexColumn),
+    metodo: i.metodo && !/^btree$/i.test(i.metodo) ? i.metodo.toLowerCase() : null,
+    condicion: i.condicion || null,
+  }));
+  const comoUnica = i => i.unico && !i.condicion && !i.metodo && isSimpleIndex(i) && !i.columnas.some(c => c.endsWith(' DESC'));
+  return {
+    ...t,
+    columnas: t.columnas.map(c => ({ ...c, nulo: c.nulo && !t.clavePrimaria.includes(c.nombre) })),
+    unicas: [
+      ...t.unicas.map(u => ({ nombre: u.nombre ?? null, columnas: u.columnas, indice: false })),
+      ...indices.filter(comoUnica).map(i => ({ nombre: i.nombre, columnas: i.columnas, indice: true })),
+    ],
+    clavesForaneas: t.clavesForaneas.map(fk => ({ ...fk, nombre: fk.nombre ?? null })),
+    checks: t.checks.map(c => ({ nombre: c.nombre ?? null, expresion: c.expresion })),
+    indices: indices.filter(i => !comoUnica(i)),
+  };
+}
+
+/**
+ * Lee un archivo de especificación (JSON o YAML según la extensión). Devuelve
+ * { motor, tablas } con las tablas en la forma que compara diffSchemas. Lanza un error que
+ * explica qué falta o sobra si el archivo no sigue el formato.
+ */
+export function parseSchemaSpec(texto, archivo) {
+  let datos;
+  try {
+    datos = path.extname(archivo).toLowerCase() === '.json' ? JSON.parse(texto) : YAML.parse(texto);
+  } catch (e) {
+    throw new Error(`No se pudo leer ${path.basename(archivo)}: ${e.message}`);
+  }
+  const resultado = specSchema.safeParse(datos);
+  if (!resultado.success) {
+    const detalle = resultado.error.errors.map(err => `${err.path.join('.') || '(raíz)'}: ${err.message}`).join('; ');
+    throw new Error(`La especificación ${path.basename(archivo)} no es válida: ${detalle}`);
+  }
+  const { motor, tablas } = resultado.data;
+  for (const t of tablas) {
+    const columnas = t.columnas.map(c => c.nombre);
+    const usadas = [
+      ...t.clavePrimaria,
+      ...t.unicas.flatMap(u => u.columnas),
+      ...t.clavesForaneas.flatMap(fk => fk.columnas),
+      ...t.indices.flatMap(i => i.columnas).map(c => c.replace(/\s+(ASC|DESC)$/i, '')).filter(c => /^\w+$/.test(c)),
+    ];
+    const desconocidas = [...new Set(usadas.filter(c => !columnas.includes(c)))];
+    if (desconocidas.length > 0) {
+      throw new Error(`La especificación ${path.basename(archivo)} usa en la tabla '${t.nombre}' columnas que no define: ${desconocidas.join(', ')}.`);
+    }
+  }
+  return { motor: normalizeEngine(motor) ?? null, tablas: tablas.map(normalizeTable) };
+}
+
+/**
+ * Tabla en la forma de la especificación a partir de describeTable y de los índices de la tabla
+ * (listIndexes). Los índices de la clave primaria y de las restricciones UNIQUE van en sus
+ * restricciones; en MySQL se omiten los que crea cada clave foránea con su mismo nombre.
+ */
+export function tableFromDescription(nombre, d, indices) {
+  const propias = d.foreignKeys.filter(fk => fk.table === nombre);
+  const comoIndice = new Set(indices.filter(i => !i.constraint).map(i => i.name));
+  return normalizeTable({
+    nombre,
+    columnas: d.columns.map(c => ({
+      nombre: c.name,
+      tipo: c.type || '',
+      nulo: !!c.nullable,
+      // El valor por defecto de una columna autoincremental es la secuencia (nextval en PostgreSQL)
+      defecto: c.autoIncrement ? null : c.default ?? null,
+      autoincremento: !!c.autoIncrement,
+    })),
+    clavePrimaria: d.primaryKey?.columns ?? [],
+    nombreClavePrimaria: d.primaryKey?.name ?? null,
+    unicas: d.uniques.filter(u => !comoIndice.has(u.name)).map(u => ({ nombre: u.name, columnas: u.columns })),
+    clavesForaneas: propias.map(fk => ({
+      nombre: fk.name,
+      columnas: fk.columns,
+      tablaReferencia: fk.refTable,
+      columnasReferencia: fk.refColumns,
+      alBorrar: fk.onDelete || 'NO ACTION',
+      alActualizar: fk.onUpdate || 'NO ACTION',
+    })),
+    checks: d.checks.map(c => ({ nombre: c.name, expresion: c.expression })),
+    indices: indices
+      .filter(i => !i.constraint && !i.primary && !propias.some(fk => fk.name === i.name))
+      .map(i => ({ nombre: i.name, columnas: i.columns, unico: i.unique, condicion: i.where ?? null, metodo: i.method ?? null })),
+  });
+}
+
+// --- Tipos y valores por defecto ---
+
+// Tipo en minúsculas con los alias de cada motor unificados: "character varying(50)" y "varchar(50)"
+// son el mismo tipo, como "int(11)" e "integer"
+function canonicalType(tipo) {
+  let t = String(tipo).toLowerCase().replace(/\s+/g, ' ').replace(/\s*([(),])\s*/g, '$1').trim();
+  t = t.replace(/^character varying/, 'varchar').replace(/^(character|bpchar)\b/, 'char')
+    .replace(/^tinyint\(1\)/, 'boolean').replace(/^bool\b/, 'boolean')
+    .replace(/^(tinyint|smallint|mediumint|int|integer|bigint)\(\d+\)/, '$1')
+    .replace(/^(integer|int4|serial4?|serial)\b/, 'int').replace(/^(int8|bigserial|serial8)\b/, 'bigint')
+    .replace(/^(int2|smallserial|serial2)\b/, 'smallint')
+    .replace(/^(timestamp|time)(\(\d\))? without time zone/, '$1$2')
+    .replace(/^timestamp(\(\d\))? with time zone/, 'timestamptz$1').replace(/^time(\(\d\))? with time zone/, 'timetz$1')
+    .replace(/^(double precision|float8|double)\b/, 'double').replace(/^(float4|real|float)\b/, 'real')
+    .replace(/^decimal\b/, 'numeric');
+  return t;
+}
+
+// Equivalencias entre motores distintos (solo se aplican al comparar o traducir entre ellos)
+function crossEngineType(tipo) {
+  return canonicalType(tipo)
+    .replace(/^datetime/, 'timestamp').replace(/^(tinytext|mediumtext|longtext)$/, 'text')
+    .replace(/^jsonb$/, 'json').replace(/^(bytea|tinyblob|mediumblob|longblob)$/, 'blob');
+}
+
+// Afinidad de un tipo en SQLite (las reglas de https://sqlite.org/datatype3.html)
+function sqliteAffinity(tipo) {
+  const t = String(tipo).toUpperCase();
+  if (t.includes('INT')) return 'INTEGER';
+  if (/CHAR|CLOB|TEXT/.test(t)) return 'TEXT';
+  if (t === '' || t.includes('BLOB')) return 'BLOB';
+  if (/REAL|FLOA|DOUB/.test(t)) return 'REAL';
+  return 'NUMERIC';
+}
+
+function sameType(a, motorA, b, motorB) {
+  if (motorA && motorB && motorA !== motorB && (motorA === 'sqlite' || motorB === 'sqlite')) {
+    return sqliteAffinity(a) === sqliteAffinity(b);
+  }
+  return motorA && motorA === motorB ? canonicalType(a) === canonicalType(b) : crossEngineType(a) === crossEngineType(b);
+}
+
+// Tipos que cambian de nombre al pasar a otro motor; los demás se escriben igual
+const TYPE_TRANSLATIONS = {
+  mysql: [
+    [/^boolean$/, 'tinyint(1)'], [/^timestamp(\(\d\))?$/, 'datetime$1'], [/^timestamptz(\(\d\))?$/, 'timestamp$1'],
+    [/^real$/, 'float'], [/^numeric/, 'decimal'], [/^blob$/, 'longblob'], [/^uuid$/, 'char(36)'],
+  ],
+  pg: [
+    [/^int unsigned$/, 'bigint'], [/^(tinyint|mediumint)( unsigned)?$/, 'integer'], [/^int$/, 'integer'],
+    [/^(smallint|bigint) unsigned$/, '$1'], [/^double$/, 'double precision'], [/^blob$/, 'bytea'],
+    [/^(enum|set)\(.*\)$/, 'text'], [/^year$/, 'smallint'],
+  ],
+};
+
+// Tipo de una columna de `desde` escrito para el motor `hacia`
+function translateType(tipo, desde, hacia) {
+  if (!desde || desde === hacia || hacia === 'sqlite') return tipo;
+  const t = crossEngineType(tipo);
+  const regla = (TYPE_TRANSLATIONS[hacia] || []).find(([patron]) => patron.test(t));
+  return regla ? t.replace(regla[0], regla[1]) : t;
+}
+
+// Quita las conversiones de PostgreSQL ('activo'::character varying, (0)::numeric)
+function stripCasts(valor) {
+  let v = String(valor).trim();
+  for (let anterior = null; anterior !== v;) {
+    anterior = v;
+    v = v.replace(/::[a-z_ ]+(\(\d+(,\s*\d+)?\))?(\[\])?$/i, '').replace(/^\((.*)\)$/, '$1').trim();
+  }
+  return v;
+}
+
+// Valor por defecto comparable: sin conversiones ni comillas, con las funciones de fecha unificadas
+function normalizeDefault(valor) {
+  if (valor === null || valor === undefined) return null;
+  let v = stripCasts(typeof valor === 'boolean' ? (valor ? '1' : '0') : valor);
+  if (/^'.*'$/s.test(v)) v = v.slice(1, -1).replace(/''/g, "'");
+  if (/^(now\(\)|current_timestamp(\(\))?|localtimestamp)$/i.test(v)) return 'current_timestamp';
+  if (/^null$/i.test(v)) return null;
+  if (/^true$/i.test(v)) return '1';
+  if (/^false$/i.test(v)) return '0';
+  return v;
+}
+
+/**
+ * SQL de un valor por defecto. Del mismo motor se copia tal cual (MySQL lo devuelve sin comillas);
+ * de otro motor o de una especificación se ponen comillas salvo a números, NULL, booleanos, fechas
+ * actuales, funciones y expresiones entre paréntesis.
+ */
+function defaultSql(valor, mismoMotor, db_type, tipo) {
+  if (typeof valor === 'boolean') return valor ? 'TRUE' : 'FALSE';
+  // MySQL guarda los booleanos como 0 y 1, que PostgreSQL no acepta en una columna boolean
+  if (db_type === 'pg' && canonicalType(tipo) === 'boolean' && ['0', '1'].includes(normalizeDefault(valor))) {
+    return normalizeDefault(valor) === '1' ? 'TRUE' : 'FALSE';
+  }
+  const v = mismoMotor && db_type !== 'mysql' ? String(valor) : stripCasts(valor);
+  if (mismoMotor && db_type !== 'mysql') return v;
+  return /^(-?\d+(\.\d+)?|NULL|TRUE|FALSE|CURRENT_(TIMESTAMP|DATE|TIME)(\(\d*\))?|\(.*\)|'.*'|\w+\(.*\))$/is.test(v)
+    ? v
+    : `'${v.replace(/'/g, "''")}'`;
+}
+
+// Expresión CHECK comparable: sin comillas, conversiones, paréntesis ni espacios
+function normalizeCheck(expresion) {
+  return String(expresion).toLowerCase().replace(/["`]/g, '').replace(/::[a-z_ ]+/g, '').replace(/[()\s]/g, '');
+}
+
+// --- Comparación ---
+
+const sameList = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+// RESTRICT y NO ACTION solo se distinguen en las restricciones diferidas
+const fkAction = accion => (accion || 'NO ACTION').toUpperCase().replace('RESTRICT', 'NO ACTION');
+const fkKey = fk => `${fk.columnas.join(',')}->${fk.tablaReferencia}(${fk.columnasReferencia.join(',')})`;
+
+function columnDifferences(deseada, actual, motores) {
+  const diferencias = [];
+  if (!sameType(deseada.tipo, motores.deseado, actual.tipo, motores.actual)) {
+    diferencias.push({ campo: 'tipo', texto: `tipo ${actual.tipo} → ${deseada.tipo}` });
+  }
+  if (deseada.nulo !== actual.nulo) {
+    diferencias.push({ campo: 'nulo', texto: deseada.nulo ? 'NOT NULL → admite nulos' : 'admite nulos → NOT NULL' });
+  }
+  if (deseada.autoincremento !== actual.autoincremento) {
+    diferencias.push({ campo: 'autoincremento', texto: deseada.autoincremento ? 'pasa a ser autoincremental' : 'deja de ser autoincremental' });
+  } else if (!deseada.autoincremento && normalizeDefault(deseada.defecto) !== normalizeDefault(actual.defecto)) {
+    diferencias.push({ campo: 'defecto', texto: `valor por defecto ${actual.defecto ?? '(ninguno)'} → ${deseada.defecto ?? '(ninguno)'}` });
+  }
+  return diferencias;
+}
+
+function indexDifferent(deseado, actual, motores) {
+  const columnas = lista => lista.map(c => c.toLowerCase());
+  // Las columnas de expresión solo se leen en PostgreSQL: en los demás se comparan por nombre
+  const conExpresion = [...deseado.columnas, ...actual.columnas].includes('(expresión)');
+  return deseado.unico !== actual.unico
+    || (!conExpresion && !sameList(columnas(deseado.columnas), columnas(actual.columnas)))
+    || normalizeCheck(deseado.condicion || '') !== normalizeCheck(actual.condicion || '')
+    || (motores.deseado === motores.actual && deseado.metodo !== actual.metodo);
+}
+
+function compareTables(deseada, actual, motores) {
+  const porNombre = lista => new Map(lista.map(x => [x.nombre, x]));
+  const colsActuales = porNombre(actual.columnas);
+  const colsDeseadas = porNombre(deseada.columnas);
+  const columnas = {
+    faltantes: deseada.columnas.filter(c => !colsActuales.has(c.nombre)),
+    sobrantes: actual.columnas.filter(c => !colsDeseadas.has(c.nombre)),
+    distintas: deseada.columnas.filter(c => colsActuales.has(c.nombre))
+      .map(c => ({ deseada: c, actual: colsActuales.get(c.nombre), diferencias: columnDifferences(c, colsActuales.get(c.nombre), motores) }))
+      .filter(c => c.diferencias.length > 0),
+  };
+  const clavePrimaria = sameList(deseada.clavePrimaria, actual.clavePrimaria)
+    ? null
+    : { deseada: deseada.clavePrimaria, actual: actual.clavePrimaria, nombre: actual.nombreClavePrimaria ?? null };
+
+  const unicaKey = u => u.columnas.join(',');
+  const unicas = {
+    faltantes: deseada.unicas.filter(u => !actual.unicas.some(a => unicaKey(a) === unicaKey(u))),
+    sobrantes: actual.unicas.filter(a => !deseada.unicas.some(u => unicaKey(a) === unicaKey(u))),
+  };
+
+  const fksActuales = new Map(actual.clavesForaneas.map(fk => [fkKey(fk), fk]));
+  const fksDeseadas = new Set(deseada.clavesForaneas.map(fkKey));
+  const clavesForaneas = {
+    faltantes: deseada.clavesForaneas.filter(fk => !fksActuales.has(fkKey(fk))),
+    sobrantes: actual.clavesForaneas.filter(fk => !fksDeseadas.has(fkKey(fk))),
+    distintas: deseada.clavesForaneas.filter(fk => fksActuales.has(fkKey(fk)))
+      .map(fk => ({ deseada: fk, actual: fksActuales.get(fkKey(fk)) }))
+      .filter(({ deseada: d, actual: a }) => fkAction(d.alBorrar) !== fkAction(a.alBorrar) || fkAction(d.alActualizar) !== fkAction(a.alActualizar)),
+  };
+
+  // Las CHECK se emparejan por nombre si lo tienen las dos y, si no, por la expresión
+  const mismaCheck = (d, a) => (d.nombre && a.nombre ? d.nombre === a.nombre : normalizeCheck(d.expresion) === normalizeCheck(a.expresion));
+  const checks = {
+    faltantes: deseada.checks.filter(d => !actual.checks.some(a => mismaCheck(d, a))),
+    sobrantes: actual.checks.filter(a => !deseada.checks.some(d => mismaCheck(d, a))),
+    // La expresión solo se compara en el mismo motor: cada uno la reescribe a su manera
+    distintas: motores.deseado !== motores.actual ? [] : deseada.checks
+      .map(d => ({ deseada: d, actual: actual.checks.find(a => d.nombre && a.nombre === d.nombre) }))
+      .filter(({ deseada: d, actual: a }) => a && normalizeCheck(d.expresion) !== normalizeCheck(a.expresion)),
+  };
+
+  const idxActuales = porNombre(actual.indices);
+  const idxDeseados = porNombre(deseada.indices);
+  const igualSalvoNombre = (d, a) => !indexDifferent(d, a, motores);
+  const sinNombreIgual = deseada.indices.filter(i => !idxActuales.has(i.nombre));
+  const sobrantesPorNombre = actual.indices.filter(i => !idxDeseados.has(i.nombre));
+  // Un índice con la misma definición y otro nombre no se recrea: solo se informa
+  const renombrados = sinNombreIgual
+    .map(d => ({ deseado: d, actual: sobrantesPorNombre.find(a => igualSalvoNombre(d, a)) }))
+    .filter(r => r.actual);
+  const indices = {
+    faltantes: sinNombreIgual.filter(d => !renombrados.some(r => r.deseado === d)),
+    sobrantes: sobrantesPorNombre.filter(a => !renombrados.some(r => r.actual === a)),
+    distintos: deseada.indices.filter(i => idxActuales.has(i.nombre))
+      .map(i => ({ deseado: i, actual: idxActuales.get(i.nombre) }))
+      .filter(({ deseado: d, actual: a }) => indexDifferent(d, a, motores)),
+    renombrados,
+  };
+
+  const cambios = [columnas.faltantes, columnas.sobrantes, columnas.distintas, unicas.faltantes, unicas.sobrantes,
+    clavesForaneas.faltantes, clavesForaneas.sobrantes, clavesForaneas.distintas, checks.faltantes, checks.sobrantes,
+    checks.distintas, indices.faltantes, indices.sobrantes, indices.distintos, indices.renombrados]
+    .reduce((total, lista) => total + lista.length, clavePrimaria ? 1 : 0);
+  if (cambios === 0) return null;
+  return { tabla: deseada.nombre, deseada, actual, columnas, clavePrimaria, unicas, clavesForaneas, checks, indices };
+}
+
+/**
+ * Compara el esquema deseado con el actual, cada uno { motor, tablas } con las tablas de
+ * parseSchemaSpec o tableFromDescription. Devuelve { motores, faltantes, sobrantes, cambios,
+ * iguales }: las tablas que faltan en el destino, las que solo existen en él, las diferencias de
+ * las tablas comunes y los nombres de las que coinciden.
+ */
+export function diffSchemas(deseado, actual) {
+  const motores = { deseado: deseado.motor, actual: actual.motor };
+  const actuales = new Map(actual.tablas.map(t => [t.nombre, t]));
+  const deseadas = new Set(deseado.tablas.map(t => t.nombre));
+  const cambios = [];
+  const iguales = [];
+  for (const t of deseado.tablas) {
+    if (!actuales.has(t.nombre)) continue;
+    const cambio = compareTables(t, actuales.get(t.nombre), motores);
+    if (cambio) cambios.push(cambio);
+    else iguales.push(t.nombre);
+  }
+  return {
+    motores,
+    faltantes: deseado.tablas.filter(t => !actuales.has(t.nombre)),
+    sobrantes: actual.tablas.filter(t => !deseadas.has(t.nombre)),
+    cambios,
+    iguales,
+  };
+}
+
+export function isEmptyDiff(diff) {
+  return diff.faltantes.length === 0 && diff.sobrantes.length === 0 && diff.cambios.length === 0;
+}
+
+// --- Informe ---
+
+const named = nombre => (nombre ? ` ${nombre}` : '');
+const fkText = fk => `(${fk.columnas.join(', ')}) -> ${fk.tablaReferencia}(${fk.columnasReferencia.join(', ')})`
+  + ` ON DELETE ${fk.alBorrar} ON UPDATE ${fk.alActualizar}`;
+const indexText = i => `${i.nombre} (${i.columnas.join(', ')})${i.unico ? ' ÚNICO' : ''}`
+  + `${i.metodo ? ` [${i.metodo}]` : ''}${i.condicion ? ` WHERE ${i.condicion}` : ''}`;
+const columnText = c => `${c.nombre} ${c.tipo}${c.nulo ? '' : ' NOT NULL'}${c.autoincremento ? ' AUTOINCREMENTO' : ''}`
+  + `${c.defecto !== null && c.defecto !== undefined ? ` DEFAULT ${c.defecto}` : ''}`;
+
+// Diferencias en texto legible, una por línea, agrupadas por tabla
+export function describeDiff(diff) {
+  const lineas = [];
+  for (const t of diff.faltantes) lineas.push(`+ Tabla ${t.nombre} (${t.columnas.length} columna(s)): falta en el destino`);
+  for (const t of diff.sobrantes) lineas.push(`- Tabla ${t.nombre} (${t.columnas.length} columna(s)): solo existe en el destino`);
+  for (const c of diff.cambios) {
+    lineas.push(`~ Tabla ${c.tabla}:`);
+    const item = texto => lineas.push(`    ${texto}`);
+    c.columnas.faltantes.forEach(col => item(`+ columna ${columnText(col)}`));
+    c.columnas.sobrantes.forEach(col => item(`- columna ${columnText(col)}`));
+    c.columnas.distintas.forEach(d => item(`~ columna ${d.deseada.nombre}: ${d.diferencias.map(x => x.texto).join('; ')}`));
+    if (c.clavePrimaria) {
+      item(`~ clave primaria (${c.clavePrimaria.actual.join(', ') || 'ninguna'}) → (${c.clavePrimaria.deseada.join(', ') || 'ninguna'})`);
+    }
+    c.unicas.faltantes.forEach(u => item(`+ UNIQUE (${u.columnas.join(', ')})`));
+    c.unicas.sobrantes.forEach(u => item(`- UNIQUE${named(u.nombre)} (${u.columnas.join(', ')})`));
+    c.clavesForaneas.faltantes.forEach(fk => item(`+ clave foránea ${fkText(fk)}`));
+    c.clavesForaneas.sobrantes.forEach(fk => item(`- clave foránea${named(fk.nombre)} ${fkText(fk)}`));
+    c.clavesForaneas.distintas.forEach(d => item(`~ clave foránea${named(d.actual.nombre)} ${fkText(d.actual)} → ON DELETE ${d.deseada.alBorrar} ON UPDATE ${d.deseada.alActualizar}`));
+    c.checks.faltantes.forEach(ch => item(`+ CHECK${named(ch.nombre)} (${ch.expresion})`));
+    c.checks.sobrantes.forEach(ch => item(`- CHECK${named(ch.nombre)} (${ch.expresion})`));
+    c.checks.distintas.forEach(d => item(`~ CHECK ${d.actual.nombre}: (${d.actual.expresion}) → (${d.deseada.expresion})`));
+    c.indices.faltantes.forEach(i => item(`+ índice ${indexText(i)}`));
+    c.indices.sobrantes.forEach(i => item(`- índice ${indexText(i)}`));
+    c.indices.distintos.forEach(d => item(`~ índice ${indexText(d.actual)} → ${indexText(d.deseado)}`));
+    c.indices.renombrados.forEach(r => item(`= índice ${r.deseado.nombre} existe con otro nombre: ${r.actual.nombre} (no se renombra)`));
+  }
+  return lineas;
+}
+
+// --- Script DDL ---
+
+/**
+ * Script que lleva el destino (motor `db_type`) al esquema deseado, en este orden: quitar claves
+ * foráneas, restricciones e índices que cambian o sobran, crear las tablas que faltan, agregar y
+ * modificar columnas, la clave primaria, las restricciones e índices nuevos, las claves foráneas y,
+ * al final, eliminar columnas y tablas sobrantes. Lo que sobra solo se elimina con
+ * `eliminarSobrantes`. `quote(ident)` pone las comillas de identificador del motor.
+ * Devuelve { sentencias: [{ sql, respaldo }], manuales: [texto] }: `respaldo` ({ tipo, tabla,
+ * columna }) marca las sentencias que borran datos, y `manuales` lo que el motor no permite
+ * hacer con ALTER TABLE (SQLite) y hay que resolver a mano.
+ */
+export function reconciliationScript(diff, { db_type, quote, eliminarSobrantes = false }) {
+  const mismoMotor = diff.motores.deseado === db_type;
+  const sqlite = db_type === 'sqlite';
+  const fases = { quitar: [], crear: [], columnas: [], primaria: [], restricciones: [], foraneas: [], eliminar: [] };
+  const manuales = [];
+  const add = (fase, sql, respaldo = null) => fases[fase].push({ sql, respaldo });
+  const q = quote;
+  const lista = cols => cols.map(q).join(', ');
+  const tipoDe = col => translateType(col.tipo, diff.motores.deseado, db_type);
+
+  const columnSql = (col, { enLinea = false } = {}) => {
+    const tipo = tipoDe(col);
+    // Una única columna INTEGER PRIMARY KEY de SQLite es el rowid y se autoincrementa sola
+    if (enLinea) return `${q(col.nombre)} INTEGER PRIMARY KEY`;
+    let sql = `${q(col.nombre)} ${tipo}`;
+    if (!col.nulo) sql += ' NOT NULL';
+    if (col.autoincremento && db_type === 'mysql') return `${sql} AUTO_INCREMENT`;
+    if (col.autoincremento && db_type === 'pg' && !/serial/i.test(tipo)) return `${sql} GENERATED BY DEFAULT AS IDENTITY`;
+    if (col.defecto !== null && col.defecto !== undefined) sql += ` DEFAULT ${defaultSql(col.defecto, mismoMotor, db_type, tipo)}`;
+    return sql;
+  };
+  const fkClause = fk => `FOREIGN KEY (${lista(fk.columnas)}) REFERENCES ${q(fk.tablaReferencia)} (${lista(fk.columnasReferencia)})`
+    + (fkAction(fk.alBorrar) !== 'NO ACTION' ? ` ON DELETE ${fk.alBorrar}` : '')
+    + (fkAction(fk.alActualizar) !== 'NO ACTION' ? ` ON UPDATE ${fk.alActualizar}` : '');
+  const fkName = (tabla, fk) => fk.nombre || `${tabla}_${fk.columnas.join('_')}_fkey`.slice(0, 63);
+  const uniqueName = (tabla, u) => u.nombre || `${tabla}_${u.columnas.join('_')}_key`.slice(0, 63);
+  const indexKey = (columna) => {
+    const m = columna.match(/^(\w+)(\(\d+\))?( DESC)?$/);
+    if (!m) return `(${columna})`;
+    return q(m[1]) + (m[2] && db_type === 'mysql' ? m[2] : '') + (m[3] || '');
+  };
+
+  const createIndex = (tabla, i) => {
+    if (i.columnas.includes('(expresión)')) {
+      manuales.push(`${tabla}: el índice ${i.nombre} usa expresiones que el motor de origen no describe; créalo a mano.`);
+      return;
+    }
+    if (i.condicion && db_type === 'mysql') {
+      manuales.push(`${tabla}: MySQL no admite índices parciales como ${i.nombre} (WHERE ${i.condicion}).`);
+      return;
+    }
+    const mysqlTipo = db_type === 'mysql' && ['fulltext', 'spatial'].includes(i.metodo) ? `${i.metodo.toUpperCase()} ` : '';
+    const usando = i.metodo && db_type === 'pg' && !['fulltext', 'spatial'].includes(i.metodo) ? ` USING ${i.metodo}` : '';
+    if (i.metodo && !mysqlTipo && !usando) {
+      manuales.push(`${tabla}: el método ${i.metodo} del índice ${i.nombre} no existe en ${db_type}; se crea con el predeterminado.`);
+    }
+    add('restricciones', `CREATE ${i.unico ? 'UNIQUE ' : mysqlTipo}INDEX ${q(i.nombre)} ON ${q(tabla)}${usando} (${i.columnas.map(indexKey).join(', ')})`
+      + (i.condicion ? ` WHERE ${i.condicion}` : ''));
+  };
+  const dropIndex = (tabla, nombre) => add('quitar', db_type === 'mysql'
+    ? `DROP INDEX ${q(nombre)} ON ${q(tabla)}`
+    : `DROP INDEX ${q(nombre)}`);
+  const addUnique = (tabla, u) => {
+    if (u.indice || sqlite) add('restricciones', `CREATE UNIQUE INDEX ${q(uniqueName(tabla, u))} ON ${q(tabla)} (${lista(u.columnas)})`);
+    else add('restricciones', `ALTER TABLE ${q(tabla)} ADD CONSTRAINT ${q(uniqueName(tabla, u))} UNIQUE (${lista(u.columnas)})`);
+  };
+  const dropUnique = (tabla, u) => {
+    if (u.indice) dropIndex(tabla, u.nombre);
+    else if (sqlite || !u.nombre) manuales.push(`${tabla}: la restricción UNIQUE (${u.columnas.join(', ')}) es parte de la definición de la tabla; quitarla exige recrearla.`);
+    else if (db_type === 'mysql') add('quitar', `ALTER TABLE ${q(tabla)} DROP INDEX ${q(u.nombre)}`);
+    else add('quitar', `ALTER TABLE ${q(tabla)} DROP CONSTRAINT ${q(u.nombre)}`);
+  };
+  const dropForeignKey = (tabla, fk) => {
+    if (sqlite) manuales.push(`${tabla}: SQLite no elimina la clave foránea ${fkText(fk)} sin recrear la tabla.`);
+    else add('quitar', `ALTER TABLE ${q(tabla)} DROP ${db_type === 'mysql' ? 'FOREIGN KEY' : 'CONSTRAINT'} ${q(fk.nombre)}`);
+  };
+  const addForeignKey = (tabla, fk) => {
+    if (sqlite) manuales.push(`${tabla}: SQLite no agrega la clave foránea ${fkText(fk)} a una tabla existente sin recrearla.`);
+    else add('foraneas', `ALTER TABLE ${q(tabla)} ADD CONSTRAINT ${q(fkName(tabla, fk))} ${fkClause(fk)}`);
+  };
+  const addCheck = (tabla, ch) => {
+    if (sqlite) manuales.push(`${tabla}: SQLite no agrega la restricción CHECK (${ch.expresion}) a una tabla existente sin recrearla.`);
+    else add('restricciones', `ALTER TABLE ${q(tabla)} ADD ${ch.nombre ? `CONSTRAINT ${q(ch.nombre)} ` : ''}CHECK (${ch.expresion})`);
+  };
+  const dropCheck = (tabla, ch) => {
+    if (sqlite || !ch.nombre) manuales.push(`${tabla}: la restricción CHECK (${ch.expresion}) no se puede quitar sin recrear la tabla.`);
+    else add('quitar', `ALTER TABLE ${q(tabla)} DROP ${db_type === 'mysql' ? 'CHECK' : 'CONSTRAINT'} ${q(ch.nombre)}`);
+  };
+
+  for (const t of diff.faltantes) {
+    const enLinea = sqlite && t.clavePrimaria.length === 1
+      && t.columnas.find(c => c.nombre === t.clavePrimaria[0])?.autoincremento;
+    const partes = t.columnas.map(c => `  ${columnSql(c, { enLinea: enLinea && c.nombre === t.clavePrimaria[0] })}`);
+    if (t.clavePrimaria.length > 0 && !enLinea) partes.push(`  PRIMARY KEY (${lista(t.clavePrimaria)})`);
+    for (const u of t.unicas.filter(u => !u.indice)) partes.push(`  CONSTRAINT ${q(uniqueName(t.nombre, u))} UNIQUE (${lista(u.columnas)})`);
+    for (const ch of t.checks) partes.push(`  ${ch.nombre ? `CONSTRAINT ${q(ch.nombre)} ` : ''}CHECK (${ch.expresion})`);
+    // SQLite solo admite claves foráneas en la definición de la tabla
+    if (sqlite) for (const fk of t.clavesForaneas) partes.push(`  ${fkClause(fk)}`);
+    add('crear', `CREATE TABLE ${q(t.nombre)} (\n${partes.join(',\n')}\n)`);
+    t.unicas.filter(u => u.indice).forEach(u => addUnique(t.nombre, u));
+    t.indices.forEach(i => createIndex(t.nombre, i));
+    if (!sqlite) t.clavesForaneas.forEach(fk => addForeignKey(t.nombre, fk));
+  }
+
+  for (const c of diff.cambios) {
+    const tabla = c.tabla;
+    const T = q(tabla);
+    c.clavesForaneas.distintas.forEach(d => { dropForeignKey(tabla, d.actual); addForeignKey(tabla, d.deseada); });
+    if (eliminarSobrantes) {
+      c.clavesForaneas.sobrantes.forEach(fk => dropForeignKey(tabla, fk));
+      c.unicas.sobrantes.forEach(u => dropUnique(tabla, u));
+      c.checks.sobrantes.forEach(ch => dropCheck(tabla, ch));
+      c.indices.sobrantes.forEach(i => dropIndex(tabla, i.nombre));
+    }
+    c.checks.distintas.forEach(d => { dropCheck(tabla, d.actual); addCheck(tabla, d.deseada); });
+    c.indices.distintos.forEach(d => { dropIndex(tabla, d.actual.nombre); createIndex(tabla, d.deseado); });
+
+    for (const col of c.columnas.faltantes) {
+      if (sqlite && (col.autoincremento || (!col.nulo && (col.defecto === null || col.defecto === undefined)))) {
+        manuales.push(`${tabla}: SQLite no agrega la columna ${columnText(col)} sin valor por defecto ni como autoincremental; agrégala con un valor por defecto o recrea la tabla.`);
+        continue;
+      }
+      add('columnas', `ALTER TABLE ${T} ADD COLUMN ${columnSql(col)}`);
+    }
+    for (const { deseada: col, diferencias } of c.columnas.distintas) {
+      const campos = diferencias.map(d => d.campo);
+      if (sqlite) {
+        manuales.push(`${tabla}.${col.nombre}: SQLite no modifica columnas con ALTER TABLE (${diferencias.map(d => d.texto).join('; ')}); `
+          + (campos.every(x => x === 'tipo') ? 'usa cambiarTipoColumna.' : 'hay que recrear la tabla.'));
+      } else if (db_type === 'mysql') {
+        add('columnas', `ALTER TABLE ${T} MODIFY COLUMN ${columnSql(col)}`);
+      } else {
+        const C = q(col.nombre);
+        if (campos.includes('tipo')) add('columnas', `ALTER TABLE ${T} ALTER COLUMN ${C} TYPE ${tipoDe(col)} USING ${C}::${tipoDe(col)}`);
+        if (campos.includes('nulo')) add('columnas', `ALTER TABLE ${T} ALTER COLUMN ${C} ${col.nulo ? 'DROP' : 'SET'} NOT NULL`);
+        if (campos.includes('defecto')) {
+          add('columnas', col.defecto === null || col.defecto === undefined
+            ? `ALTER TABLE ${T} ALTER COLUMN ${C} DROP DEFAULT`
+            : `ALTER TABLE ${T} ALTER COLUMN ${C} SET DEFAULT ${defaultSql(col.defecto, mismoMotor, db_type, tipoDe(col))}`);
+        }
+        if (campos.includes('autoincremento')) {
+          manuales.push(`${tabla}.${col.nombre}: ${diferencias.find(d => d.campo === 'autoincremento').texto}; en PostgreSQL depende de si usa `
+            + 'una secuencia (serial) o una columna identidad: ajústalo a mano.');
+        }
+      }
+    }
+
+    const pk = c.clavePrimaria;
+    if (pk && (pk.deseada.length > 0 || eliminarSobrantes)) {
+      if (sqlite) {
+        manuales.push(`${tabla}: SQLite no cambia la clave primaria (${pk.actual.join(', ') || 'ninguna'}) → (${pk.deseada.join(', ') || 'ninguna'}) sin recrear la tabla.`);
+      } else {
+        if (pk.actual.length > 0) {
+          add('primaria', db_type === 'mysql' ? `ALTER TABLE ${T} DROP PRIMARY KEY` : `ALTER TABLE ${T} DROP CONSTRAINT ${q(pk.nombre || `${tabla}_pkey`)}`);
+        }
+        if (pk.deseada.length > 0) add('primaria', `ALTER TABLE ${T} ADD PRIMARY KEY (${lista(pk.deseada)})`);
+      }
+    }
+    c.unicas.faltantes.forEach(u => addUnique(tabla, u));
+    c.checks.faltantes.forEach(ch => addCheck(tabla, ch));
+    c.indices.faltantes.forEach(i => createIndex(tabla, i));
+    c.clavesForaneas.faltantes.forEach(fk => addForeignKey(tabla, fk));
+    if (eliminarSobrantes) {
+      for (const col of c.columnas.sobrantes) {
+        add('eliminar', `ALTER TABLE ${T} DROP COLUMN ${q(col.nombre)}`, { tipo: 'columna', tabla, columna: col.nombre });
+      }
+    }
+  }
+
+  if (eliminarSobrantes) {
+    // Primero las tablas que referencian a otras que también se eliminan
+    const pendientes = [...diff.sobrantes];
+    while (pendientes.length > 0) {
+      const i = Math.max(0, pendientes.findIndex(t => !pendientes.some(o => o !== t
+        && o.clavesForaneas.some(fk => fk.tablaReferencia === t.nombre))));
+      const [t] = pendientes.splice(i, 1);
+      add('eliminar', `DROP TABLE ${q(t.nombre)}`, { tipo: 'tabla', tabla: t.nombre });
+    }
+  }
+
+  return { sentencias: Object.values(fases).flat(), manuales };
+}